@@ -1,5 +1,35 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isSessionActive } = require('../utils/sessions');
+const { can } = require('../utils/permissions');
+
+const authError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 401;
+  return error;
+};
+
+// The signed-in user and session a bearer token stands for; throws when the
+// token, its session or the account is no longer valid
+const authenticate = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  const user = await User.findById(decoded.userId).select('-password');
+
+  if (!user) {
+    throw authError('Token is not valid');
+  }
+
+  // Logging out revokes the session, which invalidates its access tokens immediately
+  if (!(await isSessionActive(decoded.sid))) {
+    throw authError('Session has ended');
+  }
+
+  if (!user.isActive) {
+    throw authError('Account is deactivated');
+  }
+
+  return { user, sessionId: decoded.sid };
+};
 
 const auth = async (req, res, next) => {
   try {
@@ -9,31 +39,44 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ message: 'No token, authorization denied' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
-    
-    if (!user) {
-      return res.status(401).json({ message: 'Token is not valid' });
-    }
-
-    if (!user.isActive) {
-      return res.status(401).json({ message: 'Account is deactivated' });
-    }
-
+    const { user, sessionId } = await authenticate(token);
     req.user = user;
+    req.sessionId = sessionId;
     next();
   } catch (error) {
-    res.status(401).json({ message: 'Token is not valid' });
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    const message = error.name === 'TokenExpiredError' ? 'Token expired' : 'Token is not valid';
+    res.status(401).json({ message });
+  }
+};
+
+// For public routes that show more to some signed-in users: sets `req.user`
+// when a valid token is sent and carries on as a guest otherwise
+const optionalAuth = async (req, res, next) => {
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+  if (token) {
+    try {
+      const { user, sessionId } = await authenticate(token);
+      req.user = user;
+      req.sessionId = sessionId;
+    } catch (error) {
+      // An expired or revoked token only means the caller is treated as a guest
+    }
   }
+  next();
 };
 
-const authorize = (...roles) => {
+// Guard a route with a platform-wide permission from utils/permissions.js.
+// Course-scoped permissions are checked in the route once the course is loaded.
+const requirePermission = (permission) => {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ message: 'Authentication required' });
     }
 
-    if (!roles.includes(req.user.role)) {
+    if (!can(req.user, permission)) {
       return res.status(403).json({ message: 'Access denied. Insufficient permissions.' });
     }
 
@@ -41,4 +84,4 @@ const authorize = (...roles) => {
   };
 };
 
-module.exports = { auth, authorize };
+module.exports = { auth, optionalAuth, requirePermission };
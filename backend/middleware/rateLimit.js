@@ -0,0 +1,89 @@
+const rateLimit = require('express-rate-limit');
+const { createRateLimitStore } = require('../utils/limiterStore');
+const { logSecurityEvent } = require('../utils/securityLog');
+
+// Request limits per client IP, counted in the shared limiter store so they
+// hold across instances. `logEvent` records a security event when tripped;
+// `keyGenerator` and `skip` are passed through to express-rate-limit.
+const createLimiter = (name, { windowMs, max, message, logEvent = false, keyGenerator, skip }) => rateLimit({
+  windowMs,
+  max,
+  standardHeaders: true,
+  legacyHeaders: false,
+  store: createRateLimitStore(`rate:${name}`),
+  ...(keyGenerator && { keyGenerator }),
+  ...(skip && { skip }),
+  handler: (req, res, next, options) => {
+    if (logEvent) {
+      logSecurityEvent('rate_limited', {
+        req,
+        email: typeof req.body?.email === 'string' ? req.body.email.toLowerCase() : undefined,
+        details: { limiter: name, path: req.originalUrl }
+      });
+    }
+    res.status(options.statusCode).json({ message });
+  }
+});
+
+// Saves a player or quiz makes on a timer while it is open. They would use up
+// the per-IP allowance of a whole classroom, so they are limited per user by
+// `trackingLimiter` instead.
+const TRACKING_REQUESTS = [
+  { method: 'POST', path: /^\/api\/lectures\/[^/]+\/progress\/?$/ },
+  { method: 'PUT', path: /^\/api\/quizzes\/attempts\/[^/]+\/answers\/?$/ }
+];
+
+const isTrackingRequest = (req) => {
+  const path = req.originalUrl.split('?')[0];
+  return TRACKING_REQUESTS.some(route => route.method === req.method && route.path.test(path));
+};
+
+// Every API call
+const apiLimiter = createLimiter('api', {
+  windowMs: 15 * 60 * 1000,
+  max: 100,
+  message: 'Too many requests. Please try again later.',
+  skip: isTrackingRequest
+});
+
+// Lecture heartbeats and quiz autosaves, per signed-in user; goes after `auth`.
+// A 15-second timer sends 60 in 15 minutes, so this leaves room for a few tabs.
+const trackingLimiter = createLimiter('tracking', {
+  windowMs: 15 * 60 * 1000,
+  max: 300,
+  message: 'Too many progress updates. Please try again later.',
+  keyGenerator: (req) => `user:${req.user.id}`
+});
+
+// Sign-in and registration. Classrooms often share one address, so this only
+// stops floods; guessing is slowed per account by utils/loginThrottle.js.
+const authLimiter = createLimiter('auth', {
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  message: 'Too many sign-in attempts. Please try again later.',
+  logEvent: true
+});
+
+// Endpoints that send email
+const emailLimiter = createLimiter('email', {
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  message: 'Too many email requests. Please try again later.',
+  logEvent: true
+});
+
+// A 6-digit code has few enough values that guesses must be capped per client
+const twoFactorLimiter = createLimiter('2fa', {
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: 'Too many authentication attempts. Please try again later.',
+  logEvent: true
+});
+
+module.exports = {
+  apiLimiter,
+  trackingLimiter,
+  authLimiter,
+  emailLimiter,
+  twoFactorLimiter
+};
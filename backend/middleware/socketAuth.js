@@ -0,0 +1,40 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { isSessionActive } = require('../utils/sessions');
+
+// Socket.io counterpart of `auth`: verifies the JWT sent in the handshake
+// and attaches the user to socket.data.user
+const socketAuth = async (socket, next) => {
+  try {
+    const token = socket.handshake.auth?.token
+      || socket.handshake.headers.authorization?.replace('Bearer ', '');
+
+    if (!token) {
+      return next(new Error('No token, authorization denied'));
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findById(decoded.userId).select('-password');
+
+    if (!user) {
+      return next(new Error('Token is not valid'));
+    }
+
+    if (!(await isSessionActive(decoded.sid))) {
+      return next(new Error('Session has ended'));
+    }
+
+    if (!user.isActive) {
+      return next(new Error('Account is deactivated'));
+    }
+
+    socket.data.user = user;
+    socket.data.sessionId = decoded.sid;
+    socket.data.courses = new Set();
+    next();
+  } catch (error) {
+    next(new Error(error.name === 'TokenExpiredError' ? 'Token expired' : 'Token is not valid'));
+  }
+};
+
+module.exports = socketAuth;
@@ -1,4 +1,4 @@
-const { validationResult } = require('express-validator');
+const { body, validationResult } = require('express-validator');
 
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -45,7 +45,19 @@ const sanitizeInput = (req, res, next) => {
   next();
 };
 
+// Instructor application fields, used on their own and during registration,
+// where `condition` (an express-validator chain) limits them to instructor sign-ups
+const instructorApplicationRules = (condition) => {
+  const field = (name) => (condition ? body(name).if(condition) : body(name));
+  return [
+    field('expertise').trim().isLength({ min: 2, max: 200 }).withMessage('Tell us what you would teach'),
+    field('experience').trim().isLength({ min: 30, max: 2000 }).withMessage('Describe your teaching experience in at least 30 characters'),
+    field('website').optional({ checkFalsy: true }).trim().isURL().withMessage('Website must be a valid URL')
+  ];
+};
+
 module.exports = {
   handleValidationErrors,
-  sanitizeInput
+  sanitizeInput,
+  instructorApplicationRules
 };
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+// Administrative and grading actions, recorded by utils/auditLog.js
+const AUDIT_ACTIONS = [
+  'user.updated',
+  'user.activated',
+  'user.deactivated',
+  'user.deleted',
+  'user.signed_out',
+  'user.two_factor_reset',
+  'course.deleted',
+  'course.unpublished',
+  'course.republished',
+  'course.staff_role_changed',
+  'course.staff_removed',
+  'submission.graded',
+  'settings.updated',
+  'instructor_application.approved',
+  'instructor_application.rejected',
+  'security.account_unlocked'
+];
+
+const AUDIT_TARGET_TYPES = ['user', 'course', 'submission', 'settings', 'instructor_application'];
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Copied so entries stay readable after the account is deleted
+  actorName: String,
+  actorEmail: String,
+  actorRole: String,
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true
+  },
+  target: {
+    type: {
+      type: String,
+      enum: AUDIT_TARGET_TYPES,
+      required: true
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    label: String
+  },
+  // The course the action concerns, if any
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    default: null
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+
+// Append-only: entries are never edited or removed through the app
+const rejectChange = function(next) {
+  next(new Error('Audit log entries cannot be changed or removed'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: false, query: true },
+  rejectChange
+);
+auditLogSchema.pre(['updateOne', 'deleteOne'], { document: true, query: false }, rejectChange);
+
+auditLogSchema.statics.ACTIONS = AUDIT_ACTIONS;
+auditLogSchema.statics.TARGET_TYPES = AUDIT_TARGET_TYPES;
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Private thread between an enrolled student and a member of the course's
+// teaching staff (stored as `instructor`, whatever their course role).
+// Its messages are Message documents with `conversation` set.
+const conversationSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  instructor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastMessage: {
+    content: String,
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    sentAt: Date
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  },
+  readState: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    lastReadMessage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+conversationSchema.index({ course: 1, student: 1, instructor: 1 }, { unique: true });
+conversationSchema.index({ student: 1, lastMessageAt: -1 });
+conversationSchema.index({ instructor: 1, lastMessageAt: -1 });
+
+conversationSchema.methods.hasParticipant = function(user) {
+  const userId = user._id.toString();
+  const id = (ref) => (ref && ref._id ? ref._id : ref).toString();
+  return id(this.student) === userId || id(this.instructor) === userId;
+};
+
+conversationSchema.methods.otherParticipant = function(user) {
+  const studentId = (this.student._id || this.student).toString();
+  return studentId === user._id.toString() ? this.instructor : this.student;
+};
+
+module.exports = mongoose.model('Conversation', conversationSchema);
@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const { STAFF_ROLES, can } = require('../utils/permissions');
+const { releaseRuleSchema } = require('./releaseRule');
+
+// What a course section can hold; each kind is the model the item refers to
+const SECTION_ITEM_KINDS = ['Lecture', 'Assignment', 'Quiz'];
 
 const courseSchema = new mongoose.Schema({
   title: {
@@ -36,10 +41,37 @@ const courseSchema = new mongoose.Schema({
     type: Number, // in hours
     default: 0
   },
+  // Teaching staff besides the owning instructor; what each role may do is
+  // defined in utils/permissions.js
+  staff: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: STAFF_ROLES,
+      required: true
+    }
+  }],
   students: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // When each student enrolled, for content released some days after
+  enrollments: [{
+    _id: false,
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    enrolledAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   lectures: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Lecture'
@@ -48,10 +80,56 @@ const courseSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Assignment'
   }],
+  quizzes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz'
+  }],
+  // The curriculum: ordered sections (modules) of lectures, assignments and quizzes,
+  // managed through utils/curriculum.js. Items in no section are listed after them.
+  sections: [{
+    title: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    // Applies to everything in the section, on top of each lecture's own rule
+    release: {
+      type: releaseRuleSchema,
+      default: () => ({})
+    },
+    items: [{
+      _id: false,
+      kind: {
+        type: String,
+        enum: SECTION_ITEM_KINDS,
+        required: true
+      },
+      item: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+      }
+    }]
+  }],
   isPublished: {
     type: Boolean,
     default: false
   },
+  // Set when an admin takes the course down; only an admin can publish it again
+  moderation: {
+    unpublishedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    unpublishedAt: {
+      type: Date,
+      default: null
+    },
+    reason: {
+      type: String,
+      default: ''
+    }
+  },
   tags: [String],
   requirements: [String],
   whatYouWillLearn: [String]
@@ -69,4 +147,12 @@ courseSchema.virtual('lectureCount').get(function() {
   return this.lectures.length;
 });
 
+// Whether a user may take part in the course (chat, lectures): admins,
+// the instructor, course staff and enrolled students
+courseSchema.methods.hasMember = function(user) {
+  return can(user, 'course.view', this);
+};
+
+courseSchema.statics.SECTION_ITEM_KINDS = SECTION_ITEM_KINDS;
+
 module.exports = mongoose.model('Course', courseSchema);
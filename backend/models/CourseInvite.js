@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const { STAFF_ROLES } = require('../utils/permissions');
+
+// An invitation to join a course's teaching staff. Accepting it adds the user
+// to `Course.staff`; the invite stays as a record of who was asked and when.
+const courseInviteSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: STAFF_ROLES,
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'revoked'],
+    default: 'pending'
+  },
+  respondedAt: Date
+}, {
+  timestamps: true
+});
+
+// At most one open invite per user and course
+courseInviteSchema.index(
+  { course: 1, user: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+courseInviteSchema.index({ user: 1, status: 1 });
+
+module.exports = mongoose.model('CourseInvite', courseInviteSchema);
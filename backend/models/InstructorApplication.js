@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// A request to teach on the platform. Applicants keep the student role until
+// an admin approves it (utils/instructorApplications.js).
+const instructorApplicationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expertise: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  experience: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000
+  },
+  website: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: Date,
+  // Shown to the applicant with the decision
+  reviewNote: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// One open application per user
+instructorApplicationSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+instructorApplicationSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('InstructorApplication', instructorApplicationSchema);
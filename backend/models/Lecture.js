@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { releaseRuleSchema } = require('./releaseRule');
 
 const lectureSchema = new mongoose.Schema({
   title: {
@@ -35,6 +36,11 @@ const lectureSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Drip release; preview lectures are always open
+  release: {
+    type: releaseRuleSchema,
+    default: () => ({})
+  },
   resources: [{
     name: String,
     url: String,
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// How far a user got in one lecture, written by heartbeats from the player
+const lectureProgressSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lecture: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lecture',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  // Seconds of video actually played, not counting skipped-over parts
+  watchedSeconds: {
+    type: Number,
+    default: 0
+  },
+  // Where playback was when the last heartbeat arrived, to resume from
+  lastPosition: {
+    type: Number,
+    default: 0
+  },
+  completed: {
+    type: Boolean,
+    default: false
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  lastWatchedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+lectureProgressSchema.index({ user: 1, lecture: 1 }, { unique: true });
+lectureProgressSchema.index({ user: 1, course: 1, lastWatchedAt: -1 });
+
+module.exports = mongoose.model('LectureProgress', lectureProgressSchema);
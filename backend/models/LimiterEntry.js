@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// A counter shared by every server instance: request rate limits and failed
+// sign-in attempts (see utils/limiterStore.js). Entries expire through the
+// TTL index once their window and any lockout have passed.
+const limiterEntrySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  lastAt: Date,
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+limiterEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LimiterEntry', limiterEntrySchema);
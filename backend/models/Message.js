@@ -6,6 +6,12 @@ const messageSchema = new mongoose.Schema({
     ref: 'Course',
     required: true
   },
+  // Set for private student/instructor messages; course chat messages leave it empty
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    default: null
+  },
   sender: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -13,8 +19,12 @@ const messageSchema = new mongoose.Schema({
   },
   content: {
     type: String,
-    required: true,
-    trim: true
+    // Attachment-only messages may have no text
+    required: function() {
+      return !this.attachments || this.attachments.length === 0;
+    },
+    trim: true,
+    default: ''
   },
   type: {
     type: String,
@@ -24,7 +34,11 @@ const messageSchema = new mongoose.Schema({
   attachments: [{
     name: String,
     url: String,
-    type: String
+    // Nested `type` must be declared explicitly, otherwise Mongoose reads the
+    // whole element as a String
+    type: { type: String },
+    size: Number,
+    thumbnailUrl: String
   }],
   isEdited: {
     type: Boolean,
@@ -36,9 +50,46 @@ const messageSchema = new mongoose.Schema({
   isDeleted: {
     type: Boolean,
     default: false
+  },
+  deletedAt: {
+    type: Date
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }
 }, {
   timestamps: true
 });
 
+// Chat history is paged newest-first per course and per conversation
+messageSchema.index({ course: 1, conversation: 1, _id: -1 });
+messageSchema.index({ conversation: 1, _id: -1 });
+
+// Shape used for socket broadcasts and the history API (sender must be populated).
+// Removed messages keep their row as a tombstone but never expose their content.
+messageSchema.methods.toPayload = function() {
+  const sender = this.sender && this.sender._id ? this.sender : { _id: this.sender };
+
+  return {
+    id: this._id,
+    courseId: this.course && this.course._id ? this.course._id : this.course,
+    conversationId: this.conversation || undefined,
+    content: this.isDeleted ? '' : this.content,
+    type: this.type,
+    attachments: this.isDeleted ? [] : this.attachments,
+    sender: {
+      id: sender._id,
+      name: sender.name,
+      role: sender.role,
+      avatar: sender.avatar
+    },
+    timestamp: this.createdAt,
+    isEdited: this.isEdited,
+    editedAt: this.editedAt,
+    isDeleted: this.isDeleted,
+    deletedBy: this.isDeleted ? this.deletedBy : undefined
+  };
+};
+
 module.exports = mongoose.model('Message', messageSchema);
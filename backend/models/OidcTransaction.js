@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// An OpenID Connect sign-in in progress, from the redirect to the identity
+// provider until its callback. Keyed by the `state` parameter; holds the PKCE
+// verifier and nonce so they never reach the browser. Single use.
+const oidcTransactionSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the key handed to the browser that started the sign-in; the
+  // callback must come with the key, so a callback URL sent to someone else
+  // cannot sign them into the sender's account
+  browserKeyHash: {
+    type: String,
+    required: true
+  },
+  // Frontend path to continue at after signing in
+  returnTo: {
+    type: String,
+    default: '/dashboard'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+oidcTransactionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OidcTransaction', oidcTransactionSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// One document per connected socket in a course room, shared by every server
+// instance. Instances refresh `seenAt` on a heartbeat, so sockets of a crashed
+// instance expire through the TTL index instead of lingering as "online".
+const presenceSchema = new mongoose.Schema({
+  course: {
+    type: String,
+    required: true
+  },
+  user: {
+    id: { type: String, required: true },
+    name: String,
+    role: String,
+    avatar: String
+  },
+  socketId: {
+    type: String,
+    required: true
+  },
+  instance: {
+    type: String,
+    required: true
+  },
+  seenAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+presenceSchema.index({ course: 1, socketId: 1 }, { unique: true });
+presenceSchema.index({ course: 1, 'user.id': 1 });
+presenceSchema.index({ instance: 1 });
+presenceSchema.index({ seenAt: 1 }, { expireAfterSeconds: 90 });
+
+module.exports = mongoose.model('Presence', presenceSchema);
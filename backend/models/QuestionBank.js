@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+// Question types a bank can hold; utils/quizzes.js validates and scores each
+//   single_choice   - one correct option
+//   multiple_choice - any number of correct options, partial credit
+//   true_false      - `correctAnswer`
+//   numeric         - `numericAnswer`, give or take `tolerance`
+//   short_answer    - the answer matches one of `patterns`, where `*` is a wildcard
+//   ordering        - `options` in their correct order, shown shuffled
+const QUESTION_TYPES = ['single_choice', 'multiple_choice', 'true_false', 'numeric', 'short_answer', 'ordering'];
+
+const questionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: QUESTION_TYPES,
+    required: true
+  },
+  prompt: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  points: {
+    type: Number,
+    min: 0,
+    default: 1
+  },
+  options: [{
+    text: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    correct: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  correctAnswer: {
+    type: Boolean,
+    default: null
+  },
+  numericAnswer: {
+    type: Number,
+    default: null
+  },
+  tolerance: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  patterns: [String],
+  caseSensitive: {
+    type: Boolean,
+    default: false
+  },
+  // Shown to students with their results
+  explanation: {
+    type: String,
+    default: ''
+  }
+});
+
+// A course's pool of questions that quizzes draw from
+const questionBankSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  questions: [questionSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+questionBankSchema.index({ course: 1, createdAt: -1 });
+
+questionBankSchema.statics.QUESTION_TYPES = QUESTION_TYPES;
+
+module.exports = mongoose.model('QuestionBank', questionBankSchema);
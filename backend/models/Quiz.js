@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// How a student's attempts make up their grade
+const QUIZ_SCORING = ['highest', 'latest'];
+
+const quizSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  bank: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QuestionBank',
+    required: true
+  },
+  // Questions of the bank to ask; empty means all of them
+  questions: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  // Ask this many, picked at random for each attempt; 0 asks every question
+  questionCount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Minutes per attempt; 0 for no limit
+  timeLimit: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Attempts per student; 0 for no limit
+  maxAttempts: {
+    type: Number,
+    min: 0,
+    default: 1
+  },
+  shuffleQuestions: {
+    type: Boolean,
+    default: false
+  },
+  shuffleOptions: {
+    type: Boolean,
+    default: false
+  },
+  // Whether students see the right answers once they submit
+  showCorrectAnswers: {
+    type: Boolean,
+    default: true
+  },
+  scoring: {
+    type: String,
+    enum: QUIZ_SCORING,
+    default: 'highest'
+  },
+  // Scores are scaled to this, as assignments are marked out of `maxMarks`
+  maxMarks: {
+    type: Number,
+    min: 0,
+    default: 100
+  },
+  dueDate: {
+    type: Date,
+    default: null
+  },
+  instructor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+quizSchema.statics.SCORING = QUIZ_SCORING;
+
+module.exports = mongoose.model('Quiz', quizSchema);
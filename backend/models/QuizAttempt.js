@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// One student's try at a quiz. The questions are copied when the attempt starts,
+// in the order shown, so editing the bank later does not change it; `key` holds
+// the right answer and is only sent to the student after they submit.
+const quizAttemptSchema = new mongoose.Schema({
+  quiz: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  number: {
+    type: Number,
+    required: true
+  },
+  questions: [{
+    _id: false,
+    question: mongoose.Schema.Types.ObjectId,
+    type: { type: String },
+    prompt: String,
+    points: Number,
+    options: [{
+      _id: false,
+      id: mongoose.Schema.Types.ObjectId,
+      text: String
+    }],
+    key: mongoose.Schema.Types.Mixed,
+    explanation: String
+  }],
+  answers: [{
+    _id: false,
+    question: mongoose.Schema.Types.ObjectId,
+    response: mongoose.Schema.Types.Mixed,
+    correct: {
+      type: Boolean,
+      default: null
+    },
+    points: {
+      type: Number,
+      default: null
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['in_progress', 'submitted'],
+    default: 'in_progress'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // When time runs out, from the quiz's time limit or due date; null if never
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  submittedAt: {
+    type: Date,
+    default: null
+  },
+  score: {
+    type: Number,
+    default: null
+  },
+  maxScore: {
+    type: Number,
+    default: null
+  },
+  // The score out of the quiz's `maxMarks`, as it goes into the gradebook
+  marks: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+quizAttemptSchema.index({ quiz: 1, student: 1, number: 1 }, { unique: true });
+quizAttemptSchema.index({ course: 1, student: 1 });
+quizAttemptSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('QuizAttempt', quizAttemptSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Per-user, per-course "last read" position in the course chat
+const readMarkerSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  lastReadMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    required: true
+  },
+  lastReadAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+readMarkerSchema.index({ user: 1, course: 1 }, { unique: true });
+
+module.exports = mongoose.model('ReadMarker', readMarkerSchema);
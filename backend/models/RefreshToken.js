@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Server-side record of a refresh token. Only a hash of the token is stored.
+// Every rotation issues a new token in the same `family`, which is the id of
+// the login `Session`; revoking the session revokes all of its tokens.
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  family: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  replacedBy: {
+    type: String,
+    default: null
+  },
+  createdByIp: String,
+  userAgent: String
+}, {
+  timestamps: true
+});
+
+refreshTokenSchema.index({ family: 1, revokedAt: 1 });
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+refreshTokenSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
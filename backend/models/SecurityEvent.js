@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Security-relevant sign-in activity, kept for admins to review
+const SECURITY_EVENT_TYPES = [
+  'login_succeeded',
+  'login_failed',
+  'login_blocked',
+  'account_locked',
+  'ip_locked',
+  'account_unlocked',
+  'two_factor_failed',
+  'two_factor_enabled',
+  'two_factor_disabled',
+  'password_reset_requested',
+  'password_reset',
+  'sso_account_linked',
+  'sso_account_provisioned',
+  'rate_limited'
+];
+
+const securityEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: SECURITY_EVENT_TYPES,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // The address that was tried, also for accounts that don't exist
+  email: String,
+  ip: String,
+  userAgent: String,
+  details: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+securityEventSchema.index({ type: 1, createdAt: -1 });
+securityEventSchema.index({ email: 1, createdAt: -1 });
+securityEventSchema.index({ ip: 1, createdAt: -1 });
+// Keep roughly six months of history
+securityEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+
+securityEventSchema.statics.TYPES = SECURITY_EVENT_TYPES;
+
+module.exports = mongoose.model('SecurityEvent', securityEventSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// One signed-in device. Refresh tokens rotated within the session share its id
+// as their `family`, and access tokens carry it as `sid`; revoking the session
+// signs that device out.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  device: {
+    type: String,
+    default: 'Unknown device'
+  },
+  ip: String,
+  userAgent: String,
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  // 'logout', 'user', 'admin', 'password-reset' or 'token-reuse'
+  revokedReason: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Platform-wide settings changed by admins at runtime, one document per key.
+// Defaults live in utils/settings.js.
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  value: mongoose.Schema.Types.Mixed,
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Setting', settingSchema);
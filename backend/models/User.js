@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -32,6 +33,49 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  isEmailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Hashes of single-use emailed tokens; the raw token only exists in the link
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  // TOTP two-factor authentication, managed by utils/twoFactor.js. The secret
+  // is encrypted and recovery codes are hashed.
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorEnabledAt: Date,
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
+  // Identity provider account linked through single sign-on (utils/oidc.js)
+  oidcIssuer: String,
+  oidcSubject: String,
   enrolledCourses: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Course'
@@ -44,6 +88,11 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
+userSchema.index(
+  { oidcIssuer: 1, oidcSubject: 1 },
+  { unique: true, partialFilterExpression: { oidcSubject: { $type: 'string' } } }
+);
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -62,10 +111,35 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Remove password from JSON output
+const TOKEN_TTL_MS = {
+  emailVerification: 24 * 60 * 60 * 1000,
+  passwordReset: 60 * 60 * 1000
+};
+
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Issue a fresh emailed token ('emailVerification' or 'passwordReset'), replacing any
+// previous one. Returns the raw token; only its hash is saved.
+userSchema.methods.createEmailToken = function(kind) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this[`${kind}Token`] = this.constructor.hashToken(token);
+  this[`${kind}Expires`] = new Date(Date.now() + TOKEN_TTL_MS[kind]);
+  return token;
+};
+
+// Remove password and token hashes from JSON output
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  delete user.emailVerificationToken;
+  delete user.emailVerificationExpires;
+  delete user.passwordResetToken;
+  delete user.passwordResetExpires;
+  delete user.twoFactorSecret;
+  delete user.twoFactorRecoveryCodes;
+  delete user.twoFactorLastUsedStep;
   return user;
 };
 
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// When a lecture or section opens to an enrolled student; evaluated by utils/release.js
+//   immediate             - as soon as they enroll
+//   days_after_enrollment - `days` after they enroll
+//   after_previous        - once they complete what comes before it in the curriculum
+const RELEASE_TYPES = ['immediate', 'days_after_enrollment', 'after_previous'];
+
+const releaseRuleSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: RELEASE_TYPES,
+    default: 'immediate'
+  },
+  days: {
+    type: Number,
+    min: 0,
+    default: 0
+  }
+}, { _id: false });
+
+module.exports = { releaseRuleSchema, RELEASE_TYPES };
@@ -4,8 +4,13 @@ const cloudinary = require('cloudinary').v2;
 const { body, validationResult } = require('express-validator');
 const Assignment = require('../models/Assignment');
 const Course = require('../models/Course');
-const { auth, authorize } = require('../middleware/auth');
+const User = require('../models/User');
+const { auth } = require('../middleware/auth');
 const { handleValidationErrors } = require('../middleware/validation');
+const { COURSE_POLICY_FIELDS, can } = require('../utils/permissions');
+const { diffFields, recordAudit } = require('../utils/auditLog');
+const { targetSection, removeFromSections } = require('../utils/curriculum');
+const { getItemLock } = require('../utils/release');
 
 const router = express.Router();
 
@@ -27,28 +32,31 @@ const upload = multer({
 
 // @route   POST /api/assignments
 // @desc    Create assignment
-// @access  Private (Instructor)
-router.post('/', auth, authorize('instructor'), [
+// @access  Private (Course owner or co-instructor)
+router.post('/', auth, [
   body('title').trim().isLength({ min: 3 }).withMessage('Title must be at least 3 characters'),
   body('description').trim().isLength({ min: 10 }).withMessage('Description must be at least 10 characters'),
   body('course').isMongoId().withMessage('Valid course ID is required'),
   body('dueDate').isISO8601().withMessage('Valid due date is required'),
-  body('maxMarks').optional().isNumeric().withMessage('Max marks must be a number')
+  body('maxMarks').optional().isNumeric().withMessage('Max marks must be a number'),
+  body('section').optional().isMongoId().withMessage('Invalid section ID')
 ], handleValidationErrors, async (req, res) => {
   try {
 
-    const { title, description, course, dueDate, maxMarks = 100 } = req.body;
+    const { title, description, course, dueDate, maxMarks = 100, section: sectionId } = req.body;
 
-    // Verify course exists and user is the instructor
+    // Verify course exists and user teaches it
     const courseDoc = await Course.findById(course);
     if (!courseDoc) {
       return res.status(404).json({ message: 'Course not found' });
     }
 
-    if (courseDoc.instructor.toString() !== req.user.id) {
+    if (!can(req.user, 'assignment.manage', courseDoc)) {
       return res.status(403).json({ message: 'Not authorized to create assignments for this course' });
     }
 
+    const section = targetSection(courseDoc, sectionId);
+
     const assignment = new Assignment({
       title,
       description,
@@ -60,8 +68,11 @@ router.post('/', auth, authorize('instructor'), [
 
     await assignment.save();
 
-    // Add assignment to course
+    // Add assignment to course, at the end of its section
     courseDoc.assignments.push(assignment._id);
+    if (section) {
+      section.items.push({ kind: 'Assignment', item: assignment._id });
+    }
     await courseDoc.save();
 
     res.status(201).json({
@@ -69,6 +80,9 @@ router.post('/', auth, authorize('instructor'), [
       assignment
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Create assignment error:', error);
     res.status(500).json({ message: 'Server error creating assignment' });
   }
@@ -76,7 +90,7 @@ router.post('/', auth, authorize('instructor'), [
 
 // @route   GET /api/assignments/:courseId
 // @desc    Get course assignments
-// @access  Private (Enrolled students or instructor)
+// @access  Private (Enrolled students, course staff or admin)
 router.get('/:courseId', auth, async (req, res) => {
   try {
     const course = await Course.findById(req.params.courseId);
@@ -85,11 +99,7 @@ router.get('/:courseId', auth, async (req, res) => {
       return res.status(404).json({ message: 'Course not found' });
     }
 
-    // Check if user is enrolled or is the instructor
-    const isEnrolled = course.students.includes(req.user.id);
-    const isInstructor = course.instructor.toString() === req.user.id;
-
-    if (!isEnrolled && !isInstructor) {
+    if (!can(req.user, 'course.view', course)) {
       return res.status(403).json({ message: 'Not authorized to view assignments' });
     }
 
@@ -106,8 +116,8 @@ router.get('/:courseId', auth, async (req, res) => {
 
 // @route   POST /api/assignments/:id/submit
 // @desc    Submit assignment
-// @access  Private (Student)
-router.post('/:id/submit', auth, authorize('student'), upload.array('files', 5), [
+// @access  Private (Enrolled students)
+router.post('/:id/submit', auth, upload.array('files', 5), [
   body('content').trim().notEmpty().withMessage('Submission content is required')
 ], async (req, res) => {
   try {
@@ -123,10 +133,14 @@ router.post('/:id/submit', auth, authorize('student'), upload.array('files', 5),
     }
 
     // Check if student is enrolled in the course
-    if (!assignment.course.students.includes(req.user.id)) {
+    if (!can(req.user, 'submission.create', assignment.course)) {
       return res.status(403).json({ message: 'Not enrolled in this course' });
     }
 
+    if (await getItemLock({ course: assignment.course, user: req.user, itemId: assignment._id })) {
+      return res.status(403).json({ message: 'This assignment is not available yet' });
+    }
+
     // Check if already submitted
     const existingSubmission = assignment.submissions.find(
       sub => sub.student.toString() === req.user.id
@@ -199,8 +213,8 @@ router.post('/:id/submit', auth, authorize('student'), upload.array('files', 5),
 
 // @route   GET /api/assignments/:id/submissions
 // @desc    Get assignment submissions
-// @access  Private (Instructor - Owner)
-router.get('/:id/submissions', auth, authorize('instructor'), async (req, res) => {
+// @access  Private (Course staff)
+router.get('/:id/submissions', auth, async (req, res) => {
   try {
     const assignment = await Assignment.findById(req.params.id).populate('course');
     
@@ -208,7 +222,7 @@ router.get('/:id/submissions', auth, authorize('instructor'), async (req, res) =
       return res.status(404).json({ message: 'Assignment not found' });
     }
 
-    if (assignment.instructor.toString() !== req.user.id) {
+    if (!can(req.user, 'submission.view', assignment.course)) {
       return res.status(403).json({ message: 'Not authorized to view submissions' });
     }
 
@@ -225,8 +239,8 @@ router.get('/:id/submissions', auth, authorize('instructor'), async (req, res) =
 
 // @route   PUT /api/assignments/:id/grade
 // @desc    Grade assignment submission
-// @access  Private (Instructor - Owner)
-router.put('/:id/grade', auth, authorize('instructor'), [
+// @access  Private (Course staff)
+router.put('/:id/grade', auth, [
   body('studentId').isMongoId().withMessage('Valid student ID is required'),
   body('marks').isNumeric().withMessage('Marks must be a number'),
   body('feedback').optional().trim()
@@ -239,13 +253,13 @@ router.put('/:id/grade', auth, authorize('instructor'), [
 
     const { studentId, marks, feedback = '' } = req.body;
 
-    const assignment = await Assignment.findById(req.params.id);
+    const assignment = await Assignment.findById(req.params.id).populate('course', COURSE_POLICY_FIELDS);
     
     if (!assignment) {
       return res.status(404).json({ message: 'Assignment not found' });
     }
 
-    if (assignment.instructor.toString() !== req.user.id) {
+    if (!can(req.user, 'submission.grade', assignment.course)) {
       return res.status(403).json({ message: 'Not authorized to grade this assignment' });
     }
 
@@ -257,12 +271,25 @@ router.put('/:id/grade', auth, authorize('instructor'), [
       return res.status(404).json({ message: 'Submission not found' });
     }
 
+    const before = { marks: submission.marks, feedback: submission.feedback, status: submission.status };
+
     submission.marks = marks;
     submission.feedback = feedback;
     submission.status = 'graded';
 
     await assignment.save();
 
+    const student = await User.findById(studentId).select('name');
+    await recordAudit(req, 'submission.graded', {
+      target: {
+        type: 'submission',
+        id: submission._id,
+        label: `${assignment.title}: ${student?.name || studentId}`
+      },
+      course: assignment.course,
+      changes: diffFields(before, { marks: submission.marks, feedback: submission.feedback, status: submission.status })
+    });
+
     res.json({
       message: 'Assignment graded successfully',
       submission
@@ -275,8 +302,8 @@ router.put('/:id/grade', auth, authorize('instructor'), [
 
 // @route   PUT /api/assignments/:id
 // @desc    Update assignment
-// @access  Private (Instructor - Owner)
-router.put('/:id', auth, authorize('instructor'), [
+// @access  Private (Course owner or co-instructor)
+router.put('/:id', auth, [
   body('title').optional().trim().isLength({ min: 3 }).withMessage('Title must be at least 3 characters'),
   body('description').optional().trim().isLength({ min: 10 }).withMessage('Description must be at least 10 characters')
 ], async (req, res) => {
@@ -286,19 +313,22 @@ router.put('/:id', auth, authorize('instructor'), [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const assignment = await Assignment.findById(req.params.id);
+    const assignment = await Assignment.findById(req.params.id).populate('course', COURSE_POLICY_FIELDS);
     
     if (!assignment) {
       return res.status(404).json({ message: 'Assignment not found' });
     }
 
-    if (assignment.instructor.toString() !== req.user.id) {
+    if (!can(req.user, 'assignment.manage', assignment.course)) {
       return res.status(403).json({ message: 'Not authorized to update this assignment' });
     }
 
+    // Submissions and the owning course change through their own endpoints
+    const { course, instructor, submissions, ...changes } = req.body;
+
     const updatedAssignment = await Assignment.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      changes,
       { new: true, runValidators: true }
     );
 
@@ -314,8 +344,8 @@ router.put('/:id', auth, authorize('instructor'), [
 
 // @route   DELETE /api/assignments/:id
 // @desc    Delete assignment
-// @access  Private (Instructor - Owner)
-router.delete('/:id', auth, authorize('instructor'), async (req, res) => {
+// @access  Private (Course owner or co-instructor)
+router.delete('/:id', auth, async (req, res) => {
   try {
     const assignment = await Assignment.findById(req.params.id).populate('course');
     
@@ -323,7 +353,7 @@ router.delete('/:id', auth, authorize('instructor'), async (req, res) => {
       return res.status(404).json({ message: 'Assignment not found' });
     }
 
-    if (assignment.instructor.toString() !== req.user.id) {
+    if (!can(req.user, 'assignment.manage', assignment.course)) {
       return res.status(403).json({ message: 'Not authorized to delete this assignment' });
     }
 
@@ -331,6 +361,7 @@ router.delete('/:id', auth, authorize('instructor'), async (req, res) => {
     await Course.findByIdAndUpdate(assignment.course._id, {
       $pull: { assignments: assignment._id }
     });
+    await removeFromSections(assignment.course._id, assignment._id);
 
     await Assignment.findByIdAndDelete(req.params.id);
 
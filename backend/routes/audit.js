@@ -0,0 +1,42 @@
+const express = require('express');
+const { auth, requirePermission } = require('../middleware/auth');
+const { listAuditLog, exportAuditLog, toCsv } = require('../utils/auditLog');
+
+const router = express.Router();
+
+// @route   GET /api/audit
+// @desc    Browse the audit log (filter by action, actor email, target, date range)
+// @access  Private (Admin)
+router.get('/', auth, requirePermission('audit.view'), async (req, res) => {
+  try {
+    const { page, limit, ...filters } = req.query;
+    res.json(await listAuditLog(filters, { page, limit }));
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ message: 'Server error fetching audit log' });
+  }
+});
+
+// @route   GET /api/audit/export
+// @desc    Download the filtered audit log as CSV (default) or JSON, newest 10,000 entries
+// @access  Private (Admin)
+router.get('/export', auth, requirePermission('audit.view'), async (req, res) => {
+  try {
+    const { format = 'csv', ...filters } = req.query;
+    const entries = await exportAuditLog(filters);
+    const filename = `audit-log-${new Date().toISOString().slice(0, 10)}`;
+
+    if (format === 'json') {
+      res.attachment(`${filename}.json`);
+      return res.json(entries);
+    }
+
+    res.attachment(`${filename}.csv`);
+    res.type('text/csv').send(toCsv(entries));
+  } catch (error) {
+    console.error('Export audit log error:', error);
+    res.status(500).json({ message: 'Server error exporting audit log' });
+  }
+});
+
+module.exports = router;
@@ -1,29 +1,146 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const { body } = require('express-validator');
 const User = require('../models/User');
 const { auth } = require('../middleware/auth');
-const { handleValidationErrors } = require('../middleware/validation');
+const { handleValidationErrors, instructorApplicationRules } = require('../middleware/validation');
+const { authLimiter, emailLimiter, twoFactorLimiter } = require('../middleware/rateLimit');
+const { issueTokens, rotateRefreshToken, revokeRefreshToken } = require('../utils/tokens');
+const {
+  listSessions,
+  revokeSession,
+  revokeUserSessions,
+  disconnectSessions
+} = require('../utils/sessions');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/emails');
+const {
+  isTwoFactorRequired,
+  beginEnrollment,
+  completeEnrollment,
+  regenerateRecoveryCodes,
+  verifySecondFactor,
+  disableTwoFactor,
+  createChallengeToken,
+  verifyChallengeToken
+} = require('../utils/twoFactor');
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount,
+  describeWait
+} = require('../utils/loginThrottle');
+const { logSecurityEvent } = require('../utils/securityLog');
+const { getOidcConfig, beginOidcLogin, completeOidcLogin } = require('../utils/oidc');
+const { submitApplication } = require('../utils/instructorApplications');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '7d' });
+// Shown whether or not the email exists, so these endpoints can't be used to probe accounts
+const RESET_REQUESTED_MESSAGE = 'If an account exists for that email, a password reset link has been sent';
+const VERIFICATION_REQUESTED_MESSAGE = 'If that account still needs verification, a new link has been sent';
+
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep';
+
+// The user object returned with a new session
+const authUser = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  avatar: user.avatar,
+  isEmailVerified: user.isEmailVerified,
+  twoFactorEnabled: user.twoFactorEnabled
+});
+
+// Refuses a sign-in attempt while the account or client IP is backing off or locked
+const rejectThrottled = (req, res, email, throttle) => {
+  logSecurityEvent('login_blocked', {
+    req,
+    email,
+    details: { scope: throttle.scope, locked: throttle.locked }
+  });
+
+  const retryAfter = Math.ceil(throttle.retryAfterMs / 1000);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    message: throttle.locked
+      ? `Too many failed sign-in attempts. Try again in ${describeWait(throttle.retryAfterMs)}.`
+      : `Please wait ${describeWait(throttle.retryAfterMs)} before trying again.`,
+    field: 'account',
+    retryAfter
+  });
+};
+
+// Counts a failed password or code towards lockout and records it
+const recordFailedSignIn = async (req, { email, user, reason }) => {
+  const locked = await recordLoginFailure({ email, ip: req.ip });
+
+  await logSecurityEvent(reason === 'invalid_code' ? 'two_factor_failed' : 'login_failed', {
+    req,
+    user,
+    email,
+    details: { reason }
+  });
+  for (const scope of locked) {
+    await logSecurityEvent(scope === 'account' ? 'account_locked' : 'ip_locked', { req, user, email });
+  }
+};
+
+// Clears the account's failed attempts once a session is issued
+const recordSignIn = async (req, user, method) => {
+  await recordLoginSuccess({ email: user.email });
+  await logSecurityEvent('login_succeeded', { req, user, details: { method } });
+};
+
+// Finishes a password sign-in. Without two-factor this issues the session;
+// otherwise it answers with a challenge to redeem at /login/2fa, after
+// enrolling first if the user's role requires it.
+const respondWithSession = async (req, res, user, { status = 200, message, method = 'password', extra }) => {
+  const setupRequired = !user.twoFactorEnabled && await isTwoFactorRequired(user.role);
+
+  if (user.twoFactorEnabled || setupRequired) {
+    return res.status(status).json({
+      message: setupRequired
+        ? 'Your role requires two-factor authentication. Set it up to continue.'
+        : 'Enter the code from your authenticator app',
+      twoFactorRequired: user.twoFactorEnabled,
+      twoFactorSetupRequired: setupRequired,
+      challengeToken: createChallengeToken(user),
+      ...extra
+    });
+  }
+
+  const { token, refreshToken } = await issueTokens(user, req);
+  await recordSignIn(req, user, method);
+  res.status(status).json({ message, token, refreshToken, user: authUser(user), ...extra });
+};
+
+// Issue a new verification token and email it. A mail failure is logged rather
+// than failing the request; the user can ask for another link.
+const sendVerification = async (user) => {
+  const token = user.createEmailToken('emailVerification');
+  await user.save();
+  try {
+    await sendVerificationEmail(user, token);
+  } catch (error) {
+    console.error('Verification email error:', error);
+  }
 };
 
 // @route   POST /api/auth/register
-// @desc    Register user
+// @desc    Register user. Choosing the instructor role files an instructor
+//          application; the account is a student until an admin approves it.
 // @access  Public
-router.post('/register', [
+router.post('/register', authLimiter, [
   body('name').trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
   body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-  body('role').optional().isIn(['student', 'instructor']).withMessage('Invalid role')
+  body('role').optional().isIn(['student', 'instructor']).withMessage('Invalid role'),
+  ...instructorApplicationRules(body('role').equals('instructor'))
 ], handleValidationErrors, async (req, res) => {
   try {
 
-    const { name, email, password, role = 'student' } = req.body;
+    const { name, email, password, role = 'student', expertise, experience, website } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -39,22 +156,23 @@ router.post('/register', [
       name: name.trim(),
       email: email.toLowerCase().trim(),
       password,
-      role
+      role: 'student'
     });
 
-    await user.save();
+    await sendVerification(user);
 
-    const token = generateToken(user._id);
+    let instructorApplication;
+    if (role === 'instructor') {
+      instructorApplication = await submitApplication(user, { expertise, experience, website });
+    }
 
-    res.status(201).json({
-      message: 'User registered successfully',
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role
-      }
+    await respondWithSession(req, res, user, {
+      status: 201,
+      method: 'registration',
+      message: instructorApplication
+        ? 'User registered successfully. Your instructor application is waiting for review.'
+        : 'User registered successfully. Check your email to verify your address.',
+      extra: instructorApplication && { instructorApplication }
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -77,17 +195,24 @@ router.post('/register', [
 // @route   POST /api/auth/login
 // @desc    Login user
 // @access  Public
-router.post('/login', [
+router.post('/login', authLimiter, [
   body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
   body('password').notEmpty().withMessage('Password is required')
 ], handleValidationErrors, async (req, res) => {
   try {
 
-    const { email, password } = req.body;
+    const { password } = req.body;
+    const email = req.body.email.toLowerCase().trim();
+
+    const throttle = await checkLoginAllowed({ email, ip: req.ip });
+    if (!throttle.allowed) {
+      return rejectThrottled(req, res, email, throttle);
+    }
 
     // Find user by email
-    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    const user = await User.findOne({ email });
     if (!user) {
+      await recordFailedSignIn(req, { email, reason: 'unknown_email' });
       return res.status(401).json({ 
         message: 'Invalid credentials',
         field: 'email'
@@ -105,31 +230,497 @@ router.post('/login', [
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await recordFailedSignIn(req, { email, user, reason: 'wrong_password' });
       return res.status(401).json({ 
         message: 'Invalid credentials',
         field: 'password'
       });
     }
 
-    const token = generateToken(user._id);
+    if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && !user.isEmailVerified) {
+      return res.status(403).json({
+        message: 'Please verify your email address before signing in',
+        field: 'verification'
+      });
+    }
+
+    await respondWithSession(req, res, user, { message: 'Login successful' });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ 
+      message: 'Server error during login',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/auth/login/2fa/setup
+// @desc    Start two-factor enrollment during sign-in when the user's role requires it
+// @access  Public (challenge token)
+router.post('/login/2fa/setup', twoFactorLimiter, [
+  body('challengeToken').isString().notEmpty().withMessage('Challenge token is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const user = await User.findById(verifyChallengeToken(req.body.challengeToken));
+    if (!user || !user.isActive) {
+      return res.status(401).json({ message: 'Account is not available' });
+    }
+
+    const setup = await beginEnrollment(user);
+    await user.save();
+
+    res.json(setup);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ message: 'Server error starting two-factor setup' });
+  }
+});
+
+// @route   POST /api/auth/login/2fa
+// @desc    Complete sign-in with an authenticator or recovery code
+// @access  Public (challenge token)
+router.post('/login/2fa', twoFactorLimiter, [
+  body('challengeToken').isString().notEmpty().withMessage('Challenge token is required'),
+  body('code').isString().trim().notEmpty().withMessage('Authentication code is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const user = await User.findById(verifyChallengeToken(req.body.challengeToken)).select(TWO_FACTOR_FIELDS);
+    if (!user || !user.isActive) {
+      return res.status(401).json({ message: 'Account is not available' });
+    }
+
+    // Codes count towards the same lockout as passwords
+    const throttle = await checkLoginAllowed({ email: user.email, ip: req.ip });
+    if (!throttle.allowed) {
+      return rejectThrottled(req, res, user.email, throttle);
+    }
+
+    let recoveryCodes;
+    let method = 'enrollment';
+
+    if (user.twoFactorEnabled) {
+      method = verifySecondFactor(user, req.body.code);
+      if (!method) {
+        await recordFailedSignIn(req, { email: user.email, user, reason: 'invalid_code' });
+        return res.status(401).json({ message: 'Invalid authentication code', field: 'code' });
+      }
+    } else {
+      // First code from a newly enrolled authenticator
+      recoveryCodes = completeEnrollment(user, req.body.code);
+      await logSecurityEvent('two_factor_enabled', { req, user });
+    }
+    await user.save();
+
+    const { token, refreshToken } = await issueTokens(user, req);
+    await recordSignIn(req, user, method);
 
     res.json({
       message: 'Login successful',
       token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        avatar: user.avatar
+      refreshToken,
+      user: authUser(user),
+      recoveryCodes,
+      recoveryCodesRemaining: method === 'recovery' ? user.twoFactorRecoveryCodes.length : undefined
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, field: error.field });
+    }
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ message: 'Server error during login' });
+  }
+});
+
+// @route   GET /api/auth/oidc/config
+// @desc    Whether single sign-on is available, and the name to show for it
+// @access  Public
+router.get('/oidc/config', (req, res) => {
+  res.json(getOidcConfig());
+});
+
+// @route   POST /api/auth/oidc/start
+// @desc    Begin single sign-on; returns the identity provider URL to redirect to
+//          and the key the browser must send back with the callback
+// @access  Public
+router.post('/oidc/start', authLimiter, async (req, res) => {
+  try {
+    const { url, browserKey } = await beginOidcLogin(req.body.returnTo);
+    res.json({ url, browserKey });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('OIDC start error:', error);
+    res.status(500).json({ message: 'Server error starting single sign-on' });
+  }
+});
+
+// @route   POST /api/auth/oidc/callback
+// @desc    Finish single sign-on with the parameters the identity provider redirected back with
+// @access  Public (authorization code holder)
+router.post('/oidc/callback', authLimiter, [
+  body('state').isString().notEmpty().withMessage('State is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { code, state, browserKey, error, error_description: errorDescription } = req.body;
+    if (error) {
+      return res.status(401).json({ message: errorDescription || 'Sign-in was cancelled at the identity provider' });
+    }
+
+    // Deactivated accounts are refused before anything about them changes
+    const { user, outcome, returnTo } = await completeOidcLogin({ code, state }, browserKey);
+
+    if (outcome !== 'existing') {
+      await logSecurityEvent(outcome === 'linked' ? 'sso_account_linked' : 'sso_account_provisioned', {
+        req,
+        user,
+        details: { issuer: user.oidcIssuer, role: user.role }
+      });
+    }
+
+    await respondWithSession(req, res, user, {
+      message: 'Login successful',
+      method: 'sso',
+      extra: { returnTo }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, field: error.field });
+    }
+    console.error('OIDC callback error:', error);
+    res.status(500).json({ message: 'Server error during single sign-on' });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public (valid refresh token)
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { userId, token, refreshToken } = await rotateRefreshToken(req.body.refreshToken, req);
+
+    const user = await User.findById(userId).select('isActive');
+    if (!user || !user.isActive) {
+      await revokeRefreshToken(refreshToken);
+      return res.status(401).json({ message: 'Account is deactivated' });
+    }
+
+    res.json({ token, refreshToken });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Token refresh error:', error);
+    res.status(500).json({ message: 'Server error refreshing session' });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the session behind a refresh token
+// @access  Public (refresh token holder)
+router.post('/logout', async (req, res) => {
+  try {
+    const revoked = await revokeRefreshToken(req.body.refreshToken);
+    disconnectSessions(req.app.get('io'), revoked);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the devices the current user is signed in on
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user._id, req.sessionId);
+    res.json({ sessions });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error fetching sessions' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign out every other device
+// @access  Private
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user._id, { reason: 'user', except: req.sessionId });
+    disconnectSessions(req.app.get('io'), revoked);
+    res.json({ message: 'Signed out of all other devices', count: revoked.length });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ message: 'Server error revoking sessions' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out one device
+// @access  Private
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.params.id, 'user', req.user._id);
+    if (revoked.length === 0) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    disconnectSessions(req.app.get('io'), revoked);
+    res.json({ message: 'Session revoked', isCurrent: req.params.id === String(req.sessionId) });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error revoking session' });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address with the emailed token
+// @access  Public (token holder)
+router.post('/verify-email', authLimiter, [
+  body('token').isString().notEmpty().withMessage('Verification token is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const user = await User.findOne({
+      emailVerificationToken: User.hashToken(req.body.token),
+      emailVerificationExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error verifying email' });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new email verification link
+// @access  Public
+router.post('/resend-verification', emailLimiter, [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.body.email.toLowerCase().trim() });
+
+    if (user && user.isActive && !user.isEmailVerified) {
+      await sendVerification(user);
+    }
+
+    res.json({ message: VERIFICATION_REQUESTED_MESSAGE });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error sending verification email' });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a single-use password reset link
+// @access  Public
+router.post('/forgot-password', emailLimiter, [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.body.email.toLowerCase().trim() });
+
+    await logSecurityEvent('password_reset_requested', {
+      req,
+      user,
+      email: req.body.email,
+      details: { accountFound: Boolean(user && user.isActive) }
+    });
+
+    if (user && user.isActive) {
+      const token = user.createEmailToken('passwordReset');
+      await user.save();
+
+      try {
+        await sendPasswordResetEmail(user, token);
+      } catch (error) {
+        console.error('Password reset email error:', error);
       }
+    }
+
+    res.json({ message: RESET_REQUESTED_MESSAGE });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error requesting password reset' });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with a reset token; signs out every session
+// @access  Public (token holder)
+router.post('/reset-password', authLimiter, [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const user = await User.findOne({
+      passwordResetToken: User.hashToken(req.body.token),
+      passwordResetExpires: { $gt: new Date() }
     });
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    user.password = req.body.password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    // Receiving the link proves the user controls the address
+    user.isEmailVerified = true;
+    await user.save();
+
+    const revoked = await revokeUserSessions(user._id, { reason: 'password-reset' });
+    disconnectSessions(req.app.get('io'), revoked);
+    // Proving control of the address also lifts a lockout
+    await unlockAccount(user.email);
+    await logSecurityEvent('password_reset', { req, user });
+
+    res.json({ message: 'Password reset successfully. Please sign in with your new password.' });
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ 
-      message: 'Server error during login',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error resetting password' });
+  }
+});
+
+// @route   GET /api/auth/2fa
+// @desc    Two-factor status of the current user
+// @access  Private
+router.get('/2fa', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+    res.json({
+      enabled: user.twoFactorEnabled,
+      enabledAt: user.twoFactorEnabledAt,
+      required: await isTwoFactorRequired(user.role),
+      recoveryCodesRemaining: user.twoFactorEnabled ? user.twoFactorRecoveryCodes.length : 0
     });
+  } catch (error) {
+    console.error('Two-factor status error:', error);
+    res.status(500).json({ message: 'Server error fetching two-factor status' });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor enrollment; returns the secret, otpauth URI and QR code
+// @access  Private
+router.post('/2fa/setup', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+    const setup = await beginEnrollment(user);
+    await user.save();
+
+    res.json(setup);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ message: 'Server error starting two-factor setup' });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a code; returns one-time recovery codes
+// @access  Private
+router.post('/2fa/enable', auth, twoFactorLimiter, [
+  body('code').isString().trim().notEmpty().withMessage('Authentication code is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+    const recoveryCodes = completeEnrollment(user, req.body.code);
+    await user.save();
+    await logSecurityEvent('two_factor_enabled', { req, user });
+
+    res.json({ message: 'Two-factor authentication enabled', recoveryCodes });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, field: error.field });
+    }
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ message: 'Server error enabling two-factor authentication' });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor authentication (password and code required)
+// @access  Private
+router.post('/2fa/disable', auth, twoFactorLimiter, [
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code').isString().trim().notEmpty().withMessage('Authentication code is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (await isTwoFactorRequired(user.role)) {
+      return res.status(403).json({ message: 'Two-factor authentication is required for your role' });
+    }
+
+    // Wrong credentials on signed-in routes answer 400: the client takes a 401
+    // for an expired access token and would refresh and resend the code
+    if (!(await user.comparePassword(req.body.password))) {
+      return res.status(400).json({ message: 'Incorrect password', field: 'password' });
+    }
+
+    if (!verifySecondFactor(user, req.body.code)) {
+      return res.status(400).json({ message: 'Invalid authentication code', field: 'code' });
+    }
+
+    disableTwoFactor(user);
+    await user.save();
+    await logSecurityEvent('two_factor_disabled', { req, user });
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ message: 'Server error disabling two-factor authentication' });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace all recovery codes (authenticator code required)
+// @access  Private
+router.post('/2fa/recovery-codes', auth, twoFactorLimiter, [
+  body('code').isString().trim().notEmpty().withMessage('Authentication code is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!verifySecondFactor(user, req.body.code)) {
+      return res.status(400).json({ message: 'Invalid authentication code', field: 'code' });
+    }
+
+    const recoveryCodes = regenerateRecoveryCodes(user);
+    await user.save();
+
+    res.json({ message: 'New recovery codes generated', recoveryCodes });
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({ message: 'Server error generating recovery codes' });
   }
 });
 
@@ -149,6 +740,8 @@ router.get('/profile', auth, async (req, res) => {
         email: user.email,
         role: user.role,
         avatar: user.avatar,
+        isEmailVerified: user.isEmailVerified,
+        twoFactorEnabled: user.twoFactorEnabled,
         enrolledCourses: user.enrolledCourses,
         createdCourses: user.createdCourses
       }
@@ -178,7 +771,11 @@ router.put('/profile', auth, [
       if (existingUser) {
         return res.status(400).json({ message: 'Email is already taken' });
       }
-      updateData.email = email;
+      // A new address has to be verified again
+      if (email !== req.user.email) {
+        updateData.email = email;
+        updateData.isEmailVerified = false;
+      }
     }
     if (avatar) updateData.avatar = avatar;
 
@@ -188,6 +785,10 @@ router.put('/profile', auth, [
       { new: true, runValidators: true }
     ).select('-password');
 
+    if (updateData.email) {
+      await sendVerification(user);
+    }
+
     res.json({
       message: 'Profile updated successfully',
       user: {
@@ -195,7 +796,9 @@ router.put('/profile', auth, [
         name: user.name,
         email: user.email,
         role: user.role,
-        avatar: user.avatar
+        avatar: user.avatar,
+        isEmailVerified: user.isEmailVerified,
+        twoFactorEnabled: user.twoFactorEnabled
       }
     });
   } catch (error) {
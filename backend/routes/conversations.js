@@ -0,0 +1,135 @@
+const express = require('express');
+const { body } = require('express-validator');
+const Message = require('../models/Message');
+const { auth } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+const {
+  getConversationForUser,
+  startConversation,
+  summarizeConversation,
+  broadcastConversation,
+  listConversations,
+  markConversationRead
+} = require('../utils/conversations');
+
+const router = express.Router();
+
+// @route   GET /api/conversations
+// @desc    Get the current user's private conversations, most recent first
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const conversations = await listConversations(req.user);
+    res.json({ conversations });
+  } catch (error) {
+    console.error('Get conversations error:', error);
+    res.status(500).json({ message: 'Server error fetching conversations' });
+  }
+});
+
+// @route   POST /api/conversations
+// @desc    Open (or reuse) a conversation with the course's teaching staff or an enrolled student
+// @access  Private (Enrolled students, course teaching staff)
+router.post('/', auth, [
+  body('courseId').isMongoId().withMessage('Valid course ID is required'),
+  body('participantId').optional().isMongoId().withMessage('Invalid participant ID')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const conversation = await startConversation({
+      courseId: req.body.courseId,
+      user: req.user,
+      participantId: req.body.participantId
+    });
+
+    res.json({ conversation: await summarizeConversation(conversation, req.user) });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Start conversation error:', error);
+    res.status(500).json({ message: 'Server error starting conversation' });
+  }
+});
+
+// @route   GET /api/conversations/:id
+// @desc    Get a single conversation
+// @access  Private (Participants)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const conversation = await getConversationForUser(req.params.id, req.user);
+    res.json({ conversation: await summarizeConversation(conversation, req.user) });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Get conversation error:', error);
+    res.status(500).json({ message: 'Server error fetching conversation' });
+  }
+});
+
+// @route   GET /api/conversations/:id/messages
+// @desc    Get conversation messages, newest page first (cursor = oldest loaded message id)
+// @access  Private (Participants)
+router.get('/:id/messages', auth, async (req, res) => {
+  try {
+    const { before, limit = 30 } = req.query;
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 30));
+
+    if (before && !before.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+
+    const conversation = await getConversationForUser(req.params.id, req.user);
+
+    const query = { conversation: conversation._id };
+    if (before) query._id = { $lt: before };
+
+    // Fetch one extra document to know whether an older page exists
+    const messages = await Message.find(query)
+      .populate('sender', 'name role avatar')
+      .sort({ _id: -1 })
+      .limit(limitNum + 1);
+
+    const hasMore = messages.length > limitNum;
+    const page = messages.slice(0, limitNum).reverse();
+
+    res.json({
+      messages: page.map(message => message.toPayload()),
+      hasMore,
+      nextCursor: hasMore ? page[0]._id : null
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Get conversation messages error:', error);
+    res.status(500).json({ message: 'Server error fetching messages' });
+  }
+});
+
+// @route   POST /api/conversations/:id/read
+// @desc    Mark a conversation read up to a message
+// @access  Private (Participants)
+router.post('/:id/read', auth, [
+  body('messageId').isMongoId().withMessage('Valid message ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const conversation = await markConversationRead({
+      conversationId: req.params.id,
+      user: req.user,
+      messageId: req.body.messageId
+    });
+
+    await broadcastConversation(req.app.get('io'), conversation);
+
+    res.json({ conversation: await summarizeConversation(conversation, req.user) });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Mark conversation read error:', error);
+    res.status(500).json({ message: 'Server error updating read status' });
+  }
+});
+
+module.exports = router;
@@ -2,8 +2,35 @@ const express = require('express');
 const { body } = require('express-validator');
 const Course = require('../models/Course');
 const User = require('../models/User');
-const { auth, authorize } = require('../middleware/auth');
+const Message = require('../models/Message');
+const CourseInvite = require('../models/CourseInvite');
+const LectureProgress = require('../models/LectureProgress');
+const QuizAttempt = require('../models/QuizAttempt');
+const { userRoom, getUnreadCounts, markRead } = require('../utils/chat');
+const { sendCourseUnpublishedEmail } = require('../utils/emails');
+const { diffFields, recordAudit } = require('../utils/auditLog');
+const { getCoursesProgress } = require('../utils/progress');
+const { getGradebook } = require('../utils/gradebook');
+const { RELEASE_TYPES, MAX_RELEASE_DAYS, toReleaseRule } = require('../utils/release');
+const { auth, optionalAuth, requirePermission } = require('../middleware/auth');
 const { handleValidationErrors } = require('../middleware/validation');
+const { STAFF_ROLES, COURSE_POLICY_FIELDS, courseRoleOf, can, permissionsFor } = require('../utils/permissions');
+const {
+  listStaff,
+  inviteStaff,
+  revokeInvite,
+  listInvitesFor,
+  respondToInvite,
+  changeStaffRole,
+  removeStaff
+} = require('../utils/courseStaff');
+const {
+  getCurriculum,
+  addSection,
+  updateSection,
+  removeSection,
+  reorderCurriculum
+} = require('../utils/curriculum');
 
 const router = express.Router();
 
@@ -53,7 +80,7 @@ router.get('/', async (req, res) => {
 });
 
 // @route   GET /api/courses/my-courses
-// @desc    Get user's courses (enrolled or created)
+// @desc    Get user's courses (enrolled with progress, created, or on the teaching staff)
 // @access  Private
 router.get('/my-courses', auth, async (req, res) => {
   try {
@@ -61,9 +88,20 @@ router.get('/my-courses', auth, async (req, res) => {
       .populate('enrolledCourses')
       .populate('createdCourses');
 
+    const teaching = await Course.find({ 'staff.user': req.user._id }).sort({ createdAt: -1 });
+    const enrolled = user.enrolledCourses.filter(Boolean);
+    const progress = await getCoursesProgress(req.user, enrolled.map(course => course._id));
+
     res.json({
-      enrolledCourses: user.enrolledCourses,
-      createdCourses: user.createdCourses
+      enrolledCourses: enrolled.map(course => ({
+        ...course.toJSON(),
+        progress: progress.get(String(course._id))
+      })),
+      createdCourses: user.createdCourses,
+      teachingCourses: teaching.map(course => ({
+        ...course.toJSON(),
+        staffRole: courseRoleOf(course, req.user)
+      }))
     });
   } catch (error) {
     console.error('Get my courses error:', error);
@@ -71,10 +109,114 @@ router.get('/my-courses', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/courses/unread-counts
+// @desc    Get unread chat message counts for the user's courses
+// @access  Private
+router.get('/unread-counts', auth, async (req, res) => {
+  try {
+    const counts = await getUnreadCounts(req.user);
+    res.json({ counts });
+  } catch (error) {
+    console.error('Get unread counts error:', error);
+    res.status(500).json({ message: 'Server error fetching unread counts' });
+  }
+});
+
+// @route   GET /api/courses/moderation
+// @desc    Every course, published or not, for admins to review
+// @access  Private (Admin)
+router.get('/moderation', auth, requirePermission('course.moderate'), async (req, res) => {
+  try {
+    const { status, search, page = 1, limit = 20 } = req.query;
+    const query = {};
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(50, Math.max(1, parseInt(limit) || 20));
+
+    if (status === 'published') query.isPublished = true;
+    if (status === 'draft') {
+      query.isPublished = false;
+      query['moderation.unpublishedAt'] = null;
+    }
+    if (status === 'unpublished') query['moderation.unpublishedAt'] = { $ne: null };
+    if (search) {
+      query.title = { $regex: search, $options: 'i' };
+    }
+
+    const courses = await Course.find(query)
+      .select('title category level isPublished moderation instructor students lectures createdAt')
+      .populate('instructor', 'name email')
+      .populate('moderation.unpublishedBy', 'name')
+      .sort({ createdAt: -1 })
+      .limit(limitNum)
+      .skip((pageNum - 1) * limitNum);
+
+    const total = await Course.countDocuments(query);
+
+    res.json({
+      courses: courses.map(course => {
+        const { students, lectures, ...rest } = course.toJSON();
+        return { ...rest, studentCount: students.length, lectureCount: lectures.length };
+      }),
+      totalPages: Math.ceil(total / limitNum),
+      currentPage: pageNum,
+      total
+    });
+  } catch (error) {
+    console.error('Get courses for moderation error:', error);
+    res.status(500).json({ message: 'Server error fetching courses' });
+  }
+});
+
+// @route   GET /api/courses/invites
+// @desc    Get the current user's pending course staff invitations
+// @access  Private
+router.get('/invites', auth, async (req, res) => {
+  try {
+    const invites = await listInvitesFor(req.user);
+    res.json({ invites });
+  } catch (error) {
+    console.error('Get course invites error:', error);
+    res.status(500).json({ message: 'Server error fetching invitations' });
+  }
+});
+
+// @route   POST /api/courses/invites/:inviteId/accept
+// @desc    Accept a course staff invitation
+// @access  Private (Invitee)
+router.post('/invites/:inviteId/accept', auth, async (req, res) => {
+  try {
+    const invite = await respondToInvite({ inviteId: req.params.inviteId, user: req.user, accept: true });
+    res.json({ message: `You joined the staff of ${invite.course.title}`, invite });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Accept course invite error:', error);
+    res.status(500).json({ message: 'Server error accepting invitation' });
+  }
+});
+
+// @route   POST /api/courses/invites/:inviteId/decline
+// @desc    Decline a course staff invitation
+// @access  Private (Invitee)
+router.post('/invites/:inviteId/decline', auth, async (req, res) => {
+  try {
+    const invite = await respondToInvite({ inviteId: req.params.inviteId, user: req.user, accept: false });
+    res.json({ message: 'Invitation declined', invite });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Decline course invite error:', error);
+    res.status(500).json({ message: 'Server error declining invitation' });
+  }
+});
+
 // @route   GET /api/courses/:id
-// @desc    Get single course
+// @desc    Get single course; enrollment dates are included for course staff only
 // @access  Public
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     // Validate ObjectId format
     if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
@@ -83,14 +225,21 @@ router.get('/:id', async (req, res) => {
 
     const course = await Course.findById(req.params.id)
       .populate('instructor', 'name email avatar')
-      .populate('lectures', 'title duration order videoUrl isPreview')
-      .populate('assignments', 'title dueDate maxMarks');
+      .populate('staff.user', 'name avatar')
+      .populate('lectures', 'title duration order isPreview')
+      .populate('assignments', 'title dueDate maxMarks')
+      .populate('quizzes', 'title dueDate maxMarks timeLimit');
 
     if (!course) {
       return res.status(404).json({ message: 'Course not found' });
     }
 
-    res.json(course);
+    if (can(req.user, 'submission.view', course)) {
+      return res.json(course);
+    }
+
+    const { enrollments, ...details } = course.toJSON();
+    res.json(details);
   } catch (error) {
     console.error('Get course error:', error);
     res.status(500).json({ 
@@ -100,10 +249,25 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Course details an instructor sets directly. Ownership, staff, enrollments,
+// moderation and the curriculum have their own routes.
+const EDITABLE_COURSE_FIELDS = [
+  'title', 'description', 'thumbnail', 'price', 'category', 'level', 'duration',
+  'isPublished', 'tags', 'requirements', 'whatYouWillLearn'
+];
+
+const pickCourseFields = (source) => {
+  const fields = {};
+  for (const field of EDITABLE_COURSE_FIELDS) {
+    if (source[field] !== undefined) fields[field] = source[field];
+  }
+  return fields;
+};
+
 // @route   POST /api/courses
 // @desc    Create course
 // @access  Private (Instructor)
-router.post('/', auth, authorize('instructor'), [
+router.post('/', auth, requirePermission('course.create'), [
   body('title').trim().isLength({ min: 3 }).withMessage('Title must be at least 3 characters'),
   body('description').trim().isLength({ min: 10 }).withMessage('Description must be at least 10 characters'),
   body('category').notEmpty().withMessage('Category is required'),
@@ -112,7 +276,7 @@ router.post('/', auth, authorize('instructor'), [
   try {
 
     const courseData = {
-      ...req.body,
+      ...pickCourseFields(req.body),
       instructor: req.user.id
     };
 
@@ -136,8 +300,8 @@ router.post('/', auth, authorize('instructor'), [
 
 // @route   PUT /api/courses/:id
 // @desc    Update course
-// @access  Private (Instructor - Owner)
-router.put('/:id', auth, authorize('instructor'), async (req, res) => {
+// @access  Private (Course owner or co-instructor)
+router.put('/:id', auth, async (req, res) => {
   try {
     const course = await Course.findById(req.params.id);
     
@@ -145,13 +309,19 @@ router.put('/:id', auth, authorize('instructor'), async (req, res) => {
       return res.status(404).json({ message: 'Course not found' });
     }
 
-    if (course.instructor.toString() !== req.user.id) {
+    if (!can(req.user, 'course.edit', course)) {
       return res.status(403).json({ message: 'Not authorized to update this course' });
     }
 
+    const changes = pickCourseFields(req.body);
+
+    if (changes.isPublished && course.moderation?.unpublishedAt) {
+      return res.status(403).json({ message: 'This course was unpublished by an administrator and cannot be published again' });
+    }
+
     const updatedCourse = await Course.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      changes,
       { new: true, runValidators: true }
     ).populate('instructor', 'name email avatar');
 
@@ -167,8 +337,8 @@ router.put('/:id', auth, authorize('instructor'), async (req, res) => {
 
 // @route   DELETE /api/courses/:id
 // @desc    Delete course
-// @access  Private (Instructor - Owner or Admin)
-router.delete('/:id', auth, authorize('instructor', 'admin'), async (req, res) => {
+// @access  Private (Course owner or Admin)
+router.delete('/:id', auth, async (req, res) => {
   try {
     const course = await Course.findById(req.params.id);
     
@@ -176,17 +346,34 @@ router.delete('/:id', auth, authorize('instructor', 'admin'), async (req, res) =
       return res.status(404).json({ message: 'Course not found' });
     }
 
-    if (req.user.role !== 'admin' && course.instructor.toString() !== req.user.id) {
+    if (!can(req.user, 'course.delete', course)) {
       return res.status(403).json({ message: 'Not authorized to delete this course' });
     }
 
     await Course.findByIdAndDelete(req.params.id);
+    await LectureProgress.deleteMany({ course: course._id });
+    await QuizAttempt.deleteMany({ course: course._id });
+    await CourseInvite.updateMany(
+      { course: course._id, status: 'pending' },
+      { $set: { status: 'revoked', respondedAt: new Date() } }
+    );
 
     // Remove course from instructor's created courses
     await User.findByIdAndUpdate(course.instructor, {
       $pull: { createdCourses: course._id }
     });
 
+    await recordAudit(req, 'course.deleted', {
+      target: { type: 'course', id: course._id, label: course.title },
+      course: course._id,
+      changes: diffFields({
+        title: course.title,
+        instructor: course.instructor,
+        isPublished: course.isPublished,
+        students: course.students.length
+      }, {})
+    });
+
     res.json({ message: 'Course deleted successfully' });
   } catch (error) {
     console.error('Delete course error:', error);
@@ -194,10 +381,353 @@ router.delete('/:id', auth, authorize('instructor', 'admin'), async (req, res) =
   }
 });
 
+// @route   POST /api/courses/:id/unpublish
+// @desc    Take a course out of the catalog and tell its instructor why
+// @access  Private (Admin)
+router.post('/:id/unpublish', auth, requirePermission('course.moderate'), [
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id).populate('instructor', 'name email');
+
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    const wasPublished = course.isPublished;
+
+    course.isPublished = false;
+    course.moderation = {
+      unpublishedBy: req.user._id,
+      unpublishedAt: new Date(),
+      reason: req.body.reason || ''
+    };
+    await course.save();
+
+    await recordAudit(req, 'course.unpublished', {
+      target: { type: 'course', id: course._id, label: course.title },
+      course: course._id,
+      changes: diffFields(
+        { isPublished: wasPublished, moderationReason: null },
+        { isPublished: false, moderationReason: course.moderation.reason }
+      )
+    });
+
+    if (course.instructor) {
+      try {
+        await sendCourseUnpublishedEmail(course.instructor, { course, reason: course.moderation.reason });
+      } catch (error) {
+        console.error('Course unpublished email error:', error);
+      }
+    }
+
+    res.json({
+      message: `${course.title} was unpublished`,
+      course: { _id: course._id, isPublished: course.isPublished, moderation: course.moderation }
+    });
+  } catch (error) {
+    console.error('Unpublish course error:', error);
+    res.status(500).json({ message: 'Server error unpublishing course' });
+  }
+});
+
+// @route   POST /api/courses/:id/republish
+// @desc    Lift an admin unpublish and put the course back in the catalog
+// @access  Private (Admin)
+router.post('/:id/republish', auth, requirePermission('course.moderate'), async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
+
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    if (!course.moderation?.unpublishedAt) {
+      return res.status(400).json({ message: 'This course was not unpublished by an administrator' });
+    }
+
+    const reason = course.moderation.reason;
+
+    course.isPublished = true;
+    course.moderation = { unpublishedBy: null, unpublishedAt: null, reason: '' };
+    await course.save();
+
+    await recordAudit(req, 'course.republished', {
+      target: { type: 'course', id: course._id, label: course.title },
+      course: course._id,
+      changes: diffFields({ isPublished: false, moderationReason: reason }, { isPublished: true, moderationReason: null })
+    });
+
+    res.json({
+      message: `${course.title} is published again`,
+      course: { _id: course._id, isPublished: course.isPublished, moderation: course.moderation }
+    });
+  } catch (error) {
+    console.error('Republish course error:', error);
+    res.status(500).json({ message: 'Server error republishing course' });
+  }
+});
+
+// @route   GET /api/courses/:id/access
+// @desc    The current user's role on a course and the course permissions it grants
+// @access  Private
+router.get('/:id/access', auth, async (req, res) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: 'Invalid course ID format' });
+    }
+
+    const course = await Course.findById(req.params.id).select(COURSE_POLICY_FIELDS);
+
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    res.json({
+      role: courseRoleOf(course, req.user),
+      permissions: permissionsFor(req.user, course)
+    });
+  } catch (error) {
+    console.error('Get course access error:', error);
+    res.status(500).json({ message: 'Server error fetching course access' });
+  }
+});
+
+// @route   GET /api/courses/:id/staff
+// @desc    Get the course owner, staff and (for those who manage staff) pending invitations
+// @access  Private (Course members or admin)
+router.get('/:id/staff', auth, async (req, res) => {
+  try {
+    res.json(await listStaff({ courseId: req.params.id, user: req.user }));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Get course staff error:', error);
+    res.status(500).json({ message: 'Server error fetching course staff' });
+  }
+});
+
+// @route   POST /api/courses/:id/staff/invites
+// @desc    Invite a user to the course staff as a co-instructor or TA
+// @access  Private (Course owner or admin)
+router.post('/:id/staff/invites', auth, [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+  body('role').isIn(STAFF_ROLES).withMessage('Invalid staff role')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const invite = await inviteStaff({
+      courseId: req.params.id,
+      email: req.body.email,
+      role: req.body.role,
+      user: req.user
+    });
+    res.status(201).json({ message: `Invitation sent to ${invite.user.name}`, invite });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Invite course staff error:', error);
+    res.status(500).json({ message: 'Server error sending invitation' });
+  }
+});
+
+// @route   DELETE /api/courses/:id/staff/invites/:inviteId
+// @desc    Withdraw a pending staff invitation
+// @access  Private (Course owner or admin)
+router.delete('/:id/staff/invites/:inviteId', auth, async (req, res) => {
+  try {
+    await revokeInvite({ courseId: req.params.id, inviteId: req.params.inviteId, user: req.user });
+    res.json({ message: 'Invitation withdrawn' });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Revoke course invite error:', error);
+    res.status(500).json({ message: 'Server error withdrawing invitation' });
+  }
+});
+
+// @route   PUT /api/courses/:id/staff/:userId
+// @desc    Change a staff member's role
+// @access  Private (Course owner or admin)
+router.put('/:id/staff/:userId', auth, [
+  body('role').isIn(STAFF_ROLES).withMessage('Invalid staff role')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { member, previousRole, course } = await changeStaffRole({
+      courseId: req.params.id,
+      userId: req.params.userId,
+      role: req.body.role,
+      user: req.user
+    });
+
+    await recordAudit(req, 'course.staff_role_changed', {
+      target: { type: 'user', id: member.id, label: `Staff of ${course.title}` },
+      course: course._id,
+      changes: diffFields({ role: previousRole }, { role: member.role })
+    });
+
+    res.json({ message: 'Staff role updated', member });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Change staff role error:', error);
+    res.status(500).json({ message: 'Server error updating staff role' });
+  }
+});
+
+// @route   DELETE /api/courses/:id/staff/:userId
+// @desc    Remove a staff member (or leave the staff yourself)
+// @access  Private (Course owner, admin or the staff member)
+router.delete('/:id/staff/:userId', auth, async (req, res) => {
+  try {
+    const { member, course } = await removeStaff({ courseId: req.params.id, userId: req.params.userId, user: req.user });
+
+    await recordAudit(req, 'course.staff_removed', {
+      target: { type: 'user', id: member.id, label: `Staff of ${course.title}` },
+      course: course._id,
+      changes: diffFields({ role: member.role }, { role: null })
+    });
+    res.json({ message: req.params.userId === req.user.id ? 'You left the course staff' : 'Staff member removed' });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Remove staff error:', error);
+    res.status(500).json({ message: 'Server error removing staff member' });
+  }
+});
+
+// @route   GET /api/courses/:id/curriculum
+// @desc    Get the course syllabus: sections with their lectures, assignments and durations
+// @access  Public
+router.get('/:id/curriculum', async (req, res) => {
+  try {
+    res.json(await getCurriculum({ courseId: req.params.id }));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Get curriculum error:', error);
+    res.status(500).json({ message: 'Server error fetching curriculum' });
+  }
+});
+
+// @route   PUT /api/courses/:id/curriculum
+// @desc    Reorder sections and move lectures, assignments and quizzes between them
+// @access  Private (Course owner or co-instructor)
+router.put('/:id/curriculum', auth, [
+  body('sections').isArray().withMessage('Sections must be a list'),
+  body('sections.*.id').isMongoId().withMessage('Invalid section ID'),
+  body('sections.*.items').isArray().withMessage('Section items must be a list'),
+  body('sections.*.items.*.kind').isIn(Course.SECTION_ITEM_KINDS).withMessage('Invalid item kind'),
+  body('sections.*.items.*.id').isMongoId().withMessage('Invalid item ID')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const curriculum = await reorderCurriculum({
+      courseId: req.params.id,
+      sections: req.body.sections,
+      user: req.user
+    });
+    res.json({ message: 'Curriculum updated', curriculum });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Reorder curriculum error:', error);
+    res.status(500).json({ message: 'Server error updating curriculum' });
+  }
+});
+
+// @route   POST /api/courses/:id/sections
+// @desc    Add a section at the end of the curriculum
+// @access  Private (Course owner or co-instructor)
+router.post('/:id/sections', auth, [
+  body('title').trim().isLength({ min: 1, max: 200 }).withMessage('Section title must be 1 to 200 characters')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { section, curriculum } = await addSection({
+      courseId: req.params.id,
+      title: req.body.title,
+      user: req.user
+    });
+    res.status(201).json({ message: 'Section added', section, curriculum });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Add section error:', error);
+    res.status(500).json({ message: 'Server error adding section' });
+  }
+});
+
+// @route   PUT /api/courses/:id/sections/:sectionId
+// @desc    Rename a section or change when it is released to students
+// @access  Private (Course owner or co-instructor)
+router.put('/:id/sections/:sectionId', auth, [
+  body('title').optional().trim().isLength({ min: 1, max: 200 }).withMessage('Section title must be 1 to 200 characters'),
+  body('release.type').optional().isIn(RELEASE_TYPES).withMessage('Invalid release rule'),
+  body('release.days').optional().isInt({ min: 0, max: MAX_RELEASE_DAYS }).withMessage(`Days must be 0 to ${MAX_RELEASE_DAYS}`)
+], handleValidationErrors, async (req, res) => {
+  try {
+    const curriculum = await updateSection({
+      courseId: req.params.id,
+      sectionId: req.params.sectionId,
+      title: req.body.title,
+      release: req.body.release && toReleaseRule(req.body.release),
+      user: req.user
+    });
+    res.json({ message: 'Section updated', curriculum });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Update section error:', error);
+    res.status(500).json({ message: 'Server error updating section' });
+  }
+});
+
+// @route   DELETE /api/courses/:id/sections/:sectionId
+// @desc    Remove a section; its items become unsectioned
+// @access  Private (Course owner or co-instructor)
+router.delete('/:id/sections/:sectionId', auth, async (req, res) => {
+  try {
+    const curriculum = await removeSection({
+      courseId: req.params.id,
+      sectionId: req.params.sectionId,
+      user: req.user
+    });
+    res.json({ message: 'Section removed', curriculum });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Remove section error:', error);
+    res.status(500).json({ message: 'Server error removing section' });
+  }
+});
+
+// @route   GET /api/courses/:id/gradebook
+// @desc    Assignment and quiz marks: every student's for graders, the student's own otherwise
+// @access  Private (Enrolled students, course staff or admin)
+router.get('/:id/gradebook', auth, async (req, res) => {
+  try {
+    res.json(await getGradebook({ courseId: req.params.id, user: req.user }));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Get gradebook error:', error);
+    res.status(500).json({ message: 'Server error fetching gradebook' });
+  }
+});
+
 // @route   POST /api/courses/:id/enroll
 // @desc    Enroll in course
 // @access  Private (Student)
-router.post('/:id/enroll', auth, authorize('student'), async (req, res) => {
+router.post('/:id/enroll', auth, requirePermission('course.enroll'), async (req, res) => {
   try {
     const course = await Course.findById(req.params.id);
     
@@ -209,13 +739,18 @@ router.post('/:id/enroll', auth, authorize('student'), async (req, res) => {
       return res.status(400).json({ message: 'Course is not published yet' });
     }
 
-    // Check if already enrolled
-    if (course.students.includes(req.user.id)) {
+    // Check if already enrolled, or teaching the course
+    const courseRole = courseRoleOf(course, req.user);
+    if (courseRole === 'student') {
       return res.status(400).json({ message: 'Already enrolled in this course' });
     }
+    if (courseRole) {
+      return res.status(400).json({ message: 'Course staff cannot enroll as students' });
+    }
 
     // Add student to course
     course.students.push(req.user.id);
+    course.enrollments.push({ student: req.user.id, enrolledAt: new Date() });
     await course.save();
 
     // Add course to student's enrolled courses
@@ -230,4 +765,115 @@ router.post('/:id/enroll', auth, authorize('student'), async (req, res) => {
   }
 });
 
+// @route   GET /api/courses/:id/messages
+// @desc    Get course chat history (cursor-paged, oldest first within a page)
+// @access  Private (Enrolled students, course staff or admin)
+router.get('/:id/messages', auth, async (req, res) => {
+  try {
+    const { before, limit = 30 } = req.query;
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 30));
+
+    if (before && !before.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+
+    const course = await Course.findById(req.params.id);
+
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    if (!course.hasMember(req.user)) {
+      return res.status(403).json({ message: 'Not authorized to view this chat' });
+    }
+
+    // Private conversation messages share the collection but never appear here
+    const query = { course: course._id, conversation: null };
+    if (before) query._id = { $lt: before };
+
+    // Fetch one extra document to know whether an older page exists
+    const messages = await Message.find(query)
+      .populate('sender', 'name role avatar')
+      .sort({ _id: -1 })
+      .limit(limitNum + 1);
+
+    const hasMore = messages.length > limitNum;
+    const page = messages.slice(0, limitNum).reverse();
+
+    res.json({
+      messages: page.map(message => message.toPayload()),
+      hasMore,
+      nextCursor: hasMore ? page[0]._id : null
+    });
+  } catch (error) {
+    console.error('Get messages error:', error);
+    res.status(500).json({ message: 'Server error fetching messages' });
+  }
+});
+
+// @route   POST /api/courses/:id/read
+// @desc    Mark course chat read up to a message
+// @access  Private (Enrolled students, course staff or admin)
+router.post('/:id/read', auth, [
+  body('messageId').isMongoId().withMessage('Valid message ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id).select(COURSE_POLICY_FIELDS);
+
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    if (!course.hasMember(req.user)) {
+      return res.status(403).json({ message: 'Not authorized to view this chat' });
+    }
+
+    const { lastReadMessage, count } = await markRead({
+      courseId: req.params.id,
+      user: req.user,
+      messageId: req.body.messageId
+    });
+
+    const io = req.app.get('io');
+    io.to(userRoom(req.user.id)).emit('unread-count', { courseId: req.params.id, count });
+    io.to(req.params.id).emit('read-receipt', {
+      courseId: req.params.id,
+      user: { id: req.user.id, name: req.user.name, role: req.user.role, avatar: req.user.avatar },
+      lastReadMessage
+    });
+
+    res.json({ lastReadMessage, count });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Mark read error:', error);
+    res.status(500).json({ message: 'Server error updating read status' });
+  }
+});
+
+// @route   GET /api/courses/:id/online
+// @desc    Get users currently connected to the course chat room
+// @access  Private (Enrolled students, course staff or admin)
+router.get('/:id/online', auth, async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id).select(COURSE_POLICY_FIELDS);
+
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    if (!course.hasMember(req.user)) {
+      return res.status(403).json({ message: 'Not authorized to view this course' });
+    }
+
+    const users = await req.app.get('presence').list(course._id.toString());
+
+    res.json({ users });
+  } catch (error) {
+    console.error('Get online users error:', error);
+    res.status(500).json({ message: 'Server error fetching online users' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,111 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { handleValidationErrors, instructorApplicationRules } = require('../middleware/validation');
+const {
+  submitApplication,
+  getLatestApplication,
+  listApplications,
+  reviewApplication
+} = require('../utils/instructorApplications');
+const { recordAudit } = require('../utils/auditLog');
+
+const router = express.Router();
+
+// @route   POST /api/instructor-applications
+// @desc    Apply to become an instructor
+// @access  Private (Student)
+router.post('/', auth, instructorApplicationRules(), handleValidationErrors, async (req, res) => {
+  try {
+    const { expertise, experience, website } = req.body;
+    const application = await submitApplication(req.user, { expertise, experience, website });
+
+    res.status(201).json({
+      message: 'Application submitted. An admin will review it shortly.',
+      application
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Submit instructor application error:', error);
+    res.status(500).json({ message: 'Server error submitting application' });
+  }
+});
+
+// @route   GET /api/instructor-applications/mine
+// @desc    Get the current user's latest application
+// @access  Private
+router.get('/mine', auth, async (req, res) => {
+  try {
+    res.json({ application: await getLatestApplication(req.user) });
+  } catch (error) {
+    console.error('Get own instructor application error:', error);
+    res.status(500).json({ message: 'Server error fetching application' });
+  }
+});
+
+// @route   GET /api/instructor-applications
+// @desc    List applications (status: pending, approved, rejected or all)
+// @access  Private (Admin)
+router.get('/', auth, requirePermission('instructor.review'), async (req, res) => {
+  try {
+    const { status = 'pending', page = 1, limit = 20 } = req.query;
+
+    res.json(await listApplications({
+      status: String(status),
+      page: Math.max(1, parseInt(page) || 1),
+      limit: Math.min(100, Math.max(1, parseInt(limit) || 20))
+    }));
+  } catch (error) {
+    console.error('Get instructor applications error:', error);
+    res.status(500).json({ message: 'Server error fetching applications' });
+  }
+});
+
+const reviewHandler = (approve) => async (req, res) => {
+  try {
+    const application = await reviewApplication({
+      applicationId: req.params.id,
+      reviewer: req.user,
+      approve,
+      note: req.body.note || '',
+      io: req.app.get('io')
+    });
+
+    await recordAudit(req, approve ? 'instructor_application.approved' : 'instructor_application.rejected', {
+      target: { type: 'instructor_application', id: application.id, label: application.user.email },
+      changes: [
+        { field: 'status', before: 'pending', after: application.status },
+        ...(application.reviewNote ? [{ field: 'reviewNote', before: null, after: application.reviewNote }] : [])
+      ]
+    });
+
+    res.json({
+      message: `${application.user.name} was ${approve ? 'approved as an instructor' : 'not approved'}`,
+      application
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Review instructor application error:', error);
+    res.status(500).json({ message: 'Server error reviewing application' });
+  }
+};
+
+const reviewValidators = [
+  body('note').optional().trim().isLength({ max: 1000 }).withMessage('Note must be at most 1000 characters')
+];
+
+// @route   POST /api/instructor-applications/:id/approve
+// @desc    Approve an application; the applicant becomes an instructor
+// @access  Private (Admin)
+router.post('/:id/approve', auth, requirePermission('instructor.review'), reviewValidators, handleValidationErrors, reviewHandler(true));
+
+// @route   POST /api/instructor-applications/:id/reject
+// @desc    Reject an application, with an optional note for the applicant
+// @access  Private (Admin)
+router.post('/:id/reject', auth, requirePermission('instructor.review'), reviewValidators, handleValidationErrors, reviewHandler(false));
+
+module.exports = router;
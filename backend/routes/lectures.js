@@ -4,11 +4,31 @@ const cloudinary = require('cloudinary').v2;
 const { body, validationResult } = require('express-validator');
 const Lecture = require('../models/Lecture');
 const Course = require('../models/Course');
-const { auth, authorize } = require('../middleware/auth');
+const LectureProgress = require('../models/LectureProgress');
+const { auth } = require('../middleware/auth');
+const { trackingLimiter } = require('../middleware/rateLimit');
 const { handleValidationErrors } = require('../middleware/validation');
+const { can } = require('../utils/permissions');
+const { recordHeartbeat, getCourseProgress } = require('../utils/progress');
+const { targetSection, syncLectureOrder, removeFromSections } = require('../utils/curriculum');
+const { RELEASE_TYPES, MAX_RELEASE_DAYS, toReleaseRule, getReleaseSchedule, getItemLock } = require('../utils/release');
 
 const router = express.Router();
 
+// A lecture the student cannot open yet: what it is and when it opens, but not its content
+const toLockedLecture = (lecture, lock) => ({
+  _id: lecture._id,
+  title: lecture.title,
+  description: lecture.description,
+  course: lecture.course,
+  duration: lecture.duration,
+  order: lecture.order,
+  isPreview: lecture.isPreview,
+  release: lecture.release,
+  locked: true,
+  lock
+});
+
 // Configure Cloudinary
 cloudinary.config({
   cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
@@ -34,10 +54,11 @@ const upload = multer({
 
 // @route   POST /api/lectures
 // @desc    Upload lecture video
-// @access  Private (Instructor)
-router.post('/', auth, authorize('instructor'), upload.single('video'), [
+// @access  Private (Course owner or co-instructor)
+router.post('/', auth, upload.single('video'), [
   body('title').trim().isLength({ min: 3 }).withMessage('Title must be at least 3 characters'),
-  body('course').isMongoId().withMessage('Valid course ID is required')
+  body('course').isMongoId().withMessage('Valid course ID is required'),
+  body('section').optional().isMongoId().withMessage('Invalid section ID')
 ], handleValidationErrors, async (req, res) => {
   try {
 
@@ -45,18 +66,21 @@ router.post('/', auth, authorize('instructor'), upload.single('video'), [
       return res.status(400).json({ message: 'Video file is required' });
     }
 
-    const { title, description, course, order, isPreview, notes } = req.body;
+    const { title, description, course, order, isPreview, notes, section: sectionId } = req.body;
 
-    // Verify course exists and user is the instructor
+    // Verify course exists and user teaches it
     const courseDoc = await Course.findById(course);
     if (!courseDoc) {
       return res.status(404).json({ message: 'Course not found' });
     }
 
-    if (courseDoc.instructor.toString() !== req.user.id) {
+    if (!can(req.user, 'lecture.manage', courseDoc)) {
       return res.status(403).json({ message: 'Not authorized to add lectures to this course' });
     }
 
+    // Checked before the upload; null while the course has no sections
+    const section = targetSection(courseDoc, sectionId);
+
     // Upload video to Cloudinary
     const result = await new Promise((resolve, reject) => {
       cloudinary.uploader.upload_stream(
@@ -92,23 +116,33 @@ router.post('/', auth, authorize('instructor'), upload.single('video'), [
 
     await lecture.save();
 
-    // Add lecture to course
+    // Add lecture to course, at the end of its section
     courseDoc.lectures.push(lecture._id);
+    if (section) {
+      section.items.push({ kind: 'Lecture', item: lecture._id });
+    }
     await courseDoc.save();
 
+    if (section) {
+      await syncLectureOrder(courseDoc);
+    }
+
     res.status(201).json({
       message: 'Lecture uploaded successfully',
       lecture
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Upload lecture error:', error);
     res.status(500).json({ message: 'Server error uploading lecture' });
   }
 });
 
 // @route   GET /api/lectures/:courseId
-// @desc    Get course lectures
-// @access  Private (Enrolled students or instructor)
+// @desc    Get course lectures; those a student cannot open yet come without their content
+// @access  Private (Enrolled students, course staff or admin)
 router.get('/:courseId', auth, async (req, res) => {
   try {
     const course = await Course.findById(req.params.courseId);
@@ -117,29 +151,103 @@ router.get('/:courseId', auth, async (req, res) => {
       return res.status(404).json({ message: 'Course not found' });
     }
 
-    // Check if user is enrolled or is the instructor
-    const isEnrolled = course.students.includes(req.user.id);
-    const isInstructor = course.instructor.toString() === req.user.id;
-
-    if (!isEnrolled && !isInstructor) {
+    if (!can(req.user, 'course.view', course)) {
       return res.status(403).json({ message: 'Not authorized to view lectures' });
     }
 
-    const lectures = await Lecture.find({ course: req.params.courseId })
-      .sort({ order: 1 });
+    const [lectures, { locks }] = await Promise.all([
+      Lecture.find({ course: req.params.courseId }).sort({ order: 1, createdAt: 1 }),
+      getReleaseSchedule({ course, user: req.user })
+    ]);
 
-    res.json(lectures);
+    res.json(lectures.map(lecture => {
+      const lock = locks.get(String(lecture._id));
+      return lock ? toLockedLecture(lecture, lock) : { ...lecture.toObject(), locked: false };
+    }));
   } catch (error) {
     console.error('Get lectures error:', error);
     res.status(500).json({ message: 'Server error fetching lectures' });
   }
 });
 
+// @route   GET /api/lectures/:courseId/progress
+// @desc    The current user's progress through a course, and what is still locked for them
+// @access  Private (Enrolled students, course staff or admin)
+router.get('/:courseId/progress', auth, async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.courseId);
+
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    if (!can(req.user, 'course.view', course)) {
+      return res.status(403).json({ message: 'Not authorized to view this course' });
+    }
+
+    const [progress, { locks }] = await Promise.all([
+      getCourseProgress(req.user, course._id),
+      getReleaseSchedule({ course, user: req.user })
+    ]);
+
+    res.json({ ...progress, locks: Object.fromEntries(locks) });
+  } catch (error) {
+    console.error('Get lecture progress error:', error);
+    res.status(500).json({ message: 'Server error fetching progress' });
+  }
+});
+
+// @route   POST /api/lectures/:id/progress
+// @desc    Heartbeat from the player: playback position and seconds played since the last one
+// @access  Private (Enrolled students)
+router.post('/:id/progress', auth, trackingLimiter, [
+  body('position').isFloat({ min: 0 }).withMessage('Position must be a number of seconds'),
+  body('watched').isFloat({ min: 0 }).withMessage('Watched must be a number of seconds'),
+  body('duration').optional().isFloat({ min: 0 }).withMessage('Duration must be a number of seconds')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const lecture = await Lecture.findById(req.params.id)
+      .select('course duration')
+      .populate('course');
+
+    if (!lecture) {
+      return res.status(404).json({ message: 'Lecture not found' });
+    }
+
+    if (!can(req.user, 'lecture.trackProgress', lecture.course)) {
+      return res.status(403).json({ message: 'Only enrolled students have progress to record' });
+    }
+
+    if (await getItemLock({ course: lecture.course, user: req.user, itemId: lecture._id })) {
+      return res.status(403).json({ message: 'This lecture is not available yet' });
+    }
+
+    const progress = await recordHeartbeat({
+      user: req.user,
+      lecture: { _id: lecture._id, course: lecture.course._id, duration: lecture.duration },
+      position: Number(req.body.position),
+      watched: Number(req.body.watched),
+      duration: Number(req.body.duration) || 0
+    });
+
+    res.json({ progress });
+  } catch (error) {
+    console.error('Record lecture progress error:', error);
+    res.status(500).json({ message: 'Server error recording progress' });
+  }
+});
+
+// Lecture details staff edit directly. The video, its duration, the course and
+// resources are set by their own routes.
+const EDITABLE_LECTURE_FIELDS = ['title', 'description', 'notes', 'isPreview', 'order', 'release'];
+
 // @route   PUT /api/lectures/:id
 // @desc    Update lecture
-// @access  Private (Instructor - Owner)
-router.put('/:id', auth, authorize('instructor'), [
-  body('title').optional().trim().isLength({ min: 3 }).withMessage('Title must be at least 3 characters')
+// @access  Private (Course owner or co-instructor)
+router.put('/:id', auth, [
+  body('title').optional().trim().isLength({ min: 3 }).withMessage('Title must be at least 3 characters'),
+  body('release.type').optional().isIn(RELEASE_TYPES).withMessage('Invalid release rule'),
+  body('release.days').optional().isInt({ min: 0, max: MAX_RELEASE_DAYS }).withMessage(`Days must be 0 to ${MAX_RELEASE_DAYS}`)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -153,13 +261,19 @@ router.put('/:id', auth, authorize('instructor'), [
       return res.status(404).json({ message: 'Lecture not found' });
     }
 
-    if (lecture.course.instructor.toString() !== req.user.id) {
+    if (!can(req.user, 'lecture.manage', lecture.course)) {
       return res.status(403).json({ message: 'Not authorized to update this lecture' });
     }
 
+    const changes = {};
+    for (const field of EDITABLE_LECTURE_FIELDS) {
+      if (req.body[field] !== undefined) changes[field] = req.body[field];
+    }
+    if (changes.release) changes.release = toReleaseRule(changes.release);
+
     const updatedLecture = await Lecture.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      changes,
       { new: true, runValidators: true }
     );
 
@@ -175,8 +289,8 @@ router.put('/:id', auth, authorize('instructor'), [
 
 // @route   DELETE /api/lectures/:id
 // @desc    Delete lecture
-// @access  Private (Instructor - Owner)
-router.delete('/:id', auth, authorize('instructor'), async (req, res) => {
+// @access  Private (Course owner or co-instructor)
+router.delete('/:id', auth, async (req, res) => {
   try {
     const lecture = await Lecture.findById(req.params.id).populate('course');
     
@@ -184,7 +298,7 @@ router.delete('/:id', auth, authorize('instructor'), async (req, res) => {
       return res.status(404).json({ message: 'Lecture not found' });
     }
 
-    if (lecture.course.instructor.toString() !== req.user.id) {
+    if (!can(req.user, 'lecture.manage', lecture.course)) {
       return res.status(403).json({ message: 'Not authorized to delete this lecture' });
     }
 
@@ -199,8 +313,10 @@ router.delete('/:id', auth, authorize('instructor'), async (req, res) => {
     await Course.findByIdAndUpdate(lecture.course._id, {
       $pull: { lectures: lecture._id }
     });
+    await removeFromSections(lecture.course._id, lecture._id);
 
     await Lecture.findByIdAndDelete(req.params.id);
+    await LectureProgress.deleteMany({ lecture: lecture._id });
 
     res.json({ message: 'Lecture deleted successfully' });
   } catch (error) {
@@ -211,8 +327,8 @@ router.delete('/:id', auth, authorize('instructor'), async (req, res) => {
 
 // @route   POST /api/lectures/:id/resources
 // @desc    Add resource to lecture
-// @access  Private (Instructor - Owner)
-router.post('/:id/resources', auth, authorize('instructor'), [
+// @access  Private (Course owner or co-instructor)
+router.post('/:id/resources', auth, [
   body('name').trim().notEmpty().withMessage('Resource name is required'),
   body('url').isURL().withMessage('Valid URL is required'),
   body('type').isIn(['pdf', 'doc', 'ppt', 'link', 'other']).withMessage('Invalid resource type')
@@ -229,7 +345,7 @@ router.post('/:id/resources', auth, authorize('instructor'), [
       return res.status(404).json({ message: 'Lecture not found' });
     }
 
-    if (lecture.course.instructor.toString() !== req.user.id) {
+    if (!can(req.user, 'lecture.manage', lecture.course)) {
       return res.status(403).json({ message: 'Not authorized to add resources to this lecture' });
     }
 
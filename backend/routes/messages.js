@@ -0,0 +1,145 @@
+const express = require('express');
+const multer = require('multer');
+const { body } = require('express-validator');
+const Course = require('../models/Course');
+const { auth } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+const {
+  ATTACHMENT_LIMITS,
+  roomForMessage,
+  editMessage,
+  deleteMessage
+} = require('../utils/chat');
+const { getStorage } = require('../utils/storage');
+const { COURSE_POLICY_FIELDS } = require('../utils/permissions');
+
+const router = express.Router();
+
+// Configure multer for memory storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: ATTACHMENT_LIMITS.maxFileSize,
+    files: ATTACHMENT_LIMITS.maxFiles
+  },
+  fileFilter: (req, file, cb) => {
+    if (ATTACHMENT_LIMITS.mimeTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname), false);
+    }
+  }
+});
+
+// Report multer limit violations as 400s instead of falling through to the error handler
+const uploadAttachments = (req, res, next) => {
+  upload.array('files', ATTACHMENT_LIMITS.maxFiles)(req, res, (err) => {
+    if (!err) return next();
+
+    const messages = {
+      LIMIT_FILE_SIZE: `Files must be smaller than ${ATTACHMENT_LIMITS.maxFileSize / (1024 * 1024)}MB`,
+      LIMIT_FILE_COUNT: `You can attach up to ${ATTACHMENT_LIMITS.maxFiles} files`,
+      LIMIT_UNEXPECTED_FILE: 'This file type is not allowed'
+    };
+    res.status(400).json({ message: messages[err.code] || 'File upload failed' });
+  });
+};
+
+// @route   POST /api/messages/attachments
+// @desc    Upload chat attachments; the returned descriptors are sent with `send-message`
+// @access  Private (Course members)
+router.post('/attachments', auth, uploadAttachments, [
+  body('courseId').isMongoId().withMessage('Valid course ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ message: 'At least one file is required' });
+    }
+
+    const course = await Course.findById(req.body.courseId).select(COURSE_POLICY_FIELDS);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    if (!course.hasMember(req.user)) {
+      return res.status(403).json({ message: 'Not authorized to upload to this course chat' });
+    }
+
+    const storage = getStorage();
+    const attachments = [];
+
+    for (const file of req.files) {
+      const stored = await storage.save(file, { folder: `chat/${course._id}` });
+      attachments.push({
+        name: file.originalname,
+        url: stored.url,
+        type: file.mimetype,
+        size: file.size,
+        thumbnailUrl: stored.thumbnailUrl
+      });
+    }
+
+    res.status(201).json({
+      message: 'Files uploaded successfully',
+      attachments
+    });
+  } catch (error) {
+    console.error('Upload attachment error:', error);
+    res.status(500).json({ message: 'Server error uploading files' });
+  }
+});
+
+// @route   PUT /api/messages/:id
+// @desc    Edit own chat message
+// @access  Private (Sender)
+router.put('/:id', auth, [
+  body('content').trim().notEmpty().withMessage('Message content is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const chatMessage = await editMessage({
+      messageId: req.params.id,
+      user: req.user,
+      content: req.body.content
+    });
+
+    req.app.get('io').to(roomForMessage(chatMessage)).emit('message-updated', chatMessage);
+
+    res.json({
+      message: 'Message updated successfully',
+      chatMessage
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Edit message error:', error);
+    res.status(500).json({ message: 'Server error updating message' });
+  }
+});
+
+// @route   DELETE /api/messages/:id
+// @desc    Remove a chat message (soft delete)
+// @access  Private (Sender, course staff or admin)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const chatMessage = await deleteMessage({
+      messageId: req.params.id,
+      user: req.user
+    });
+
+    req.app.get('io').to(roomForMessage(chatMessage)).emit('message-updated', chatMessage);
+
+    res.json({
+      message: 'Message removed successfully',
+      chatMessage
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Delete message error:', error);
+    res.status(500).json({ message: 'Server error removing message' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,393 @@
+const express = require('express');
+const { body } = require('express-validator');
+const Quiz = require('../models/Quiz');
+const QuestionBank = require('../models/QuestionBank');
+const { auth } = require('../middleware/auth');
+const { trackingLimiter } = require('../middleware/rateLimit');
+const { handleValidationErrors } = require('../middleware/validation');
+const {
+  listBanks,
+  createBank,
+  getBank,
+  updateBank,
+  deleteBank,
+  addQuestion,
+  updateQuestion,
+  removeQuestion,
+  listQuizzes,
+  createQuiz,
+  updateQuiz,
+  deleteQuiz,
+  getQuiz,
+  startAttempt,
+  getAttempt,
+  saveAnswers,
+  submitAttempt,
+  listAttempts
+} = require('../utils/quizzes');
+
+const router = express.Router();
+
+// Longest time limit a quiz may set, in minutes
+const MAX_TIME_LIMIT = 600;
+
+const questionRules = [
+  body('type').isIn(QuestionBank.QUESTION_TYPES).withMessage('Unknown question type'),
+  body('prompt').trim().isLength({ min: 1, max: 2000 }).withMessage('Question text must be 1-2000 characters'),
+  body('points').optional().isFloat({ min: 0, max: 1000 }).withMessage('Points must be between 0 and 1000'),
+  body('options').optional().isArray().withMessage('Options must be a list'),
+  body('patterns').optional().isArray().withMessage('Accepted answers must be a list'),
+  body('explanation').optional().isLength({ max: 2000 }).withMessage('Explanation is limited to 2000 characters')
+];
+
+// Settings shared by creating and updating a quiz; `optional` for updates
+const quizRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('title').trim().isLength({ min: 3, max: 200 }).withMessage('Title must be 3-200 characters'),
+    body('description').optional().isLength({ max: 5000 }).withMessage('Description is limited to 5000 characters'),
+    body('questions').optional().isArray().withMessage('Questions must be a list'),
+    body('questions.*').isMongoId().withMessage('Invalid question ID'),
+    body('questionCount').optional().isInt({ min: 0 }).toInt().withMessage('Question count must be 0 or more'),
+    body('timeLimit').optional().isInt({ min: 0, max: MAX_TIME_LIMIT }).toInt()
+      .withMessage(`Time limit must be 0-${MAX_TIME_LIMIT} minutes`),
+    body('maxAttempts').optional().isInt({ min: 0, max: 100 }).toInt().withMessage('Attempts must be 0-100'),
+    body(['shuffleQuestions', 'shuffleOptions', 'showCorrectAnswers']).optional().isBoolean().toBoolean()
+      .withMessage('Must be true or false'),
+    body('scoring').optional().isIn(Quiz.SCORING).withMessage('Invalid scoring rule'),
+    body('maxMarks').optional().isFloat({ min: 0 }).toFloat().withMessage('Max marks must be a number'),
+    body('dueDate').optional({ values: 'null' }).isISO8601().withMessage('Invalid due date')
+  ];
+};
+
+const settingsOf = (body) => {
+  const { bank, course, section, instructor, ...settings } = body;
+  return settings;
+};
+
+// @route   GET /api/quizzes/banks/course/:courseId
+// @desc    List a course's question banks
+// @access  Private (Course owner or co-instructor)
+router.get('/banks/course/:courseId', auth, async (req, res) => {
+  try {
+    res.json(await listBanks({ courseId: req.params.courseId, user: req.user }));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Get question banks error:', error);
+    res.status(500).json({ message: 'Server error fetching question banks' });
+  }
+});
+
+// @route   POST /api/quizzes/banks
+// @desc    Create a question bank
+// @access  Private (Course owner or co-instructor)
+router.post('/banks', auth, [
+  body('course').isMongoId().withMessage('Valid course ID is required'),
+  body('title').trim().isLength({ min: 3, max: 200 }).withMessage('Title must be 3-200 characters'),
+  body('description').optional().isLength({ max: 2000 }).withMessage('Description is limited to 2000 characters')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const bank = await createBank({
+      courseId: req.body.course,
+      title: req.body.title,
+      description: req.body.description,
+      user: req.user
+    });
+    res.status(201).json({ message: 'Question bank created', bank });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Create question bank error:', error);
+    res.status(500).json({ message: 'Server error creating question bank' });
+  }
+});
+
+// @route   GET /api/quizzes/banks/:id
+// @desc    Get a question bank with its questions and answers
+// @access  Private (Course owner or co-instructor)
+router.get('/banks/:id', auth, async (req, res) => {
+  try {
+    res.json(await getBank({ bankId: req.params.id, user: req.user }));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Get question bank error:', error);
+    res.status(500).json({ message: 'Server error fetching question bank' });
+  }
+});
+
+// @route   PUT /api/quizzes/banks/:id
+// @desc    Rename a question bank or change its description
+// @access  Private (Course owner or co-instructor)
+router.put('/banks/:id', auth, [
+  body('title').optional().trim().isLength({ min: 3, max: 200 }).withMessage('Title must be 3-200 characters'),
+  body('description').optional().isLength({ max: 2000 }).withMessage('Description is limited to 2000 characters')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const bank = await updateBank({
+      bankId: req.params.id,
+      title: req.body.title,
+      description: req.body.description,
+      user: req.user
+    });
+    res.json({ message: 'Question bank updated', bank });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Update question bank error:', error);
+    res.status(500).json({ message: 'Server error updating question bank' });
+  }
+});
+
+// @route   DELETE /api/quizzes/banks/:id
+// @desc    Delete a question bank no quiz uses
+// @access  Private (Course owner or co-instructor)
+router.delete('/banks/:id', auth, async (req, res) => {
+  try {
+    await deleteBank({ bankId: req.params.id, user: req.user });
+    res.json({ message: 'Question bank deleted' });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Delete question bank error:', error);
+    res.status(500).json({ message: 'Server error deleting question bank' });
+  }
+});
+
+// @route   POST /api/quizzes/banks/:id/questions
+// @desc    Add a question to a bank
+// @access  Private (Course owner or co-instructor)
+router.post('/banks/:id/questions', auth, questionRules, handleValidationErrors, async (req, res) => {
+  try {
+    const bank = await addQuestion({ bankId: req.params.id, question: req.body, user: req.user });
+    res.status(201).json({ message: 'Question added', bank });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Add question error:', error);
+    res.status(500).json({ message: 'Server error adding question' });
+  }
+});
+
+// @route   PUT /api/quizzes/banks/:id/questions/:questionId
+// @desc    Edit a question; attempts already started keep the old version
+// @access  Private (Course owner or co-instructor)
+router.put('/banks/:id/questions/:questionId', auth, questionRules, handleValidationErrors, async (req, res) => {
+  try {
+    const bank = await updateQuestion({
+      bankId: req.params.id,
+      questionId: req.params.questionId,
+      question: req.body,
+      user: req.user
+    });
+    res.json({ message: 'Question updated', bank });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Update question error:', error);
+    res.status(500).json({ message: 'Server error updating question' });
+  }
+});
+
+// @route   DELETE /api/quizzes/banks/:id/questions/:questionId
+// @desc    Remove a question from a bank and the quizzes that pick it
+// @access  Private (Course owner or co-instructor)
+router.delete('/banks/:id/questions/:questionId', auth, async (req, res) => {
+  try {
+    const bank = await removeQuestion({ bankId: req.params.id, questionId: req.params.questionId, user: req.user });
+    res.json({ message: 'Question removed', bank });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Remove question error:', error);
+    res.status(500).json({ message: 'Server error removing question' });
+  }
+});
+
+// @route   GET /api/quizzes/attempts/:attemptId
+// @desc    Get an attempt; answers are revealed once it is submitted
+// @access  Private (The student who made it or course staff)
+router.get('/attempts/:attemptId', auth, async (req, res) => {
+  try {
+    res.json(await getAttempt({ attemptId: req.params.attemptId, user: req.user }));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Get attempt error:', error);
+    res.status(500).json({ message: 'Server error fetching attempt' });
+  }
+});
+
+// @route   PUT /api/quizzes/attempts/:attemptId/answers
+// @desc    Save answers to an open attempt ({ answers: [{ question, response }] })
+// @access  Private (The student taking it)
+router.put('/attempts/:attemptId/answers', auth, trackingLimiter, [
+  body('answers').isArray().withMessage('Answers must be a list')
+], handleValidationErrors, async (req, res) => {
+  try {
+    res.json(await saveAnswers({ attemptId: req.params.attemptId, answers: req.body.answers, user: req.user }));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Save answers error:', error);
+    res.status(500).json({ message: 'Server error saving answers' });
+  }
+});
+
+// @route   POST /api/quizzes/attempts/:attemptId/submit
+// @desc    Submit an attempt, with any last answers, and score it
+// @access  Private (The student taking it)
+router.post('/attempts/:attemptId/submit', auth, [
+  body('answers').optional().isArray().withMessage('Answers must be a list')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const attempt = await submitAttempt({ attemptId: req.params.attemptId, answers: req.body.answers, user: req.user });
+    res.json({ message: 'Quiz submitted', attempt });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Submit quiz error:', error);
+    res.status(500).json({ message: 'Server error submitting quiz' });
+  }
+});
+
+// @route   GET /api/quizzes/course/:courseId
+// @desc    List a course's quizzes with their settings
+// @access  Private (Course owner or co-instructor)
+router.get('/course/:courseId', auth, async (req, res) => {
+  try {
+    res.json(await listQuizzes({ courseId: req.params.courseId, user: req.user }));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Get quizzes error:', error);
+    res.status(500).json({ message: 'Server error fetching quizzes' });
+  }
+});
+
+// @route   POST /api/quizzes
+// @desc    Create a quiz from a question bank
+// @access  Private (Course owner or co-instructor)
+router.post('/', auth, [
+  body('course').isMongoId().withMessage('Valid course ID is required'),
+  body('bank').isMongoId().withMessage('Valid question bank ID is required'),
+  body('section').optional().isMongoId().withMessage('Invalid section ID'),
+  ...quizRules(false)
+], handleValidationErrors, async (req, res) => {
+  try {
+    const quiz = await createQuiz({
+      courseId: req.body.course,
+      bankId: req.body.bank,
+      sectionId: req.body.section,
+      settings: settingsOf(req.body),
+      user: req.user
+    });
+    res.status(201).json({ message: 'Quiz created successfully', quiz });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Create quiz error:', error);
+    res.status(500).json({ message: 'Server error creating quiz' });
+  }
+});
+
+// @route   GET /api/quizzes/:id
+// @desc    Get a quiz with the student's attempts, or attempt statistics for staff
+// @access  Private (Enrolled students, course staff or admin)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    res.json(await getQuiz({ quizId: req.params.id, user: req.user }));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Get quiz error:', error);
+    res.status(500).json({ message: 'Server error fetching quiz' });
+  }
+});
+
+// @route   PUT /api/quizzes/:id
+// @desc    Update a quiz's settings
+// @access  Private (Course owner or co-instructor)
+router.put('/:id', auth, [
+  body('bank').optional().isMongoId().withMessage('Invalid question bank ID'),
+  ...quizRules(true)
+], handleValidationErrors, async (req, res) => {
+  try {
+    const quiz = await updateQuiz({
+      quizId: req.params.id,
+      bankId: req.body.bank,
+      settings: settingsOf(req.body),
+      user: req.user
+    });
+    res.json({ message: 'Quiz updated successfully', quiz });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Update quiz error:', error);
+    res.status(500).json({ message: 'Server error updating quiz' });
+  }
+});
+
+// @route   DELETE /api/quizzes/:id
+// @desc    Delete a quiz and its attempts
+// @access  Private (Course owner or co-instructor)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    await deleteQuiz({ quizId: req.params.id, user: req.user });
+    res.json({ message: 'Quiz deleted successfully' });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Delete quiz error:', error);
+    res.status(500).json({ message: 'Server error deleting quiz' });
+  }
+});
+
+// @route   POST /api/quizzes/:id/attempts
+// @desc    Start an attempt, or resume the open one
+// @access  Private (Enrolled students)
+router.post('/:id/attempts', auth, async (req, res) => {
+  try {
+    res.status(201).json(await startAttempt({ quizId: req.params.id, user: req.user }));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Start quiz error:', error);
+    res.status(500).json({ message: 'Server error starting quiz' });
+  }
+});
+
+// @route   GET /api/quizzes/:id/attempts
+// @desc    Every student's attempts at a quiz
+// @access  Private (Course staff)
+router.get('/:id/attempts', auth, async (req, res) => {
+  try {
+    res.json(await listAttempts({ quizId: req.params.id, user: req.user }));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Get attempts error:', error);
+    res.status(500).json({ message: 'Server error fetching attempts' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,76 @@
+const express = require('express');
+const { body } = require('express-validator');
+const SecurityEvent = require('../models/SecurityEvent');
+const User = require('../models/User');
+const { auth, requirePermission } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+const { unlockAccount } = require('../utils/loginThrottle');
+const { logSecurityEvent } = require('../utils/securityLog');
+const { recordAudit } = require('../utils/auditLog');
+
+const router = express.Router();
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// @route   GET /api/security/events
+// @desc    Browse the security event log (filter by type, email or IP)
+// @access  Private (Admin)
+router.get('/events', auth, requirePermission('security.manage'), async (req, res) => {
+  try {
+    const { type, email, ip, page = 1, limit = 25 } = req.query;
+    const query = {};
+
+    if (type) query.type = type;
+    if (email) query.email = { $regex: escapeRegex(String(email)), $options: 'i' };
+    if (ip) query.ip = String(ip);
+
+    const pageSize = Math.min(parseInt(limit) || 25, 100);
+    const events = await SecurityEvent.find(query)
+      .populate('user', 'name email role')
+      .sort({ createdAt: -1 })
+      .limit(pageSize)
+      .skip((page - 1) * pageSize);
+
+    const total = await SecurityEvent.countDocuments(query);
+
+    res.json({
+      events,
+      types: SecurityEvent.TYPES,
+      totalPages: Math.ceil(total / pageSize),
+      currentPage: Number(page),
+      total
+    });
+  } catch (error) {
+    console.error('Get security events error:', error);
+    res.status(500).json({ message: 'Server error fetching security events' });
+  }
+});
+
+// @route   POST /api/security/unlock
+// @desc    Lift a sign-in lockout for an email address
+// @access  Private (Admin)
+router.post('/unlock', auth, requirePermission('security.manage'), [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const email = req.body.email.toLowerCase().trim();
+    await unlockAccount(email);
+    await logSecurityEvent('account_unlocked', {
+      req,
+      email,
+      details: { by: req.user.email }
+    });
+
+    const user = await User.findOne({ email }).select('_id');
+    await recordAudit(req, 'security.account_unlocked', {
+      target: { type: 'user', id: user?._id || null, label: email }
+    });
+
+    res.json({ message: `Sign-in lockout cleared for ${email}` });
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({ message: 'Server error unlocking account' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+const { getSettings, setSetting } = require('../utils/settings');
+const { diffFields, recordAudit } = require('../utils/auditLog');
+
+const router = express.Router();
+
+// @route   GET /api/settings
+// @desc    Get platform settings
+// @access  Private (Admin)
+router.get('/', auth, requirePermission('settings.manage'), async (req, res) => {
+  try {
+    res.json({ settings: await getSettings() });
+  } catch (error) {
+    console.error('Get settings error:', error);
+    res.status(500).json({ message: 'Server error fetching settings' });
+  }
+});
+
+// @route   PUT /api/settings/security
+// @desc    Update security settings (roles that must use two-factor authentication)
+// @access  Private (Admin)
+router.put('/security', auth, requirePermission('settings.manage'), [
+  body('twoFactorRequiredRoles').isArray().withMessage('twoFactorRequiredRoles must be a list of roles'),
+  body('twoFactorRequiredRoles.*').isIn(['admin', 'instructor', 'student']).withMessage('Invalid role')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const roles = [...new Set(req.body.twoFactorRequiredRoles)];
+    const before = await getSettings();
+    await setSetting('twoFactorRequiredRoles', roles, req.user._id);
+    const settings = await getSettings();
+
+    await recordAudit(req, 'settings.updated', {
+      target: { type: 'settings', label: 'Security' },
+      changes: diffFields(before, settings, ['twoFactorRequiredRoles'])
+    });
+
+    res.json({
+      message: 'Security settings updated',
+      settings
+    });
+  } catch (error) {
+    console.error('Update security settings error:', error);
+    res.status(500).json({ message: 'Server error updating settings' });
+  }
+});
+
+module.exports = router;
@@ -2,20 +2,34 @@ const express = require('express');
 const { body } = require('express-validator');
 const User = require('../models/User');
 const Course = require('../models/Course');
-const { auth, authorize } = require('../middleware/auth');
+const CourseInvite = require('../models/CourseInvite');
+const InstructorApplication = require('../models/InstructorApplication');
+const LectureProgress = require('../models/LectureProgress');
+const QuizAttempt = require('../models/QuizAttempt');
+const { auth, requirePermission } = require('../middleware/auth');
 const { handleValidationErrors } = require('../middleware/validation');
+const { revokeUserSessions, disconnectSessions } = require('../utils/sessions');
+const { disableTwoFactor } = require('../utils/twoFactor');
+const { can } = require('../utils/permissions');
+const { diffFields, recordAudit } = require('../utils/auditLog');
+const { sendVerificationEmail } = require('../utils/emails');
 
 const router = express.Router();
 
+// Days of sign-ups charted by the stats overview
+const SIGNUP_DAYS = 30;
+
 // @route   GET /api/users
 // @desc    Get all users (Admin only)
 // @access  Private (Admin)
-router.get('/', auth, authorize('admin'), async (req, res) => {
+router.get('/', auth, requirePermission('user.manage'), async (req, res) => {
   try {
-    const { role, page = 1, limit = 10, search } = req.query;
+    const { role, status, page = 1, limit = 10, search } = req.query;
     const query = {};
 
     if (role) query.role = role;
+    if (status === 'active') query.isActive = true;
+    if (status === 'inactive') query.isActive = false;
     if (search) {
       query.$or = [
         { name: { $regex: search, $options: 'i' } },
@@ -58,7 +72,7 @@ router.get('/:id', auth, async (req, res) => {
     }
 
     // Check if user is admin or viewing their own profile
-    if (req.user.role !== 'admin' && req.user.id !== req.params.id) {
+    if (!can(req.user, 'user.manage') && req.user.id !== req.params.id) {
       return res.status(403).json({ message: 'Not authorized to view this profile' });
     }
 
@@ -69,6 +83,24 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
+// What PUT /api/users/:id may change; admins may also change `role` and
+// `email`. Users change their own email through PUT /api/auth/profile.
+const EDITABLE_USER_FIELDS = ['name', 'avatar'];
+// Changed only through their own flows: email verification, two-factor setup,
+// single sign-on, account status and password reset
+const PROTECTED_USER_FIELDS = [
+  'isEmailVerified',
+  'password',
+  'twoFactorEnabled',
+  'twoFactorEnabledAt',
+  'twoFactorSecret',
+  'twoFactorRecoveryCodes',
+  'twoFactorLastUsedStep',
+  'oidcIssuer',
+  'oidcSubject',
+  'isActive'
+];
+
 // @route   PUT /api/users/:id
 // @desc    Update user
 // @access  Private (Admin or self)
@@ -86,32 +118,65 @@ router.put('/:id', auth, [
     }
 
     // Check if user is admin or updating their own profile
-    if (req.user.role !== 'admin' && req.user.id !== req.params.id) {
+    if (!can(req.user, 'user.manage') && req.user.id !== req.params.id) {
       return res.status(403).json({ message: 'Not authorized to update this user' });
     }
 
+    const isAdmin = can(req.user, 'user.manage');
+    const protectedFields = PROTECTED_USER_FIELDS.filter(field => req.body[field] !== undefined);
+    if (protectedFields.length) {
+      return res.status(400).json({ message: `${protectedFields.join(', ')} cannot be changed here` });
+    }
+
     // Only admin can change roles
-    if (req.body.role && req.user.role !== 'admin') {
+    if (req.body.role && !isAdmin) {
       return res.status(403).json({ message: 'Not authorized to change user role' });
     }
 
-    // Check if email is already taken by another user
-    if (req.body.email) {
-      const existingUser = await User.findOne({ 
-        email: req.body.email, 
-        _id: { $ne: req.params.id } 
-      });
+    if (req.body.email !== undefined && !isAdmin) {
+      return res.status(403).json({ message: 'Change your email address from your profile' });
+    }
+
+    const changes = {};
+    for (const field of [...EDITABLE_USER_FIELDS, ...(isAdmin ? ['role'] : [])]) {
+      if (req.body[field] !== undefined) changes[field] = req.body[field];
+    }
+
+    if (req.body.email && req.body.email !== user.email) {
+      // Check if email is already taken by another user
+      const existingUser = await User.findOne({ email: req.body.email, _id: { $ne: user._id } });
       if (existingUser) {
         return res.status(400).json({ message: 'Email is already taken' });
       }
+      // A new address has to be verified again
+      changes.email = req.body.email;
+      changes.isEmailVerified = false;
     }
 
     const updatedUser = await User.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      changes,
       { new: true, runValidators: true }
     ).select('-password');
 
+    if (changes.email) {
+      const token = updatedUser.createEmailToken('emailVerification');
+      await updatedUser.save();
+      try {
+        await sendVerificationEmail(updatedUser, token);
+      } catch (error) {
+        console.error('Verification email error:', error);
+      }
+    }
+
+    // Changes to someone else's account are administrative
+    if (req.user.id !== req.params.id) {
+      await recordAudit(req, 'user.updated', {
+        target: { type: 'user', id: user._id, label: user.email },
+        changes: diffFields(user.toObject(), updatedUser.toObject(), Object.keys(changes))
+      });
+    }
+
     res.json({
       message: 'User updated successfully',
       user: updatedUser
@@ -125,7 +190,7 @@ router.put('/:id', auth, [
 // @route   PUT /api/users/:id/status
 // @desc    Toggle user active status
 // @access  Private (Admin)
-router.put('/:id/status', auth, authorize('admin'), async (req, res) => {
+router.put('/:id/status', auth, requirePermission('user.manage'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     
@@ -133,9 +198,24 @@ router.put('/:id/status', auth, authorize('admin'), async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    if (user._id.toString() === req.user.id) {
+      return res.status(400).json({ message: 'Cannot deactivate your own account' });
+    }
+
     user.isActive = !user.isActive;
     await user.save();
 
+    // A deactivated account loses its sessions and live sockets right away
+    if (!user.isActive) {
+      const revoked = await revokeUserSessions(user._id, { reason: 'admin' });
+      disconnectSessions(req.app.get('io'), revoked);
+    }
+
+    await recordAudit(req, user.isActive ? 'user.activated' : 'user.deactivated', {
+      target: { type: 'user', id: user._id, label: user.email },
+      changes: [{ field: 'isActive', before: !user.isActive, after: user.isActive }]
+    });
+
     res.json({
       message: `User ${user.isActive ? 'activated' : 'deactivated'} successfully`,
       user: {
@@ -151,10 +231,69 @@ router.put('/:id/status', auth, authorize('admin'), async (req, res) => {
   }
 });
 
+// @route   POST /api/users/:id/logout
+// @desc    Sign a user out of every device
+// @access  Private (Admin)
+router.post('/:id/logout', auth, requirePermission('user.manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('name email');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const revoked = await revokeUserSessions(user._id, { reason: 'admin' });
+    disconnectSessions(req.app.get('io'), revoked);
+
+    await recordAudit(req, 'user.signed_out', {
+      target: { type: 'user', id: user._id, label: user.email },
+      changes: [{ field: 'sessions', before: revoked.length, after: 0 }]
+    });
+
+    res.json({
+      message: `${user.name} was signed out of ${revoked.length} session${revoked.length === 1 ? '' : 's'}`,
+      count: revoked.length
+    });
+  } catch (error) {
+    console.error('Force logout error:', error);
+    res.status(500).json({ message: 'Server error signing user out' });
+  }
+});
+
+// @route   DELETE /api/users/:id/two-factor
+// @desc    Reset a user's two-factor authentication (lost authenticator and recovery codes)
+// @access  Private (Admin)
+router.delete('/:id/two-factor', auth, requirePermission('user.manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled for this user' });
+    }
+
+    disableTwoFactor(user);
+    await user.save();
+
+    await recordAudit(req, 'user.two_factor_reset', {
+      target: { type: 'user', id: user._id, label: user.email },
+      changes: [{ field: 'twoFactorEnabled', before: true, after: false }]
+    });
+
+    res.json({ message: `Two-factor authentication reset for ${user.name}` });
+  } catch (error) {
+    console.error('Reset two-factor error:', error);
+    res.status(500).json({ message: 'Server error resetting two-factor authentication' });
+  }
+});
+
 // @route   DELETE /api/users/:id
 // @desc    Delete user
 // @access  Private (Admin)
-router.delete('/:id', auth, authorize('admin'), async (req, res) => {
+router.delete('/:id', auth, requirePermission('user.manage'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     
@@ -170,9 +309,23 @@ router.delete('/:id', auth, authorize('admin'), async (req, res) => {
     // Remove user from all courses
     await Course.updateMany(
       { students: user._id },
-      { $pull: { students: user._id } }
+      { $pull: { students: user._id, enrollments: { student: user._id } } }
     );
 
+    await Course.updateMany(
+      { 'staff.user': user._id },
+      { $pull: { staff: { user: user._id } } }
+    );
+
+    await CourseInvite.updateMany(
+      { user: user._id, status: 'pending' },
+      { $set: { status: 'revoked', respondedAt: new Date() } }
+    );
+
+    await InstructorApplication.deleteMany({ user: user._id, status: 'pending' });
+    await LectureProgress.deleteMany({ user: user._id });
+    await QuizAttempt.deleteMany({ student: user._id });
+
     await Course.updateMany(
       { instructor: user._id },
       { $set: { instructor: null } }
@@ -180,6 +333,14 @@ router.delete('/:id', auth, authorize('admin'), async (req, res) => {
 
     await User.findByIdAndDelete(req.params.id);
 
+    const revoked = await revokeUserSessions(user._id, { reason: 'admin' });
+    disconnectSessions(req.app.get('io'), revoked);
+
+    await recordAudit(req, 'user.deleted', {
+      target: { type: 'user', id: user._id, label: user.email },
+      changes: diffFields({ name: user.name, email: user.email, role: user.role }, {})
+    });
+
     res.json({ message: 'User deleted successfully' });
   } catch (error) {
     console.error('Delete user error:', error);
@@ -190,25 +351,77 @@ router.delete('/:id', auth, authorize('admin'), async (req, res) => {
 // @route   GET /api/users/stats/overview
 // @desc    Get platform statistics
 // @access  Private (Admin)
-router.get('/stats/overview', auth, authorize('admin'), async (req, res) => {
+router.get('/stats/overview', auth, requirePermission('stats.view'), async (req, res) => {
   try {
-    const totalUsers = await User.countDocuments();
-    const totalStudents = await User.countDocuments({ role: 'student' });
-    const totalInstructors = await User.countDocuments({ role: 'instructor' });
-    const totalCourses = await Course.countDocuments();
-    const publishedCourses = await Course.countDocuments({ isPublished: true });
-    const totalEnrollments = await Course.aggregate([
-      { $project: { studentCount: { $size: '$students' } } },
-      { $group: { _id: null, total: { $sum: '$studentCount' } } }
+    // Days are counted in UTC, as $dateToString does
+    const since = new Date();
+    since.setUTCHours(0, 0, 0, 0);
+    since.setUTCDate(since.getUTCDate() - (SIGNUP_DAYS - 1));
+
+    const [
+      totalUsers,
+      totalStudents,
+      totalInstructors,
+      totalAdmins,
+      inactiveUsers,
+      totalCourses,
+      publishedCourses,
+      unpublishedByAdmin,
+      totalEnrollments,
+      signups,
+      coursesByCategory,
+      topCourses
+    ] = await Promise.all([
+      User.countDocuments(),
+      User.countDocuments({ role: 'student' }),
+      User.countDocuments({ role: 'instructor' }),
+      User.countDocuments({ role: 'admin' }),
+      User.countDocuments({ isActive: false }),
+      Course.countDocuments(),
+      Course.countDocuments({ isPublished: true }),
+      Course.countDocuments({ 'moderation.unpublishedAt': { $ne: null } }),
+      Course.aggregate([
+        { $project: { studentCount: { $size: '$students' } } },
+        { $group: { _id: null, total: { $sum: '$studentCount' } } }
+      ]),
+      User.aggregate([
+        { $match: { createdAt: { $gte: since } } },
+        { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }, count: { $sum: 1 } } }
+      ]),
+      Course.aggregate([
+        { $group: { _id: '$category', count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+        { $limit: 8 }
+      ]),
+      Course.aggregate([
+        { $project: { title: 1, studentCount: { $size: '$students' } } },
+        { $sort: { studentCount: -1 } },
+        { $limit: 5 }
+      ])
     ]);
 
+    // One entry per day, including days nobody signed up
+    const signupCounts = new Map(signups.map(day => [day._id, day.count]));
+    const signupsByDay = Array.from({ length: SIGNUP_DAYS }, (_, i) => {
+      const day = new Date(since);
+      day.setUTCDate(since.getUTCDate() + i);
+      const date = day.toISOString().slice(0, 10);
+      return { date, count: signupCounts.get(date) || 0 };
+    });
+
     res.json({
       totalUsers,
       totalStudents,
       totalInstructors,
+      totalAdmins,
+      inactiveUsers,
       totalCourses,
       publishedCourses,
-      totalEnrollments: totalEnrollments[0]?.total || 0
+      unpublishedByAdmin,
+      totalEnrollments: totalEnrollments[0]?.total || 0,
+      signupsByDay,
+      coursesByCategory: coursesByCategory.map(({ _id, count }) => ({ category: _id, count })),
+      topCourses: topCourses.map(({ _id, title, studentCount }) => ({ _id, title, studentCount }))
     });
   } catch (error) {
     console.error('Get stats error:', error);
@@ -0,0 +1,62 @@
+const { Provider } = require('oidc-provider');
+
+// Local OpenID Connect provider for trying single sign-on without a campus
+// identity provider. Any username and password are accepted on its login page:
+//   prof.*  -> groups ["faculty"]     (instructor with the role map below)
+//   admin.* -> groups ["lms-admins"]  (admin)
+//   others  -> groups ["students"]
+// Usernames without "@" get an @campus.example address.
+//
+// Backend .env to use it:
+//   OIDC_ISSUER_URL=http://localhost:4000
+//   OIDC_CLIENT_ID=edunexus
+//   OIDC_CLIENT_SECRET=edunexus-secret
+//   OIDC_ROLE_MAP={"admin":["lms-admins"],"instructor":["faculty"]}
+require('dotenv').config();
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 4000;
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_URL = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const groupsFor = (username) => {
+  if (username.startsWith('prof')) return ['faculty'];
+  if (username.startsWith('admin')) return ['lms-admins'];
+  return ['students'];
+};
+
+const provider = new Provider(ISSUER, {
+  clients: [{
+    client_id: 'edunexus',
+    client_secret: 'edunexus-secret',
+    redirect_uris: [process.env.OIDC_REDIRECT_URI || `${CLIENT_URL}/auth/oidc/callback`],
+    response_types: ['code'],
+    grant_types: ['authorization_code']
+  }],
+  claims: {
+    openid: ['sub'],
+    email: ['email', 'email_verified'],
+    profile: ['name', 'groups']
+  },
+  pkce: {
+    methods: ['S256'],
+    required: () => true
+  },
+  cookies: {
+    keys: ['mock-oidc-provider']
+  },
+  findAccount: async (ctx, id) => ({
+    accountId: id,
+    claims: async () => ({
+      sub: id,
+      email: id.includes('@') ? id : `${id}@campus.example`,
+      email_verified: true,
+      name: id.split('@')[0].replace(/[._]/g, ' '),
+      groups: groupsFor(id)
+    })
+  })
+});
+
+provider.listen(PORT, () => {
+  console.log(`Mock OIDC provider running at ${ISSUER}`);
+  console.log(`Discovery: ${ISSUER}/.well-known/openid-configuration`);
+});
@@ -26,31 +26,36 @@ const seedDatabase = async () => {
         name: 'Admin User',
         email: 'admin@edunexus.com',
         password: 'admin123',
-        role: 'admin'
+        role: 'admin',
+        isEmailVerified: true
       },
       {
         name: 'John Instructor',
         email: 'instructor@edunexus.com',
         password: 'instructor123',
-        role: 'instructor'
+        role: 'instructor',
+        isEmailVerified: true
       },
       {
         name: 'Jane Student',
         email: 'student@edunexus.com',
         password: 'student123',
-        role: 'student'
+        role: 'student',
+        isEmailVerified: true
       },
       {
         name: 'Sarah Wilson',
         email: 'sarah@example.com',
         password: 'password123',
-        role: 'instructor'
+        role: 'instructor',
+        isEmailVerified: true
       },
       {
         name: 'Mike Johnson',
         email: 'mike@example.com',
         password: 'password123',
-        role: 'student'
+        role: 'student',
+        isEmailVerified: true
       }
     ]);
     console.log('👥 Created users');
@@ -2,10 +2,13 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
 const { sanitizeInput } = require('./middleware/validation');
+const { apiLimiter } = require('./middleware/rateLimit');
+const initSocket = require('./socket');
+const { configureAdapter } = require('./socket/adapter');
+const { LOCAL_UPLOAD_DIR } = require('./utils/storage');
 require('dotenv').config();
 
 const app = express();
@@ -33,6 +36,12 @@ const io = new Server(server, {
   transports: ['websocket', 'polling']
 });
 
+// Behind a proxy (e.g. Render), TRUST_PROXY=1 makes req.ip the client address
+// that rate limits and sign-in lockouts are keyed on
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(helmet({
   crossOriginEmbedderPolicy: false,
@@ -75,58 +84,39 @@ app.options('*', cors());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Serve files saved by the local storage adapter (used when Cloudinary is not configured)
+app.use('/uploads', express.static(LOCAL_UPLOAD_DIR, {
+  setHeaders: (res, filePath) => {
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    if (!/\.(jpe?g|png|gif|webp)$/i.test(filePath)) {
+      res.set('Content-Disposition', 'attachment');
+    }
+  }
+}));
+
 // Sanitize input
 app.use(sanitizeInput);
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
-});
-app.use('/api/', limiter);
+// Rate limiting (stricter limits for auth routes live in routes/auth.js; lecture
+// heartbeats and quiz autosaves are limited per user in their routes)
+app.use('/api/', apiLimiter);
 
 // Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/courses', require('./routes/courses'));
 app.use('/api/lectures', require('./routes/lectures'));
 app.use('/api/assignments', require('./routes/assignments'));
+app.use('/api/quizzes', require('./routes/quizzes'));
 app.use('/api/users', require('./routes/users'));
+app.use('/api/messages', require('./routes/messages'));
+app.use('/api/conversations', require('./routes/conversations'));
+app.use('/api/settings', require('./routes/settings'));
+app.use('/api/security', require('./routes/security'));
+app.use('/api/instructor-applications', require('./routes/instructorApplications'));
+app.use('/api/audit', require('./routes/audit'));
 
-// Socket.io for real-time chat
-io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
-
-  socket.on('join-course', (courseId) => {
-    try {
-      socket.join(courseId);
-      console.log(`User ${socket.id} joined course ${courseId}`);
-    } catch (error) {
-      console.error('Error joining course:', error);
-      socket.emit('error', { message: 'Failed to join course' });
-    }
-  });
-
-  socket.on('send-message', (data) => {
-    try {
-      if (!data.courseId || !data.content) {
-        socket.emit('error', { message: 'Invalid message data' });
-        return;
-      }
-      socket.to(data.courseId).emit('receive-message', data);
-    } catch (error) {
-      console.error('Error sending message:', error);
-      socket.emit('error', { message: 'Failed to send message' });
-    }
-  });
-
-  socket.on('disconnect', (reason) => {
-    console.log('User disconnected:', socket.id, 'Reason:', reason);
-  });
-
-  socket.on('error', (error) => {
-    console.error('Socket error:', error);
-  });
-});
+// Let routes broadcast to socket rooms (e.g. message edits made over REST)
+app.set('io', io);
 
 // Error handling middleware
 const errorHandler = require('./middleware/errorHandler');
@@ -151,28 +141,51 @@ const connectDB = async () => {
   }
 };
 
-connectDB();
-
 const PORT = process.env.PORT || 5000;
 
+// Clear this instance's presence entries so other instances stop listing its users
+const closePresence = async () => {
+  try {
+    await app.get('presence')?.close();
+  } catch (err) {
+    console.error('Error clearing presence:', err);
+  }
+};
+
 // Graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully');
+  await closePresence();
   server.close(() => {
     console.log('Process terminated');
     process.exit(0);
   });
 });
 
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   console.log('SIGINT received, shutting down gracefully');
+  await closePresence();
   server.close(() => {
     console.log('Process terminated');
     process.exit(0);
   });
 });
 
-server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+const startServer = async () => {
+  await connectDB();
+
+  // Socket.io for real-time chat. The adapter needs the open connection when
+  // rooms and presence are shared between instances (SOCKET_ADAPTER=mongo).
+  const { presence } = initSocket(io, { presence: await configureAdapter(io) });
+  app.set('presence', presence);
+
+  server.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+    console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+  });
+};
+
+startServer().catch((err) => {
+  console.error('Server startup error:', err);
+  process.exit(1);
 });
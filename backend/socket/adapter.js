@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const { createAdapter } = require('@socket.io/mongo-adapter');
+const { createMemoryPresenceStore, createMongoPresenceStore } = require('./presence');
+
+// Broadcasts between server instances go through this capped collection; each
+// instance tails it with a change stream (MongoDB must run as a replica set)
+const ADAPTER_COLLECTION = 'socket.io-adapter-events';
+const ADAPTER_COLLECTION_SIZE = 1e6;
+
+// Picks how rooms and presence are shared, mirroring utils/storage.js:
+// SOCKET_ADAPTER=mongo fans events out across processes, anything else keeps
+// everything in this process. Call once the database connection is open.
+const configureAdapter = async (io) => {
+  if (process.env.SOCKET_ADAPTER !== 'mongo') {
+    return createMemoryPresenceStore();
+  }
+
+  const { db } = mongoose.connection;
+  try {
+    await db.createCollection(ADAPTER_COLLECTION, {
+      capped: true,
+      size: ADAPTER_COLLECTION_SIZE
+    });
+  } catch (error) {
+    // 48 = NamespaceExists: another instance created it first
+    if (error.code !== 48) throw error;
+  }
+
+  io.adapter(createAdapter(db.collection(ADAPTER_COLLECTION)));
+  console.log('Socket.io using the MongoDB adapter');
+
+  return createMongoPresenceStore();
+};
+
+module.exports = {
+  configureAdapter
+};
@@ -0,0 +1,302 @@
+const mongoose = require('mongoose');
+const socketAuth = require('../middleware/socketAuth');
+const Course = require('../models/Course');
+const Message = require('../models/Message');
+const {
+  sanitizeAttachments,
+  messageTypeFor,
+  editMessage,
+  deleteMessage,
+  userRoom,
+  conversationRoom,
+  roomForMessage,
+  getUnreadCounts,
+  markRead,
+  getReadReceipts
+} = require('../utils/chat');
+const { COURSE_POLICY_FIELDS } = require('../utils/permissions');
+const {
+  getConversationForUser,
+  sendDirectMessage,
+  broadcastConversation,
+  markConversationRead
+} = require('../utils/conversations');
+const { sessionRoom } = require('../utils/sessions');
+const { createMemoryPresenceStore, toPresenceUser } = require('./presence');
+
+// Forward at most one "is typing" per user and room in this window
+const TYPING_THROTTLE_MS = 2000;
+
+const initSocket = (io, { presence = createMemoryPresenceStore() } = {}) => {
+  io.use(socketAuth);
+
+  io.on('connection', (socket) => {
+    const { user } = socket.data;
+    const typingSentAt = new Map();
+    console.log('User connected:', socket.id, user.id);
+
+    socket.join(userRoom(user.id));
+    socket.join(sessionRoom(socket.data.sessionId));
+    getUnreadCounts(user)
+      .then(counts => socket.emit('unread-counts', counts))
+      .catch(error => console.error('Error loading unread counts:', error));
+
+    const stopTyping = (courseId) => {
+      if (!typingSentAt.has(courseId)) return;
+      typingSentAt.delete(courseId);
+      socket.to(courseId).emit('typing', { courseId, user: toPresenceUser(user), isTyping: false });
+    };
+
+    const leaveRoom = async (courseId) => {
+      stopTyping(courseId);
+      socket.leave(courseId);
+      socket.data.courses.delete(courseId);
+
+      const wasLast = await presence.remove(courseId, user.id, socket.id);
+      if (wasLast) {
+        io.to(courseId).emit('presence', { courseId, type: 'leave', user: toPresenceUser(user) });
+      }
+    };
+
+    socket.on('join-course', async (courseId) => {
+      try {
+        if (!mongoose.Types.ObjectId.isValid(courseId)) {
+          socket.emit('error', { message: 'Invalid course ID', courseId });
+          return;
+        }
+
+        const course = await Course.findById(courseId).select(COURSE_POLICY_FIELDS);
+        if (!course) {
+          socket.emit('error', { message: 'Course not found', courseId });
+          return;
+        }
+
+        if (!course.hasMember(user)) {
+          socket.emit('error', { message: 'Not authorized to join this course chat', courseId });
+          return;
+        }
+
+        socket.join(courseId);
+        socket.data.courses.add(courseId);
+
+        const isFirst = await presence.add(courseId, toPresenceUser(user), socket.id);
+        if (isFirst) {
+          socket.to(courseId).emit('presence', { courseId, type: 'join', user: toPresenceUser(user) });
+        }
+        socket.emit('presence-list', { courseId, users: await presence.list(courseId) });
+        socket.emit('read-receipts', { courseId, receipts: await getReadReceipts(courseId) });
+
+        console.log(`User ${user.id} joined course ${courseId}`);
+      } catch (error) {
+        console.error('Error joining course:', error);
+        socket.emit('error', { message: 'Failed to join course' });
+      }
+    });
+
+    socket.on('leave-course', async (courseId) => {
+      if (!socket.data.courses.has(courseId)) return;
+      try {
+        await leaveRoom(courseId);
+      } catch (error) {
+        console.error('Error leaving course:', error);
+      }
+    });
+
+    socket.on('typing', (data) => {
+      const courseId = data?.courseId;
+      if (!socket.data.courses.has(courseId)) return;
+
+      if (!data.isTyping) {
+        stopTyping(courseId);
+        return;
+      }
+
+      const now = Date.now();
+      if (now - (typingSentAt.get(courseId) || 0) < TYPING_THROTTLE_MS) return;
+
+      typingSentAt.set(courseId, now);
+      socket.to(courseId).emit('typing', { courseId, user: toPresenceUser(user), isTyping: true });
+    });
+
+    socket.on('send-message', async (data) => {
+      try {
+        const attachments = sanitizeAttachments(data?.attachments);
+        const content = typeof data?.content === 'string' ? data.content.trim() : '';
+
+        if (!data || !data.courseId || (!content && attachments.length === 0)) {
+          socket.emit('error', { message: 'Invalid message data', clientId: data?.clientId });
+          return;
+        }
+
+        if (!socket.data.courses.has(data.courseId)) {
+          socket.emit('error', { message: 'Join the course chat before sending messages', clientId: data.clientId });
+          return;
+        }
+
+        // Membership is checked again on every send: the user may have been
+        // unenrolled or removed from the staff since joining the room
+        const course = await Course.findById(data.courseId).select(COURSE_POLICY_FIELDS);
+        if (!course || !course.hasMember(user)) {
+          await leaveRoom(data.courseId);
+          socket.emit('error', { message: 'Not authorized to send messages in this course chat', clientId: data.clientId });
+          return;
+        }
+
+        // The sender is always the authenticated user, never the client payload
+        const message = await Message.create({
+          course: data.courseId,
+          sender: user._id,
+          content,
+          type: messageTypeFor(attachments),
+          attachments
+        });
+        await message.populate('sender', 'name role avatar');
+
+        stopTyping(data.courseId);
+
+        // Echo to the whole room, sender included, so the optimistic copy can be reconciled
+        io.to(data.courseId).emit('receive-message', {
+          ...message.toPayload(),
+          clientId: data.clientId
+        });
+
+        // Bump unread badges for every other member, wherever they are in the app
+        const memberRooms = [course.instructor, ...course.staff.map(member => member.user), ...course.students]
+          .filter(memberId => memberId && memberId.toString() !== user.id)
+          .map(memberId => userRoom(memberId));
+        if (memberRooms.length > 0) {
+          io.to(memberRooms).emit('unread-increment', { courseId: data.courseId, messageId: message._id });
+        }
+      } catch (error) {
+        console.error('Error sending message:', error);
+        socket.emit('error', { message: 'Failed to send message', clientId: data?.clientId });
+      }
+    });
+
+    socket.on('mark-read', async (data) => {
+      try {
+        // The join may still be in flight, so fall back to a membership lookup
+        if (!socket.data.courses.has(data?.courseId)) {
+          if (!mongoose.Types.ObjectId.isValid(data?.courseId)) return;
+          const course = await Course.findById(data.courseId).select(COURSE_POLICY_FIELDS);
+          if (!course || !course.hasMember(user)) return;
+        }
+
+        const { lastReadMessage, count } = await markRead({
+          courseId: data.courseId,
+          user,
+          messageId: data.messageId
+        });
+
+        io.to(userRoom(user.id)).emit('unread-count', { courseId: data.courseId, count });
+        socket.to(data.courseId).emit('read-receipt', {
+          courseId: data.courseId,
+          user: toPresenceUser(user),
+          lastReadMessage
+        });
+      } catch (error) {
+        if (!error.statusCode) console.error('Error marking messages read:', error);
+      }
+    });
+
+    socket.on('join-conversation', async (conversationId) => {
+      try {
+        await getConversationForUser(conversationId, user);
+        socket.join(conversationRoom(conversationId));
+      } catch (error) {
+        if (!error.statusCode) console.error('Error joining conversation:', error);
+        socket.emit('error', {
+          message: error.statusCode ? error.message : 'Failed to open conversation',
+          conversationId
+        });
+      }
+    });
+
+    socket.on('leave-conversation', (conversationId) => {
+      socket.leave(conversationRoom(conversationId));
+    });
+
+    socket.on('send-direct-message', async (data) => {
+      try {
+        const { message, conversation } = await sendDirectMessage({
+          conversationId: data?.conversationId,
+          user,
+          content: data?.content,
+          attachments: data?.attachments
+        });
+
+        io.to(conversationRoom(conversation.id)).emit('receive-direct-message', {
+          ...message,
+          clientId: data.clientId
+        });
+        await broadcastConversation(io, conversation);
+      } catch (error) {
+        if (!error.statusCode) console.error('Error sending direct message:', error);
+        socket.emit('error', {
+          message: error.statusCode ? error.message : 'Failed to send message',
+          clientId: data?.clientId
+        });
+      }
+    });
+
+    socket.on('mark-conversation-read', async (data) => {
+      try {
+        const conversation = await markConversationRead({
+          conversationId: data?.conversationId,
+          user,
+          messageId: data?.messageId
+        });
+        await broadcastConversation(io, conversation);
+      } catch (error) {
+        if (!error.statusCode) console.error('Error marking conversation read:', error);
+      }
+    });
+
+    socket.on('edit-message', async (data) => {
+      try {
+        const message = await editMessage({
+          messageId: data?.messageId,
+          user,
+          content: data?.content
+        });
+        io.to(roomForMessage(message)).emit('message-updated', message);
+      } catch (error) {
+        if (!error.statusCode) console.error('Error editing message:', error);
+        socket.emit('error', {
+          message: error.statusCode ? error.message : 'Failed to edit message',
+          messageId: data?.messageId
+        });
+      }
+    });
+
+    socket.on('delete-message', async (data) => {
+      try {
+        const message = await deleteMessage({ messageId: data?.messageId, user });
+        io.to(roomForMessage(message)).emit('message-updated', message);
+      } catch (error) {
+        if (!error.statusCode) console.error('Error deleting message:', error);
+        socket.emit('error', {
+          message: error.statusCode ? error.message : 'Failed to remove message',
+          messageId: data?.messageId
+        });
+      }
+    });
+
+    socket.on('disconnect', async (reason) => {
+      console.log('User disconnected:', socket.id, 'Reason:', reason);
+      try {
+        await Promise.all(Array.from(socket.data.courses).map(leaveRoom));
+      } catch (error) {
+        console.error('Error clearing presence:', error);
+      }
+    });
+
+    socket.on('error', (error) => {
+      console.error('Socket error:', error);
+    });
+  });
+
+  return { presence };
+};
+
+module.exports = initSocket;
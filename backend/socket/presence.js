@@ -0,0 +1,109 @@
+// Tracks which authenticated users are connected to each course room.
+// A user may have several sockets (tabs/devices) in the same room, so we
+// count sockets per user and only report join/leave on the first/last one.
+// Methods are async so a shared (multi-process) store can implement the same interface.
+
+const crypto = require('crypto');
+const Presence = require('../models/Presence');
+
+// How often an instance marks its sockets as still connected (see models/Presence.js)
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+const createMemoryPresenceStore = () => {
+  // courseId -> Map(userId -> { user, sockets: Set(socketId) })
+  const rooms = new Map();
+
+  return {
+    // Resolves true when this is the user's first socket in the room
+    add: async (courseId, user, socketId) => {
+      if (!rooms.has(courseId)) rooms.set(courseId, new Map());
+      const room = rooms.get(courseId);
+
+      const entry = room.get(user.id) || { user, sockets: new Set() };
+      const isFirst = entry.sockets.size === 0;
+      entry.sockets.add(socketId);
+      room.set(user.id, entry);
+
+      return isFirst;
+    },
+
+    // Resolves true when the user's last socket left the room
+    remove: async (courseId, userId, socketId) => {
+      const room = rooms.get(courseId);
+      const entry = room && room.get(userId);
+      if (!entry) return false;
+
+      entry.sockets.delete(socketId);
+      if (entry.sockets.size > 0) return false;
+
+      room.delete(userId);
+      if (room.size === 0) rooms.delete(courseId);
+      return true;
+    },
+
+    list: async (courseId) => {
+      const room = rooms.get(courseId);
+      if (!room) return [];
+      return Array.from(room.values()).map(entry => entry.user);
+    },
+
+    close: async () => {
+      rooms.clear();
+    }
+  };
+};
+
+// Presence shared through MongoDB, for running several server instances
+const createMongoPresenceStore = ({ instanceId = crypto.randomUUID() } = {}) => {
+  const heartbeat = setInterval(() => {
+    Presence.updateMany({ instance: instanceId }, { seenAt: new Date() })
+      .catch(error => console.error('Presence heartbeat error:', error));
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+
+  const countSockets = (courseId, userId) => Presence.countDocuments({ course: courseId, 'user.id': userId });
+
+  return {
+    add: async (courseId, user, socketId) => {
+      await Presence.updateOne(
+        { course: courseId, socketId },
+        { user, instance: instanceId, seenAt: new Date() },
+        { upsert: true }
+      );
+      return (await countSockets(courseId, user.id)) === 1;
+    },
+
+    remove: async (courseId, userId, socketId) => {
+      const { deletedCount } = await Presence.deleteOne({ course: courseId, socketId });
+      if (deletedCount === 0) return false;
+      return (await countSockets(courseId, userId)) === 0;
+    },
+
+    list: async (courseId) => {
+      const entries = await Presence.find({ course: courseId }).select('user').lean();
+      const users = new Map();
+      entries.forEach(entry => users.set(entry.user.id, entry.user));
+      return Array.from(users.values());
+    },
+
+    // Drop this instance's sockets on shutdown rather than waiting for them to expire
+    close: async () => {
+      clearInterval(heartbeat);
+      await Presence.deleteMany({ instance: instanceId });
+    }
+  };
+};
+
+// Public identity shared with other room members
+const toPresenceUser = (user) => ({
+  id: user.id,
+  name: user.name,
+  role: user.role,
+  avatar: user.avatar
+});
+
+module.exports = {
+  createMemoryPresenceStore,
+  createMongoPresenceStore,
+  toPresenceUser
+};
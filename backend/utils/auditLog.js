@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+// Most entries one export returns
+const EXPORT_LIMIT = 10000;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Field-by-field changes between two snapshots of a record, e.g.
+// diffFields({ marks: 60 }, { marks: 75 }) -> [{ field: 'marks', before: 60, after: 75 }]
+const diffFields = (before = {}, after = {}, fields = Object.keys({ ...before, ...after })) => fields
+  .filter(field => !sameValue(before?.[field], after?.[field]))
+  .map(field => ({ field, before: before?.[field] ?? null, after: after?.[field] ?? null }));
+
+// Records who did what from the request that did it. As with security events,
+// a logging failure is reported to the console and never fails the request.
+const recordAudit = async (req, action, { target, course = null, changes = [] }) => {
+  try {
+    await AuditLog.create({
+      actor: req.user._id,
+      actorName: req.user.name,
+      actorEmail: req.user.email,
+      actorRole: req.user.role,
+      action,
+      target,
+      course: course?._id || course,
+      changes,
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
+
+// Mongo query for the filters the admin endpoints accept
+const auditQuery = ({ action, actor, targetType, targetId, from, to }) => {
+  const query = {};
+
+  if (action) query.action = String(action);
+  if (actor) query.actorEmail = { $regex: escapeRegex(String(actor)), $options: 'i' };
+  if (targetType) query['target.type'] = String(targetType);
+  if (targetId && mongoose.Types.ObjectId.isValid(targetId)) query['target.id'] = targetId;
+
+  const range = {};
+  if (from && !isNaN(Date.parse(from))) range.$gte = new Date(from);
+  if (to && !isNaN(Date.parse(to))) range.$lte = new Date(to);
+  if (Object.keys(range).length > 0) query.createdAt = range;
+
+  return query;
+};
+
+const listAuditLog = async (filters, { page = 1, limit = 25 } = {}) => {
+  const query = auditQuery(filters);
+  const pageSize = Math.min(parseInt(limit) || 25, 100);
+  const pageNum = Math.max(1, parseInt(page) || 1);
+
+  const [entries, total] = await Promise.all([
+    AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .limit(pageSize)
+      .skip((pageNum - 1) * pageSize),
+    AuditLog.countDocuments(query)
+  ]);
+
+  return {
+    entries,
+    actions: AuditLog.ACTIONS,
+    targetTypes: AuditLog.TARGET_TYPES,
+    totalPages: Math.ceil(total / pageSize),
+    currentPage: pageNum,
+    total
+  };
+};
+
+const exportAuditLog = (filters) => AuditLog.find(auditQuery(filters))
+  .sort({ createdAt: -1 })
+  .limit(EXPORT_LIMIT)
+  .lean();
+
+// Quotes where needed, and defuses values a spreadsheet would run as a formula
+const csvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const CSV_COLUMNS = [
+  ['time', entry => entry.createdAt.toISOString()],
+  ['actor', entry => entry.actorEmail],
+  ['actorRole', entry => entry.actorRole],
+  ['action', entry => entry.action],
+  ['targetType', entry => entry.target?.type],
+  ['targetId', entry => entry.target?.id],
+  ['target', entry => entry.target?.label],
+  ['changes', entry => (entry.changes || [])
+    .map(({ field, before, after }) => `${field}: ${JSON.stringify(before)} -> ${JSON.stringify(after)}`)
+    .join('; ')],
+  ['ip', entry => entry.ip]
+];
+
+const toCsv = (entries) => [
+  CSV_COLUMNS.map(([name]) => name).join(','),
+  ...entries.map(entry => CSV_COLUMNS.map(([, value]) => csvCell(value(entry))).join(','))
+].join('\n');
+
+module.exports = {
+  diffFields,
+  recordAudit,
+  listAuditLog,
+  exportAuditLog,
+  toCsv
+};
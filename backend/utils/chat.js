@@ -0,0 +1,214 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Course = require('../models/Course');
+const ReadMarker = require('../models/ReadMarker');
+const { getStorage, SUPPORTED_MIME_TYPES } = require('./storage');
+const { COURSE_POLICY_FIELDS, can } = require('./permissions');
+
+// Shared by the socket handlers and routes/messages.js so both paths apply
+// the same rules. Failures throw an Error carrying an HTTP-style statusCode.
+
+const chatError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Every socket also joins a personal room so per-user updates (unread counts)
+// reach all of a user's tabs and devices
+const userRoom = (userId) => `user:${userId}`;
+const conversationRoom = (conversationId) => `conversation:${conversationId}`;
+
+// Socket room a message payload belongs to: its conversation, or else its course
+const roomForMessage = (payload) => (
+  payload.conversationId
+    ? conversationRoom(payload.conversationId)
+    : payload.courseId.toString()
+);
+
+const ATTACHMENT_LIMITS = {
+  maxFileSize: 10 * 1024 * 1024, // 10MB per file
+  maxFiles: 5,
+  mimeTypes: SUPPORTED_MIME_TYPES
+};
+
+// Attachments arrive in the socket payload, so only keep well-formed entries
+// that point at files our own storage produced via POST /api/messages/attachments
+const sanitizeAttachments = (attachments) => {
+  if (!Array.isArray(attachments)) return [];
+
+  const storage = getStorage();
+  return attachments
+    .filter(item => item
+      && storage.isStoredUrl(item.url)
+      && ATTACHMENT_LIMITS.mimeTypes.includes(item.type))
+    .slice(0, ATTACHMENT_LIMITS.maxFiles)
+    .map(item => ({
+      name: String(item.name || 'attachment').slice(0, 255),
+      url: item.url,
+      type: item.type,
+      size: Number(item.size) || 0,
+      thumbnailUrl: storage.isStoredUrl(item.thumbnailUrl) ? item.thumbnailUrl : undefined
+    }));
+};
+
+const messageTypeFor = (attachments) => {
+  if (attachments.length === 0) return 'text';
+  return attachments.every(item => item.type.startsWith('image/')) ? 'image' : 'file';
+};
+
+const findMessageWithCourse = async (messageId) => {
+  if (!mongoose.Types.ObjectId.isValid(messageId)) {
+    throw chatError('Invalid message ID', 400);
+  }
+
+  const message = await Message.findById(messageId).populate('course', COURSE_POLICY_FIELDS);
+  if (!message || !message.course) {
+    throw chatError('Message not found', 404);
+  }
+
+  return message;
+};
+
+// Sends the populated, client-facing shape back to callers
+const toPopulatedPayload = async (message) => {
+  await message.populate('sender', 'name role avatar');
+  return message.toPayload();
+};
+
+const editMessage = async ({ messageId, user, content }) => {
+  const text = typeof content === 'string' ? content.trim() : '';
+  if (!text) {
+    throw chatError('Message content is required', 400);
+  }
+
+  const message = await findMessageWithCourse(messageId);
+
+  if (message.isDeleted) {
+    throw chatError('Message has been removed', 400);
+  }
+
+  if (message.sender.toString() !== user.id || !message.course.hasMember(user)) {
+    throw chatError('Not authorized to edit this message', 403);
+  }
+
+  message.content = text;
+  message.isEdited = true;
+  message.editedAt = new Date();
+  await message.save();
+
+  return toPopulatedPayload(message);
+};
+
+// Senders can remove their own messages; course staff and admins can remove any
+// course chat message
+const deleteMessage = async ({ messageId, user }) => {
+  const message = await findMessageWithCourse(messageId);
+
+  if (message.isDeleted) {
+    throw chatError('Message has already been removed', 400);
+  }
+
+  const isSender = message.sender.toString() === user.id && message.course.hasMember(user);
+  // Course staff moderate the public course room, not private conversations
+  const isModerator = message.conversation
+    ? can(user, 'conversation.moderate')
+    : can(user, 'chat.moderate', message.course);
+
+  if (!isSender && !isModerator) {
+    throw chatError('Not authorized to remove this message', 403);
+  }
+
+  message.isDeleted = true;
+  message.deletedAt = new Date();
+  message.deletedBy = user._id;
+  await message.save();
+
+  return toPopulatedPayload(message);
+};
+
+const countUnread = (courseId, user, marker) => Message.countDocuments({
+  course: courseId,
+  conversation: null,
+  sender: { $ne: user._id },
+  isDeleted: false,
+  ...(marker && { _id: { $gt: marker.lastReadMessage } })
+});
+
+// Unread counts for every course the user belongs to, computed from persisted messages
+const getUnreadCounts = async (user) => {
+  const courses = await Course.find({
+    $or: [{ students: user._id }, { instructor: user._id }, { 'staff.user': user._id }]
+  }).select('title');
+
+  const markers = await ReadMarker.find({
+    user: user._id,
+    course: { $in: courses.map(course => course._id) }
+  });
+  const markerByCourse = new Map(markers.map(marker => [marker.course.toString(), marker]));
+
+  return Promise.all(courses.map(async (course) => ({
+    courseId: course._id,
+    title: course.title,
+    count: await countUnread(course._id, user, markerByCourse.get(course._id.toString()))
+  })));
+};
+
+// Moves the user's read marker forward (never backwards) and returns the new unread count
+const markRead = async ({ courseId, user, messageId }) => {
+  if (!mongoose.Types.ObjectId.isValid(courseId) || !mongoose.Types.ObjectId.isValid(messageId)) {
+    throw chatError('Invalid course or message ID', 400);
+  }
+
+  const message = await Message.findOne({ _id: messageId, course: courseId, conversation: null }).select('_id');
+  if (!message) {
+    throw chatError('Message not found', 404);
+  }
+
+  let marker = await ReadMarker.findOne({ user: user._id, course: courseId });
+  if (!marker) {
+    marker = new ReadMarker({ user: user._id, course: courseId, lastReadMessage: message._id });
+  } else if (marker.lastReadMessage.toString() < message._id.toString()) {
+    marker.lastReadMessage = message._id;
+  }
+  marker.lastReadAt = new Date();
+  await marker.save();
+
+  return {
+    lastReadMessage: marker.lastReadMessage,
+    count: await countUnread(courseId, user, marker)
+  };
+};
+
+// Latest read position of every member in the course, for "seen by" receipts
+const getReadReceipts = async (courseId) => {
+  const markers = await ReadMarker.find({ course: courseId })
+    .populate('user', 'name role avatar');
+
+  return markers
+    .filter(marker => marker.user)
+    .map(marker => ({
+      user: {
+        id: marker.user._id,
+        name: marker.user.name,
+        role: marker.user.role,
+        avatar: marker.user.avatar
+      },
+      lastReadMessage: marker.lastReadMessage,
+      lastReadAt: marker.lastReadAt
+    }));
+};
+
+module.exports = {
+  userRoom,
+  conversationRoom,
+  roomForMessage,
+  getUnreadCounts,
+  markRead,
+  getReadReceipts,
+  ATTACHMENT_LIMITS,
+  sanitizeAttachments,
+  messageTypeFor,
+  editMessage,
+  deleteMessage
+};
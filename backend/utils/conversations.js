@@ -0,0 +1,208 @@
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const Course = require('../models/Course');
+const Message = require('../models/Message');
+const { userRoom, sanitizeAttachments, messageTypeFor } = require('./chat');
+const { STAFF_ROLES, COURSE_POLICY_FIELDS, courseRoleOf, can } = require('./permissions');
+
+// Private student/staff conversations. Like utils/chat.js, failures throw
+// an Error carrying an HTTP-style statusCode.
+
+const conversationError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const PARTICIPANT_FIELDS = 'name role avatar';
+
+// Loads a conversation the user takes part in
+const getConversationForUser = async (conversationId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(conversationId)) {
+    throw conversationError('Invalid conversation ID', 400);
+  }
+
+  const conversation = await Conversation.findById(conversationId);
+  if (!conversation) {
+    throw conversationError('Conversation not found', 404);
+  }
+
+  if (!conversation.hasParticipant(user)) {
+    throw conversationError('Not authorized to view this conversation', 403);
+  }
+
+  return conversation;
+};
+
+// Students open a thread with a member of the teaching staff (the owner unless
+// `participantId` names another); staff open one with an enrolled student
+const startConversation = async ({ courseId, user, participantId }) => {
+  if (!mongoose.Types.ObjectId.isValid(courseId)) {
+    throw conversationError('Invalid course ID', 400);
+  }
+
+  const course = await Course.findById(courseId).select(`title ${COURSE_POLICY_FIELDS}`);
+  if (!course) {
+    throw conversationError('Course not found', 404);
+  }
+
+  let student;
+  let instructor;
+
+  if (can(user, 'student.message', course)) {
+    if (!participantId || courseRoleOf(course, participantId) !== 'student') {
+      throw conversationError('You can only message students enrolled in this course', 400);
+    }
+    student = participantId;
+    instructor = user._id;
+  } else if (courseRoleOf(course, user) === 'student') {
+    const staffMember = participantId || course.instructor;
+    if (!staffMember) {
+      throw conversationError('This course has no instructor to message', 400);
+    }
+    if (!['owner', ...STAFF_ROLES].includes(courseRoleOf(course, staffMember))) {
+      throw conversationError('You can only message the teaching staff of this course', 400);
+    }
+    student = user._id;
+    instructor = staffMember;
+  } else {
+    throw conversationError('Not authorized to message in this course', 403);
+  }
+
+  const filter = { course: course._id, student, instructor };
+  try {
+    return await Conversation.findOneAndUpdate(
+      filter,
+      { $setOnInsert: filter },
+      { new: true, upsert: true }
+    );
+  } catch (error) {
+    // Two concurrent upserts can race on the unique index; the loser just reads
+    if (error.code === 11000) return Conversation.findOne(filter);
+    throw error;
+  }
+};
+
+const readMarkerFor = (conversation, user) => {
+  const entry = conversation.readState.find(state => state.user.toString() === user.id);
+  return entry ? entry.lastReadMessage : null;
+};
+
+const countUnread = (conversation, user) => {
+  const lastRead = readMarkerFor(conversation, user);
+  return Message.countDocuments({
+    conversation: conversation._id,
+    sender: { $ne: user._id },
+    isDeleted: false,
+    ...(lastRead && { _id: { $gt: lastRead } })
+  });
+};
+
+// Inbox entry as seen by `user`
+const summarizeConversation = async (conversation, user) => {
+  await conversation.populate([
+    { path: 'course', select: 'title' },
+    { path: 'student', select: PARTICIPANT_FIELDS },
+    { path: 'instructor', select: PARTICIPANT_FIELDS }
+  ]);
+
+  const other = conversation.otherParticipant(user);
+
+  return {
+    id: conversation._id,
+    course: conversation.course
+      ? { id: conversation.course._id, title: conversation.course.title }
+      : null,
+    participant: other
+      ? { id: other._id, name: other.name, role: other.role, avatar: other.avatar }
+      : null,
+    lastMessage: conversation.lastMessage?.sentAt ? conversation.lastMessage : null,
+    lastMessageAt: conversation.lastMessageAt,
+    unreadCount: await countUnread(conversation, user)
+  };
+};
+
+// Pushes each participant their own view of the thread (unread counts differ per side)
+const broadcastConversation = async (io, conversation) => {
+  await conversation.populate([
+    { path: 'student', select: PARTICIPANT_FIELDS },
+    { path: 'instructor', select: PARTICIPANT_FIELDS }
+  ]);
+
+  await Promise.all([conversation.student, conversation.instructor].map(async (participant) => {
+    if (!participant) return;
+    const summary = await summarizeConversation(conversation, participant);
+    io.to(userRoom(participant.id)).emit('conversation-updated', summary);
+  }));
+};
+
+const listConversations = async (user) => {
+  const conversations = await Conversation.find({
+    $or: [{ student: user._id }, { instructor: user._id }]
+  }).sort({ lastMessageAt: -1 });
+
+  return Promise.all(conversations.map(conversation => summarizeConversation(conversation, user)));
+};
+
+const sendDirectMessage = async ({ conversationId, user, content, attachments }) => {
+  const conversation = await getConversationForUser(conversationId, user);
+
+  const cleanAttachments = sanitizeAttachments(attachments);
+  const text = typeof content === 'string' ? content.trim() : '';
+  if (!text && cleanAttachments.length === 0) {
+    throw conversationError('Message content is required', 400);
+  }
+
+  const message = await Message.create({
+    course: conversation.course,
+    conversation: conversation._id,
+    sender: user._id,
+    content: text,
+    type: messageTypeFor(cleanAttachments),
+    attachments: cleanAttachments
+  });
+  await message.populate('sender', PARTICIPANT_FIELDS);
+
+  conversation.lastMessage = {
+    content: text || 'Sent an attachment',
+    sender: user._id,
+    sentAt: message.createdAt
+  };
+  conversation.lastMessageAt = message.createdAt;
+  await conversation.save();
+
+  return { message: message.toPayload(), conversation };
+};
+
+// Moves the user's read position forward (never backwards)
+const markConversationRead = async ({ conversationId, user, messageId }) => {
+  const conversation = await getConversationForUser(conversationId, user);
+
+  if (!mongoose.Types.ObjectId.isValid(messageId)) {
+    throw conversationError('Invalid message ID', 400);
+  }
+  const message = await Message.findOne({ _id: messageId, conversation: conversation._id }).select('_id');
+  if (!message) {
+    throw conversationError('Message not found', 404);
+  }
+
+  const entry = conversation.readState.find(state => state.user.toString() === user.id);
+  if (!entry) {
+    conversation.readState.push({ user: user._id, lastReadMessage: message._id });
+  } else if (entry.lastReadMessage.toString() < message._id.toString()) {
+    entry.lastReadMessage = message._id;
+  }
+  await conversation.save();
+
+  return conversation;
+};
+
+module.exports = {
+  getConversationForUser,
+  startConversation,
+  summarizeConversation,
+  broadcastConversation,
+  listConversations,
+  sendDirectMessage,
+  markConversationRead
+};
@@ -0,0 +1,251 @@
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const CourseInvite = require('../models/CourseInvite');
+const User = require('../models/User');
+const { sendCourseInviteEmail } = require('./emails');
+const { courseRoleOf, can } = require('./permissions');
+
+// Course teaching staff: owners invite co-instructors and TAs, who join once
+// they accept. Like utils/chat.js, failures throw an Error carrying an
+// HTTP-style statusCode.
+
+const staffError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const MEMBER_FIELDS = 'name email avatar';
+
+const idOf = (ref) => String(ref?._id || ref);
+
+const getCourse = async (courseId) => {
+  if (!mongoose.Types.ObjectId.isValid(courseId)) {
+    throw staffError('Invalid course ID', 400);
+  }
+
+  const course = await Course.findById(courseId);
+  if (!course) {
+    throw staffError('Course not found', 404);
+  }
+  return course;
+};
+
+const requireStaffManager = (course, user) => {
+  if (!can(user, 'course.manageStaff', course)) {
+    throw staffError('Not authorized to manage staff for this course', 403);
+  }
+};
+
+// Co-instructors edit the course, so only accounts already trusted to teach may
+// be one. Anyone can be a TA.
+const CO_INSTRUCTOR_PLATFORM_ROLES = ['instructor', 'admin'];
+
+const requireEligible = (account, role) => {
+  if (role === 'co-instructor' && !CO_INSTRUCTOR_PLATFORM_ROLES.includes(account.role)) {
+    throw staffError(`${account.name} needs an instructor account to be a co-instructor`, 400);
+  }
+};
+
+const toInvitePayload = (invite) => ({
+  id: invite._id,
+  role: invite.role,
+  status: invite.status,
+  createdAt: invite.createdAt,
+  user: invite.user?.name
+    ? { id: invite.user._id, name: invite.user.name, email: invite.user.email, avatar: invite.user.avatar }
+    : invite.user,
+  invitedBy: invite.invitedBy?.name
+    ? { id: invite.invitedBy._id, name: invite.invitedBy.name }
+    : invite.invitedBy,
+  course: invite.course?.title
+    ? { id: invite.course._id, title: invite.course.title }
+    : invite.course
+});
+
+// Owner and staff of a course; pending invites only for those who manage staff
+const listStaff = async ({ courseId, user }) => {
+  const course = await getCourse(courseId);
+  if (!can(user, 'course.view', course)) {
+    throw staffError('Not authorized to view this course', 403);
+  }
+
+  await course.populate([
+    { path: 'instructor', select: MEMBER_FIELDS },
+    { path: 'staff.user', select: MEMBER_FIELDS }
+  ]);
+
+  const staff = course.staff
+    .filter(member => member.user)
+    .map(member => ({
+      id: member.user._id,
+      name: member.user.name,
+      email: member.user.email,
+      avatar: member.user.avatar,
+      role: member.role
+    }));
+
+  let invites = [];
+  if (can(user, 'course.manageStaff', course)) {
+    const pending = await CourseInvite.find({ course: course._id, status: 'pending' })
+      .populate('user', MEMBER_FIELDS)
+      .populate('invitedBy', 'name')
+      .sort({ createdAt: -1 });
+    invites = pending.map(toInvitePayload);
+  }
+
+  return {
+    owner: course.instructor
+      ? { id: course.instructor._id, name: course.instructor.name, email: course.instructor.email, avatar: course.instructor.avatar }
+      : null,
+    staff,
+    invites
+  };
+};
+
+// Invite an existing account to the course staff and email them about it
+const inviteStaff = async ({ courseId, email, role, user }) => {
+  const course = await getCourse(courseId);
+  requireStaffManager(course, user);
+
+  const invitee = await User.findOne({ email: String(email).toLowerCase().trim() });
+  if (!invitee || !invitee.isActive) {
+    throw staffError('No active account uses that email address', 404);
+  }
+
+  const currentRole = courseRoleOf(course, invitee);
+  if (currentRole === 'student') {
+    throw staffError(`${invitee.name} is enrolled in this course as a student`, 400);
+  }
+  if (currentRole) {
+    throw staffError(`${invitee.name} is already on the course staff`, 400);
+  }
+  requireEligible(invitee, role);
+
+  let invite;
+  try {
+    invite = await CourseInvite.create({
+      course: course._id,
+      user: invitee._id,
+      role,
+      invitedBy: user._id
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw staffError(`${invitee.name} already has a pending invitation`, 400);
+    }
+    throw error;
+  }
+
+  // The invitation is also listed on the invitee's dashboard, so a mail failure is not fatal
+  try {
+    await sendCourseInviteEmail(invitee, { course, role, inviter: user });
+  } catch (error) {
+    console.error('Course invite email error:', error);
+  }
+
+  await invite.populate([
+    { path: 'user', select: MEMBER_FIELDS },
+    { path: 'invitedBy', select: 'name' }
+  ]);
+  return toInvitePayload(invite);
+};
+
+const revokeInvite = async ({ courseId, inviteId, user }) => {
+  const course = await getCourse(courseId);
+  requireStaffManager(course, user);
+
+  const invite = mongoose.Types.ObjectId.isValid(inviteId)
+    && await CourseInvite.findOne({ _id: inviteId, course: course._id, status: 'pending' });
+  if (!invite) {
+    throw staffError('Invitation not found', 404);
+  }
+
+  invite.status = 'revoked';
+  invite.respondedAt = new Date();
+  await invite.save();
+};
+
+// Pending invitations addressed to the user
+const listInvitesFor = async (user) => {
+  const invites = await CourseInvite.find({ user: user._id, status: 'pending' })
+    .populate('course', 'title')
+    .populate('invitedBy', 'name')
+    .sort({ createdAt: -1 });
+
+  // Invitations to courses deleted since are dropped
+  return invites.filter(invite => invite.course).map(toInvitePayload);
+};
+
+const respondToInvite = async ({ inviteId, user, accept }) => {
+  const invite = mongoose.Types.ObjectId.isValid(inviteId)
+    && await CourseInvite.findOne({ _id: inviteId, user: user._id, status: 'pending' });
+  if (!invite) {
+    throw staffError('Invitation not found', 404);
+  }
+
+  if (accept) {
+    const course = await getCourse(invite.course);
+    if (courseRoleOf(course, user) === 'student') {
+      throw staffError('You are enrolled in this course as a student', 400);
+    }
+    requireEligible(user, invite.role);
+
+    await Course.updateOne(
+      { _id: course._id, instructor: { $ne: user._id }, 'staff.user': { $ne: user._id } },
+      { $push: { staff: { user: user._id, role: invite.role } } }
+    );
+  }
+
+  invite.status = accept ? 'accepted' : 'declined';
+  invite.respondedAt = new Date();
+  await invite.save();
+
+  await invite.populate('course', 'title');
+  return toInvitePayload(invite);
+};
+
+const changeStaffRole = async ({ courseId, userId, role, user }) => {
+  const course = await getCourse(courseId);
+  requireStaffManager(course, user);
+
+  const member = course.staff.find(entry => idOf(entry.user) === String(userId));
+  if (!member) {
+    throw staffError('Staff member not found', 404);
+  }
+
+  const account = await User.findById(member.user).select('name role');
+  if (account) requireEligible(account, role);
+
+  const previousRole = member.role;
+  member.role = role;
+  await course.save();
+  return { member: { id: member.user, role: member.role }, previousRole, course };
+};
+
+// Owners remove staff; staff members can also leave on their own
+const removeStaff = async ({ courseId, userId, user }) => {
+  const course = await getCourse(courseId);
+  if (String(userId) !== user.id) {
+    requireStaffManager(course, user);
+  }
+
+  const member = course.staff.find(entry => idOf(entry.user) === String(userId));
+  if (!member) {
+    throw staffError('Staff member not found', 404);
+  }
+
+  course.staff.pull(member._id);
+  await course.save();
+  return { member: { id: member.user, role: member.role }, course };
+};
+
+module.exports = {
+  listStaff,
+  inviteStaff,
+  revokeInvite,
+  listInvitesFor,
+  respondToInvite,
+  changeStaffRole,
+  removeStaff
+};
@@ -0,0 +1,233 @@
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const Lecture = require('../models/Lecture');
+const Assignment = require('../models/Assignment');
+const Quiz = require('../models/Quiz');
+const { can } = require('./permissions');
+
+// Course curriculum: ordered sections (modules) of lectures, assignments and quizzes.
+// Items that are in no section, such as those of courses made before sections
+// existed, are listed after the sections. Like utils/courseStaff.js, failures
+// throw an Error carrying an HTTP-style statusCode.
+
+const curriculumError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const idOf = (ref) => String(ref?._id || ref);
+
+const itemKey = (kind, id) => `${kind}:${idOf(id)}`;
+
+const getCourse = async (courseId) => {
+  if (!mongoose.Types.ObjectId.isValid(courseId)) {
+    throw curriculumError('Invalid course ID', 400);
+  }
+
+  const course = await Course.findById(courseId);
+  if (!course) {
+    throw curriculumError('Course not found', 404);
+  }
+  return course;
+};
+
+const requireEditor = (course, user) => {
+  if (!can(user, 'course.edit', course)) {
+    throw curriculumError('Not authorized to edit this course', 403);
+  }
+};
+
+const getSection = (course, sectionId) => {
+  const section = mongoose.Types.ObjectId.isValid(sectionId) && course.sections.id(sectionId);
+  if (!section) {
+    throw curriculumError('Section not found', 404);
+  }
+  return section;
+};
+
+// The course's lectures, assignments and quizzes by kind, in their unsectioned order
+const loadItems = async (course) => {
+  const [lectures, assignments, quizzes] = await Promise.all([
+    Lecture.find({ course: course._id })
+      .select('title duration order isPreview release createdAt')
+      .sort({ order: 1, createdAt: 1 }),
+    Assignment.find({ course: course._id })
+      .select('title dueDate maxMarks createdAt')
+      .sort({ createdAt: 1 }),
+    Quiz.find({ course: course._id })
+      .select('title dueDate maxMarks timeLimit createdAt')
+      .sort({ createdAt: 1 })
+  ]);
+  return { Lecture: lectures, Assignment: assignments, Quiz: quizzes };
+};
+
+// No video URLs or questions: the syllabus is public
+const toItemPayload = (kind, doc) => {
+  if (kind === 'Lecture') {
+    return { kind, id: doc._id, title: doc.title, duration: doc.duration || 0, isPreview: doc.isPreview, release: doc.release };
+  }
+  if (kind === 'Quiz') {
+    return { kind, id: doc._id, title: doc.title, dueDate: doc.dueDate, maxMarks: doc.maxMarks, timeLimit: doc.timeLimit };
+  }
+  return { kind, id: doc._id, title: doc.title, dueDate: doc.dueDate, maxMarks: doc.maxMarks };
+};
+
+const totals = (items) => ({
+  duration: Math.round(items.reduce((sum, item) => sum + (item.duration || 0), 0)),
+  lectureCount: items.filter(item => item.kind === 'Lecture').length,
+  assignmentCount: items.filter(item => item.kind === 'Assignment').length,
+  quizCount: items.filter(item => item.kind === 'Quiz').length
+});
+
+// Sections with their items in order, then the items no section holds. Entries
+// whose lecture, assignment or quiz is gone are skipped, as are repeats.
+const buildCurriculum = (course, items) => {
+  const docs = new Map(Course.SECTION_ITEM_KINDS.flatMap(kind => (
+    items[kind].map(doc => [itemKey(kind, doc._id), doc])
+  )));
+  const placed = new Set();
+
+  const sections = course.sections.map(section => {
+    const entries = section.items
+      .filter(entry => {
+        const key = itemKey(entry.kind, entry.item);
+        if (!docs.has(key) || placed.has(key)) return false;
+        placed.add(key);
+        return true;
+      })
+      .map(entry => toItemPayload(entry.kind, docs.get(itemKey(entry.kind, entry.item))));
+
+    return { id: section._id, title: section.title, release: section.release, items: entries, ...totals(entries) };
+  });
+
+  const unsectioned = Course.SECTION_ITEM_KINDS.flatMap(kind => items[kind]
+    .filter(doc => !placed.has(itemKey(kind, doc._id)))
+    .map(doc => toItemPayload(kind, doc)));
+
+  return {
+    sections,
+    unsectioned,
+    ...totals([...sections.flatMap(section => section.items), ...unsectioned])
+  };
+};
+
+const describeCurriculum = async (course) => buildCurriculum(course, await loadItems(course));
+
+// Numbers the lectures in syllabus order, so everything that sorts lectures by
+// `order` (the player's playlist, progress) follows the curriculum
+const syncLectureOrder = async (course) => {
+  const { sections, unsectioned } = await describeCurriculum(course);
+  const lectures = [...sections.flatMap(section => section.items), ...unsectioned]
+    .filter(item => item.kind === 'Lecture');
+
+  if (lectures.length === 0) return;
+
+  await Lecture.bulkWrite(lectures.map((lecture, index) => ({
+    updateOne: { filter: { _id: lecture.id }, update: { $set: { order: index + 1 } } }
+  })));
+};
+
+// The syllabus of a course; public, like the course page itself
+const getCurriculum = async ({ courseId }) => describeCurriculum(await getCourse(courseId));
+
+const addSection = async ({ courseId, title, user }) => {
+  const course = await getCourse(courseId);
+  requireEditor(course, user);
+
+  course.sections.push({ title, items: [] });
+  await course.save();
+
+  return { section: course.sections[course.sections.length - 1], curriculum: await describeCurriculum(course) };
+};
+
+// Renames a section or changes its release rule
+const updateSection = async ({ courseId, sectionId, title, release, user }) => {
+  const course = await getCourse(courseId);
+  requireEditor(course, user);
+
+  const section = getSection(course, sectionId);
+  if (title !== undefined) section.title = title;
+  if (release !== undefined) section.release = release;
+  await course.save();
+
+  return describeCurriculum(course);
+};
+
+// The section's items are kept; they become unsectioned
+const removeSection = async ({ courseId, sectionId, user }) => {
+  const course = await getCourse(courseId);
+  requireEditor(course, user);
+
+  getSection(course, sectionId).deleteOne();
+  await course.save();
+  await syncLectureOrder(course);
+
+  return describeCurriculum(course);
+};
+
+// Replaces the whole arrangement at once, as the editor sends it after a drag:
+// `sections` is [{ id, items: [{ kind, id }] }] listing every section once, in
+// the new order. Items left out become unsectioned.
+const reorderCurriculum = async ({ courseId, sections, user }) => {
+  const course = await getCourse(courseId);
+  requireEditor(course, user);
+
+  const existing = new Set(course.sections.map(section => idOf(section._id)));
+  const listed = new Set(sections.map(section => String(section.id)));
+  if (listed.size !== sections.length || listed.size !== existing.size ||
+    [...listed].some(id => !existing.has(id))) {
+    throw curriculumError('The curriculum must list every section exactly once', 400);
+  }
+
+  const items = await loadItems(course);
+  const known = new Set(Course.SECTION_ITEM_KINDS.flatMap(kind => items[kind].map(doc => itemKey(kind, doc._id))));
+  const seen = new Set();
+
+  for (const entry of sections.flatMap(section => section.items)) {
+    const key = itemKey(entry.kind, entry.id);
+    if (!known.has(key)) {
+      throw curriculumError(`${entry.kind} ${entry.id} is not part of this course`, 400);
+    }
+    if (seen.has(key)) {
+      throw curriculumError('A lecture, assignment or quiz can only appear once in the curriculum', 400);
+    }
+    seen.add(key);
+  }
+
+  course.sections = sections.map(({ id, items: entries }) => ({
+    _id: id,
+    title: course.sections.id(id).title,
+    release: course.sections.id(id).release,
+    items: entries.map(entry => ({ kind: entry.kind, item: entry.id }))
+  }));
+  await course.save();
+  await syncLectureOrder(course);
+
+  return buildCurriculum(course, items);
+};
+
+// The section a new lecture, assignment or quiz goes into: the one asked for, else
+// the last one. Null while the course has no sections.
+const targetSection = (course, sectionId) => {
+  if (sectionId) return getSection(course, sectionId);
+  return course.sections[course.sections.length - 1] || null;
+};
+
+// Drops a deleted lecture, assignment or quiz from whichever section holds it
+const removeFromSections = (courseId, itemId) => Course.updateOne(
+  { _id: courseId, 'sections.items.item': itemId },
+  { $pull: { 'sections.$[].items': { item: itemId } } }
+);
+
+module.exports = {
+  describeCurriculum,
+  getCurriculum,
+  addSection,
+  updateSection,
+  removeSection,
+  reorderCurriculum,
+  targetSection,
+  syncLectureOrder,
+  removeFromSections
+};
@@ -0,0 +1,75 @@
+const { getMailer } = require('./mailer');
+
+// Account emails. Links point at the frontend, which calls the matching API.
+
+const clientUrl = () => (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const sendVerificationEmail = (user, token) => {
+  const link = `${clientUrl()}/verify-email/${token}`;
+  return getMailer().send({
+    to: user.email,
+    subject: 'Verify your EduNexus email address',
+    text: `Hi ${user.name},\n\nConfirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+    html: `<p>Hi ${user.name},</p><p>Confirm your email address by opening this link:</p><p><a href="${link}">${link}</a></p><p>The link expires in 24 hours.</p>`
+  });
+};
+
+const sendPasswordResetEmail = (user, token) => {
+  const link = `${clientUrl()}/reset-password/${token}`;
+  return getMailer().send({
+    to: user.email,
+    subject: 'Reset your EduNexus password',
+    text: `Hi ${user.name},\n\nSomeone asked to reset your password. If it was you, open this link to choose a new one:\n${link}\n\nThe link expires in 1 hour and can be used once. If you did not ask for this, ignore this email.`,
+    html: `<p>Hi ${user.name},</p><p>Someone asked to reset your password. If it was you, open this link to choose a new one:</p><p><a href="${link}">${link}</a></p><p>The link expires in 1 hour and can be used once. If you did not ask for this, ignore this email.</p>`
+  });
+};
+
+const STAFF_ROLE_LABELS = {
+  'co-instructor': 'a co-instructor',
+  ta: 'a teaching assistant'
+};
+
+const sendCourseInviteEmail = (user, { course, role, inviter }) => {
+  const link = `${clientUrl()}/dashboard`;
+  const invitation = `${inviter.name} invited you to join "${course.title}" as ${STAFF_ROLE_LABELS[role]}.`;
+  return getMailer().send({
+    to: user.email,
+    subject: `Join the teaching staff of ${course.title}`,
+    text: `Hi ${user.name},\n\n${invitation} Accept or decline the invitation from your dashboard:\n${link}`,
+    html: `<p>Hi ${user.name},</p><p>${invitation} Accept or decline the invitation from your dashboard:</p><p><a href="${link}">${link}</a></p>`
+  });
+};
+
+const sendInstructorDecisionEmail = (user, { approved, note }) => {
+  const link = `${clientUrl()}/dashboard`;
+  const decision = approved
+    ? 'Your application to teach on EduNexus was approved. You can now create courses.'
+    : 'Your application to teach on EduNexus was not approved this time.';
+  const reason = note ? `\n\nNote from the reviewer: ${note}` : '';
+  return getMailer().send({
+    to: user.email,
+    subject: approved ? 'You can now teach on EduNexus' : 'Your EduNexus instructor application',
+    text: `Hi ${user.name},\n\n${decision}${reason}\n\n${link}`,
+    html: `<p>Hi ${user.name},</p><p>${decision}</p>${note ? `<p>Note from the reviewer: ${note}</p>` : ''}<p><a href="${link}">${link}</a></p>`
+  });
+};
+
+const sendCourseUnpublishedEmail = (user, { course, reason }) => {
+  const link = `${clientUrl()}/courses/${course._id}`;
+  const notice = `An administrator unpublished your course "${course.title}". Students can no longer find it in the catalog.`;
+  const why = reason ? `\n\nReason: ${reason}` : '';
+  return getMailer().send({
+    to: user.email,
+    subject: `${course.title} was unpublished`,
+    text: `Hi ${user.name},\n\n${notice}${why}\n\nPlease contact the EduNexus team to have it published again.\n\n${link}`,
+    html: `<p>Hi ${user.name},</p><p>${notice}</p>${reason ? `<p>Reason: ${reason}</p>` : ''}<p>Please contact the EduNexus team to have it published again.</p><p><a href="${link}">${link}</a></p>`
+  });
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendCourseInviteEmail,
+  sendInstructorDecisionEmail,
+  sendCourseUnpublishedEmail
+};
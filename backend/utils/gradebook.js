@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const Assignment = require('../models/Assignment');
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const { can, courseRoleOf } = require('./permissions');
+const { describeCurriculum } = require('./curriculum');
+const { closeExpiredAttempts, countingAttempt } = require('./quizzes');
+
+// The course gradebook: every graded item (assignments and quizzes, in
+// curriculum order) against every student. Assignment marks come from manual
+// grading, quiz marks from the attempt the quiz's scoring rule picks. Like
+// utils/curriculum.js, failures throw an Error carrying an HTTP-style statusCode.
+
+const gradebookError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const idOf = (ref) => String(ref?._id || ref);
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// One assignment cell: graded, submitted, late or missing (past due, nothing in)
+const assignmentGrade = (assignment, studentId, now) => {
+  const submission = assignment.submissions.find(entry => idOf(entry.student) === studentId);
+  if (!submission) {
+    return { status: assignment.dueDate < now ? 'missing' : 'pending', marks: null };
+  }
+  return {
+    status: submission.status,
+    marks: submission.status === 'graded' ? submission.marks : null,
+    submittedAt: submission.submittedAt
+  };
+};
+
+// One quiz cell: graded once an attempt is submitted, in_progress while one is open
+const quizGrade = (quiz, attempts, now) => {
+  const counting = countingAttempt(attempts, quiz.scoring);
+  if (counting) {
+    return { status: 'graded', marks: counting.marks, attempts: attempts.length, submittedAt: counting.submittedAt };
+  }
+  if (attempts.some(attempt => attempt.status === 'in_progress')) {
+    return { status: 'in_progress', marks: null, attempts: attempts.length };
+  }
+  return { status: quiz.dueDate && quiz.dueDate < now ? 'missing' : 'pending', marks: null, attempts: 0 };
+};
+
+// Graders see every student; a student sees their own row only
+const getGradebook = async ({ courseId, user }) => {
+  if (!mongoose.Types.ObjectId.isValid(courseId)) {
+    throw gradebookError('Invalid course ID', 400);
+  }
+
+  const course = await Course.findById(courseId).populate('students', 'name email avatar');
+  if (!course) {
+    throw gradebookError('Course not found', 404);
+  }
+
+  const seesAll = can(user, 'gradebook.view', course);
+  if (!seesAll && courseRoleOf(course, user) !== 'student') {
+    throw gradebookError('Not authorized to view grades for this course', 403);
+  }
+
+  const students = seesAll
+    ? course.students
+    : course.students.filter(student => idOf(student) === idOf(user._id));
+  const studentIds = students.map(student => student._id);
+
+  await closeExpiredAttempts({ course: course._id, student: { $in: studentIds } });
+
+  const [curriculum, assignments, quizzes, attempts] = await Promise.all([
+    describeCurriculum(course),
+    Assignment.find({ course: course._id }).select('dueDate maxMarks submissions'),
+    Quiz.find({ course: course._id }).select('dueDate maxMarks scoring'),
+    QuizAttempt.find({ course: course._id, student: { $in: studentIds } })
+      .select('quiz student status marks submittedAt')
+  ]);
+  const docs = new Map([...assignments, ...quizzes].map(doc => [idOf(doc._id), doc]));
+
+  const items = [...curriculum.sections.flatMap(section => section.items), ...curriculum.unsectioned]
+    .filter(item => item.kind !== 'Lecture' && docs.has(idOf(item.id)))
+    .map(item => ({ kind: item.kind, id: item.id, title: item.title, maxMarks: item.maxMarks, dueDate: item.dueDate }));
+  const now = new Date();
+
+  const rows = students.map(student => {
+    const studentId = idOf(student);
+    const grades = {};
+    let earned = 0;
+    let possible = 0;
+
+    for (const item of items) {
+      const doc = docs.get(idOf(item.id));
+      const grade = item.kind === 'Quiz'
+        ? quizGrade(doc, attempts.filter(attempt => idOf(attempt.quiz) === idOf(doc._id) && idOf(attempt.student) === studentId), now)
+        : assignmentGrade(doc, studentId, now);
+
+      grades[idOf(item.id)] = grade;
+      // Totals cover what has been marked so far; missing work counts as zero
+      if (grade.marks !== null || grade.status === 'missing') {
+        earned += grade.marks || 0;
+        possible += item.maxMarks || 0;
+      }
+    }
+
+    return {
+      student: { id: student._id, name: student.name, email: student.email, avatar: student.avatar },
+      grades,
+      earned: round2(earned),
+      possible: round2(possible),
+      percent: possible > 0 ? round2((earned / possible) * 100) : null
+    };
+  });
+
+  return { items, students: rows, canViewAll: seesAll };
+};
+
+module.exports = {
+  getGradebook
+};
@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const InstructorApplication = require('../models/InstructorApplication');
+const User = require('../models/User');
+const { sendInstructorDecisionEmail } = require('./emails');
+const { userRoom } = require('./chat');
+const { can } = require('./permissions');
+
+// Instructor applications. Applicants act as students until an admin approves
+// them. Like utils/chat.js, failures throw an Error carrying an HTTP-style statusCode.
+
+const applicationError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toApplicationPayload = (application) => ({
+  id: application._id,
+  status: application.status,
+  expertise: application.expertise,
+  experience: application.experience,
+  website: application.website,
+  reviewNote: application.reviewNote,
+  reviewedAt: application.reviewedAt,
+  createdAt: application.createdAt,
+  user: application.user?.name
+    ? { id: application.user._id, name: application.user.name, email: application.user.email, avatar: application.user.avatar }
+    : application.user,
+  reviewedBy: application.reviewedBy?.name
+    ? { id: application.reviewedBy._id, name: application.reviewedBy.name }
+    : application.reviewedBy
+});
+
+const submitApplication = async (user, { expertise, experience, website = '' }) => {
+  if (!can(user, 'instructor.apply')) {
+    throw applicationError('Only students can apply to teach', 400);
+  }
+
+  try {
+    const application = await InstructorApplication.create({
+      user: user._id,
+      expertise,
+      experience,
+      website
+    });
+    return toApplicationPayload(application);
+  } catch (error) {
+    if (error.code === 11000) {
+      throw applicationError('You already have an application waiting for review', 400);
+    }
+    throw error;
+  }
+};
+
+// The user's most recent application, or null
+const getLatestApplication = async (user) => {
+  const application = await InstructorApplication.findOne({ user: user._id }).sort({ createdAt: -1 });
+  return application ? toApplicationPayload(application) : null;
+};
+
+const listApplications = async ({ status = 'pending', page = 1, limit = 20 }) => {
+  const query = status === 'all' ? {} : { status };
+
+  const [applications, total] = await Promise.all([
+    InstructorApplication.find(query)
+      .populate('user', 'name email avatar')
+      .populate('reviewedBy', 'name')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    InstructorApplication.countDocuments(query)
+  ]);
+
+  return {
+    applications: applications.map(toApplicationPayload),
+    totalPages: Math.ceil(total / limit) || 1,
+    currentPage: page,
+    total
+  };
+};
+
+// Approving makes the applicant an instructor. Either way they get an email,
+// and open tabs learn about it over their socket room.
+const reviewApplication = async ({ applicationId, reviewer, approve, note = '', io }) => {
+  if (!mongoose.Types.ObjectId.isValid(applicationId)) {
+    throw applicationError('Invalid application ID', 400);
+  }
+
+  const application = await InstructorApplication.findById(applicationId);
+  if (!application) {
+    throw applicationError('Application not found', 404);
+  }
+  if (application.status !== 'pending') {
+    throw applicationError(`This application was already ${application.status}`, 400);
+  }
+
+  const applicant = await User.findById(application.user);
+  if (!applicant) {
+    throw applicationError('The applicant no longer has an account', 404);
+  }
+
+  application.status = approve ? 'approved' : 'rejected';
+  application.reviewedBy = reviewer._id;
+  application.reviewedAt = new Date();
+  application.reviewNote = note;
+  await application.save();
+
+  if (approve && applicant.role === 'student') {
+    applicant.role = 'instructor';
+    await applicant.save();
+  }
+
+  try {
+    await sendInstructorDecisionEmail(applicant, { approved: approve, note });
+  } catch (error) {
+    console.error('Instructor decision email error:', error);
+  }
+
+  io?.to(userRoom(applicant._id)).emit('account-updated', {
+    message: approve
+      ? 'Your instructor application was approved. You can now create courses.'
+      : 'Your instructor application was not approved.',
+    changes: { role: applicant.role }
+  });
+
+  await application.populate([
+    { path: 'user', select: 'name email avatar' },
+    { path: 'reviewedBy', select: 'name' }
+  ]);
+  return toApplicationPayload(application);
+};
+
+module.exports = {
+  submitApplication,
+  getLatestApplication,
+  listApplications,
+  reviewApplication
+};
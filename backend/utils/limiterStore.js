@@ -0,0 +1,182 @@
+const LimiterEntry = require('../models/LimiterEntry');
+
+// Pluggable counter store for rate limits and sign-in throttling. Every store exposes:
+//   get(key)                         -> entry or null
+//   increment(key, windowMs, { sliding }) -> entry after counting one more hit
+//   decrement(key)
+//   lock(key, until)                 -> keeps the entry until `until`
+//   reset(key)
+// An entry is { count, lastAt, lockedUntil, expiresAt }. A fixed window restarts
+// the count when it expires; a sliding one is pushed back by every hit.
+// LIMITER_STORE=mongo shares counters between instances, otherwise they live in
+// this process, mirroring utils/storage.js and the socket adapter.
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const createMemoryLimiterStore = () => {
+  const entries = new Map();
+
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= new Date()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  const sweep = setInterval(() => {
+    const now = new Date();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweep.unref();
+
+  return {
+    name: 'memory',
+    localKeys: true,
+
+    get: async (key) => {
+      const entry = live(key);
+      return entry && { ...entry };
+    },
+
+    increment: async (key, windowMs, { sliding = false } = {}) => {
+      const now = new Date();
+      const windowEnd = new Date(now.getTime() + windowMs);
+      const entry = live(key) || { count: 0, lockedUntil: null, expiresAt: windowEnd };
+
+      entry.count += 1;
+      entry.lastAt = now;
+      if (sliding) {
+        entry.expiresAt = new Date(Math.max(windowEnd, entry.lockedUntil || 0));
+      }
+      entries.set(key, entry);
+      return { ...entry };
+    },
+
+    decrement: async (key) => {
+      const entry = live(key);
+      if (entry && entry.count > 0) entry.count -= 1;
+    },
+
+    lock: async (key, until) => {
+      const entry = live(key);
+      if (!entry) return;
+      entry.lockedUntil = until;
+      entry.expiresAt = new Date(Math.max(entry.expiresAt, until));
+    },
+
+    reset: async (key) => {
+      entries.delete(key);
+    }
+  };
+};
+
+const createMongoLimiterStore = () => {
+  const toEntry = (doc) => doc && {
+    count: doc.count,
+    lastAt: doc.lastAt,
+    lockedUntil: doc.lockedUntil,
+    expiresAt: doc.expiresAt
+  };
+
+  // Counting and window rollover happen in one atomic update
+  const increment = async (key, windowMs, { sliding = false } = {}) => {
+    const now = new Date();
+    const windowEnd = new Date(now.getTime() + windowMs);
+    const isLive = { $gt: ['$expiresAt', now] };
+
+    try {
+      const doc = await LimiterEntry.findOneAndUpdate({ key }, [{
+        $set: {
+          count: { $cond: [isLive, { $add: ['$count', 1] }, 1] },
+          lockedUntil: { $cond: [isLive, '$lockedUntil', null] },
+          expiresAt: sliding
+            ? { $max: [windowEnd, { $cond: [isLive, '$lockedUntil', null] }] }
+            : { $cond: [isLive, '$expiresAt', windowEnd] },
+          lastAt: now
+        }
+      }], { upsert: true, new: true }).lean();
+      return toEntry(doc);
+    } catch (error) {
+      // Two first hits raced to insert the entry; the loser counts again
+      if (error.code === 11000) return increment(key, windowMs, { sliding });
+      throw error;
+    }
+  };
+
+  return {
+    name: 'mongo',
+    localKeys: false,
+
+    get: async (key) => toEntry(await LimiterEntry.findOne({
+      key,
+      expiresAt: { $gt: new Date() }
+    }).lean()),
+
+    increment,
+
+    decrement: async (key) => {
+      await LimiterEntry.updateOne(
+        { key, count: { $gt: 0 }, expiresAt: { $gt: new Date() } },
+        { $inc: { count: -1 } }
+      );
+    },
+
+    lock: async (key, until) => {
+      await LimiterEntry.updateOne({ key }, [{
+        $set: { lockedUntil: until, expiresAt: { $max: ['$expiresAt', until] } }
+      }]);
+    },
+
+    reset: async (key) => {
+      await LimiterEntry.deleteOne({ key });
+    }
+  };
+};
+
+let limiterStore = null;
+
+// Created on first use; the Mongo store only touches the database when counting
+const getLimiterStore = () => {
+  if (!limiterStore) {
+    limiterStore = process.env.LIMITER_STORE === 'mongo'
+      ? createMongoLimiterStore()
+      : createMemoryLimiterStore();
+  }
+  return limiterStore;
+};
+
+// express-rate-limit `store` backed by the limiter store. Each limiter needs
+// its own instance; `prefix` keeps their keys apart.
+const createRateLimitStore = (prefix) => {
+  const store = getLimiterStore();
+  let windowMs = 60 * 1000;
+
+  return {
+    prefix,
+    localKeys: store.localKeys,
+
+    init: (options) => {
+      windowMs = options.windowMs;
+    },
+
+    increment: async (key) => {
+      const entry = await store.increment(`${prefix}:${key}`, windowMs);
+      return { totalHits: entry.count, resetTime: entry.expiresAt };
+    },
+
+    decrement: (key) => store.decrement(`${prefix}:${key}`),
+
+    resetKey: (key) => store.reset(`${prefix}:${key}`)
+  };
+};
+
+module.exports = {
+  createMemoryLimiterStore,
+  createMongoLimiterStore,
+  getLimiterStore,
+  createRateLimitStore
+};
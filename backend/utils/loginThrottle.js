@@ -0,0 +1,96 @@
+const { getLimiterStore } = require('./limiterStore');
+
+// Failed sign-in tracking per account and per client IP. A few failures are
+// free; after that each attempt has to wait twice as long as the last one,
+// and enough failures lock the account or IP for a while. Counters are
+// forgotten after a quiet window and reset by a successful sign-in.
+const POLICIES = {
+  account: {
+    freeAttempts: 5,
+    lockAfter: 10,
+    lockMs: 15 * 60 * 1000,
+    windowMs: 15 * 60 * 1000
+  },
+  ip: {
+    freeAttempts: 20,
+    lockAfter: 50,
+    lockMs: 30 * 60 * 1000,
+    windowMs: 30 * 60 * 1000
+  }
+};
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+
+const normalizeEmail = (email) => String(email || '').toLowerCase().trim();
+const accountKey = (email) => `login:account:${normalizeEmail(email)}`;
+const ipKey = (ip) => `login:ip:${ip}`;
+
+const scopesFor = ({ email, ip }) => [
+  ['account', accountKey(email)],
+  ['ip', ipKey(ip)]
+];
+
+const backoffMs = (failures, policy) => {
+  if (failures < policy.freeAttempts) return 0;
+  return Math.min(1000 * 2 ** (failures - policy.freeAttempts), MAX_BACKOFF_MS);
+};
+
+// Resolves to { allowed: true } or { allowed: false, scope, locked, retryAfterMs }
+const checkLoginAllowed = async ({ email, ip }) => {
+  const store = getLimiterStore();
+  const now = Date.now();
+
+  for (const [scope, key] of scopesFor({ email, ip })) {
+    const entry = await store.get(key);
+    if (!entry) continue;
+
+    if (entry.lockedUntil && entry.lockedUntil.getTime() > now) {
+      return { allowed: false, scope, locked: true, retryAfterMs: entry.lockedUntil.getTime() - now };
+    }
+
+    const wait = backoffMs(entry.count, POLICIES[scope]) - (now - entry.lastAt.getTime());
+    if (wait > 0) {
+      return { allowed: false, scope, locked: false, retryAfterMs: wait };
+    }
+  }
+
+  return { allowed: true };
+};
+
+// Counts a failed attempt. Resolves to the scopes ('account', 'ip') it locked.
+const recordLoginFailure = async ({ email, ip }) => {
+  const store = getLimiterStore();
+  const locked = [];
+
+  for (const [scope, key] of scopesFor({ email, ip })) {
+    const policy = POLICIES[scope];
+    const entry = await store.increment(key, policy.windowMs, { sliding: true });
+    const isLocked = entry.lockedUntil && entry.lockedUntil.getTime() > Date.now();
+
+    if (entry.count >= policy.lockAfter && !isLocked) {
+      await store.lock(key, new Date(Date.now() + policy.lockMs));
+      locked.push(scope);
+    }
+  }
+
+  return locked;
+};
+
+// A successful sign-in clears the account's failures (not the IP's, which may
+// be shared with an attacker working through other accounts)
+const recordLoginSuccess = ({ email }) => getLimiterStore().reset(accountKey(email));
+
+const unlockAccount = (email) => getLimiterStore().reset(accountKey(email));
+
+const describeWait = (ms) => {
+  const minutes = Math.ceil(ms / 60000);
+  if (ms < 60000) return `${Math.ceil(ms / 1000)} seconds`;
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount,
+  describeWait
+};
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+// Pluggable mail delivery. Every transport exposes:
+//   send({ to, subject, text, html })
+// SMTP is used when SMTP_HOST is configured; otherwise mail is printed to the
+// console, or written to backend/mail-outbox with MAIL_TRANSPORT=file.
+
+const MAIL_OUTBOX_DIR = path.join(__dirname, '..', 'mail-outbox');
+const DEFAULT_FROM = 'EduNexus <no-reply@edunexus.local>';
+
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+
+    send: async ({ to, subject, text, html }) => {
+      await transporter.sendMail({
+        from: process.env.MAIL_FROM || DEFAULT_FROM,
+        to,
+        subject,
+        text,
+        html
+      });
+    }
+  };
+};
+
+// One JSON file per message, so development and tests can read links back out
+const createFileTransport = () => ({
+  name: 'file',
+
+  send: async (message) => {
+    await fs.promises.mkdir(MAIL_OUTBOX_DIR, { recursive: true });
+    const filename = `${Date.now()}_${crypto.randomBytes(4).toString('hex')}.json`;
+    const record = { from: process.env.MAIL_FROM || DEFAULT_FROM, ...message, sentAt: new Date() };
+    await fs.promises.writeFile(path.join(MAIL_OUTBOX_DIR, filename), JSON.stringify(record, null, 2));
+  }
+});
+
+const createConsoleTransport = () => ({
+  name: 'console',
+
+  send: async ({ to, subject, text }) => {
+    console.log(`\n📧 Mail to ${to}: ${subject}\n${text}\n`);
+  }
+});
+
+const transports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+let mailer;
+
+const getMailer = () => {
+  if (!mailer) {
+    const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+    const create = transports[name];
+    if (!create) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    }
+    mailer = create();
+  }
+  return mailer;
+};
+
+module.exports = {
+  getMailer,
+  MAIL_OUTBOX_DIR
+};
@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const { Issuer, generators } = require('openid-client');
+const User = require('../models/User');
+const OidcTransaction = require('../models/OidcTransaction');
+
+// Generic OpenID Connect sign-in (authorization code + PKCE) against the
+// identity provider at OIDC_ISSUER_URL. Users are matched by provider subject,
+// then linked by verified email, then created. Failures throw an Error
+// carrying a statusCode.
+
+const ROLES_BY_PRIORITY = ['admin', 'instructor', 'student'];
+// Time allowed at the identity provider before the sign-in must be restarted
+const TRANSACTION_TTL_MS = 10 * 60 * 1000;
+
+const oidcError = (message, statusCode = 400, field) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.field = field;
+  return error;
+};
+
+const clientUrl = () => (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const redirectUri = () => process.env.OIDC_REDIRECT_URI || `${clientUrl()}/auth/oidc/callback`;
+
+const isOidcEnabled = () => Boolean(process.env.OIDC_ISSUER_URL && process.env.OIDC_CLIENT_ID);
+
+const getOidcConfig = () => ({
+  enabled: isOidcEnabled(),
+  name: process.env.OIDC_DISPLAY_NAME || 'Single sign-on'
+});
+
+let clientPromise = null;
+
+// Discovery runs once; a failed attempt is retried on the next sign-in
+const getClient = () => {
+  if (!isOidcEnabled()) {
+    return Promise.reject(oidcError('Single sign-on is not configured', 404));
+  }
+
+  if (!clientPromise) {
+    clientPromise = Issuer.discover(process.env.OIDC_ISSUER_URL)
+      .then(issuer => new issuer.Client({
+        client_id: process.env.OIDC_CLIENT_ID,
+        client_secret: process.env.OIDC_CLIENT_SECRET,
+        redirect_uris: [redirectUri()],
+        response_types: ['code'],
+        token_endpoint_auth_method: process.env.OIDC_CLIENT_SECRET ? 'client_secret_basic' : 'none'
+      }))
+      .catch(error => {
+        clientPromise = null;
+        throw error;
+      });
+  }
+  return clientPromise;
+};
+
+// OIDC_ROLE_MAP maps roles to claim values, e.g. {"admin":["lms-admins"],"instructor":["faculty"]},
+// matched against the claim named by OIDC_ROLE_CLAIM (default "groups"). The
+// highest matching role wins; nobody matching is a student.
+const mapRole = (claims) => {
+  let roleMap;
+  try {
+    roleMap = JSON.parse(process.env.OIDC_ROLE_MAP || '{}');
+  } catch (error) {
+    console.error('Invalid OIDC_ROLE_MAP:', error.message);
+    roleMap = {};
+  }
+
+  const raw = claims[process.env.OIDC_ROLE_CLAIM || 'groups'];
+  const values = (Array.isArray(raw) ? raw : [raw]).filter(Boolean).map(String);
+
+  return ROLES_BY_PRIORITY.find(role => (
+    (roleMap[role] || []).some(value => values.includes(String(value)))
+  )) || 'student';
+};
+
+// Only same-site paths, so the sign-in can't be used as an open redirect
+const safeReturnTo = (returnTo) => (
+  typeof returnTo === 'string' && /^\/(?!\/)/.test(returnTo) ? returnTo : '/dashboard'
+);
+
+const hashBrowserKey = (browserKey) => crypto.createHash('sha256').update(String(browserKey)).digest('hex');
+
+// Starts a sign-in. Resolves to { url, browserKey }: the identity provider URL
+// to send the browser to, and a key the browser keeps and hands back with the
+// callback, tying the sign-in to the browser that started it.
+const beginOidcLogin = async (returnTo) => {
+  const client = await getClient();
+  const state = generators.state();
+  const nonce = generators.nonce();
+  const codeVerifier = generators.codeVerifier();
+  const browserKey = crypto.randomBytes(32).toString('base64url');
+
+  await OidcTransaction.create({
+    state,
+    nonce,
+    codeVerifier,
+    browserKeyHash: hashBrowserKey(browserKey),
+    returnTo: safeReturnTo(returnTo),
+    expiresAt: new Date(Date.now() + TRANSACTION_TTL_MS)
+  });
+
+  const url = client.authorizationUrl({
+    scope: process.env.OIDC_SCOPES || 'openid email profile',
+    state,
+    nonce,
+    code_challenge: generators.codeChallenge(codeVerifier),
+    code_challenge_method: 'S256'
+  });
+  return { url, browserKey };
+};
+
+// Finds, links or creates the user for the provider's claims. Resolves to
+// { user, outcome } where outcome is 'existing', 'linked' or 'provisioned'.
+const resolveUser = async (issuer, claims) => {
+  const subject = String(claims.sub);
+  const email = typeof claims.email === 'string' ? claims.email.toLowerCase().trim() : null;
+  const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+  const syncRole = process.env.OIDC_SYNC_ROLES === 'true';
+
+  // A deactivated account is left exactly as it is
+  const requireActive = (account) => {
+    if (!account.isActive) {
+      throw oidcError('Account is deactivated. Please contact support.', 401, 'account');
+    }
+  };
+
+  let user = await User.findOne({ oidcIssuer: issuer, oidcSubject: subject });
+  if (user) {
+    requireActive(user);
+    if (syncRole) {
+      user.role = mapRole(claims);
+      await user.save();
+    }
+    return { user, outcome: 'existing' };
+  }
+
+  if (!email || !emailVerified) {
+    throw oidcError('Your identity provider did not share a verified email address', 403);
+  }
+
+  user = await User.findOne({ email });
+  if (user) {
+    requireActive(user);
+    user.oidcIssuer = issuer;
+    user.oidcSubject = subject;
+    user.isEmailVerified = true;
+    if (syncRole) user.role = mapRole(claims);
+    await user.save();
+    return { user, outcome: 'linked' };
+  }
+
+  if (process.env.OIDC_AUTO_PROVISION === 'false') {
+    throw oidcError('No EduNexus account exists for this email address', 403);
+  }
+
+  // The random password is never shared; the user can set one through a password reset
+  user = await User.create({
+    name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || email.split('@')[0],
+    email,
+    password: crypto.randomBytes(32).toString('hex'),
+    role: mapRole(claims),
+    isEmailVerified: true,
+    oidcIssuer: issuer,
+    oidcSubject: subject
+  });
+  return { user, outcome: 'provisioned' };
+};
+
+// Completes a sign-in from the provider's redirect parameters ({ code, state }
+// or an error) and the `browserKey` from beginOidcLogin. Resolves to
+// { user, outcome, returnTo }.
+const completeOidcLogin = async (params, browserKey) => {
+  const client = await getClient();
+
+  if (!browserKey) {
+    throw oidcError('This sign-in was started in another browser. Please try again.', 401);
+  }
+
+  const transaction = await OidcTransaction.findOneAndDelete({
+    state: String(params.state || ''),
+    browserKeyHash: hashBrowserKey(browserKey),
+    expiresAt: { $gt: new Date() }
+  });
+  if (!transaction) {
+    throw oidcError('Sign-in attempt has expired or was started in another browser. Please try again.', 401);
+  }
+
+  let tokenSet;
+  try {
+    tokenSet = await client.callback(redirectUri(), params, {
+      state: transaction.state,
+      nonce: transaction.nonce,
+      code_verifier: transaction.codeVerifier
+    });
+  } catch (error) {
+    console.error('OIDC callback error:', error.message);
+    throw oidcError(error.error_description || 'Single sign-on failed', 401);
+  }
+
+  // Providers differ in which claims they put in the ID token, so merge userinfo in
+  let claims = tokenSet.claims();
+  if (tokenSet.access_token && client.issuer.userinfo_endpoint) {
+    const userinfo = await client.userinfo(tokenSet);
+    if (userinfo.sub === claims.sub) claims = { ...userinfo, ...claims };
+  }
+
+  const { user, outcome } = await resolveUser(client.issuer.issuer, claims);
+  return { user, outcome, returnTo: transaction.returnTo };
+};
+
+module.exports = {
+  getOidcConfig,
+  beginOidcLogin,
+  completeOidcLogin,
+  mapRole
+};
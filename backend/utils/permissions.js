@@ -0,0 +1,101 @@
+// Central authorization policy. Routes ask `can(user, permission, course)` instead
+// of comparing roles and ids themselves.
+//
+// A permission is granted by the user's platform role (admin, instructor,
+// student) or by their role on the course the action concerns:
+//   owner         - the course's instructor (`course.instructor`)
+//   co-instructor - staff who teach the course alongside the owner
+//   ta            - staff who help with grading and the course chat
+//   student       - enrolled students
+
+const COURSE_ROLES = ['owner', 'co-instructor', 'ta', 'student'];
+// Roles that can be given to course staff; the owner is always `course.instructor`
+const STAFF_ROLES = ['co-instructor', 'ta'];
+
+const TEACHING = ['owner', 'co-instructor'];
+const GRADING = ['owner', 'co-instructor', 'ta'];
+
+const POLICY = {
+  // Platform-wide
+  'course.create': { platform: ['instructor'] },
+  'course.enroll': { platform: ['student'] },
+  'user.manage': { platform: ['admin'] },
+  'settings.manage': { platform: ['admin'] },
+  'security.manage': { platform: ['admin'] },
+  'audit.view': { platform: ['admin'] },
+  'stats.view': { platform: ['admin'] },
+  'instructor.apply': { platform: ['student'] },
+  'instructor.review': { platform: ['admin'] },
+  // Unpublishing or removing any course, whoever teaches it
+  'course.moderate': { platform: ['admin'] },
+  // Private conversations have no course staff to moderate them
+  'conversation.moderate': { platform: ['admin'] },
+
+  // Course-scoped
+  'course.view': { platform: ['admin'], course: COURSE_ROLES },
+  'course.edit': { course: TEACHING },
+  'course.delete': { platform: ['admin'], course: ['owner'] },
+  'course.manageStaff': { platform: ['admin'], course: ['owner'] },
+  'lecture.manage': { course: TEACHING },
+  'assignment.manage': { course: TEACHING },
+  // Question banks and the quizzes drawn from them
+  'quiz.manage': { course: TEACHING },
+  'submission.create': { course: ['student'] },
+  'lecture.trackProgress': { course: ['student'] },
+  'quiz.take': { course: ['student'] },
+  'submission.view': { course: GRADING },
+  'submission.grade': { course: GRADING },
+  // Every student's grades; students see their own with `course.view`
+  'gradebook.view': { platform: ['admin'], course: GRADING },
+  'chat.moderate': { platform: ['admin'], course: GRADING },
+  // Opening private conversations with enrolled students
+  'student.message': { course: GRADING }
+};
+
+// Course fields `can` reads; select at least these when loading a course to check
+const COURSE_POLICY_FIELDS = 'instructor staff students';
+
+const idOf = (ref) => String(ref?._id || ref);
+
+// The user's role on a course, or null. The course needs `instructor`, `staff`
+// and `students` loaded; populated references work too.
+const courseRoleOf = (course, user) => {
+  if (!course || !user) return null;
+
+  const userId = idOf(user);
+  if (course.instructor && idOf(course.instructor) === userId) return 'owner';
+
+  const member = (course.staff || []).find(entry => idOf(entry.user) === userId);
+  if (member) return member.role;
+
+  if ((course.students || []).some(student => idOf(student) === userId)) return 'student';
+
+  return null;
+};
+
+const can = (user, permission, course = null) => {
+  const rule = POLICY[permission];
+  if (!rule) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  if (!user) return false;
+
+  if (rule.platform && rule.platform.includes(user.role)) return true;
+  if (!course || !rule.course) return false;
+
+  return rule.course.includes(courseRoleOf(course, user));
+};
+
+// Every course-scoped permission the user holds on the course, for clients
+// deciding which controls to show
+const permissionsFor = (user, course) => Object.keys(POLICY)
+  .filter(permission => POLICY[permission].course && can(user, permission, course));
+
+module.exports = {
+  COURSE_ROLES,
+  STAFF_ROLES,
+  COURSE_POLICY_FIELDS,
+  courseRoleOf,
+  can,
+  permissionsFor
+};
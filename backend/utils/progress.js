@@ -0,0 +1,135 @@
+const LectureProgress = require('../models/LectureProgress');
+const Lecture = require('../models/Lecture');
+
+// A lecture counts as completed once this share of it has been played
+const COMPLETION_RATIO = 0.9;
+// Longest gap between heartbeats the player should leave, in seconds
+const MAX_HEARTBEAT_INTERVAL = 60;
+// Fastest playback rate the player offers; played time can outrun the clock by this much
+const MAX_PLAYBACK_RATE = 2;
+// Allowance for timers and network delay when checking a heartbeat
+const HEARTBEAT_GRACE_SECONDS = 5;
+// Longest duration a player may report for a lecture whose length is unknown
+const MAX_REPORTED_DURATION = 12 * 60 * 60;
+
+const idOf = (ref) => String(ref?._id || ref);
+
+// Lectures uploaded before durations were stored have none. The first duration a
+// player reports is kept, capped, so later heartbeats can complete the lecture;
+// the heartbeat that reports it cannot.
+const learnDuration = async (lecture, duration) => {
+  if (lecture.duration || !duration) return;
+  await Lecture.updateOne(
+    { _id: lecture._id, duration: { $in: [0, null] } },
+    { $set: { duration: Math.min(duration, MAX_REPORTED_DURATION) } }
+  );
+};
+
+// Records a heartbeat from the player: `position` is the playback position and
+// `watched` the seconds played since the previous heartbeat. The claim is capped
+// by the time that really passed, so skipping ahead does not count as watching.
+// Only the lecture's stored duration can complete it, never the one reported.
+const recordHeartbeat = async ({ user, lecture, position, watched, duration }, retried = false) => {
+  const now = new Date();
+  const length = lecture.duration || 0;
+  if (!retried) await learnDuration(lecture, duration);
+
+  let progress = await LectureProgress.findOne({ user: user._id, lecture: lecture._id });
+  const elapsed = progress
+    ? Math.min((now - progress.lastWatchedAt) / 1000, MAX_HEARTBEAT_INTERVAL)
+    : MAX_HEARTBEAT_INTERVAL;
+  const credited = Math.min(watched, (elapsed + HEARTBEAT_GRACE_SECONDS) * MAX_PLAYBACK_RATE);
+
+  if (!progress) {
+    progress = new LectureProgress({ user: user._id, lecture: lecture._id, course: lecture.course });
+  }
+
+  progress.watchedSeconds = length
+    ? Math.min(length, progress.watchedSeconds + credited)
+    : progress.watchedSeconds + credited;
+  progress.lastPosition = length ? Math.min(position, length) : position;
+  progress.lastWatchedAt = now;
+
+  if (!progress.completed && length && progress.watchedSeconds >= length * COMPLETION_RATIO) {
+    progress.completed = true;
+    progress.completedAt = now;
+  }
+
+  try {
+    await progress.save();
+  } catch (error) {
+    // Two tabs started the same lecture at once; add to the record the other one made
+    if (error.code === 11000 && !retried) {
+      return recordHeartbeat({ user, lecture, position, watched, duration }, true);
+    }
+    throw error;
+  }
+
+  return toProgressPayload(progress);
+};
+
+const toProgressPayload = (progress) => ({
+  lecture: progress.lecture,
+  watchedSeconds: Math.round(progress.watchedSeconds),
+  lastPosition: Math.round(progress.lastPosition),
+  completed: progress.completed,
+  completedAt: progress.completedAt,
+  lastWatchedAt: progress.lastWatchedAt
+});
+
+// Completion of one course from its ordered lecture ids and the user's progress
+// records. Students resume the lecture they watched last, unless they finished
+// it; then the first lecture they have not finished.
+const summarize = (lectureIds, records) => {
+  const byLecture = new Map(records.map(record => [idOf(record.lecture), record]));
+  const completedLectures = lectureIds.filter(id => byLecture.get(id)?.completed).length;
+
+  const lastWatched = [...records]
+    .filter(record => lectureIds.includes(idOf(record.lecture)))
+    .sort((a, b) => b.lastWatchedAt - a.lastWatchedAt)[0];
+  const resumeLecture = lastWatched && !lastWatched.completed
+    ? idOf(lastWatched.lecture)
+    : lectureIds.find(id => !byLecture.get(id)?.completed) || null;
+
+  return {
+    percent: lectureIds.length ? Math.round((completedLectures / lectureIds.length) * 100) : 0,
+    completedLectures,
+    totalLectures: lectureIds.length,
+    resumeLecture
+  };
+};
+
+// The user's progress in one course, with a record for each lecture they started
+const getCourseProgress = async (user, courseId) => {
+  const [lectures, records] = await Promise.all([
+    Lecture.find({ course: courseId }).select('_id').sort({ order: 1, createdAt: 1 }),
+    LectureProgress.find({ user: user._id, course: courseId })
+  ]);
+
+  return {
+    ...summarize(lectures.map(lecture => idOf(lecture)), records),
+    lectures: records.map(toProgressPayload)
+  };
+};
+
+// Completion summaries for several courses at once, keyed by course id
+const getCoursesProgress = async (user, courseIds) => {
+  const [lectures, records] = await Promise.all([
+    Lecture.find({ course: { $in: courseIds } }).select('_id course').sort({ order: 1, createdAt: 1 }),
+    LectureProgress.find({ user: user._id, course: { $in: courseIds } })
+  ]);
+
+  return new Map(courseIds.map(courseId => {
+    const id = idOf(courseId);
+    return [id, summarize(
+      lectures.filter(lecture => idOf(lecture.course) === id).map(lecture => idOf(lecture)),
+      records.filter(record => idOf(record.course) === id)
+    )];
+  }));
+};
+
+module.exports = {
+  recordHeartbeat,
+  getCourseProgress,
+  getCoursesProgress
+};
@@ -0,0 +1,844 @@
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const QuestionBank = require('../models/QuestionBank');
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const { can } = require('./permissions');
+const { targetSection, removeFromSections } = require('./curriculum');
+const { getItemLock } = require('./release');
+
+// Quizzes: question banks, the quizzes drawn from them and students' attempts,
+// which are scored automatically on submission. Like utils/curriculum.js,
+// failures throw an Error carrying an HTTP-style statusCode.
+
+// Answers saved this long after time runs out still count, for slow connections
+const GRACE_MS = 30 * 1000;
+const MAX_OPTIONS = 20;
+const MAX_PATTERNS = 10;
+const MAX_PATTERN_LENGTH = 200;
+// Longest short answer kept
+const MAX_SHORT_ANSWER_LENGTH = 500;
+
+const quizError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const idOf = (ref) => String(ref?._id || ref);
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const shuffle = (list) => {
+  const result = [...list];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+const findById = async (Model, id, label) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw quizError(`Invalid ${label.toLowerCase()} ID`, 400);
+  }
+
+  const doc = await Model.findById(id);
+  if (!doc) {
+    throw quizError(`${label} not found`, 404);
+  }
+  return doc;
+};
+
+const requireManager = (course, user) => {
+  if (!can(user, 'quiz.manage', course)) {
+    throw quizError('Not authorized to manage quizzes for this course', 403);
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Questions
+
+const isChoice = (type) => type === 'single_choice' || type === 'multiple_choice';
+
+// Short answers and accepted answers compare with runs of whitespace collapsed,
+// and ignoring case unless the question is case sensitive
+const normalizeText = (text, caseSensitive) => {
+  const collapsed = String(text).trim().replace(/\s+/g, ' ');
+  return caseSensitive ? collapsed : collapsed.toLowerCase();
+};
+
+// Whether `text` matches `pattern` in full, where `*` stands for any run of
+// characters. Accepted answers are instructor-written and run on every
+// submission, so this is a plain wildcard match rather than a regular
+// expression: it takes at most pattern length × text length steps.
+const matchesWildcard = (pattern, text) => {
+  let p = 0;
+  let t = 0;
+  let star = -1;
+  let resumeAt = 0;
+
+  while (t < text.length) {
+    if (pattern[p] === '*') {
+      star = p++;
+      resumeAt = t;
+    } else if (p < pattern.length && pattern[p] === text[t]) {
+      p++;
+      t++;
+    } else if (star !== -1) {
+      // Let the last `*` take one more character and try again from there
+      p = star + 1;
+      t = ++resumeAt;
+    } else {
+      return false;
+    }
+  }
+  while (pattern[p] === '*') p++;
+  return p === pattern.length;
+};
+
+// A question from a request body, checked for its type. Fields other types use
+// are cleared, so changing a question's type leaves nothing stale behind.
+const normalizeQuestion = (input) => {
+  const { type } = input;
+  if (!QuestionBank.QUESTION_TYPES.includes(type)) {
+    throw quizError('Unknown question type', 400);
+  }
+
+  const question = {
+    type,
+    prompt: String(input.prompt || '').trim(),
+    points: input.points === undefined ? 1 : Number(input.points),
+    options: [],
+    correctAnswer: null,
+    numericAnswer: null,
+    tolerance: 0,
+    patterns: [],
+    caseSensitive: false,
+    explanation: String(input.explanation || '').trim()
+  };
+
+  if (!question.prompt) {
+    throw quizError('Question text is required', 400);
+  }
+  if (!Number.isFinite(question.points) || question.points < 0) {
+    throw quizError('Points must be a number of at least 0', 400);
+  }
+
+  if (isChoice(type) || type === 'ordering') {
+    const options = (Array.isArray(input.options) ? input.options : [])
+      .map(option => ({
+        ...(option._id && mongoose.Types.ObjectId.isValid(option._id) && { _id: option._id }),
+        text: String(option.text || '').trim(),
+        correct: isChoice(type) && Boolean(option.correct)
+      }));
+
+    if (options.length < 2 || options.length > MAX_OPTIONS) {
+      throw quizError(`A question needs between 2 and ${MAX_OPTIONS} options`, 400);
+    }
+    if (options.some(option => !option.text)) {
+      throw quizError('Options cannot be empty', 400);
+    }
+
+    const correctCount = options.filter(option => option.correct).length;
+    if (type === 'single_choice' && correctCount !== 1) {
+      throw quizError('A single choice question needs exactly one correct option', 400);
+    }
+    if (type === 'multiple_choice' && correctCount === 0) {
+      throw quizError('A multiple choice question needs at least one correct option', 400);
+    }
+    question.options = options;
+  }
+
+  if (type === 'true_false') {
+    if (typeof input.correctAnswer !== 'boolean') {
+      throw quizError('A true/false question needs its correct answer', 400);
+    }
+    question.correctAnswer = input.correctAnswer;
+  }
+
+  if (type === 'numeric') {
+    const answer = Number(input.numericAnswer);
+    const tolerance = input.tolerance === undefined ? 0 : Number(input.tolerance);
+    if (input.numericAnswer === null || input.numericAnswer === '' || !Number.isFinite(answer)) {
+      throw quizError('A numeric question needs its answer as a number', 400);
+    }
+    if (!Number.isFinite(tolerance) || tolerance < 0) {
+      throw quizError('Tolerance must be a number of at least 0', 400);
+    }
+    question.numericAnswer = answer;
+    question.tolerance = tolerance;
+  }
+
+  if (type === 'short_answer') {
+    const patterns = (Array.isArray(input.patterns) ? input.patterns : [])
+      .map(pattern => String(pattern).trim())
+      .filter(Boolean);
+
+    if (patterns.length === 0 || patterns.length > MAX_PATTERNS) {
+      throw quizError(`A short answer question needs between 1 and ${MAX_PATTERNS} accepted answers`, 400);
+    }
+    if (patterns.some(pattern => pattern.length > MAX_PATTERN_LENGTH)) {
+      throw quizError(`Accepted answers are limited to ${MAX_PATTERN_LENGTH} characters`, 400);
+    }
+    question.caseSensitive = Boolean(input.caseSensitive);
+    question.patterns = patterns.map(pattern => pattern.replace(/\s+/g, ' '));
+  }
+
+  return question;
+};
+
+// ---------------------------------------------------------------------------
+// Question banks
+
+const toBankSummary = (bank) => ({
+  id: bank._id,
+  title: bank.title,
+  description: bank.description,
+  questionCount: bank.questions.length,
+  points: round2(bank.questions.reduce((sum, question) => sum + question.points, 0)),
+  updatedAt: bank.updatedAt
+});
+
+// A bank and its course, for one of the course's teachers
+const getManagedBank = async (bankId, user) => {
+  const bank = await findById(QuestionBank, bankId, 'Question bank');
+  requireManager(await Course.findById(bank.course), user);
+  return bank;
+};
+
+const listBanks = async ({ courseId, user }) => {
+  requireManager(await findById(Course, courseId, 'Course'), user);
+
+  const banks = await QuestionBank.find({ course: courseId }).sort({ createdAt: -1 });
+  return banks.map(toBankSummary);
+};
+
+const createBank = async ({ courseId, title, description = '', user }) => {
+  requireManager(await findById(Course, courseId, 'Course'), user);
+
+  return QuestionBank.create({ course: courseId, title, description, questions: [], createdBy: user._id });
+};
+
+const getBank = async ({ bankId, user }) => getManagedBank(bankId, user);
+
+const updateBank = async ({ bankId, title, description, user }) => {
+  const bank = await getManagedBank(bankId, user);
+
+  if (title !== undefined) bank.title = title;
+  if (description !== undefined) bank.description = description;
+  await bank.save();
+
+  return bank;
+};
+
+const deleteBank = async ({ bankId, user }) => {
+  const bank = await getManagedBank(bankId, user);
+
+  if (await Quiz.exists({ bank: bank._id })) {
+    throw quizError('This bank is used by a quiz; delete the quiz or pick another bank first', 400);
+  }
+  await bank.deleteOne();
+};
+
+const getQuestion = (bank, questionId) => {
+  const question = mongoose.Types.ObjectId.isValid(questionId) && bank.questions.id(questionId);
+  if (!question) {
+    throw quizError('Question not found', 404);
+  }
+  return question;
+};
+
+const addQuestion = async ({ bankId, question, user }) => {
+  const bank = await getManagedBank(bankId, user);
+
+  bank.questions.push(normalizeQuestion(question));
+  await bank.save();
+
+  return bank;
+};
+
+// Attempts already started keep the question as it was
+const updateQuestion = async ({ bankId, questionId, question, user }) => {
+  const bank = await getManagedBank(bankId, user);
+
+  getQuestion(bank, questionId).set(normalizeQuestion(question));
+  await bank.save();
+
+  return bank;
+};
+
+const removeQuestion = async ({ bankId, questionId, user }) => {
+  const bank = await getManagedBank(bankId, user);
+
+  getQuestion(bank, questionId).deleteOne();
+  await bank.save();
+  await Quiz.updateMany({ bank: bank._id }, { $pull: { questions: questionId } });
+
+  return bank;
+};
+
+// ---------------------------------------------------------------------------
+// Quizzes
+
+const SETTINGS = [
+  'title', 'description', 'questions', 'questionCount', 'timeLimit', 'maxAttempts',
+  'shuffleQuestions', 'shuffleOptions', 'showCorrectAnswers', 'scoring', 'maxMarks', 'dueDate'
+];
+
+// The questions an attempt draws from
+const poolOf = (quiz, bank) => {
+  const chosen = new Set(quiz.questions.map(idOf));
+  return chosen.size > 0
+    ? bank.questions.filter(question => chosen.has(idOf(question._id)))
+    : bank.questions;
+};
+
+// Applies the settings given and checks the questions still fit the bank
+const applySettings = (quiz, settings, bank) => {
+  for (const field of SETTINGS) {
+    if (settings[field] !== undefined) quiz[field] = settings[field];
+  }
+
+  const known = new Set(bank.questions.map(question => idOf(question._id)));
+  if (quiz.questions.some(id => !known.has(idOf(id)))) {
+    throw quizError('Questions must come from the quiz\'s bank', 400);
+  }
+  if (quiz.questionCount > poolOf(quiz, bank).length) {
+    throw quizError('The quiz asks for more questions than it draws from', 400);
+  }
+};
+
+const toQuizPayload = (quiz) => ({
+  id: quiz._id,
+  title: quiz.title,
+  description: quiz.description,
+  course: quiz.course,
+  bank: quiz.bank,
+  questions: quiz.questions,
+  questionCount: quiz.questionCount,
+  timeLimit: quiz.timeLimit,
+  maxAttempts: quiz.maxAttempts,
+  shuffleQuestions: quiz.shuffleQuestions,
+  shuffleOptions: quiz.shuffleOptions,
+  showCorrectAnswers: quiz.showCorrectAnswers,
+  scoring: quiz.scoring,
+  maxMarks: quiz.maxMarks,
+  dueDate: quiz.dueDate,
+  createdAt: quiz.createdAt
+});
+
+const getManagedQuiz = async (quizId, user) => {
+  const quiz = await findById(Quiz, quizId, 'Quiz');
+  const course = await Course.findById(quiz.course);
+  requireManager(course, user);
+  return { quiz, course };
+};
+
+const listQuizzes = async ({ courseId, user }) => {
+  requireManager(await findById(Course, courseId, 'Course'), user);
+
+  const quizzes = await Quiz.find({ course: courseId }).sort({ createdAt: 1 });
+  return quizzes.map(toQuizPayload);
+};
+
+// Adds the quiz at the end of a section, like new lectures and assignments
+const createQuiz = async ({ courseId, bankId, settings, sectionId, user }) => {
+  const course = await findById(Course, courseId, 'Course');
+  requireManager(course, user);
+
+  const bank = await findById(QuestionBank, bankId, 'Question bank');
+  if (idOf(bank.course) !== idOf(course._id)) {
+    throw quizError('The question bank belongs to another course', 400);
+  }
+
+  const section = targetSection(course, sectionId);
+  const quiz = new Quiz({ course: course._id, bank: bank._id, instructor: user._id });
+  applySettings(quiz, settings, bank);
+  await quiz.save();
+
+  course.quizzes.push(quiz._id);
+  if (section) {
+    section.items.push({ kind: 'Quiz', item: quiz._id });
+  }
+  await course.save();
+
+  return toQuizPayload(quiz);
+};
+
+// The bank can change as long as no one has started the quiz
+const updateQuiz = async ({ quizId, bankId, settings, user }) => {
+  const { quiz, course } = await getManagedQuiz(quizId, user);
+
+  if (bankId && idOf(bankId) !== idOf(quiz.bank)) {
+    if (await QuizAttempt.exists({ quiz: quiz._id })) {
+      throw quizError('Students have already taken this quiz; its question bank cannot change', 400);
+    }
+    const bank = await findById(QuestionBank, bankId, 'Question bank');
+    if (idOf(bank.course) !== idOf(course._id)) {
+      throw quizError('The question bank belongs to another course', 400);
+    }
+    quiz.bank = bank._id;
+    quiz.questions = [];
+  }
+
+  const previousMaxMarks = quiz.maxMarks;
+  applySettings(quiz, settings, await QuestionBank.findById(quiz.bank));
+  await quiz.save();
+
+  if (quiz.maxMarks !== previousMaxMarks) {
+    await rescaleMarks(quiz);
+  }
+
+  return toQuizPayload(quiz);
+};
+
+// Scored attempts keep their marks out of the quiz's current maxMarks, so the
+// gradebook can add them up against it
+const rescaleMarks = async (quiz) => {
+  const attempts = await QuizAttempt.find({ quiz: quiz._id, status: 'submitted' }).select('score maxScore marks');
+  if (attempts.length === 0) return;
+
+  await QuizAttempt.bulkWrite(attempts.map(attempt => ({
+    updateOne: {
+      filter: { _id: attempt._id },
+      update: { $set: { marks: marksOutOf(attempt, quiz.maxMarks) } }
+    }
+  })));
+};
+
+const deleteQuiz = async ({ quizId, user }) => {
+  const { quiz, course } = await getManagedQuiz(quizId, user);
+
+  await QuizAttempt.deleteMany({ quiz: quiz._id });
+  await Course.findByIdAndUpdate(course._id, { $pull: { quizzes: quiz._id } });
+  await removeFromSections(course._id, quiz._id);
+  await quiz.deleteOne();
+
+  return quiz;
+};
+
+// ---------------------------------------------------------------------------
+// Scoring
+
+// What an attempt keeps of a question; `key` is the right answer
+const snapshotQuestion = (question, quiz) => {
+  const options = question.options.map(option => ({ id: option._id, text: option.text }));
+  const snapshot = {
+    question: question._id,
+    type: question.type,
+    prompt: question.prompt,
+    points: question.points,
+    options: [],
+    explanation: question.explanation
+  };
+
+  if (isChoice(question.type)) {
+    snapshot.options = quiz.shuffleOptions ? shuffle(options) : options;
+    snapshot.key = question.options.filter(option => option.correct).map(option => idOf(option._id));
+  } else if (question.type === 'ordering') {
+    // Always shuffled, or the answer would be shown; reshuffled if it came out in order
+    let shown = shuffle(options);
+    while (shown.every((option, index) => option.id === options[index].id)) shown = shuffle(options);
+    snapshot.options = shown;
+    snapshot.key = options.map(option => idOf(option.id));
+  } else if (question.type === 'true_false') {
+    snapshot.key = question.correctAnswer;
+  } else if (question.type === 'numeric') {
+    snapshot.key = { answer: question.numericAnswer, tolerance: question.tolerance };
+  } else {
+    snapshot.key = { patterns: question.patterns, caseSensitive: question.caseSensitive };
+  }
+  return snapshot;
+};
+
+// A response from a request body in the shape its question takes, or null
+const toResponse = (question, value) => {
+  if (value === null || value === undefined) return null;
+
+  switch (question.type) {
+    case 'single_choice':
+      return typeof value === 'string' ? value : null;
+    case 'multiple_choice':
+    case 'ordering':
+      return Array.isArray(value) ? [...new Set(value.map(String))].slice(0, question.options.length) : null;
+    case 'true_false':
+      return typeof value === 'boolean' ? value : null;
+    case 'numeric':
+      return value === '' || !Number.isFinite(Number(value)) ? null : Number(value);
+    case 'short_answer':
+      return String(value).slice(0, MAX_SHORT_ANSWER_LENGTH);
+    default:
+      return null;
+  }
+};
+
+// The share of a question's points a response earns, from 0 to 1
+const creditFor = (question, response) => {
+  const { key } = question;
+  if (response === null || response === undefined) return 0;
+
+  switch (question.type) {
+    case 'single_choice':
+      return key.includes(response) ? 1 : 0;
+    case 'multiple_choice': {
+      // Each right pick earns a share; each wrong one takes a share away
+      const hits = response.filter(id => key.includes(id)).length;
+      return Math.max(0, (hits - (response.length - hits)) / key.length);
+    }
+    case 'true_false':
+      return response === key ? 1 : 0;
+    case 'numeric':
+      return Math.abs(response - key.answer) <= key.tolerance + 1e-9 ? 1 : 0;
+    case 'short_answer': {
+      const answer = normalizeText(response, key.caseSensitive);
+      return key.patterns.some(pattern => matchesWildcard(normalizeText(pattern, key.caseSensitive), answer)) ? 1 : 0;
+    }
+    case 'ordering':
+      // Partial credit for each item in its place
+      return key.filter((id, index) => response[index] === id).length / key.length;
+    default:
+      return 0;
+  }
+};
+
+const isExpired = (attempt, now = new Date()) => Boolean(attempt.expiresAt) &&
+  now.getTime() > attempt.expiresAt.getTime() + GRACE_MS;
+
+// An attempt's score as a share of `maxMarks`
+const marksOutOf = (attempt, maxMarks) => (attempt.maxScore > 0 ? round2((attempt.score / attempt.maxScore) * maxMarks) : 0);
+
+// Scores the saved answers and closes the attempt
+const finalizeAttempt = async (attempt, quiz, now = new Date()) => {
+  const saved = new Map(attempt.answers.map(answer => [idOf(answer.question), answer.response]));
+
+  attempt.answers = attempt.questions.map(question => {
+    const response = saved.has(idOf(question.question)) ? saved.get(idOf(question.question)) : null;
+    const credit = creditFor(question, response);
+    return { question: question.question, response, correct: credit === 1, points: round2(credit * question.points) };
+  });
+  attempt.score = round2(attempt.answers.reduce((sum, answer) => sum + answer.points, 0));
+  attempt.maxScore = round2(attempt.questions.reduce((sum, question) => sum + question.points, 0));
+  attempt.marks = marksOutOf(attempt, quiz.maxMarks);
+  attempt.status = 'submitted';
+  // Attempts closed for running out of time count as submitted when time ran out
+  attempt.submittedAt = attempt.expiresAt && now > attempt.expiresAt ? attempt.expiresAt : now;
+  await attempt.save();
+
+  return attempt;
+};
+
+// Submits the attempts whose time ran out without the student submitting
+const closeExpiredAttempts = async (filter) => {
+  const attempts = await QuizAttempt.find({
+    ...filter,
+    status: 'in_progress',
+    expiresAt: { $lt: new Date(Date.now() - GRACE_MS) }
+  });
+  if (attempts.length === 0) return;
+
+  const quizzes = await Quiz.find({ _id: { $in: attempts.map(attempt => attempt.quiz) } }).select('maxMarks');
+  const byId = new Map(quizzes.map(quiz => [idOf(quiz._id), quiz]));
+  for (const attempt of attempts) {
+    await finalizeAttempt(attempt, byId.get(idOf(attempt.quiz)) || { maxMarks: 0 });
+  }
+};
+
+// The attempt that counts towards the gradebook, by the quiz's scoring rule
+const countingAttempt = (attempts, scoring) => {
+  const submitted = attempts.filter(attempt => attempt.status === 'submitted');
+  if (submitted.length === 0) return null;
+
+  return submitted.reduce((best, attempt) => {
+    if (scoring === 'latest') return attempt.submittedAt > best.submittedAt ? attempt : best;
+    return attempt.marks > best.marks ? attempt : best;
+  });
+};
+
+// ---------------------------------------------------------------------------
+// Attempts
+
+const toAnswerKey = (question) => (question.type === 'short_answer' ? null : question.key);
+
+// Right answers and explanations only once submitted, and to students only if
+// the quiz shows them
+const toAttemptPayload = (attempt, quiz, showAnswers = quiz.showCorrectAnswers) => {
+  const submitted = attempt.status === 'submitted';
+  const reveal = submitted && showAnswers;
+  const answers = new Map(attempt.answers.map(answer => [idOf(answer.question), answer]));
+
+  return {
+    id: attempt._id,
+    quiz: attempt.quiz,
+    number: attempt.number,
+    status: attempt.status,
+    startedAt: attempt.startedAt,
+    expiresAt: attempt.expiresAt,
+    submittedAt: attempt.submittedAt,
+    score: attempt.score,
+    maxScore: attempt.maxScore,
+    marks: attempt.marks,
+    maxMarks: quiz.maxMarks,
+    questions: attempt.questions.map(question => {
+      const answer = answers.get(idOf(question.question));
+      return {
+        id: question.question,
+        type: question.type,
+        prompt: question.prompt,
+        points: question.points,
+        options: question.options,
+        response: answer ? answer.response : null,
+        ...(submitted && { correct: answer?.correct ?? false, pointsAwarded: answer?.points ?? 0 }),
+        ...(reveal && { answer: toAnswerKey(question), explanation: question.explanation })
+      };
+    })
+  };
+};
+
+const toAttemptSummary = (attempt) => ({
+  id: attempt._id,
+  number: attempt.number,
+  status: attempt.status,
+  startedAt: attempt.startedAt,
+  expiresAt: attempt.expiresAt,
+  submittedAt: attempt.submittedAt,
+  score: attempt.score,
+  maxScore: attempt.maxScore,
+  marks: attempt.marks,
+  ...(attempt.student?.name && {
+    student: { id: attempt.student._id, name: attempt.student.name, email: attempt.student.email }
+  })
+});
+
+const loadQuizForMember = async (quizId, user) => {
+  const quiz = await findById(Quiz, quizId, 'Quiz');
+  const course = await Course.findById(quiz.course);
+  if (!can(user, 'course.view', course)) {
+    throw quizError('Not authorized to view this quiz', 403);
+  }
+  return { quiz, course };
+};
+
+// The quiz as its page shows it: settings for everyone, and the student's own
+// attempts and grade, or a summary of everyone's for staff
+const getQuiz = async ({ quizId, user }) => {
+  const { quiz, course } = await loadQuizForMember(quizId, user);
+  const payload = { ...toQuizPayload(quiz), canManage: can(user, 'quiz.manage', course) };
+  const bank = await QuestionBank.findById(quiz.bank).select('title questions');
+  const poolSize = bank ? poolOf(quiz, bank).length : 0;
+  payload.questionsPerAttempt = quiz.questionCount || poolSize;
+
+  if (payload.canManage) {
+    payload.bankTitle = bank?.title;
+    payload.poolSize = poolSize;
+  }
+
+  if (!can(user, 'quiz.take', course)) {
+    if (can(user, 'submission.view', course)) {
+      await closeExpiredAttempts({ quiz: quiz._id });
+      const attempts = await QuizAttempt.find({ quiz: quiz._id, status: 'submitted' }).select('student marks');
+      payload.stats = {
+        attempts: attempts.length,
+        students: new Set(attempts.map(attempt => idOf(attempt.student))).size,
+        averageMarks: attempts.length
+          ? round2(attempts.reduce((sum, attempt) => sum + attempt.marks, 0) / attempts.length)
+          : null
+      };
+    }
+    return payload;
+  }
+
+  await closeExpiredAttempts({ quiz: quiz._id, student: user._id });
+  const attempts = await QuizAttempt.find({ quiz: quiz._id, student: user._id }).sort({ number: 1 });
+  const finished = attempts.filter(attempt => attempt.status === 'submitted');
+  const lock = await getItemLock({ course, user, itemId: quiz._id });
+
+  return {
+    ...payload,
+    attempts: attempts.map(toAttemptSummary),
+    inProgress: attempts.find(attempt => attempt.status === 'in_progress')?._id || null,
+    attemptsLeft: quiz.maxAttempts ? Math.max(0, quiz.maxAttempts - finished.length) : null,
+    grade: countingAttempt(attempts, quiz.scoring)?.marks ?? null,
+    lock
+  };
+};
+
+// Starts an attempt, or returns the one the student has open
+const startAttempt = async ({ quizId, user }) => {
+  const quiz = await findById(Quiz, quizId, 'Quiz');
+  const course = await Course.findById(quiz.course);
+
+  if (!can(user, 'quiz.take', course)) {
+    throw quizError('Only enrolled students can take this quiz', 403);
+  }
+  if (await getItemLock({ course, user, itemId: quiz._id })) {
+    throw quizError('This quiz is not available yet', 403);
+  }
+
+  await closeExpiredAttempts({ quiz: quiz._id, student: user._id });
+  const open = await QuizAttempt.findOne({ quiz: quiz._id, student: user._id, status: 'in_progress' });
+  if (open) return toAttemptPayload(open, quiz);
+
+  const now = new Date();
+  if (quiz.dueDate && now > quiz.dueDate) {
+    throw quizError('This quiz is closed', 400);
+  }
+
+  const taken = await QuizAttempt.countDocuments({ quiz: quiz._id, student: user._id });
+  if (quiz.maxAttempts && taken >= quiz.maxAttempts) {
+    throw quizError('You have used all your attempts at this quiz', 400);
+  }
+
+  const bank = await QuestionBank.findById(quiz.bank);
+  const pool = bank ? poolOf(quiz, bank) : [];
+  if (pool.length === 0) {
+    throw quizError('This quiz has no questions yet', 400);
+  }
+
+  // A random subset keeps the bank's order unless questions are shuffled too
+  let questions = quiz.questionCount && quiz.questionCount < pool.length
+    ? shuffle(pool).slice(0, quiz.questionCount)
+    : [...pool];
+  questions = quiz.shuffleQuestions
+    ? shuffle(questions)
+    : pool.filter(question => questions.includes(question));
+
+  const deadlines = [
+    quiz.timeLimit && new Date(now.getTime() + quiz.timeLimit * 60 * 1000),
+    quiz.dueDate
+  ].filter(Boolean);
+
+  try {
+    const attempt = await QuizAttempt.create({
+      quiz: quiz._id,
+      course: course._id,
+      student: user._id,
+      number: taken + 1,
+      questions: questions.map(question => snapshotQuestion(question, quiz)),
+      answers: [],
+      startedAt: now,
+      expiresAt: deadlines.length ? new Date(Math.min(...deadlines)) : null
+    });
+    return toAttemptPayload(attempt, quiz);
+  } catch (error) {
+    // Started twice at once, e.g. from two tabs: both get the one attempt
+    if (error.code === 11000) {
+      const existing = await QuizAttempt.findOne({ quiz: quiz._id, student: user._id, number: taken + 1 });
+      if (existing) return toAttemptPayload(existing, quiz);
+    }
+    throw error;
+  }
+};
+
+// An attempt for the student who made it or the course's graders
+const loadAttempt = async (attemptId, user) => {
+  const attempt = await findById(QuizAttempt, attemptId, 'Attempt');
+  const quiz = await Quiz.findById(attempt.quiz);
+  const course = await Course.findById(attempt.course);
+  const isOwn = idOf(attempt.student) === idOf(user._id);
+
+  if (!isOwn && !can(user, 'submission.view', course)) {
+    throw quizError('Not authorized to view this attempt', 403);
+  }
+  return { attempt, quiz, isOwn };
+};
+
+const getAttempt = async ({ attemptId, user }) => {
+  const { attempt, quiz, isOwn } = await loadAttempt(attemptId, user);
+
+  if (attempt.status === 'in_progress' && isExpired(attempt)) {
+    await finalizeAttempt(attempt, quiz);
+  }
+  return toAttemptPayload(attempt, quiz, !isOwn || quiz.showCorrectAnswers);
+};
+
+// Merges `answers`, [{ question, response }], into the open attempt
+const recordAnswers = (attempt, answers = []) => {
+  const questions = new Map(attempt.questions.map(question => [idOf(question.question), question]));
+  const saved = new Map(attempt.answers.map(answer => [idOf(answer.question), answer.response]));
+
+  for (const answer of answers) {
+    const question = questions.get(idOf(answer?.question));
+    if (question) saved.set(idOf(question.question), toResponse(question, answer.response));
+  }
+  attempt.answers = [...saved].map(([question, response]) => ({ question, response }));
+};
+
+const getOpenAttempt = async (attemptId, user) => {
+  const { attempt, quiz, isOwn } = await loadAttempt(attemptId, user);
+
+  if (!isOwn) {
+    throw quizError('Only the student taking this attempt can answer it', 403);
+  }
+  if (attempt.status !== 'in_progress') {
+    throw quizError('This attempt has already been submitted', 400);
+  }
+  return { attempt, quiz };
+};
+
+// Autosave while the student works; answers are not scored until submitted
+const saveAnswers = async ({ attemptId, answers, user }) => {
+  const { attempt, quiz } = await getOpenAttempt(attemptId, user);
+
+  if (isExpired(attempt)) {
+    await finalizeAttempt(attempt, quiz);
+    throw quizError('Time is up; your saved answers were submitted', 400);
+  }
+
+  recordAnswers(attempt, answers);
+  await attempt.save();
+
+  return { savedAt: attempt.updatedAt };
+};
+
+// Answers sent after time ran out are ignored; those saved before it still count
+const submitAttempt = async ({ attemptId, answers, user }) => {
+  const { attempt, quiz } = await getOpenAttempt(attemptId, user);
+
+  if (!isExpired(attempt)) {
+    recordAnswers(attempt, answers);
+  }
+  await finalizeAttempt(attempt, quiz);
+
+  return toAttemptPayload(attempt, quiz);
+};
+
+// Every student's attempts, for the course's graders
+const listAttempts = async ({ quizId, user }) => {
+  const quiz = await findById(Quiz, quizId, 'Quiz');
+  const course = await Course.findById(quiz.course);
+  if (!can(user, 'submission.view', course)) {
+    throw quizError('Not authorized to view attempts', 403);
+  }
+
+  await closeExpiredAttempts({ quiz: quiz._id });
+  const attempts = await QuizAttempt.find({ quiz: quiz._id })
+    .populate('student', 'name email')
+    .sort({ createdAt: -1 });
+
+  return attempts.map(toAttemptSummary);
+};
+
+module.exports = {
+  GRACE_MS,
+  listBanks,
+  createBank,
+  getBank,
+  updateBank,
+  deleteBank,
+  addQuestion,
+  updateQuestion,
+  removeQuestion,
+  listQuizzes,
+  createQuiz,
+  updateQuiz,
+  deleteQuiz,
+  getQuiz,
+  startAttempt,
+  getAttempt,
+  saveAnswers,
+  submitAttempt,
+  listAttempts,
+  closeExpiredAttempts,
+  countingAttempt
+};
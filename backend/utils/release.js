@@ -0,0 +1,121 @@
+const Assignment = require('../models/Assignment');
+const LectureProgress = require('../models/LectureProgress');
+const QuizAttempt = require('../models/QuizAttempt');
+const { RELEASE_TYPES } = require('../models/releaseRule');
+const { courseRoleOf } = require('./permissions');
+const { describeCurriculum } = require('./curriculum');
+
+// Drip release: which lectures, assignments and quizzes an enrolled student can open yet.
+// Sections and lectures carry a release rule (models/releaseRule.js); an item is
+// locked while its section's rule or its own is unmet. Course staff and admins
+// always see everything, and preview lectures are never locked.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Longest delay a rule may set
+const MAX_RELEASE_DAYS = 365;
+
+const idOf = (ref) => String(ref?._id || ref);
+
+// A rule from a request body, e.g. { type: 'days_after_enrollment', days: '7' }
+const toReleaseRule = (rule) => ({
+  type: rule?.type || 'immediate',
+  days: rule?.type === 'days_after_enrollment' ? Math.max(0, parseInt(rule.days) || 0) : 0
+});
+
+// Students enrolled before enrollment dates were kept count from the course's creation
+const enrolledAtOf = (course, user) => course.enrollments
+  ?.find(entry => idOf(entry.student) === idOf(user))?.enrolledAt || course.createdAt;
+
+// What keeps one rule from being met: the date it is met on, and the item or
+// section still to complete. `previous` is what comes before in the curriculum.
+const checkRule = (rule, { enrolledAt, now, previous }) => {
+  const lock = { unlocksAt: null, waitingFor: [] };
+
+  if (rule?.type === 'days_after_enrollment') {
+    const unlocksAt = new Date(new Date(enrolledAt).getTime() + rule.days * DAY_MS);
+    if (unlocksAt > now) lock.unlocksAt = unlocksAt;
+  }
+  if (rule?.type === 'after_previous' && previous && !previous.completed) {
+    lock.waitingFor.push(previous.ref);
+  }
+  return lock;
+};
+
+const mergeLocks = (a, b) => ({
+  unlocksAt: a.unlocksAt && b.unlocksAt
+    ? new Date(Math.max(a.unlocksAt, b.unlocksAt))
+    : a.unlocksAt || b.unlocksAt,
+  waitingFor: [...a.waitingFor, ...b.waitingFor]
+});
+
+const isLocked = (lock) => Boolean(lock.unlocksAt || lock.waitingFor.length);
+
+// The course's curriculum and, for a student, the locked items keyed by id.
+// A lecture is completed once watched; an assignment or quiz once submitted.
+const getReleaseSchedule = async ({ course, user }) => {
+  const curriculum = await describeCurriculum(course);
+  const locks = new Map();
+
+  if (courseRoleOf(course, user) !== 'student') {
+    return { curriculum, locks };
+  }
+
+  const [records, submitted, attempts] = await Promise.all([
+    LectureProgress.find({ user: user._id, course: course._id, completed: true }).select('lecture'),
+    Assignment.find({ course: course._id, 'submissions.student': user._id }).select('_id'),
+    QuizAttempt.find({ student: user._id, course: course._id, status: 'submitted' }).select('quiz')
+  ]);
+  const completed = new Set([
+    ...records.map(record => idOf(record.lecture)),
+    ...submitted.map(assignment => idOf(assignment)),
+    ...attempts.map(attempt => idOf(attempt.quiz))
+  ]);
+  const context = { enrolledAt: enrolledAtOf(course, user), now: new Date() };
+
+  // Unsectioned items come last and have no section rule
+  const groups = [...curriculum.sections, { items: curriculum.unsectioned }];
+  let previousItem = null;
+  let previousSection = null;
+
+  for (const group of groups) {
+    const sectionLock = checkRule(group.release, { ...context, previous: previousSection });
+
+    for (const item of group.items) {
+      const ownLock = item.kind === 'Lecture'
+        ? checkRule(item.release, { ...context, previous: previousItem })
+        : { unlocksAt: null, waitingFor: [] };
+      const lock = mergeLocks(sectionLock, ownLock);
+
+      if (isLocked(lock) && !item.isPreview) {
+        locks.set(idOf(item.id), lock);
+      }
+      previousItem = {
+        ref: { kind: item.kind, id: item.id, title: item.title },
+        completed: completed.has(idOf(item.id))
+      };
+    }
+
+    if (group.id) {
+      previousSection = {
+        ref: { kind: 'Section', id: group.id, title: group.title },
+        completed: group.items.every(item => completed.has(idOf(item.id)))
+      };
+    }
+  }
+
+  return { curriculum, locks };
+};
+
+// Whether one lecture, assignment or quiz is locked for the user, with why
+const getItemLock = async ({ course, user, itemId }) => {
+  const { locks } = await getReleaseSchedule({ course, user });
+  return locks.get(idOf(itemId)) || null;
+};
+
+module.exports = {
+  RELEASE_TYPES,
+  MAX_RELEASE_DAYS,
+  toReleaseRule,
+  getReleaseSchedule,
+  getItemLock
+};
@@ -0,0 +1,20 @@
+const SecurityEvent = require('../models/SecurityEvent');
+
+// Records a security event. Logging must never break the request that
+// triggered it, so failures are only reported to the console.
+const logSecurityEvent = async (type, { req, user, email, details } = {}) => {
+  try {
+    await SecurityEvent.create({
+      type,
+      user: user?._id || user || null,
+      email: email || user?.email,
+      ip: req?.ip,
+      userAgent: req?.get('user-agent'),
+      details
+    });
+  } catch (error) {
+    console.error('Security log error:', error);
+  }
+};
+
+module.exports = { logSecurityEvent };
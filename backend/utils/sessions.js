@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+
+// Activity refreshes `lastSeenAt` at most this often, so authenticated
+// requests don't each cost a write
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+// Every socket joins the room of the session it authenticated with
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Safari\//]
+];
+
+const PLATFORMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/]
+];
+
+// Short human label such as "Chrome on Windows" for the sessions list
+const describeDevice = (userAgent = '') => {
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const platform = PLATFORMS.find(([, pattern]) => pattern.test(userAgent));
+
+  if (browser && platform) return `${browser[0]} on ${platform[0]}`;
+  if (browser || platform) return (browser || platform)[0];
+  return userAgent ? userAgent.slice(0, 60) : 'Unknown device';
+};
+
+const createSession = (userId, req, expiresAt) => {
+  const userAgent = req.get('user-agent');
+  return Session.create({
+    user: userId,
+    device: describeDevice(userAgent),
+    ip: req.ip,
+    userAgent,
+    expiresAt
+  });
+};
+
+// Called on every refresh: the device is active and may have changed network.
+// Resolves to false when the session no longer exists or was revoked.
+const touchSession = async (sessionId, req, expiresAt) => {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) return false;
+
+  const { matchedCount } = await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { lastSeenAt: new Date(), ip: req.ip, expiresAt }
+  );
+  return matchedCount > 0;
+};
+
+// True while the session is neither revoked nor expired. Also records the
+// session as seen, which is what the sessions list shows.
+const isSessionActive = async (sessionId) => {
+  if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) return false;
+
+  const session = await Session.findById(sessionId).select('revokedAt expiresAt lastSeenAt');
+  if (!session || !session.isActive()) return false;
+
+  if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_RESOLUTION_MS) {
+    Session.updateOne({ _id: sessionId }, { lastSeenAt: new Date() })
+      .catch(error => console.error('Session touch error:', error));
+  }
+  return true;
+};
+
+const revokeSessions = async (filter, reason) => {
+  const sessions = await Session.find({ ...filter, revokedAt: null }).select('_id');
+  if (sessions.length === 0) return [];
+
+  const ids = sessions.map(session => session._id);
+  const now = new Date();
+  await Session.updateMany({ _id: { $in: ids } }, { revokedAt: now, revokedReason: reason });
+  await RefreshToken.updateMany(
+    { family: { $in: ids.map(String) }, revokedAt: null },
+    { revokedAt: now }
+  );
+  return ids.map(String);
+};
+
+// Ends one session and its refresh tokens, limited to `userId`'s sessions when
+// given. Resolves to the revoked ids, empty when nothing matched.
+const revokeSession = (sessionId, reason = 'logout', userId) => {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) return Promise.resolve([]);
+  return revokeSessions(userId ? { _id: sessionId, user: userId } : { _id: sessionId }, reason);
+};
+
+// Ends every session of a user, optionally keeping the one making the request
+const revokeUserSessions = (userId, { reason = 'logout', except } = {}) => {
+  const filter = { user: userId };
+  if (except && mongoose.Types.ObjectId.isValid(except)) {
+    filter._id = { $ne: except };
+  }
+  return revokeSessions(filter, reason);
+};
+
+// Revoked access tokens are rejected on the next request, but live sockets
+// were authenticated at connect time and have to be closed explicitly
+const disconnectSessions = (io, sessionIds) => {
+  if (!io || sessionIds.length === 0) return;
+  io.in(sessionIds.map(sessionRoom)).disconnectSockets(true);
+};
+
+const summarizeSession = (session, currentSessionId) => ({
+  id: session._id,
+  device: session.device,
+  ip: session.ip,
+  userAgent: session.userAgent,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  expiresAt: session.expiresAt,
+  isCurrent: String(session._id) === String(currentSessionId)
+});
+
+// Active sessions, most recently used first
+const listSessions = async (userId, currentSessionId) => {
+  const sessions = await Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastSeenAt: -1 });
+
+  return sessions.map(session => summarizeSession(session, currentSessionId));
+};
+
+module.exports = {
+  sessionRoom,
+  describeDevice,
+  createSession,
+  touchSession,
+  isSessionActive,
+  revokeSession,
+  revokeUserSessions,
+  disconnectSessions,
+  listSessions
+};
@@ -0,0 +1,32 @@
+const Setting = require('../models/Setting');
+
+// Value used until an admin saves the setting
+const DEFAULTS = {
+  // Roles that must enroll in two-factor authentication before signing in
+  twoFactorRequiredRoles: []
+};
+
+const getSetting = async (key) => {
+  const setting = await Setting.findOne({ key }).lean();
+  return setting ? setting.value : DEFAULTS[key];
+};
+
+const setSetting = async (key, value, userId) => {
+  await Setting.findOneAndUpdate(
+    { key },
+    { value, updatedBy: userId },
+    { upsert: true }
+  );
+  return value;
+};
+
+// Settings as one object, defaults filled in
+const getSettings = async () => {
+  const saved = await Setting.find({ key: { $in: Object.keys(DEFAULTS) } }).lean();
+  return saved.reduce(
+    (settings, setting) => ({ ...settings, [setting.key]: setting.value }),
+    { ...DEFAULTS }
+  );
+};
+
+module.exports = { getSetting, setSetting, getSettings };
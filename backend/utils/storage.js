@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const cloudinary = require('cloudinary').v2;
+
+// Pluggable file storage. Every adapter exposes:
+//   save(file, { folder })  -> { url, publicId, resourceType, thumbnailUrl }
+//   remove(publicId, { resourceType })
+//   isStoredUrl(url)        -> whether a URL was produced by this adapter
+// Cloudinary is used when credentials are configured, local disk otherwise.
+
+const LOCAL_UPLOAD_DIR = path.join(__dirname, '..', 'uploads');
+
+// Extensions are derived from the (whitelisted) MIME type, never from the client filename
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'application/pdf': '.pdf',
+  'application/zip': '.zip',
+  'text/plain': '.txt',
+  'application/msword': '.doc',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+  'application/vnd.ms-powerpoint': '.ppt',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': '.pptx',
+  'application/vnd.ms-excel': '.xls',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '.xlsx'
+};
+
+const extensionFor = (mimetype) => EXTENSIONS[mimetype] || '';
+
+const createCloudinaryStorage = () => {
+  cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET
+  });
+
+  return {
+    name: 'cloudinary',
+
+    save: async (file, { folder }) => {
+      const result = await new Promise((resolve, reject) => {
+        cloudinary.uploader.upload_stream(
+          {
+            resource_type: 'auto',
+            folder: `edunexus/${folder}`,
+            public_id: `${Date.now()}_${crypto.randomBytes(6).toString('hex')}`
+          },
+          (error, result) => {
+            if (error) reject(error);
+            else resolve(result);
+          }
+        ).end(file.buffer);
+      });
+
+      const isImage = file.mimetype.startsWith('image/');
+      return {
+        url: result.secure_url,
+        publicId: result.public_id,
+        resourceType: result.resource_type,
+        thumbnailUrl: isImage
+          ? cloudinary.url(result.public_id, { width: 320, crop: 'limit', secure: true })
+          : undefined
+      };
+    },
+
+    remove: async (publicId, { resourceType = 'image' } = {}) => {
+      await cloudinary.uploader.destroy(publicId, { resource_type: resourceType });
+    },
+
+    isStoredUrl: (url) => (
+      typeof url === 'string'
+      && url.startsWith(`https://res.cloudinary.com/${process.env.CLOUDINARY_CLOUD_NAME}/`)
+    )
+  };
+};
+
+const createLocalStorage = () => {
+  const baseUrl = `${process.env.UPLOADS_BASE_URL || ''}/uploads`;
+
+  return {
+    name: 'local',
+
+    save: async (file, { folder }) => {
+      const dir = path.join(LOCAL_UPLOAD_DIR, folder);
+      await fs.promises.mkdir(dir, { recursive: true });
+
+      const filename = `${Date.now()}_${crypto.randomBytes(12).toString('hex')}${extensionFor(file.mimetype)}`;
+      await fs.promises.writeFile(path.join(dir, filename), file.buffer);
+
+      const url = `${baseUrl}/${folder}/${filename}`;
+      return {
+        url,
+        publicId: `${folder}/${filename}`,
+        resourceType: 'file',
+        // No image processing locally; the browser scales the original
+        thumbnailUrl: file.mimetype.startsWith('image/') ? url : undefined
+      };
+    },
+
+    remove: async (publicId) => {
+      const target = path.resolve(LOCAL_UPLOAD_DIR, publicId);
+      if (!target.startsWith(LOCAL_UPLOAD_DIR + path.sep)) return;
+      await fs.promises.unlink(target).catch(() => {});
+    },
+
+    isStoredUrl: (url) => typeof url === 'string' && url.startsWith(`${baseUrl}/`)
+  };
+};
+
+const isCloudinaryConfigured = () => Boolean(
+  process.env.CLOUDINARY_CLOUD_NAME
+  && process.env.CLOUDINARY_API_KEY
+  && process.env.CLOUDINARY_API_SECRET
+  && process.env.CLOUDINARY_API_KEY !== 'your_cloudinary_api_key'
+);
+
+let storage;
+
+const getStorage = () => {
+  if (!storage) {
+    storage = isCloudinaryConfigured() ? createCloudinaryStorage() : createLocalStorage();
+  }
+  return storage;
+};
+
+module.exports = {
+  getStorage,
+  SUPPORTED_MIME_TYPES: Object.keys(EXTENSIONS),
+  LOCAL_UPLOAD_DIR
+};
@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const { createSession, touchSession, revokeSession } = require('./sessions');
+
+// Access tokens are short-lived JWTs; refresh tokens are opaque, stored hashed
+// and rotated on every use. Failures throw an Error carrying a statusCode.
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+// Two tabs refreshing at once both present the same token; only reuse after
+// this window is treated as theft
+const REUSE_GRACE_MS = 30 * 1000;
+
+const tokenError = (message, statusCode = 401) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// `sid` ties the access token to its session so logout revokes both
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sid: sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+};
+
+const createRefreshToken = async (userId, family, req, expiresAt) => {
+  const token = crypto.randomBytes(48).toString('hex');
+  const record = await RefreshToken.create({
+    user: userId,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt,
+    createdByIp: req.ip,
+    userAgent: req.get('user-agent')
+  });
+  return { token, record };
+};
+
+// Starts a new session: returns the `{ token, refreshToken }` pair sent to the client
+const issueTokens = async (user, req) => {
+  const expiresAt = refreshExpiry();
+  const session = await createSession(user._id, req, expiresAt);
+  const family = String(session._id);
+  const { token: refreshToken } = await createRefreshToken(user._id, family, req, expiresAt);
+  return { token: generateAccessToken(user._id, family), refreshToken };
+};
+
+// Exchanges a refresh token for a new pair. Presenting an already rotated token
+// means it leaked, so the whole session is revoked.
+const rotateRefreshToken = async (refreshToken, req) => {
+  if (typeof refreshToken !== 'string' || !refreshToken) {
+    throw tokenError('Refresh token is required', 400);
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  const now = new Date();
+
+  // Claim the token in one step, so of two requests presenting it only one rotates it
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { revokedAt: now } },
+    { new: true }
+  );
+
+  if (!current) {
+    const existing = await RefreshToken.findOne({ tokenHash });
+    if (!existing) {
+      throw tokenError('Invalid refresh token');
+    }
+    if (existing.revokedAt) {
+      const isRace = Date.now() - existing.revokedAt.getTime() < REUSE_GRACE_MS;
+      if (existing.replacedBy && !isRace) await revokeSession(existing.family, 'token-reuse');
+      throw tokenError('Refresh token has been revoked');
+    }
+    throw tokenError('Refresh token has expired');
+  }
+
+  const expiresAt = refreshExpiry();
+  if (!(await touchSession(current.family, req, expiresAt))) {
+    throw tokenError('Session has ended');
+  }
+
+  const { token: nextToken, record } = await createRefreshToken(current.user, current.family, req, expiresAt);
+  await RefreshToken.updateOne({ _id: current._id }, { $set: { replacedBy: record.tokenHash } });
+
+  return {
+    userId: current.user,
+    token: generateAccessToken(current.user, current.family),
+    refreshToken: nextToken
+  };
+};
+
+// Ends the session the refresh token belongs to; unknown tokens are ignored
+const revokeRefreshToken = async (refreshToken) => {
+  if (typeof refreshToken !== 'string' || !refreshToken) return [];
+
+  const current = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) }).select('family');
+  return current ? revokeSession(current.family, 'logout') : [];
+};
+
+module.exports = {
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken
+};
@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { authenticator } = require('otplib');
+const QRCode = require('qrcode');
+const { getSetting } = require('./settings');
+
+// TOTP two-factor authentication. Secrets are encrypted at rest, recovery codes
+// are stored hashed, and a code that was already accepted can't be replayed.
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'EduNexus';
+const STEP_SECONDS = 30;
+const RECOVERY_CODE_COUNT = 10;
+// Window for entering the code after the password was accepted
+const CHALLENGE_TTL = '5m';
+const CHALLENGE_PURPOSE = '2fa-challenge';
+
+// Accept the previous and next code too, for clock drift
+authenticator.options = { step: STEP_SECONDS, window: 1 };
+
+const twoFactorError = (message, statusCode = 400, field) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.field = field;
+  return error;
+};
+
+const encryptionKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+  .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(code.replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+const isTwoFactorRequired = async (role) => {
+  const roles = await getSetting('twoFactorRequiredRoles');
+  return Array.isArray(roles) && roles.includes(role);
+};
+
+// Starts (or restarts) enrollment: stores a new, not yet enabled secret on the
+// user and returns what the authenticator app needs. Caller saves the user.
+const beginEnrollment = async (user) => {
+  if (user.twoFactorEnabled) {
+    throw twoFactorError('Two-factor authentication is already enabled');
+  }
+
+  const secret = authenticator.generateSecret();
+  const otpauthUrl = authenticator.keyuri(user.email, ISSUER, secret);
+  user.twoFactorSecret = encryptSecret(secret);
+  user.twoFactorLastUsedStep = undefined;
+
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl)
+  };
+};
+
+// Returns ten fresh recovery codes (shown once) and stores their hashes
+const regenerateRecoveryCodes = (user) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  user.twoFactorRecoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
+};
+
+// Checks a TOTP code against the stored secret. A code is only accepted once;
+// the matching time step is remembered on the user.
+const verifyTotp = (user, code) => {
+  if (!user.twoFactorSecret || !/^\d{6}$/.test(code)) return false;
+
+  const delta = authenticator.checkDelta(code, decryptSecret(user.twoFactorSecret));
+  if (delta === null) return false;
+
+  const step = Math.floor(Date.now() / 1000 / STEP_SECONDS) + delta;
+  if (user.twoFactorLastUsedStep && step <= user.twoFactorLastUsedStep) return false;
+
+  user.twoFactorLastUsedStep = step;
+  return true;
+};
+
+// Finishes enrollment with the first code from the authenticator app.
+// Returns the recovery codes. Caller saves the user.
+const completeEnrollment = (user, code) => {
+  if (user.twoFactorEnabled) {
+    throw twoFactorError('Two-factor authentication is already enabled');
+  }
+  if (!user.twoFactorSecret) {
+    throw twoFactorError('Start two-factor setup first');
+  }
+  if (!verifyTotp(user, String(code || '').trim())) {
+    throw twoFactorError('Invalid authentication code', 400, 'code');
+  }
+
+  user.twoFactorEnabled = true;
+  user.twoFactorEnabledAt = new Date();
+  return regenerateRecoveryCodes(user);
+};
+
+// Verifies a sign-in code: a TOTP code or an unused recovery code, which is
+// then consumed. Returns 'totp', 'recovery' or null. Caller saves the user.
+const verifySecondFactor = (user, code) => {
+  const value = String(code || '').trim();
+
+  if (verifyTotp(user, value)) return 'totp';
+
+  const hash = hashRecoveryCode(value);
+  const index = (user.twoFactorRecoveryCodes || []).indexOf(hash);
+  if (value && index !== -1) {
+    user.twoFactorRecoveryCodes.splice(index, 1);
+    return 'recovery';
+  }
+
+  return null;
+};
+
+const disableTwoFactor = (user) => {
+  user.twoFactorEnabled = false;
+  user.twoFactorEnabledAt = undefined;
+  user.twoFactorSecret = undefined;
+  user.twoFactorRecoveryCodes = [];
+  user.twoFactorLastUsedStep = undefined;
+};
+
+// Short-lived proof that the password was accepted. It carries no session, so
+// it can't be used as an access token.
+const createChallengeToken = (user) => jwt.sign(
+  { userId: user._id, purpose: CHALLENGE_PURPOSE },
+  process.env.JWT_SECRET,
+  { expiresIn: CHALLENGE_TTL }
+);
+
+// Resolves a challenge token to its user id or throws a 401
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(String(token || ''), process.env.JWT_SECRET);
+    if (decoded.purpose !== CHALLENGE_PURPOSE) throw new Error('Wrong token purpose');
+    return decoded.userId;
+  } catch (error) {
+    throw twoFactorError('Sign-in attempt has expired. Please sign in again.', 401);
+  }
+};
+
+module.exports = {
+  isTwoFactorRequired,
+  beginEnrollment,
+  completeEnrollment,
+  regenerateRecoveryCodes,
+  verifyTotp,
+  verifySecondFactor,
+  disableTwoFactor,
+  createChallengeToken,
+  verifyChallengeToken
+};
@@ -5,9 +5,14 @@ import { AuthProvider } from './contexts/AuthContext';
 import { SocketProvider } from './contexts/SocketContext';
 import ProtectedRoute from './components/ProtectedRoute';
 import Navbar from './components/Navbar';
+import EmailVerificationBanner from './components/EmailVerificationBanner';
 import Home from './pages/Home';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
+import OidcCallback from './pages/OidcCallback';
 import Dashboard from './pages/Dashboard';
 import Courses from './pages/Courses';
 import CourseDetail from './pages/CourseDetail';
@@ -17,7 +22,9 @@ import LecturePlayer from './pages/LecturePlayer';
 import Assignments from './pages/Assignments';
 import AssignmentDetail from './pages/AssignmentDetail';
 import CreateAssignment from './pages/CreateAssignment';
+import QuizPlayer from './pages/QuizPlayer';
 import Chat from './pages/Chat';
+import Inbox from './pages/Inbox';
 import Profile from './pages/Profile';
 import AdminPanel from './pages/AdminPanel';
 import NotFound from './pages/NotFound';
@@ -29,11 +36,16 @@ function App() {
         <Router future={{ v7_startTransition: true, v7_relativeSplatPath: true }}>
           <div className="min-h-screen bg-gray-50">
             <Navbar />
+            <EmailVerificationBanner />
             <main>
               <Routes>
                 <Route path="/" element={<Home />} />
                 <Route path="/login" element={<Login />} />
                 <Route path="/register" element={<Register />} />
+                <Route path="/forgot-password" element={<ForgotPassword />} />
+                <Route path="/reset-password/:token" element={<ResetPassword />} />
+                <Route path="/verify-email/:token" element={<VerifyEmail />} />
+                <Route path="/auth/oidc/callback" element={<OidcCallback />} />
                 
                 <Route path="/dashboard" element={
                   <ProtectedRoute>
@@ -80,12 +92,30 @@ function App() {
                   </ProtectedRoute>
                 } />
                 
+                <Route path="/quiz/:id" element={
+                  <ProtectedRoute>
+                    <QuizPlayer />
+                  </ProtectedRoute>
+                } />
+                
                 <Route path="/chat/:courseId" element={
                   <ProtectedRoute>
                     <Chat />
                   </ProtectedRoute>
                 } />
                 
+                <Route path="/inbox" element={
+                  <ProtectedRoute>
+                    <Inbox />
+                  </ProtectedRoute>
+                } />
+
+                <Route path="/inbox/:conversationId" element={
+                  <ProtectedRoute>
+                    <Inbox />
+                  </ProtectedRoute>
+                } />
+                
                 <Route path="/profile" element={
                   <ProtectedRoute>
                     <Profile />
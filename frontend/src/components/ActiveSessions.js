@@ -0,0 +1,134 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { formatDistanceToNow } from 'date-fns';
+import { FiMonitor, FiSmartphone, FiLogOut } from 'react-icons/fi';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+
+const isMobile = (device = '') => /iOS|Android/.test(device);
+
+// Devices the current user is signed in on, with per-device sign out
+const ActiveSessions = () => {
+  const { logout } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [revoking, setRevoking] = useState(null);
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      const res = await axios.get('/api/auth/sessions');
+      setSessions(res.data.sessions);
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+      toast.error('Failed to load active sessions');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const handleRevoke = async (session) => {
+    if (session.isCurrent) {
+      logout();
+      return;
+    }
+
+    setRevoking(session.id);
+    try {
+      await axios.delete(`/api/auth/sessions/${session.id}`);
+      setSessions(prev => prev.filter(s => s.id !== session.id));
+      toast.success(`Signed out of ${session.device}`);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to sign out device');
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    if (!window.confirm('Sign out of every other device?')) return;
+
+    setRevoking('others');
+    try {
+      const res = await axios.delete('/api/auth/sessions');
+      setSessions(prev => prev.filter(s => s.isCurrent));
+      toast.success(res.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to sign out other devices');
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  const hasOthers = sessions.some(session => !session.isCurrent);
+
+  return (
+    <div className="mt-12 pt-8 border-t">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Where you're signed in</h3>
+          <p className="text-sm text-gray-600">Sign out of any device you don't recognise.</p>
+        </div>
+        {hasOthers && (
+          <button
+            onClick={handleRevokeOthers}
+            disabled={revoking !== null}
+            className="btn btn-outline btn-sm"
+          >
+            Sign out other devices
+          </button>
+        )}
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+        </div>
+      ) : (
+        <ul className="divide-y border rounded-lg">
+          {sessions.map(session => {
+            const DeviceIcon = isMobile(session.device) ? FiSmartphone : FiMonitor;
+
+            return (
+              <li key={session.id} className="flex items-center px-4 py-3">
+                <DeviceIcon className="h-6 w-6 text-gray-400 mr-4 flex-shrink-0" />
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center space-x-2">
+                    <span className="text-sm font-medium text-gray-900 truncate">{session.device}</span>
+                    {session.isCurrent && (
+                      <span className="text-xs px-2 py-0.5 rounded-full bg-green-100 text-green-700">
+                        This device
+                      </span>
+                    )}
+                  </div>
+                  <p className="text-xs text-gray-500 truncate" title={session.userAgent}>
+                    {session.ip || 'Unknown IP'}
+                    {' · '}
+                    {session.isCurrent
+                      ? 'Active now'
+                      : `Last active ${formatDistanceToNow(new Date(session.lastSeenAt), { addSuffix: true })}`}
+                    {' · '}
+                    Signed in {formatDistanceToNow(new Date(session.createdAt), { addSuffix: true })}
+                  </p>
+                </div>
+                <button
+                  onClick={() => handleRevoke(session)}
+                  disabled={revoking !== null}
+                  className="ml-4 flex items-center text-sm text-red-600 hover:text-red-700 disabled:opacity-50"
+                >
+                  <FiLogOut className="h-4 w-4 mr-1" />
+                  Sign out
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ActiveSessions;
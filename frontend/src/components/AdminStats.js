@@ -0,0 +1,155 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { format, parseISO } from 'date-fns';
+import { FiUsers, FiBookOpen, FiUserCheck, FiUserX } from 'react-icons/fi';
+import toast from 'react-hot-toast';
+
+const StatCard = ({ icon: Icon, label, value, detail }) => (
+  <div className="card p-6">
+    <div className="flex items-center">
+      <div className="p-2 bg-primary-100 rounded-lg">
+        <Icon className="h-6 w-6 text-primary-600" />
+      </div>
+      <div className="ml-4">
+        <p className="text-sm font-medium text-gray-600">{label}</p>
+        <p className="text-2xl font-bold text-gray-900">{value}</p>
+        {detail && <p className="text-xs text-gray-500">{detail}</p>}
+      </div>
+    </div>
+  </div>
+);
+
+// Horizontal bars, each scaled against the largest value
+const BarList = ({ items, emptyText }) => {
+  const max = Math.max(1, ...items.map(item => item.value));
+
+  if (items.length === 0) {
+    return <p className="text-sm text-gray-500">{emptyText}</p>;
+  }
+
+  return (
+    <ul className="space-y-3">
+      {items.map(item => (
+        <li key={item.label}>
+          <div className="flex justify-between text-sm mb-1">
+            <span className="text-gray-700 truncate mr-2">{item.label}</span>
+            <span className="text-gray-500">{item.value}</span>
+          </div>
+          <div className="h-2 bg-gray-100 rounded-full">
+            <div
+              className={`h-2 rounded-full ${item.color || 'bg-primary-500'}`}
+              style={{ width: `${(item.value / max) * 100}%` }}
+            />
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+// Daily sign-ups as a column chart
+const SignupChart = ({ days }) => {
+  const max = Math.max(1, ...days.map(day => day.count));
+  const total = days.reduce((sum, day) => sum + day.count, 0);
+
+  return (
+    <div>
+      <div className="flex items-end h-40 gap-1">
+        {days.map(day => (
+          <div
+            key={day.date}
+            title={`${format(parseISO(day.date), 'MMM d')}: ${day.count}`}
+            className="flex-1 h-full flex items-end"
+          >
+            <div
+              className="w-full bg-primary-500 hover:bg-primary-600 rounded-t"
+              style={{ height: `${(day.count / max) * 100}%`, minHeight: day.count ? '2px' : 0 }}
+            />
+          </div>
+        ))}
+      </div>
+      <div className="flex justify-between text-xs text-gray-500 mt-2">
+        <span>{days.length > 0 && format(parseISO(days[0].date), 'MMM d')}</span>
+        <span>{total} new account{total === 1 ? '' : 's'}</span>
+        <span>{days.length > 0 && format(parseISO(days[days.length - 1].date), 'MMM d')}</span>
+      </div>
+    </div>
+  );
+};
+
+// Platform overview for admins, from GET /api/users/stats/overview
+const AdminStats = () => {
+  const [stats, setStats] = useState(null);
+
+  useEffect(() => {
+    axios.get('/api/users/stats/overview')
+      .then(res => setStats(res.data))
+      .catch(error => {
+        console.error('Error fetching platform stats:', error);
+        toast.error('Failed to load platform statistics');
+      });
+  }, []);
+
+  if (!stats) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  const roles = [
+    { label: 'Students', value: stats.totalStudents, color: 'bg-primary-500' },
+    { label: 'Instructors', value: stats.totalInstructors, color: 'bg-green-500' },
+    { label: 'Admins', value: stats.totalAdmins, color: 'bg-yellow-500' }
+  ];
+
+  return (
+    <div className="space-y-8">
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+        <StatCard icon={FiUsers} label="Users" value={stats.totalUsers} />
+        <StatCard
+          icon={FiUserX}
+          label="Deactivated"
+          value={stats.inactiveUsers}
+          detail={`of ${stats.totalUsers} accounts`}
+        />
+        <StatCard
+          icon={FiBookOpen}
+          label="Courses"
+          value={stats.totalCourses}
+          detail={`${stats.publishedCourses} published, ${stats.unpublishedByAdmin} taken down`}
+        />
+        <StatCard icon={FiUserCheck} label="Enrollments" value={stats.totalEnrollments} />
+      </div>
+
+      <div className="card p-6">
+        <h3 className="font-semibold text-gray-900 mb-4">Sign-ups, last {stats.signupsByDay.length} days</h3>
+        <SignupChart days={stats.signupsByDay} />
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="card p-6">
+          <h3 className="font-semibold text-gray-900 mb-4">Users by role</h3>
+          <BarList items={roles} emptyText="No users yet" />
+        </div>
+        <div className="card p-6">
+          <h3 className="font-semibold text-gray-900 mb-4">Courses by category</h3>
+          <BarList
+            items={stats.coursesByCategory.map(({ category, count }) => ({ label: category, value: count }))}
+            emptyText="No courses yet"
+          />
+        </div>
+        <div className="card p-6">
+          <h3 className="font-semibold text-gray-900 mb-4">Most enrolled courses</h3>
+          <BarList
+            items={stats.topCourses.map(({ title, studentCount }) => ({ label: title, value: studentCount }))}
+            emptyText="No courses yet"
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AdminStats;
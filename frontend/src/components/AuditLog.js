@@ -0,0 +1,218 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { format } from 'date-fns';
+import { FiClipboard, FiDownload } from 'react-icons/fi';
+import toast from 'react-hot-toast';
+
+const ENTRIES_PER_PAGE = 25;
+
+const EMPTY_FILTERS = { action: '', actor: '', targetType: '', from: '', to: '' };
+
+const actionLabel = (action) => action.replace(/[._]/g, ' ');
+
+const actionClasses = (action) => {
+  if (/deleted|deactivated|removed|unpublished|rejected/.test(action)) return 'bg-red-100 text-red-700';
+  if (/graded|role_changed|updated|reset|signed_out/.test(action)) return 'bg-yellow-100 text-yellow-800';
+  return 'bg-green-100 text-green-700';
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Query string for the current filters; dates cover whole days
+const filterParams = (filters) => {
+  const params = new URLSearchParams();
+  if (filters.action) params.append('action', filters.action);
+  if (filters.actor) params.append('actor', filters.actor);
+  if (filters.targetType) params.append('targetType', filters.targetType);
+  if (filters.from) params.append('from', new Date(`${filters.from}T00:00:00`).toISOString());
+  if (filters.to) params.append('to', new Date(`${filters.to}T23:59:59.999`).toISOString());
+  return params;
+};
+
+// Admin view of the audit log: who changed what, with before/after values
+const AuditLog = () => {
+  const [entries, setEntries] = useState([]);
+  const [actions, setActions] = useState([]);
+  const [targetTypes, setTargetTypes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [exporting, setExporting] = useState(false);
+
+  const fetchEntries = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = filterParams(filters);
+      params.append('page', page);
+      params.append('limit', ENTRIES_PER_PAGE);
+
+      const res = await axios.get(`/api/audit?${params}`);
+      setEntries(res.data.entries);
+      setActions(res.data.actions);
+      setTargetTypes(res.data.targetTypes);
+      setTotalPages(res.data.totalPages || 1);
+    } catch (error) {
+      console.error('Error fetching audit log:', error);
+      toast.error('Failed to load audit log');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, filters]);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+    setPage(1);
+  };
+
+  // Fetched through axios so the request carries the access token
+  const handleExport = async (exportFormat) => {
+    setExporting(true);
+    try {
+      const params = filterParams(filters);
+      params.append('format', exportFormat);
+      const res = await axios.get(`/api/audit/export?${params}`, { responseType: 'blob' });
+
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `audit-log-${format(new Date(), 'yyyy-MM-dd')}.${exportFormat}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error('Failed to export audit log');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="card p-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-4">
+        <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+          <FiClipboard className="h-5 w-5 mr-2 text-primary-600" />
+          Audit log
+        </h2>
+        <div className="flex gap-2">
+          <button onClick={() => handleExport('csv')} disabled={exporting} className="btn btn-outline btn-sm">
+            <FiDownload className="h-4 w-4 mr-1" />
+            CSV
+          </button>
+          <button onClick={() => handleExport('json')} disabled={exporting} className="btn btn-outline btn-sm">
+            <FiDownload className="h-4 w-4 mr-1" />
+            JSON
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-5 gap-4 mb-6">
+        <input
+          type="text"
+          name="actor"
+          placeholder="Actor email..."
+          value={filters.actor}
+          onChange={handleFilterChange}
+          className="input"
+        />
+        <select name="action" value={filters.action} onChange={handleFilterChange} className="input capitalize">
+          <option value="">All actions</option>
+          {actions.map(action => (
+            <option key={action} value={action}>{actionLabel(action)}</option>
+          ))}
+        </select>
+        <select name="targetType" value={filters.targetType} onChange={handleFilterChange} className="input capitalize">
+          <option value="">All targets</option>
+          {targetTypes.map(type => (
+            <option key={type} value={type}>{actionLabel(type)}</option>
+          ))}
+        </select>
+        <input type="date" name="from" value={filters.from} onChange={handleFilterChange} className="input" title="From" />
+        <input type="date" name="to" value={filters.to} onChange={handleFilterChange} className="input" title="To" />
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+        </div>
+      ) : entries.length === 0 ? (
+        <p className="text-center text-gray-600 py-12">No audit entries match these filters</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead>
+              <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                <th className="px-4 py-3">When</th>
+                <th className="px-4 py-3">Actor</th>
+                <th className="px-4 py-3">Action</th>
+                <th className="px-4 py-3">Target</th>
+                <th className="px-4 py-3">Changes</th>
+                <th className="px-4 py-3">IP address</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {entries.map(entry => (
+                <tr key={entry._id} className="text-sm align-top">
+                  <td className="px-4 py-3 text-gray-600 whitespace-nowrap">
+                    {format(new Date(entry.createdAt), 'MMM d, yyyy h:mm a')}
+                  </td>
+                  <td className="px-4 py-3 text-gray-900">
+                    <span className="block font-medium">{entry.actorName}</span>
+                    <span className="text-gray-600">{entry.actorEmail}</span>
+                  </td>
+                  <td className="px-4 py-3">
+                    <span className={`text-xs px-2 py-0.5 rounded-full capitalize whitespace-nowrap ${actionClasses(entry.action)}`}>
+                      {actionLabel(entry.action)}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3 text-gray-600">
+                    <span className="block text-xs text-gray-400 capitalize">{actionLabel(entry.target.type)}</span>
+                    {entry.target.label || entry.target.id || '—'}
+                  </td>
+                  <td className="px-4 py-3 text-gray-600">
+                    {entry.changes.length === 0 ? '—' : (
+                      <ul className="space-y-1">
+                        {entry.changes.map(change => (
+                          <li key={change.field}>
+                            <span className="font-medium text-gray-700">{change.field}</span>:{' '}
+                            <span className="line-through text-red-600">{formatValue(change.before)}</span>{' '}
+                            → <span className="text-green-700">{formatValue(change.after)}</span>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-gray-600 font-mono" title={entry.userAgent}>
+                    {entry.ip || '—'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {totalPages > 1 && (
+        <div className="flex items-center justify-between mt-6">
+          <button onClick={() => setPage(page - 1)} disabled={page <= 1} className="btn btn-outline btn-sm">
+            Previous
+          </button>
+          <span className="text-sm text-gray-600">Page {page} of {totalPages}</span>
+          <button onClick={() => setPage(page + 1)} disabled={page >= totalPages} className="btn btn-outline btn-sm">
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuditLog;
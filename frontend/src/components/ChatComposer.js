@@ -0,0 +1,191 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useDropzone } from 'react-dropzone';
+import { FiSend, FiPaperclip, FiX } from 'react-icons/fi';
+import toast from 'react-hot-toast';
+import { formatFileSize } from './ChatMessage';
+
+// Stop announcing "typing" after this much composer inactivity
+const TYPING_IDLE_MS = 3000;
+
+// Mirrors ATTACHMENT_LIMITS in backend/utils/chat.js
+const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+const MAX_ATTACHMENTS = 5;
+const ACCEPTED_ATTACHMENTS = {
+  'image/jpeg': ['.jpg', '.jpeg'],
+  'image/png': ['.png'],
+  'image/gif': ['.gif'],
+  'image/webp': ['.webp'],
+  'application/pdf': ['.pdf'],
+  'application/zip': ['.zip'],
+  'text/plain': ['.txt'],
+  'application/msword': ['.doc'],
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+  'application/vnd.ms-powerpoint': ['.ppt'],
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': ['.pptx'],
+  'application/vnd.ms-excel': ['.xls'],
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx']
+};
+
+// Message input with drag-and-drop attachments. `onSend(content, files, onProgress)`
+// uploads and sends; it resolves to false to keep the draft (e.g. while offline).
+const ChatComposer = ({ onSend, onTyping, hint, placeholder = 'Write a message... (Shift+Enter for a new line)' }) => {
+  const [draft, setDraft] = useState('');
+  const [files, setFiles] = useState([]);
+  const [uploadProgress, setUploadProgress] = useState(null);
+  const typingIdleRef = useRef(null);
+
+  useEffect(() => () => clearTimeout(typingIdleRef.current), []);
+
+  const handleDrop = (accepted, rejected) => {
+    rejected.forEach(({ file, errors }) => {
+      const reason = errors[0]?.code === 'file-too-large'
+        ? `larger than ${formatFileSize(MAX_ATTACHMENT_SIZE)}`
+        : 'not an allowed file type';
+      toast.error(`${file.name} is ${reason}`);
+    });
+
+    setFiles(prev => {
+      const next = [...prev, ...accepted];
+      if (next.length > MAX_ATTACHMENTS) {
+        toast.error(`You can attach up to ${MAX_ATTACHMENTS} files`);
+      }
+      return next.slice(0, MAX_ATTACHMENTS);
+    });
+  };
+
+  const { getRootProps, getInputProps, isDragActive, open: openFilePicker } = useDropzone({
+    onDrop: handleDrop,
+    accept: ACCEPTED_ATTACHMENTS,
+    maxSize: MAX_ATTACHMENT_SIZE,
+    noClick: true,
+    noKeyboard: true
+  });
+
+  const removeFile = (index) => {
+    setFiles(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const stopTyping = () => {
+    clearTimeout(typingIdleRef.current);
+    if (onTyping) onTyping(false);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const content = draft.trim();
+    if ((!content && files.length === 0) || uploadProgress !== null) return;
+
+    try {
+      if (files.length > 0) setUploadProgress(0);
+      const sent = await onSend(content, files, setUploadProgress);
+      if (sent === false) return;
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to upload files';
+      toast.error(message);
+      return;
+    } finally {
+      setUploadProgress(null);
+    }
+
+    stopTyping();
+    setDraft('');
+    setFiles([]);
+  };
+
+  const handleDraftChange = (e) => {
+    setDraft(e.target.value);
+    if (!onTyping) return;
+
+    // Announce typing, and stop after a few idle seconds
+    clearTimeout(typingIdleRef.current);
+    if (e.target.value.trim()) {
+      onTyping(true);
+      typingIdleRef.current = setTimeout(() => onTyping(false), TYPING_IDLE_MS);
+    } else {
+      onTyping(false);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    // Enter sends, Shift+Enter inserts a newline
+    if (e.key === 'Enter' && !e.shiftKey && !e.nativeEvent.isComposing) {
+      handleSubmit(e);
+    }
+  };
+
+  return (
+    <form {...getRootProps({ onSubmit: handleSubmit, className: 'relative px-6 py-4 border-t' })}>
+      <input {...getInputProps()} />
+      {isDragActive && (
+        <div className="absolute inset-0 z-10 flex items-center justify-center border-2 border-dashed border-primary-500 bg-primary-50 bg-opacity-90">
+          <p className="text-primary-700 font-medium">Drop files to attach</p>
+        </div>
+      )}
+
+      {hint !== undefined && (
+        <div className="h-5 mb-1 text-xs italic text-gray-500">{hint}</div>
+      )}
+
+      {files.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-3">
+          {files.map((file, index) => (
+            <span
+              key={`${file.name}-${index}`}
+              className="flex items-center max-w-xs px-3 py-1 rounded-full bg-gray-100 text-sm text-gray-700"
+            >
+              <FiPaperclip className="h-3 w-3 mr-1 flex-shrink-0" />
+              <span className="truncate">{file.name}</span>
+              <span className="ml-1 text-xs text-gray-500">({formatFileSize(file.size)})</span>
+              <button
+                type="button"
+                onClick={() => removeFile(index)}
+                disabled={uploadProgress !== null}
+                className="ml-2 text-gray-400 hover:text-gray-600"
+                aria-label={`Remove ${file.name}`}
+              >
+                <FiX className="h-3 w-3" />
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+
+      {uploadProgress !== null && (
+        <div className="w-full h-1 mb-3 bg-gray-200 rounded">
+          <div className="h-1 bg-primary-600 rounded" style={{ width: `${uploadProgress}%` }} />
+        </div>
+      )}
+
+      <div className="flex items-end space-x-3">
+        <button
+          type="button"
+          onClick={openFilePicker}
+          disabled={uploadProgress !== null || files.length >= MAX_ATTACHMENTS}
+          className="btn btn-outline btn-md"
+          aria-label="Attach files"
+        >
+          <FiPaperclip className="h-4 w-4" />
+        </button>
+        <textarea
+          value={draft}
+          onChange={handleDraftChange}
+          onKeyDown={handleKeyDown}
+          rows={Math.min(6, Math.max(1, draft.split('\n').length))}
+          maxLength={5000}
+          className="flex-1 resize-none rounded-md border border-gray-300 bg-white px-3 py-2 text-sm placeholder:text-gray-500 focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-blue-500"
+          placeholder={placeholder}
+        />
+        <button
+          type="submit"
+          disabled={(!draft.trim() && files.length === 0) || uploadProgress !== null}
+          className="btn btn-primary btn-md"
+          aria-label="Send message"
+        >
+          <FiSend className="h-4 w-4" />
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default ChatComposer;
@@ -0,0 +1,225 @@
+import React, { useState } from 'react';
+import { format, isToday, isYesterday } from 'date-fns';
+import {
+  FiAlertCircle,
+  FiEdit2,
+  FiTrash2,
+  FiFile,
+  FiDownload,
+  FiMail
+} from 'react-icons/fi';
+
+export const formatFileSize = (bytes = 0) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const formatDayLabel = (date) => {
+  if (isToday(date)) return 'Today';
+  if (isYesterday(date)) return 'Yesterday';
+  return format(date, 'EEEE, MMMM d, yyyy');
+};
+
+export const DayDivider = ({ date }) => (
+  <div className="flex items-center my-4">
+    <div className="flex-1 border-t" />
+    <span className="px-3 text-xs font-medium text-gray-500">
+      {formatDayLabel(date)}
+    </span>
+    <div className="flex-1 border-t" />
+  </div>
+);
+
+const roleBadgeClasses = {
+  admin: 'bg-red-100 text-red-700',
+  instructor: 'bg-purple-100 text-purple-700',
+  student: 'bg-gray-100 text-gray-600'
+};
+
+// A single chat bubble, shared by course chat and private conversations
+const ChatMessage = ({
+  message,
+  isOwn,
+  showSender,
+  canModerate = false,
+  isEditing = false,
+  onStartEdit,
+  onCancelEdit,
+  onSaveEdit,
+  onDelete,
+  onMessageSender,
+  status
+}) => {
+  const [editDraft, setEditDraft] = useState(message.content);
+  const date = new Date(message.timestamp);
+
+  const handleEditSubmit = (e) => {
+    e.preventDefault();
+    const content = editDraft.trim();
+    if (!content) return;
+
+    if (content !== message.content) {
+      onSaveEdit(content);
+    }
+    onCancelEdit();
+  };
+
+  const handleEditKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      onCancelEdit();
+    } else if (e.key === 'Enter' && !e.shiftKey && !e.nativeEvent.isComposing) {
+      handleEditSubmit(e);
+    }
+  };
+
+  const startEdit = () => {
+    setEditDraft(message.content);
+    onStartEdit();
+  };
+
+  return (
+    <div className={`flex ${isOwn ? 'justify-end' : 'justify-start'} ${showSender ? 'mt-3' : 'mt-1'}`}>
+      <div className={`max-w-[75%] ${isOwn ? 'items-end' : 'items-start'} flex flex-col`}>
+        {showSender && (
+          <div className="flex items-center mb-1 space-x-2">
+            <span className="text-sm font-medium text-gray-900">
+              {isOwn ? 'You' : message.sender?.name}
+            </span>
+            {message.sender?.role && (
+              <span className={`text-xs px-2 py-0.5 rounded-full capitalize ${
+                roleBadgeClasses[message.sender.role] || roleBadgeClasses.student
+              }`}>
+                {message.sender.role}
+              </span>
+            )}
+            {onMessageSender && (
+              <button
+                onClick={onMessageSender}
+                className="flex items-center text-xs text-primary-600 hover:text-primary-500"
+              >
+                <FiMail className="h-3 w-3 mr-1" />
+                Message privately
+              </button>
+            )}
+          </div>
+        )}
+        {message.isDeleted ? (
+          <div className="px-4 py-2 rounded-lg border border-dashed text-sm italic text-gray-400">
+            Message removed
+          </div>
+        ) : isEditing ? (
+          <form onSubmit={handleEditSubmit} className="w-full min-w-[16rem]">
+            <textarea
+              value={editDraft}
+              onChange={(e) => setEditDraft(e.target.value)}
+              onKeyDown={handleEditKeyDown}
+              rows={Math.min(6, Math.max(2, editDraft.split('\n').length))}
+              maxLength={5000}
+              autoFocus
+              className="w-full resize-none rounded-md border border-gray-300 bg-white px-3 py-2 text-sm focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-blue-500"
+            />
+            <div className="flex justify-end space-x-2 mt-1">
+              <button type="button" onClick={onCancelEdit} className="btn btn-outline btn-sm">
+                Cancel
+              </button>
+              <button type="submit" disabled={!editDraft.trim()} className="btn btn-primary btn-sm">
+                Save
+              </button>
+            </div>
+          </form>
+        ) : (
+          <div className={`group flex items-start ${isOwn ? 'flex-row-reverse' : ''}`}>
+            <div
+              className={`px-4 py-2 rounded-lg whitespace-pre-wrap break-words ${
+                isOwn ? 'bg-primary-600 text-white' : 'bg-gray-100 text-gray-900'
+              } ${message.pending ? 'opacity-60' : ''}`}
+            >
+              {message.content}
+              {message.attachments?.length > 0 && (
+                <div className={`space-y-2 ${message.content ? 'mt-2' : ''}`}>
+                  {message.attachments.map((attachment, i) => (
+                    attachment.type?.startsWith('image/') ? (
+                      <a
+                        key={i}
+                        href={attachment.url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="block"
+                      >
+                        <img
+                          src={attachment.thumbnailUrl || attachment.url}
+                          alt={attachment.name}
+                          className="max-h-48 max-w-full rounded-md object-cover"
+                          loading="lazy"
+                        />
+                      </a>
+                    ) : (
+                      <a
+                        key={i}
+                        href={attachment.url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        download={attachment.name}
+                        className={`flex items-center px-3 py-2 rounded-md ${
+                          isOwn ? 'bg-primary-700 hover:bg-primary-800' : 'bg-white hover:bg-gray-50 border'
+                        }`}
+                      >
+                        <FiFile className="h-5 w-5 mr-2 flex-shrink-0" />
+                        <span className="flex-1 min-w-0">
+                          <span className="block text-sm truncate">{attachment.name}</span>
+                          {attachment.size > 0 && (
+                            <span className={`block text-xs ${isOwn ? 'text-primary-100' : 'text-gray-500'}`}>
+                              {formatFileSize(attachment.size)}
+                            </span>
+                          )}
+                        </span>
+                        <FiDownload className="h-4 w-4 ml-3 flex-shrink-0" />
+                      </a>
+                    )
+                  ))}
+                </div>
+              )}
+            </div>
+            {!message.pending && !message.failed && (isOwn || canModerate) && (
+              <div className="flex items-center mx-2 space-x-1 opacity-0 group-hover:opacity-100 transition-opacity">
+                {isOwn && (
+                  <button
+                    onClick={startEdit}
+                    className="p-1 text-gray-400 hover:text-gray-600"
+                    aria-label="Edit message"
+                  >
+                    <FiEdit2 className="h-4 w-4" />
+                  </button>
+                )}
+                <button
+                  onClick={onDelete}
+                  className="p-1 text-gray-400 hover:text-red-600"
+                  aria-label="Remove message"
+                >
+                  <FiTrash2 className="h-4 w-4" />
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+        <div className="flex items-center mt-1 text-xs text-gray-400">
+          {message.failed ? (
+            <span className="flex items-center text-red-600">
+              <FiAlertCircle className="h-3 w-3 mr-1" />
+              Failed to send
+            </span>
+          ) : (
+            <span>
+              {format(date, 'h:mm a')}
+              {message.isEdited && !message.isDeleted && ' · edited'}
+              {status && ` · ${status}`}
+            </span>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ChatMessage;
@@ -0,0 +1,71 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { FiUserPlus } from 'react-icons/fi';
+import toast from 'react-hot-toast';
+import { STAFF_ROLE_LABELS } from './CourseStaff';
+
+// Pending invitations to join a course's teaching staff
+const CourseInvites = ({ onAccepted }) => {
+  const [invites, setInvites] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    axios.get('/api/courses/invites')
+      .then(res => setInvites(res.data.invites))
+      .catch(error => console.error('Error fetching course invitations:', error));
+  }, []);
+
+  const respond = async (invite, action) => {
+    setBusyId(invite.id);
+    try {
+      const res = await axios.post(`/api/courses/invites/${invite.id}/${action}`);
+      setInvites(prev => prev.filter(i => i.id !== invite.id));
+      toast.success(res.data.message);
+      if (action === 'accept') onAccepted();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to respond to invitation');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (invites.length === 0) return null;
+
+  return (
+    <div className="card p-6 mb-8">
+      <h2 className="text-lg font-semibold text-gray-900 flex items-center mb-4">
+        <FiUserPlus className="h-5 w-5 mr-2 text-primary-600" />
+        Teaching invitations
+      </h2>
+      <ul className="divide-y divide-gray-200">
+        {invites.map(invite => (
+          <li key={invite.id} className="py-3 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+            <p className="text-sm text-gray-700">
+              <span className="font-medium">{invite.invitedBy?.name}</span> invited you to join{' '}
+              <span className="font-medium">{invite.course?.title}</span> as{' '}
+              {STAFF_ROLE_LABELS[invite.role].toLowerCase()}.
+            </p>
+            <div className="flex gap-2 flex-shrink-0">
+              <button
+                onClick={() => respond(invite, 'accept')}
+                disabled={busyId === invite.id}
+                className="btn btn-primary btn-sm"
+              >
+                Accept
+              </button>
+              <button
+                onClick={() => respond(invite, 'decline')}
+                disabled={busyId === invite.id}
+                className="btn btn-outline btn-sm"
+              >
+                Decline
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default CourseInvites;
@@ -0,0 +1,224 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import { format } from 'date-fns';
+import { FiBookOpen, FiSearch } from 'react-icons/fi';
+import toast from 'react-hot-toast';
+
+const COURSES_PER_PAGE = 20;
+
+const CourseStatus = ({ course }) => {
+  if (course.moderation?.unpublishedAt) {
+    return (
+      <span
+        title={course.moderation.reason || undefined}
+        className="text-xs px-2 py-0.5 rounded-full bg-red-100 text-red-700"
+      >
+        Taken down
+      </span>
+    );
+  }
+  return (
+    <span className={`text-xs px-2 py-0.5 rounded-full ${
+      course.isPublished ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-600'
+    }`}>
+      {course.isPublished ? 'Published' : 'Draft'}
+    </span>
+  );
+};
+
+// Admin list of every course, with unpublish, republish and remove
+const CourseModeration = () => {
+  const [courses, setCourses] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [search, setSearch] = useState('');
+  const [status, setStatus] = useState('');
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchCourses = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = new URLSearchParams({ page, limit: COURSES_PER_PAGE });
+      if (search) params.append('search', search);
+      if (status) params.append('status', status);
+
+      const res = await axios.get(`/api/courses/moderation?${params}`);
+      setCourses(res.data.courses);
+      setTotalPages(res.data.totalPages || 1);
+    } catch (error) {
+      console.error('Error fetching courses:', error);
+      toast.error('Failed to load courses');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, search, status]);
+
+  useEffect(() => {
+    fetchCourses();
+  }, [fetchCourses]);
+
+  const updateCourse = (id, changes) => {
+    setCourses(prev => prev.map(course => (course._id === id ? { ...course, ...changes } : course)));
+  };
+
+  const handleUnpublish = async (course) => {
+    const reason = window.prompt(`Unpublish "${course.title}"? The instructor is emailed this reason:`, '');
+    if (reason === null) return;
+
+    setBusyId(course._id);
+    try {
+      const res = await axios.post(`/api/courses/${course._id}/unpublish`, { reason });
+      updateCourse(course._id, res.data.course);
+      toast.success(res.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to unpublish course');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRepublish = async (course) => {
+    setBusyId(course._id);
+    try {
+      const res = await axios.post(`/api/courses/${course._id}/republish`);
+      updateCourse(course._id, res.data.course);
+      toast.success(res.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to republish course');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRemove = async (course) => {
+    if (!window.confirm(`Permanently remove "${course.title}"? Its ${course.studentCount} students lose access.`)) return;
+
+    setBusyId(course._id);
+    try {
+      const res = await axios.delete(`/api/courses/${course._id}`);
+      toast.success(res.data.message);
+      fetchCourses();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove course');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="card p-6">
+      <div className="flex flex-col md:flex-row md:items-center gap-4 mb-6">
+        <div className="relative flex-1">
+          <FiSearch className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
+          <input
+            type="text"
+            placeholder="Search by title..."
+            value={search}
+            onChange={(e) => {
+              setSearch(e.target.value);
+              setPage(1);
+            }}
+            className="input pl-10"
+          />
+        </div>
+        <select
+          value={status}
+          onChange={(e) => {
+            setStatus(e.target.value);
+            setPage(1);
+          }}
+          className="input md:w-48"
+        >
+          <option value="">All courses</option>
+          <option value="published">Published</option>
+          <option value="draft">Drafts</option>
+          <option value="unpublished">Taken down</option>
+        </select>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+        </div>
+      ) : courses.length === 0 ? (
+        <div className="text-center py-12">
+          <FiBookOpen className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+          <p className="text-gray-600">No courses match these filters</p>
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead>
+              <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                <th className="px-4 py-3">Course</th>
+                <th className="px-4 py-3">Instructor</th>
+                <th className="px-4 py-3">Students</th>
+                <th className="px-4 py-3">Created</th>
+                <th className="px-4 py-3">Status</th>
+                <th className="px-4 py-3"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {courses.map(course => (
+                <tr key={course._id} className="text-sm">
+                  <td className="px-4 py-3">
+                    <Link to={`/courses/${course._id}`} className="font-medium text-gray-900 hover:text-primary-600">
+                      {course.title}
+                    </Link>
+                    <div className="text-xs text-gray-500 capitalize">{course.category} · {course.level}</div>
+                  </td>
+                  <td className="px-4 py-3 text-gray-600">{course.instructor?.name || '—'}</td>
+                  <td className="px-4 py-3 text-gray-600">{course.studentCount}</td>
+                  <td className="px-4 py-3 text-gray-600">{format(new Date(course.createdAt), 'MMM d, yyyy')}</td>
+                  <td className="px-4 py-3"><CourseStatus course={course} /></td>
+                  <td className="px-4 py-3 text-right space-x-4 whitespace-nowrap">
+                    {course.moderation?.unpublishedAt ? (
+                      <button
+                        onClick={() => handleRepublish(course)}
+                        disabled={busyId === course._id}
+                        className="text-sm text-gray-600 hover:text-gray-900 disabled:opacity-50"
+                      >
+                        Republish
+                      </button>
+                    ) : course.isPublished && (
+                      <button
+                        onClick={() => handleUnpublish(course)}
+                        disabled={busyId === course._id}
+                        className="text-sm text-gray-600 hover:text-gray-900 disabled:opacity-50"
+                      >
+                        Unpublish
+                      </button>
+                    )}
+                    <button
+                      onClick={() => handleRemove(course)}
+                      disabled={busyId === course._id}
+                      className="text-sm text-red-600 hover:text-red-700 disabled:opacity-50"
+                    >
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {totalPages > 1 && (
+        <div className="flex items-center justify-between mt-6">
+          <button onClick={() => setPage(page - 1)} disabled={page <= 1} className="btn btn-outline btn-sm">
+            Previous
+          </button>
+          <span className="text-sm text-gray-600">Page {page} of {totalPages}</span>
+          <button onClick={() => setPage(page + 1)} disabled={page >= totalPages} className="btn btn-outline btn-sm">
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CourseModeration;
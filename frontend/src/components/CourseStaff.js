@@ -0,0 +1,228 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { FiMail, FiUserPlus, FiX } from 'react-icons/fi';
+import toast from 'react-hot-toast';
+
+export const STAFF_ROLE_LABELS = {
+  owner: 'Instructor',
+  'co-instructor': 'Co-instructor',
+  ta: 'Teaching assistant'
+};
+
+const Avatar = ({ member }) => (
+  <div className="w-10 h-10 bg-primary-100 rounded-full flex items-center justify-center mr-3 flex-shrink-0">
+    {member.avatar ? (
+      <img src={member.avatar} alt={member.name} className="w-10 h-10 rounded-full object-cover" />
+    ) : (
+      <span className="text-primary-600 font-semibold">{member.name?.charAt(0)}</span>
+    )}
+  </div>
+);
+
+const MessageButton = ({ member, onMessage }) => (
+  <button
+    onClick={() => onMessage(member._id)}
+    className="ml-2 p-1 text-gray-400 hover:text-primary-600"
+    title={`Message ${member.name}`}
+    aria-label={`Message ${member.name}`}
+  >
+    <FiMail className="h-4 w-4" />
+  </button>
+);
+
+// Teaching staff of a course. Owners (and admins) also invite, re-role and
+// remove staff; staff members can leave. `course` comes from GET /api/courses/:id.
+// With `onMessage`, each member gets a button that calls it with their user id.
+const CourseStaff = ({ course, currentUserId, canManage, onChange, onMessage }) => {
+  const [invites, setInvites] = useState([]);
+  const [form, setForm] = useState({ email: '', role: 'ta' });
+  const [busy, setBusy] = useState(null);
+
+  const fetchInvites = useCallback(async () => {
+    try {
+      const res = await axios.get(`/api/courses/${course._id}/staff`);
+      setInvites(res.data.invites);
+    } catch (error) {
+      console.error('Error fetching staff invitations:', error);
+    }
+  }, [course._id]);
+
+  useEffect(() => {
+    if (canManage) fetchInvites();
+  }, [canManage, fetchInvites]);
+
+  const staff = (course.staff || []).filter(member => member.user);
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    if (!form.email) return;
+
+    setBusy('invite');
+    try {
+      const res = await axios.post(`/api/courses/${course._id}/staff/invites`, form);
+      setInvites(prev => [res.data.invite, ...prev]);
+      setForm(prev => ({ ...prev, email: '' }));
+      toast.success(res.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to send invitation');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleWithdraw = async (invite) => {
+    setBusy(invite.id);
+    try {
+      await axios.delete(`/api/courses/${course._id}/staff/invites/${invite.id}`);
+      setInvites(prev => prev.filter(i => i.id !== invite.id));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to withdraw invitation');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleRoleChange = async (member, role) => {
+    setBusy(member.user._id);
+    try {
+      const res = await axios.put(`/api/courses/${course._id}/staff/${member.user._id}`, { role });
+      toast.success(res.data.message);
+      onChange();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update role');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleRemove = async (member) => {
+    const isSelf = member.user._id === currentUserId;
+    const question = isSelf
+      ? `Leave the staff of ${course.title}?`
+      : `Remove ${member.user.name} from the course staff?`;
+    if (!window.confirm(question)) return;
+
+    setBusy(member.user._id);
+    try {
+      const res = await axios.delete(`/api/courses/${course._id}/staff/${member.user._id}`);
+      toast.success(res.data.message);
+      onChange();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove staff member');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <div className="card p-6">
+      <h3 className="font-semibold text-gray-900 mb-4">Teaching staff</h3>
+
+      <ul className="space-y-4">
+        {course.instructor && (
+          <li className="flex items-center">
+            <Avatar member={course.instructor} />
+            <div className="min-w-0 flex-1">
+              <div className="font-medium text-gray-900 truncate">{course.instructor.name}</div>
+              <div className="text-sm text-gray-500 truncate">{course.instructor.email}</div>
+              <div className="text-xs text-primary-600">{STAFF_ROLE_LABELS.owner}</div>
+            </div>
+            {onMessage && <MessageButton member={course.instructor} onMessage={onMessage} />}
+          </li>
+        )}
+
+        {staff.map(member => (
+          <li key={member.user._id} className="flex items-center">
+            <Avatar member={member.user} />
+            <div className="min-w-0 flex-1">
+              <div className="font-medium text-gray-900 truncate">{member.user.name}</div>
+              {member.user.email && (
+                <div className="text-sm text-gray-500 truncate">{member.user.email}</div>
+              )}
+              {canManage ? (
+                <select
+                  value={member.role}
+                  onChange={(e) => handleRoleChange(member, e.target.value)}
+                  disabled={busy === member.user._id}
+                  className="mt-1 text-xs border-gray-300 rounded py-0.5"
+                >
+                  <option value="co-instructor">{STAFF_ROLE_LABELS['co-instructor']}</option>
+                  <option value="ta">{STAFF_ROLE_LABELS.ta}</option>
+                </select>
+              ) : (
+                <div className="text-xs text-primary-600">{STAFF_ROLE_LABELS[member.role]}</div>
+              )}
+            </div>
+            {onMessage && <MessageButton member={member.user} onMessage={onMessage} />}
+            {(canManage || member.user._id === currentUserId) && (
+              <button
+                onClick={() => handleRemove(member)}
+                disabled={busy === member.user._id}
+                className="ml-2 text-xs text-red-600 hover:text-red-700 disabled:opacity-50"
+              >
+                {member.user._id === currentUserId ? 'Leave' : 'Remove'}
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {canManage && (
+        <div className="mt-6 pt-6 border-t">
+          <form onSubmit={handleInvite} className="space-y-2">
+            <label htmlFor="staff-email" className="block text-sm font-medium text-gray-700">
+              Invite staff
+            </label>
+            <div className="relative">
+              <FiMail className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+              <input
+                id="staff-email"
+                type="email"
+                value={form.email}
+                onChange={(e) => setForm(prev => ({ ...prev, email: e.target.value }))}
+                placeholder="Email address"
+                className="input pl-10"
+              />
+            </div>
+            <div className="flex gap-2">
+              <select
+                value={form.role}
+                onChange={(e) => setForm(prev => ({ ...prev, role: e.target.value }))}
+                className="input flex-1"
+              >
+                <option value="ta">{STAFF_ROLE_LABELS.ta}</option>
+                <option value="co-instructor">{STAFF_ROLE_LABELS['co-instructor']}</option>
+              </select>
+              <button type="submit" disabled={busy === 'invite' || !form.email} className="btn btn-primary btn-sm">
+                <FiUserPlus className="h-4 w-4 mr-1" />
+                Invite
+              </button>
+            </div>
+          </form>
+
+          {invites.length > 0 && (
+            <ul className="mt-4 space-y-2">
+              {invites.map(invite => (
+                <li key={invite.id} className="flex items-center justify-between text-sm">
+                  <span className="text-gray-600 truncate">
+                    {invite.user?.name} <span className="text-gray-400">· {STAFF_ROLE_LABELS[invite.role]} · pending</span>
+                  </span>
+                  <button
+                    onClick={() => handleWithdraw(invite)}
+                    disabled={busy === invite.id}
+                    title="Withdraw invitation"
+                    className="ml-2 text-gray-400 hover:text-gray-600 disabled:opacity-50"
+                  >
+                    <FiX className="h-4 w-4" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CourseStaff;
@@ -0,0 +1,455 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import {
+  FiPlay,
+  FiFileText,
+  FiHelpCircle,
+  FiMenu,
+  FiChevronUp,
+  FiChevronDown,
+  FiEdit2,
+  FiTrash2,
+  FiPlus,
+  FiLock
+} from 'react-icons/fi';
+import toast from 'react-hot-toast';
+import { formatClock, sectionSummary, describeRule } from './Syllabus';
+
+// Items in no section are kept in their own list under this key
+const UNSECTIONED = 'unsectioned';
+
+// The body of PUT /api/courses/:id/curriculum; unsectioned items are implied
+const toPayload = (sections) => ({
+  sections: sections.map(section => ({
+    id: section.id,
+    items: section.items.map(item => ({ kind: item.kind, id: item.id }))
+  }))
+});
+
+// Moves an item to position `to.index` of list `to.group`, counted before the move
+const moveItem = ({ sections, unsectioned }, from, to) => {
+  const lists = { [UNSECTIONED]: [...unsectioned] };
+  sections.forEach(section => { lists[section.id] = [...section.items]; });
+
+  const [item] = lists[from.group].splice(from.index, 1);
+  const index = from.group === to.group && from.index < to.index ? to.index - 1 : to.index;
+  lists[to.group].splice(index, 0, item);
+
+  return {
+    sections: sections.map(section => ({ ...section, items: lists[section.id] })),
+    unsectioned: lists[UNSECTIONED]
+  };
+};
+
+const moveSection = (sections, from, to) => {
+  const next = [...sections];
+  const [section] = next.splice(from, 1);
+  next.splice(from < to ? to - 1 : to, 0, section);
+  return next;
+};
+
+// Picks when a section or lecture opens to students (backend/models/releaseRule.js)
+const ReleaseRuleForm = ({ rule, what, saving, onSave, onCancel }) => {
+  const [type, setType] = useState(rule?.type || 'immediate');
+  const [days, setDays] = useState(rule?.days || 7);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave({ type, days: Number(days) });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="flex flex-wrap items-center gap-2 px-4 py-3 bg-primary-50 text-sm">
+      <select value={type} onChange={(e) => setType(e.target.value)} className="input w-auto">
+        <option value="immediate">Open as soon as students enroll</option>
+        <option value="days_after_enrollment">Open some days after enrollment</option>
+        <option value="after_previous">Open once the previous {what} is completed</option>
+      </select>
+      {type === 'days_after_enrollment' && (
+        <label className="flex items-center gap-2 text-gray-700">
+          <input
+            type="number"
+            min="0"
+            max="365"
+            value={days}
+            onChange={(e) => setDays(e.target.value)}
+            className="input w-20"
+            required
+          />
+          days
+        </label>
+      )}
+      <button type="submit" disabled={saving} className="btn btn-primary btn-sm">Save</button>
+      <button type="button" onClick={onCancel} className="btn btn-outline btn-sm">Cancel</button>
+    </form>
+  );
+};
+
+// Instructor view of a course's sections. Sections and the lectures and
+// assignments in them are rearranged by dragging (or with the arrow buttons);
+// every change is saved straight away.
+const CurriculumEditor = ({ courseId }) => {
+  const [curriculum, setCurriculum] = useState(null);
+  const [newTitle, setNewTitle] = useState('');
+  const [saving, setSaving] = useState(false);
+  // What is being dragged: { type: 'item', group, index } or { type: 'section', index }
+  const [dragging, setDragging] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  // The section or lecture whose release rule is being edited
+  const [editingRule, setEditingRule] = useState(null);
+
+  const fetchCurriculum = useCallback(async () => {
+    try {
+      const res = await axios.get(`/api/courses/${courseId}/curriculum`);
+      setCurriculum(res.data);
+    } catch (error) {
+      console.error('Error fetching curriculum:', error);
+      toast.error('Failed to load curriculum');
+    }
+  }, [courseId]);
+
+  useEffect(() => {
+    fetchCurriculum();
+  }, [fetchCurriculum]);
+
+  // Shows the new arrangement at once and puts the old one back if saving fails
+  const saveArrangement = async (next) => {
+    const previous = curriculum;
+    setCurriculum({ ...curriculum, ...next });
+    setSaving(true);
+    try {
+      const res = await axios.put(`/api/courses/${courseId}/curriculum`, toPayload(next.sections));
+      setCurriculum(res.data.curriculum);
+    } catch (error) {
+      setCurriculum(previous);
+      toast.error(error.response?.data?.message || 'Failed to save curriculum');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAddSection = async (e) => {
+    e.preventDefault();
+    if (!newTitle.trim()) return;
+
+    setSaving(true);
+    try {
+      const res = await axios.post(`/api/courses/${courseId}/sections`, { title: newTitle });
+      setCurriculum(res.data.curriculum);
+      setNewTitle('');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to add section');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRename = async (section) => {
+    const title = window.prompt('Section title:', section.title);
+    if (title === null || !title.trim() || title === section.title) return;
+
+    setSaving(true);
+    try {
+      const res = await axios.put(`/api/courses/${courseId}/sections/${section.id}`, { title });
+      setCurriculum(res.data.curriculum);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to rename section');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (section) => {
+    const message = section.items.length > 0
+      ? `Remove "${section.title}"? Its ${section.items.length} items are kept, outside any section.`
+      : `Remove "${section.title}"?`;
+    if (!window.confirm(message)) return;
+
+    setSaving(true);
+    try {
+      const res = await axios.delete(`/api/courses/${courseId}/sections/${section.id}`);
+      setCurriculum(res.data.curriculum);
+      toast.success(res.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove section');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSaveRule = async (entry, release) => {
+    setSaving(true);
+    try {
+      if (entry.kind === 'Lecture') {
+        await axios.put(`/api/lectures/${entry.id}`, { release });
+        await fetchCurriculum();
+      } else {
+        const res = await axios.put(`/api/courses/${courseId}/sections/${entry.id}`, { release });
+        setCurriculum(res.data.curriculum);
+      }
+      setEditingRule(null);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save release rule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const ruleButton = (entry) => (
+    <button
+      onClick={() => setEditingRule(editingRule === entry.id ? null : entry.id)}
+      disabled={saving}
+      className={`hover:text-gray-700 ${describeRule(entry.release) ? 'text-primary-600' : 'text-gray-400'}`}
+      title="When it opens"
+    >
+      <FiLock className="h-4 w-4" />
+    </button>
+  );
+
+  const ruleForm = (entry, what) => editingRule === entry.id && (
+    <ReleaseRuleForm
+      rule={entry.release}
+      what={what}
+      saving={saving}
+      onSave={(release) => handleSaveRule(entry, release)}
+      onCancel={() => setEditingRule(null)}
+    />
+  );
+
+  const startDrag = (e, source) => {
+    e.stopPropagation();
+    e.dataTransfer.effectAllowed = 'move';
+    // Firefox only starts a drag that carries data
+    e.dataTransfer.setData('text/plain', source.type);
+    setDragging(source);
+  };
+
+  const endDrag = () => {
+    setDragging(null);
+    setDropTarget(null);
+  };
+
+  // Lets `target` accept the drop when it suits what is being dragged
+  const allowDrop = (e, target) => {
+    if (!dragging || dragging.type !== target.type) return;
+    e.preventDefault();
+    e.stopPropagation();
+    if (!isDropTarget(target)) setDropTarget(target);
+  };
+
+  const handleDrop = (e, target) => {
+    if (!dragging || dragging.type !== target.type) return;
+    e.preventDefault();
+    e.stopPropagation();
+
+    const source = dragging;
+    endDrag();
+
+    if (source.type === 'section') {
+      if (target.index === source.index || target.index === source.index + 1) return;
+      saveArrangement({ sections: moveSection(curriculum.sections, source.index, target.index) });
+    } else {
+      if (source.group === target.group &&
+        (target.index === source.index || target.index === source.index + 1)) return;
+      saveArrangement(moveItem(curriculum, source, target));
+    }
+  };
+
+  const isDropTarget = (target) => dropTarget && dragging &&
+    dropTarget.type === target.type && dropTarget.group === target.group && dropTarget.index === target.index;
+
+  if (!curriculum) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  const { sections, unsectioned } = curriculum;
+  const groups = [
+    ...sections.map(section => ({ ...section, group: section.id })),
+    {
+      id: UNSECTIONED,
+      group: UNSECTIONED,
+      title: 'Not in a section',
+      items: unsectioned,
+      lectureCount: unsectioned.filter(item => item.kind === 'Lecture').length,
+      assignmentCount: unsectioned.filter(item => item.kind === 'Assignment').length,
+      quizCount: unsectioned.filter(item => item.kind === 'Quiz').length,
+      duration: unsectioned.reduce((sum, item) => sum + (item.duration || 0), 0)
+    }
+  ];
+
+  const renderItems = (group) => (
+    <ul
+      className="divide-y"
+      onDragOver={(e) => allowDrop(e, { type: 'item', group: group.group, index: group.items.length })}
+      onDrop={(e) => handleDrop(e, { type: 'item', group: group.group, index: group.items.length })}
+    >
+      {group.items.map((item, index) => {
+        const target = { type: 'item', group: group.group, index };
+        return (
+          <li
+            key={item.id}
+            draggable={!saving && editingRule !== item.id}
+            onDragStart={(e) => startDrag(e, target)}
+            onDragEnd={endDrag}
+            onDragOver={(e) => allowDrop(e, target)}
+            onDrop={(e) => handleDrop(e, target)}
+            className={`bg-white text-sm ${
+              isDropTarget(target) ? 'border-t-2 border-primary-500' : ''
+            } ${dragging?.type === 'item' && dragging.group === group.group && dragging.index === index ? 'opacity-50' : ''}`}
+          >
+            <div className="flex items-center justify-between px-4 py-2">
+              <div className="flex items-center min-w-0">
+                <FiMenu className="h-4 w-4 mr-3 text-gray-400 cursor-move flex-shrink-0" />
+                {item.kind === 'Assignment' && <FiFileText className="h-4 w-4 mr-2 text-gray-500 flex-shrink-0" />}
+                {item.kind === 'Quiz' && <FiHelpCircle className="h-4 w-4 mr-2 text-gray-500 flex-shrink-0" />}
+                {item.kind === 'Lecture' && <FiPlay className="h-4 w-4 mr-2 text-gray-500 flex-shrink-0" />}
+                <span className="text-gray-900 truncate">{item.title}</span>
+                {describeRule(item.release) && (
+                  <span className="ml-3 text-xs text-primary-600 whitespace-nowrap">{describeRule(item.release)}</span>
+                )}
+              </div>
+              <div className="flex items-center ml-4 space-x-2">
+                <span className="text-gray-500 whitespace-nowrap">
+                  {item.kind === 'Lecture' ? formatClock(item.duration) : item.kind}
+                </span>
+                {item.kind === 'Lecture' && ruleButton(item)}
+                <button
+                  onClick={() => saveArrangement(moveItem(curriculum, target, { ...target, index: index - 1 }))}
+                  disabled={saving || index === 0}
+                  className="text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                  title="Move up"
+                >
+                  <FiChevronUp className="h-4 w-4" />
+                </button>
+                <button
+                  onClick={() => saveArrangement(moveItem(curriculum, target, { ...target, index: index + 2 }))}
+                  disabled={saving || index === group.items.length - 1}
+                  className="text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                  title="Move down"
+                >
+                  <FiChevronDown className="h-4 w-4" />
+                </button>
+              </div>
+            </div>
+            {ruleForm(item, 'item')}
+          </li>
+        );
+      })}
+      <li
+        className={`px-4 py-2 text-xs text-gray-400 ${
+          isDropTarget({ type: 'item', group: group.group, index: group.items.length }) ? 'border-t-2 border-primary-500' : ''
+        }`}
+      >
+        {group.items.length === 0 ? 'Drag lectures and assignments here' : ' '}
+      </li>
+    </ul>
+  );
+
+  return (
+    <div className="space-y-4">
+      {sections.length === 0 && (
+        <p className="text-sm text-gray-600">
+          Group your lectures and assignments into sections. New lectures and assignments go
+          into the last section unless you pick another.
+        </p>
+      )}
+
+      {groups.map((group, index) => {
+        const isSection = group.id !== UNSECTIONED;
+        if (!isSection && group.items.length === 0) return null;
+
+        const sectionTarget = { type: 'section', index };
+        return (
+          <div
+            key={group.id}
+            onDragOver={isSection || index === sections.length ? (e) => allowDrop(e, sectionTarget) : undefined}
+            onDrop={isSection || index === sections.length ? (e) => handleDrop(e, sectionTarget) : undefined}
+            className={`border rounded-lg overflow-hidden ${
+              isDropTarget(sectionTarget) ? 'ring-2 ring-primary-500' : ''
+            } ${dragging?.type === 'section' && dragging.index === index ? 'opacity-50' : ''}`}
+          >
+            <div
+              draggable={isSection && !saving}
+              onDragStart={isSection ? (e) => startDrag(e, sectionTarget) : undefined}
+              onDragEnd={endDrag}
+              className="flex items-center justify-between px-4 py-3 bg-gray-50"
+            >
+              <div className="flex items-center min-w-0">
+                {isSection && <FiMenu className="h-4 w-4 mr-3 text-gray-400 cursor-move flex-shrink-0" />}
+                <span className={`font-medium truncate ${isSection ? 'text-gray-900' : 'text-gray-500'}`}>
+                  {isSection ? `Section ${index + 1}: ${group.title}` : group.title}
+                </span>
+                <span className="ml-3 text-xs text-gray-500 whitespace-nowrap">{sectionSummary(group)}</span>
+                {isSection && describeRule(group.release, 'section') && (
+                  <span className="ml-3 text-xs text-primary-600 whitespace-nowrap">
+                    {describeRule(group.release, 'section')}
+                  </span>
+                )}
+              </div>
+              {isSection && (
+                <div className="flex items-center ml-4 space-x-2">
+                  {ruleButton(group)}
+                  <button
+                    onClick={() => saveArrangement({ sections: moveSection(sections, index, index - 1) })}
+                    disabled={saving || index === 0}
+                    className="text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                    title="Move section up"
+                  >
+                    <FiChevronUp className="h-4 w-4" />
+                  </button>
+                  <button
+                    onClick={() => saveArrangement({ sections: moveSection(sections, index, index + 2) })}
+                    disabled={saving || index === sections.length - 1}
+                    className="text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                    title="Move section down"
+                  >
+                    <FiChevronDown className="h-4 w-4" />
+                  </button>
+                  <button
+                    onClick={() => handleRename(group)}
+                    disabled={saving}
+                    className="text-gray-400 hover:text-gray-700"
+                    title="Rename section"
+                  >
+                    <FiEdit2 className="h-4 w-4" />
+                  </button>
+                  <button
+                    onClick={() => handleRemove(group)}
+                    disabled={saving}
+                    className="text-gray-400 hover:text-red-600"
+                    title="Remove section"
+                  >
+                    <FiTrash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              )}
+            </div>
+            {isSection && ruleForm(group, 'section')}
+            {renderItems(group)}
+          </div>
+        );
+      })}
+
+      <form onSubmit={handleAddSection} className="flex gap-2">
+        <input
+          type="text"
+          value={newTitle}
+          onChange={(e) => setNewTitle(e.target.value)}
+          placeholder="New section title, e.g. Getting started"
+          maxLength={200}
+          className="input flex-1"
+        />
+        <button type="submit" disabled={saving || !newTitle.trim()} className="btn btn-primary">
+          <FiPlus className="h-4 w-4 mr-1" />
+          Add section
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default CurriculumEditor;
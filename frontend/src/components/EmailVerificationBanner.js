@@ -0,0 +1,46 @@
+import React, { useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { FiMail } from 'react-icons/fi';
+import toast from 'react-hot-toast';
+
+// Reminds signed-in users with an unconfirmed address to check their inbox
+const EmailVerificationBanner = () => {
+  const { user, isAuthenticated, resendVerification } = useAuth();
+  const [sending, setSending] = useState(false);
+
+  if (!isAuthenticated || !user || user.isEmailVerified !== false) {
+    return null;
+  }
+
+  const handleResend = async () => {
+    setSending(true);
+    const result = await resendVerification(user.email);
+    setSending(false);
+
+    if (result.success) {
+      toast.success(result.message);
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  return (
+    <div className="bg-yellow-50 border-b border-yellow-200">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-2 flex flex-wrap items-center justify-between gap-2">
+        <p className="flex items-center text-sm text-yellow-800">
+          <FiMail className="h-4 w-4 mr-2 flex-shrink-0" />
+          Please verify your email address. We sent a link to {user.email}.
+        </p>
+        <button
+          onClick={handleResend}
+          disabled={sending}
+          className="text-sm font-medium text-yellow-900 underline hover:text-yellow-700 disabled:opacity-50"
+        >
+          {sending ? 'Sending...' : 'Resend link'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default EmailVerificationBanner;
@@ -0,0 +1,136 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import { format } from 'date-fns';
+import { FiFileText, FiHelpCircle } from 'react-icons/fi';
+
+const itemLink = (item) => (item.kind === 'Quiz' ? `/quiz/${item.id}` : `/assignment/${item.id}`);
+
+// One grade from GET /api/courses/:id/gradebook, as a cell shows it
+const GradeCell = ({ grade, item }) => {
+  if (!grade) return <span className="text-gray-300">-</span>;
+
+  if (grade.marks !== null) {
+    return <span className="text-gray-900">{grade.marks}/{item.maxMarks}</span>;
+  }
+  if (grade.status === 'missing') return <span className="text-red-600">Missing</span>;
+  if (grade.status === 'in_progress') return <span className="text-primary-600">In progress</span>;
+  if (grade.status === 'submitted' || grade.status === 'late') {
+    return <span className="text-yellow-700">{grade.status === 'late' ? 'Late, ungraded' : 'Ungraded'}</span>;
+  }
+  return <span className="text-gray-300">-</span>;
+};
+
+const ItemIcon = ({ kind }) => (kind === 'Quiz'
+  ? <FiHelpCircle className="h-4 w-4 mr-2 text-gray-400 flex-shrink-0" />
+  : <FiFileText className="h-4 w-4 mr-2 text-gray-400 flex-shrink-0" />);
+
+const Total = ({ row }) => (row.percent === null
+  ? <span className="text-gray-400">-</span>
+  : <span className="font-medium text-gray-900">{row.percent}%</span>);
+
+// Assignment and quiz marks for a course: a student sees their own, graders the
+// whole class
+const Gradebook = ({ courseId }) => {
+  const [gradebook, setGradebook] = useState(null);
+
+  useEffect(() => {
+    axios.get(`/api/courses/${courseId}/gradebook`)
+      .then(res => setGradebook(res.data))
+      .catch(error => console.error('Error fetching gradebook:', error));
+  }, [courseId]);
+
+  if (!gradebook) {
+    return (
+      <div className="flex justify-center py-8">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  const { items, students } = gradebook;
+  if (items.length === 0) {
+    return <p className="text-gray-500">No assignments or quizzes yet</p>;
+  }
+
+  if (!gradebook.canViewAll) {
+    const row = students[0];
+    if (!row) return null;
+
+    return (
+      <div>
+        <div className="border rounded-lg divide-y">
+          {items.map(item => (
+            <Link
+              key={item.id}
+              to={itemLink(item)}
+              className="flex items-center justify-between p-3 text-sm hover:bg-gray-50"
+            >
+              <span className="flex items-center min-w-0">
+                <ItemIcon kind={item.kind} />
+                <span className="text-gray-900 truncate">{item.title}</span>
+                {item.dueDate && (
+                  <span className="ml-3 text-xs text-gray-500 whitespace-nowrap">
+                    Due {format(new Date(item.dueDate), 'MMM d')}
+                  </span>
+                )}
+              </span>
+              <span className="ml-4 whitespace-nowrap">
+                <GradeCell grade={row.grades[item.id]} item={item} />
+              </span>
+            </Link>
+          ))}
+        </div>
+        <p className="flex justify-between text-sm text-gray-600 mt-3">
+          <span>{row.earned} of {row.possible} marks so far</span>
+          <Total row={row} />
+        </p>
+      </div>
+    );
+  }
+
+  if (students.length === 0) {
+    return <p className="text-gray-500">No students enrolled yet</p>;
+  }
+
+  return (
+    <div className="overflow-x-auto border rounded-lg">
+      <table className="min-w-full text-sm">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="sticky left-0 bg-gray-50 px-4 py-3 text-left font-medium text-gray-700">Student</th>
+            {items.map(item => (
+              <th key={item.id} className="px-4 py-3 text-left font-medium text-gray-700 whitespace-nowrap">
+                <Link to={itemLink(item)} className="flex items-center hover:text-primary-600" title={item.title}>
+                  <ItemIcon kind={item.kind} />
+                  <span className="max-w-[10rem] truncate">{item.title}</span>
+                </Link>
+              </th>
+            ))}
+            <th className="px-4 py-3 text-right font-medium text-gray-700">Total</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y">
+          {students.map(row => (
+            <tr key={row.student.id}>
+              <td className="sticky left-0 bg-white px-4 py-3 whitespace-nowrap">
+                <div className="text-gray-900">{row.student.name}</div>
+                <div className="text-xs text-gray-500">{row.student.email}</div>
+              </td>
+              {items.map(item => (
+                <td key={item.id} className="px-4 py-3 whitespace-nowrap">
+                  <GradeCell grade={row.grades[item.id]} item={item} />
+                </td>
+              ))}
+              <td className="px-4 py-3 text-right whitespace-nowrap">
+                <Total row={row} />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default Gradebook;
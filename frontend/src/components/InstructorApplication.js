@@ -0,0 +1,151 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { format } from 'date-fns';
+import { FiBriefcase } from 'react-icons/fi';
+import toast from 'react-hot-toast';
+
+const EMPTY_FORM = { expertise: '', experience: '', website: '' };
+
+// A student's instructor application: its review status, or a form to apply
+const InstructorApplication = () => {
+  const [application, setApplication] = useState(undefined);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [errors, setErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    axios.get('/api/instructor-applications/mine')
+      .then(res => setApplication(res.data.application))
+      .catch(error => {
+        console.error('Error fetching instructor application:', error);
+        setApplication(null);
+      });
+  }, []);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+    if (errors[name]) setErrors(prev => ({ ...prev, [name]: '' }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      const res = await axios.post('/api/instructor-applications', form);
+      setApplication(res.data.application);
+      setShowForm(false);
+      setForm(EMPTY_FORM);
+      toast.success(res.data.message);
+    } catch (error) {
+      const fieldErrors = {};
+      (error.response?.data?.errors || []).forEach(err => {
+        fieldErrors[err.field] = err.message;
+      });
+      setErrors(fieldErrors);
+      if (!error.response?.data?.errors) {
+        toast.error(error.response?.data?.message || 'Failed to submit application');
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // Still loading, or already decided in the applicant's favour
+  if (application === undefined || application?.status === 'approved') return null;
+
+  return (
+    <div className="card p-6 mb-8">
+      <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+        <FiBriefcase className="h-5 w-5 mr-2 text-primary-600" />
+        Teach on EduNexus
+      </h2>
+
+      {application?.status === 'pending' && (
+        <p className="text-sm text-gray-600 mt-2">
+          Your instructor application from {format(new Date(application.createdAt), 'MMM d, yyyy')} is
+          waiting for review. You'll get an email once an admin has looked at it.
+        </p>
+      )}
+
+      {application?.status === 'rejected' && !showForm && (
+        <div className="mt-2 text-sm text-gray-600">
+          <p>Your last instructor application was not approved.</p>
+          {application.reviewNote && (
+            <p className="mt-1 italic">"{application.reviewNote}"</p>
+          )}
+        </div>
+      )}
+
+      {!application && !showForm && (
+        <p className="text-sm text-gray-600 mt-2">
+          Share what you know. Apply to become an instructor and create your own courses.
+        </p>
+      )}
+
+      {application?.status !== 'pending' && !showForm && (
+        <button onClick={() => setShowForm(true)} className="btn btn-primary btn-sm mt-4">
+          {application ? 'Apply again' : 'Apply to teach'}
+        </button>
+      )}
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="mt-4 space-y-4">
+          <div>
+            <label htmlFor="application-expertise" className="block text-sm font-medium text-gray-700">
+              What would you teach?
+            </label>
+            <input
+              id="application-expertise"
+              name="expertise"
+              type="text"
+              value={form.expertise}
+              onChange={handleChange}
+              className={`mt-1 input ${errors.expertise ? 'border-red-300' : ''}`}
+            />
+            {errors.expertise && <p className="mt-1 text-sm text-red-600">{errors.expertise}</p>}
+          </div>
+          <div>
+            <label htmlFor="application-experience" className="block text-sm font-medium text-gray-700">
+              Teaching experience
+            </label>
+            <textarea
+              id="application-experience"
+              name="experience"
+              rows={4}
+              value={form.experience}
+              onChange={handleChange}
+              className={`mt-1 input ${errors.experience ? 'border-red-300' : ''}`}
+            />
+            {errors.experience && <p className="mt-1 text-sm text-red-600">{errors.experience}</p>}
+          </div>
+          <div>
+            <label htmlFor="application-website" className="block text-sm font-medium text-gray-700">
+              Website or portfolio <span className="text-gray-400">(optional)</span>
+            </label>
+            <input
+              id="application-website"
+              name="website"
+              type="url"
+              value={form.website}
+              onChange={handleChange}
+              className={`mt-1 input ${errors.website ? 'border-red-300' : ''}`}
+            />
+            {errors.website && <p className="mt-1 text-sm text-red-600">{errors.website}</p>}
+          </div>
+          <div className="flex gap-2">
+            <button type="submit" disabled={submitting} className="btn btn-primary btn-sm">
+              Submit application
+            </button>
+            <button type="button" onClick={() => setShowForm(false)} className="btn btn-outline btn-sm">
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default InstructorApplication;
@@ -0,0 +1,164 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { format } from 'date-fns';
+import { FiBriefcase, FiExternalLink } from 'react-icons/fi';
+import toast from 'react-hot-toast';
+
+const STATUSES = ['pending', 'approved', 'rejected', 'all'];
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-700',
+  rejected: 'bg-gray-100 text-gray-600'
+};
+
+// Admin review queue for instructor applications
+const InstructorApplications = () => {
+  const [status, setStatus] = useState('pending');
+  const [page, setPage] = useState(1);
+  const [data, setData] = useState({ applications: [], totalPages: 1, total: 0 });
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchApplications = useCallback(async () => {
+    try {
+      setLoading(true);
+      const res = await axios.get(`/api/instructor-applications?${new URLSearchParams({ status, page })}`);
+      setData(res.data);
+    } catch (error) {
+      console.error('Error fetching instructor applications:', error);
+      toast.error('Failed to load instructor applications');
+    } finally {
+      setLoading(false);
+    }
+  }, [status, page]);
+
+  useEffect(() => {
+    fetchApplications();
+  }, [fetchApplications]);
+
+  const handleReview = async (application, approve) => {
+    const note = approve
+      ? ''
+      : window.prompt(`Reject ${application.user?.name}'s application? Optionally add a note for them:`, '');
+    if (note === null) return;
+
+    setBusyId(application.id);
+    try {
+      const res = await axios.post(
+        `/api/instructor-applications/${application.id}/${approve ? 'approve' : 'reject'}`,
+        { note }
+      );
+      toast.success(res.data.message);
+      fetchApplications();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to review application');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="card p-6 mb-8">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-4">
+        <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+          <FiBriefcase className="h-5 w-5 mr-2 text-primary-600" />
+          Instructor applications
+          {status === 'pending' && data.total > 0 && (
+            <span className="ml-2 text-xs bg-yellow-100 text-yellow-800 px-2 py-0.5 rounded-full">{data.total}</span>
+          )}
+        </h2>
+        <select
+          value={status}
+          onChange={(e) => {
+            setStatus(e.target.value);
+            setPage(1);
+          }}
+          className="input sm:w-40 capitalize"
+        >
+          {STATUSES.map(value => (
+            <option key={value} value={value}>{value}</option>
+          ))}
+        </select>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+        </div>
+      ) : data.applications.length === 0 ? (
+        <p className="text-sm text-gray-600 py-4">No {status === 'all' ? '' : status} applications</p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {data.applications.map(application => (
+            <li key={application.id} className="py-4">
+              <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+                <div className="min-w-0">
+                  <div className="flex items-center gap-2">
+                    <span className="font-medium text-gray-900">{application.user?.name || 'Deleted user'}</span>
+                    <span className="text-sm text-gray-500">{application.user?.email}</span>
+                    <span className={`text-xs px-2 py-0.5 rounded-full capitalize ${STATUS_STYLES[application.status]}`}>
+                      {application.status}
+                    </span>
+                  </div>
+                  <p className="text-sm text-gray-700 mt-1">
+                    <span className="font-medium">Teaches:</span> {application.expertise}
+                  </p>
+                  <p className="text-sm text-gray-600 mt-1 whitespace-pre-line">{application.experience}</p>
+                  {application.website && (
+                    <a
+                      href={application.website}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="inline-flex items-center text-sm text-primary-600 hover:text-primary-500 mt-1"
+                    >
+                      <FiExternalLink className="h-3 w-3 mr-1" />
+                      {application.website}
+                    </a>
+                  )}
+                  <p className="text-xs text-gray-400 mt-2">
+                    Applied {format(new Date(application.createdAt), 'MMM d, yyyy')}
+                    {application.reviewedBy && ` · reviewed by ${application.reviewedBy.name}`}
+                    {application.reviewNote && ` · "${application.reviewNote}"`}
+                  </p>
+                </div>
+                {application.status === 'pending' && (
+                  <div className="flex gap-2 flex-shrink-0">
+                    <button
+                      onClick={() => handleReview(application, true)}
+                      disabled={busyId === application.id}
+                      className="btn btn-primary btn-sm"
+                    >
+                      Approve
+                    </button>
+                    <button
+                      onClick={() => handleReview(application, false)}
+                      disabled={busyId === application.id}
+                      className="btn btn-outline btn-sm"
+                    >
+                      Reject
+                    </button>
+                  </div>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {data.totalPages > 1 && (
+        <div className="flex items-center justify-between mt-4">
+          <button onClick={() => setPage(page - 1)} disabled={page <= 1} className="btn btn-outline btn-sm">
+            Previous
+          </button>
+          <span className="text-sm text-gray-600">Page {page} of {data.totalPages}</span>
+          <button onClick={() => setPage(page + 1)} disabled={page >= data.totalPages} className="btn btn-outline btn-sm">
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default InstructorApplications;
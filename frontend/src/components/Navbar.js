@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { useSocket } from '../contexts/SocketContext';
 import { 
   FiMenu, 
   FiX, 
@@ -11,13 +12,16 @@ import {
   FiSettings,
   FiHome,
   FiUsers,
-  FiMessageSquare
+  FiMessageSquare,
+  FiInbox
 } from 'react-icons/fi';
 
 const Navbar = () => {
   const [isOpen, setIsOpen] = useState(false);
   const [isProfileOpen, setIsProfileOpen] = useState(false);
+  const [isChatsOpen, setIsChatsOpen] = useState(false);
   const { isAuthenticated, user, logout } = useAuth();
+  const { getUnreadCourses, getDirectUnreadCount } = useSocket();
   const navigate = useNavigate();
   const location = useLocation();
 
@@ -27,6 +31,18 @@ const Navbar = () => {
     setIsProfileOpen(false);
   };
 
+  const chatCourses = getUnreadCourses();
+  const totalUnread = chatCourses.reduce((sum, course) => sum + course.count, 0);
+  const directUnread = getDirectUnreadCount();
+
+  const UnreadBadge = ({ count }) => (
+    count > 0 ? (
+      <span className="ml-2 inline-flex items-center justify-center min-w-[1.25rem] h-5 px-1.5 rounded-full bg-red-500 text-white text-xs font-semibold">
+        {count > 99 ? '99+' : count}
+      </span>
+    ) : null
+  );
+
   const isActive = (path) => {
     return location.pathname === path;
   };
@@ -84,10 +100,71 @@ const Navbar = () => {
 
           {/* User Menu */}
           <div className="hidden md:flex items-center space-x-4">
+            {isAuthenticated && (
+              <Link
+                to="/inbox"
+                className="relative p-2 rounded-full text-gray-600 hover:bg-gray-100 hover:text-gray-900 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+                aria-label="Inbox"
+              >
+                <FiInbox className="h-5 w-5" />
+                {directUnread > 0 && (
+                  <span className="absolute -top-1 -right-1 inline-flex items-center justify-center min-w-[1.25rem] h-5 px-1 rounded-full bg-red-500 text-white text-xs font-semibold">
+                    {directUnread > 99 ? '99+' : directUnread}
+                  </span>
+                )}
+              </Link>
+            )}
+
+            {isAuthenticated && (
+              <div className="relative">
+                <button
+                  onClick={() => {
+                    setIsChatsOpen(!isChatsOpen);
+                    setIsProfileOpen(false);
+                  }}
+                  className="relative p-2 rounded-full text-gray-600 hover:bg-gray-100 hover:text-gray-900 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+                  aria-label="Course chats"
+                >
+                  <FiMessageSquare className="h-5 w-5" />
+                  {totalUnread > 0 && (
+                    <span className="absolute -top-1 -right-1 inline-flex items-center justify-center min-w-[1.25rem] h-5 px-1 rounded-full bg-red-500 text-white text-xs font-semibold">
+                      {totalUnread > 99 ? '99+' : totalUnread}
+                    </span>
+                  )}
+                </button>
+
+                {isChatsOpen && (
+                  <div className="absolute right-0 mt-2 w-72 bg-white rounded-md shadow-lg py-1 z-50">
+                    <p className="px-4 py-2 text-xs font-medium uppercase tracking-wide text-gray-500">
+                      Course chats
+                    </p>
+                    {chatCourses.length === 0 ? (
+                      <p className="px-4 py-2 text-sm text-gray-500">No course chats yet</p>
+                    ) : (
+                      chatCourses.map(course => (
+                        <Link
+                          key={course.courseId}
+                          to={`/chat/${course.courseId}`}
+                          className="flex items-center justify-between px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                          onClick={() => setIsChatsOpen(false)}
+                        >
+                          <span className="truncate">{course.title || 'Course chat'}</span>
+                          <UnreadBadge count={course.count} />
+                        </Link>
+                      ))
+                    )}
+                  </div>
+                )}
+              </div>
+            )}
+
             {isAuthenticated ? (
               <div className="relative">
                 <button
-                  onClick={() => setIsProfileOpen(!isProfileOpen)}
+                  onClick={() => {
+                    setIsProfileOpen(!isProfileOpen);
+                    setIsChatsOpen(false);
+                  }}
                   className="flex items-center space-x-2 text-sm rounded-full focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
                 >
                   <div className="w-8 h-8 bg-primary-100 rounded-full flex items-center justify-center">
@@ -180,6 +257,40 @@ const Navbar = () => {
                   </NavLink>
                 )}
                 
+                <Link
+                  to="/inbox"
+                  className="flex items-center justify-between px-3 py-2 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-100 hover:text-gray-900"
+                  onClick={() => setIsOpen(false)}
+                >
+                  <span className="flex items-center">
+                    <FiInbox className="mr-2" />
+                    Inbox
+                  </span>
+                  <UnreadBadge count={directUnread} />
+                </Link>
+
+                {chatCourses.length > 0 && (
+                  <div className="border-t pt-2">
+                    <p className="px-3 py-1 text-xs font-medium uppercase tracking-wide text-gray-500">
+                      Course chats
+                    </p>
+                    {chatCourses.map(course => (
+                      <Link
+                        key={course.courseId}
+                        to={`/chat/${course.courseId}`}
+                        className="flex items-center justify-between px-3 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                        onClick={() => setIsOpen(false)}
+                      >
+                        <span className="flex items-center truncate">
+                          <FiMessageSquare className="mr-2 flex-shrink-0" />
+                          {course.title || 'Course chat'}
+                        </span>
+                        <UnreadBadge count={course.count} />
+                      </Link>
+                    ))}
+                  </div>
+                )}
+
                 <div className="border-t pt-2">
                   <Link
                     to="/profile"
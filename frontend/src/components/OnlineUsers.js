@@ -0,0 +1,55 @@
+import React from 'react';
+
+// Lists members connected to a course room, instructors first
+const OnlineUsers = ({ users = [], currentUserId, title = 'Online now' }) => {
+  const staff = users.filter(u => u.role === 'instructor' || u.role === 'admin');
+  const classmates = users.filter(u => u.role !== 'instructor' && u.role !== 'admin');
+
+  const renderUser = (member) => (
+    <li key={member.id} className="flex items-center py-1">
+      <div className="relative mr-3 flex-shrink-0">
+        <div className="w-8 h-8 bg-primary-100 rounded-full flex items-center justify-center">
+          {member.avatar ? (
+            <img src={member.avatar} alt={member.name} className="w-8 h-8 rounded-full object-cover" />
+          ) : (
+            <span className="text-primary-600 text-sm font-semibold">{member.name?.charAt(0)}</span>
+          )}
+        </div>
+        <span className="absolute bottom-0 right-0 block h-2.5 w-2.5 rounded-full bg-green-500 ring-2 ring-white" />
+      </div>
+      <span className="text-sm text-gray-700 truncate">
+        {member.name}
+        {member.id === currentUserId && <span className="text-gray-400"> (you)</span>}
+      </span>
+    </li>
+  );
+
+  return (
+    <div>
+      <h3 className="text-sm font-semibold text-gray-900 mb-3">
+        {title} <span className="text-gray-500 font-normal">({users.length})</span>
+      </h3>
+
+      {users.length === 0 ? (
+        <p className="text-sm text-gray-500">Nobody is online right now</p>
+      ) : (
+        <div className="space-y-4">
+          {staff.length > 0 && (
+            <div>
+              <p className="text-xs font-medium uppercase tracking-wide text-gray-500 mb-1">Instructors</p>
+              <ul>{staff.map(renderUser)}</ul>
+            </div>
+          )}
+          {classmates.length > 0 && (
+            <div>
+              <p className="text-xs font-medium uppercase tracking-wide text-gray-500 mb-1">Classmates</p>
+              <ul>{classmates.map(renderUser)}</ul>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OnlineUsers;
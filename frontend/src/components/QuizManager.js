@@ -0,0 +1,657 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import { format } from 'date-fns';
+import { FiPlus, FiEdit2, FiTrash2, FiX, FiDatabase, FiHelpCircle } from 'react-icons/fi';
+import toast from 'react-hot-toast';
+
+const QUESTION_TYPES = [
+  ['single_choice', 'Single choice'],
+  ['multiple_choice', 'Multiple choice'],
+  ['true_false', 'True / false'],
+  ['numeric', 'Numeric'],
+  ['short_answer', 'Short answer'],
+  ['ordering', 'Ordering']
+];
+const TYPE_NAMES = Object.fromEntries(QUESTION_TYPES);
+
+const emptyQuestion = () => ({
+  type: 'single_choice',
+  prompt: '',
+  points: 1,
+  options: [{ text: '', correct: true }, { text: '', correct: false }],
+  correctAnswer: true,
+  numericAnswer: '',
+  tolerance: 0,
+  patterns: '',
+  caseSensitive: false,
+  explanation: ''
+});
+
+// A bank question as the form edits it; accepted answers are one per line
+const toQuestionForm = (question) => ({
+  ...emptyQuestion(),
+  ...question,
+  options: question.options.length ? question.options : emptyQuestion().options,
+  correctAnswer: question.correctAnswer ?? true,
+  numericAnswer: question.numericAnswer ?? '',
+  patterns: (question.patterns || []).join('\n')
+});
+
+const toQuestionBody = (form) => ({
+  ...form,
+  points: Number(form.points),
+  patterns: form.patterns.split('\n').map(pattern => pattern.trim()).filter(Boolean)
+});
+
+const emptyQuiz = (bankId = '') => ({
+  title: '',
+  description: '',
+  bank: bankId,
+  questionCount: 0,
+  timeLimit: 0,
+  maxAttempts: 1,
+  maxMarks: 100,
+  dueDate: '',
+  scoring: 'highest',
+  shuffleQuestions: false,
+  shuffleOptions: false,
+  showCorrectAnswers: true
+});
+
+const toQuizForm = (quiz) => ({
+  ...emptyQuiz(),
+  ...quiz,
+  dueDate: quiz.dueDate ? format(new Date(quiz.dueDate), "yyyy-MM-dd'T'HH:mm") : ''
+});
+
+const toQuizBody = (form) => ({
+  ...form,
+  dueDate: form.dueDate ? new Date(form.dueDate).toISOString() : null
+});
+
+const messageOf = (error, fallback) => error.response?.data?.errors?.[0]?.message ||
+  error.response?.data?.message || fallback;
+
+const QuestionForm = ({ initial, onSave, onCancel }) => {
+  const [form, setForm] = useState(initial);
+  const [saving, setSaving] = useState(false);
+
+  const set = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+  const setOption = (index, changes) => setForm(prev => ({
+    ...prev,
+    options: prev.options.map((option, i) => {
+      if (i === index) return { ...option, ...changes };
+      // Picking the one right answer of a single choice question unpicks the rest
+      return prev.type === 'single_choice' && changes.correct ? { ...option, correct: false } : option;
+    })
+  }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await onSave(toQuestionBody(form));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const hasOptions = ['single_choice', 'multiple_choice', 'ordering'].includes(form.type);
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3 p-4 bg-gray-50 rounded-lg">
+      <div className="flex space-x-3">
+        <select value={form.type} onChange={(e) => set('type', e.target.value)} className="input">
+          {QUESTION_TYPES.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+        </select>
+        <label className="flex items-center text-sm text-gray-600">
+          Points
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={form.points}
+            onChange={(e) => set('points', e.target.value)}
+            className="input w-20 ml-2"
+          />
+        </label>
+      </div>
+
+      <textarea
+        value={form.prompt}
+        onChange={(e) => set('prompt', e.target.value)}
+        placeholder="Question"
+        rows={2}
+        className="input w-full"
+        required
+      />
+
+      {hasOptions && (
+        <div className="space-y-2">
+          <p className="text-xs text-gray-500">
+            {form.type === 'ordering' ? 'Options in their correct order; students see them shuffled' : 'Tick the correct options'}
+          </p>
+          {form.options.map((option, index) => (
+            <div key={index} className="flex items-center space-x-2">
+              {form.type !== 'ordering' && (
+                <input
+                  type={form.type === 'single_choice' ? 'radio' : 'checkbox'}
+                  checked={option.correct}
+                  onChange={(e) => setOption(index, { correct: e.target.checked })}
+                  title="Correct"
+                />
+              )}
+              {form.type === 'ordering' && <span className="text-sm text-gray-400 w-4">{index + 1}.</span>}
+              <input
+                value={option.text}
+                onChange={(e) => setOption(index, { text: e.target.value })}
+                placeholder={`Option ${index + 1}`}
+                className="input flex-1"
+                required
+              />
+              <button
+                type="button"
+                onClick={() => set('options', form.options.filter((_, i) => i !== index))}
+                disabled={form.options.length <= 2}
+                className="text-gray-400 hover:text-red-600 disabled:opacity-30"
+                title="Remove option"
+              >
+                <FiX className="h-4 w-4" />
+              </button>
+            </div>
+          ))}
+          <button
+            type="button"
+            onClick={() => set('options', [...form.options, { text: '', correct: false }])}
+            className="text-sm text-primary-600 hover:text-primary-700"
+          >
+            Add option
+          </button>
+        </div>
+      )}
+
+      {form.type === 'true_false' && (
+        <select
+          value={String(form.correctAnswer)}
+          onChange={(e) => set('correctAnswer', e.target.value === 'true')}
+          className="input"
+        >
+          <option value="true">The answer is true</option>
+          <option value="false">The answer is false</option>
+        </select>
+      )}
+
+      {form.type === 'numeric' && (
+        <div className="flex space-x-3">
+          <input
+            type="number"
+            step="any"
+            value={form.numericAnswer}
+            onChange={(e) => set('numericAnswer', e.target.value)}
+            placeholder="Answer"
+            className="input"
+            required
+          />
+          <label className="flex items-center text-sm text-gray-600">
+            ±
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={form.tolerance}
+              onChange={(e) => set('tolerance', e.target.value)}
+              className="input w-24 ml-2"
+            />
+          </label>
+        </div>
+      )}
+
+      {form.type === 'short_answer' && (
+        <div>
+          <textarea
+            value={form.patterns}
+            onChange={(e) => set('patterns', e.target.value)}
+            placeholder="Accepted answers, one per line; * matches anything, as in colo*r"
+            rows={3}
+            className="input w-full"
+            required
+          />
+          <label className="flex items-center text-sm text-gray-600 mt-1">
+            <input
+              type="checkbox"
+              checked={form.caseSensitive}
+              onChange={(e) => set('caseSensitive', e.target.checked)}
+              className="mr-2"
+            />
+            Case sensitive
+          </label>
+        </div>
+      )}
+
+      <textarea
+        value={form.explanation}
+        onChange={(e) => set('explanation', e.target.value)}
+        placeholder="Explanation shown with the results (optional)"
+        rows={2}
+        className="input w-full"
+      />
+
+      <div className="flex space-x-2">
+        <button type="submit" disabled={saving} className="btn btn-primary btn-sm">
+          {saving ? 'Saving...' : 'Save question'}
+        </button>
+        <button type="button" onClick={onCancel} className="btn btn-outline btn-sm">
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// One bank's questions, with forms to add and edit them
+const BankEditor = ({ bankId, onChange, onClose }) => {
+  const [bank, setBank] = useState(null);
+  // 'new', a question id, or null
+  const [editing, setEditing] = useState(null);
+
+  const fetchBank = useCallback(async () => {
+    try {
+      const res = await axios.get(`/api/quizzes/banks/${bankId}`);
+      setBank(res.data);
+    } catch (error) {
+      toast.error(messageOf(error, 'Failed to load question bank'));
+    }
+  }, [bankId]);
+
+  useEffect(() => {
+    fetchBank();
+  }, [fetchBank]);
+
+  const handleSave = async (body) => {
+    try {
+      const res = editing === 'new'
+        ? await axios.post(`/api/quizzes/banks/${bankId}/questions`, body)
+        : await axios.put(`/api/quizzes/banks/${bankId}/questions/${editing}`, body);
+      setBank(res.data.bank);
+      setEditing(null);
+      onChange();
+    } catch (error) {
+      toast.error(messageOf(error, 'Failed to save question'));
+    }
+  };
+
+  const handleRemove = async (question) => {
+    if (!window.confirm('Remove this question? Quizzes stop asking it; finished attempts keep it.')) return;
+    try {
+      const res = await axios.delete(`/api/quizzes/banks/${bankId}/questions/${question._id}`);
+      setBank(res.data.bank);
+      onChange();
+    } catch (error) {
+      toast.error(messageOf(error, 'Failed to remove question'));
+    }
+  };
+
+  if (!bank) return null;
+
+  return (
+    <div className="border rounded-lg p-4 mt-3">
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="font-medium text-gray-900">{bank.title}</h4>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-700" title="Close">
+          <FiX className="h-4 w-4" />
+        </button>
+      </div>
+
+      <ol className="space-y-2 mb-3">
+        {bank.questions.map((question, index) => (
+          <li key={question._id}>
+            {editing === question._id ? (
+              <QuestionForm initial={toQuestionForm(question)} onSave={handleSave} onCancel={() => setEditing(null)} />
+            ) : (
+              <div className="flex items-start justify-between text-sm">
+                <span className="text-gray-900">
+                  {index + 1}. {question.prompt}
+                  <span className="ml-2 text-xs text-gray-500">
+                    {TYPE_NAMES[question.type]} · {question.points} {question.points === 1 ? 'point' : 'points'}
+                  </span>
+                </span>
+                <span className="flex items-center space-x-2 ml-4">
+                  <button onClick={() => setEditing(question._id)} className="text-gray-400 hover:text-gray-700" title="Edit">
+                    <FiEdit2 className="h-4 w-4" />
+                  </button>
+                  <button onClick={() => handleRemove(question)} className="text-gray-400 hover:text-red-600" title="Remove">
+                    <FiTrash2 className="h-4 w-4" />
+                  </button>
+                </span>
+              </div>
+            )}
+          </li>
+        ))}
+      </ol>
+
+      {editing === 'new' ? (
+        <QuestionForm initial={emptyQuestion()} onSave={handleSave} onCancel={() => setEditing(null)} />
+      ) : (
+        <button onClick={() => setEditing('new')} className="btn btn-outline btn-sm flex items-center">
+          <FiPlus className="h-4 w-4 mr-1" />
+          Add question
+        </button>
+      )}
+    </div>
+  );
+};
+
+const QuizForm = ({ initial, banks, onSave, onCancel }) => {
+  const [form, setForm] = useState(initial);
+  const [saving, setSaving] = useState(false);
+
+  const set = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+  const pool = banks.find(bank => bank.id === form.bank)?.questionCount || 0;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await onSave(toQuizBody(form));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const numberField = (field, label, hint) => (
+    <label className="block text-sm text-gray-600">
+      {label}
+      <input
+        type="number"
+        min="0"
+        value={form[field]}
+        onChange={(e) => set(field, e.target.value)}
+        className="input w-full mt-1"
+      />
+      {hint && <span className="text-xs text-gray-400">{hint}</span>}
+    </label>
+  );
+
+  const checkbox = (field, label) => (
+    <label className="flex items-center text-sm text-gray-600">
+      <input
+        type="checkbox"
+        checked={form[field]}
+        onChange={(e) => set(field, e.target.checked)}
+        className="mr-2"
+      />
+      {label}
+    </label>
+  );
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3 p-4 bg-gray-50 rounded-lg">
+      <input
+        value={form.title}
+        onChange={(e) => set('title', e.target.value)}
+        placeholder="Quiz title"
+        className="input w-full"
+        required
+      />
+      <textarea
+        value={form.description}
+        onChange={(e) => set('description', e.target.value)}
+        placeholder="Instructions (optional)"
+        rows={2}
+        className="input w-full"
+      />
+      <select value={form.bank} onChange={(e) => set('bank', e.target.value)} className="input w-full" required>
+        <option value="">Question bank...</option>
+        {banks.map(bank => (
+          <option key={bank.id} value={bank.id}>{bank.title} ({bank.questionCount} questions)</option>
+        ))}
+      </select>
+
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+        {numberField('questionCount', 'Questions', pool ? `0 asks all ${pool}` : '0 asks all')}
+        {numberField('timeLimit', 'Minutes', '0 for no limit')}
+        {numberField('maxAttempts', 'Attempts', '0 for unlimited')}
+        {numberField('maxMarks', 'Marks')}
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <label className="block text-sm text-gray-600">
+          Due (optional)
+          <input
+            type="datetime-local"
+            value={form.dueDate}
+            onChange={(e) => set('dueDate', e.target.value)}
+            className="input w-full mt-1"
+          />
+        </label>
+        <label className="block text-sm text-gray-600">
+          Grade by
+          <select value={form.scoring} onChange={(e) => set('scoring', e.target.value)} className="input w-full mt-1">
+            <option value="highest">Highest attempt</option>
+            <option value="latest">Latest attempt</option>
+          </select>
+        </label>
+      </div>
+
+      <div className="flex flex-wrap gap-4">
+        {checkbox('shuffleQuestions', 'Shuffle questions')}
+        {checkbox('shuffleOptions', 'Shuffle options')}
+        {checkbox('showCorrectAnswers', 'Show correct answers after submitting')}
+      </div>
+
+      <div className="flex space-x-2">
+        <button type="submit" disabled={saving} className="btn btn-primary btn-sm">
+          {saving ? 'Saving...' : 'Save quiz'}
+        </button>
+        <button type="button" onClick={onCancel} className="btn btn-outline btn-sm">
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// Question banks and quizzes for the course editor. New quizzes go at the end
+// of the last section; `onChange` lets the curriculum editor pick them up.
+const QuizManager = ({ courseId, onChange }) => {
+  const [banks, setBanks] = useState([]);
+  const [quizzes, setQuizzes] = useState([]);
+  const [openBank, setOpenBank] = useState(null);
+  const [newBankTitle, setNewBankTitle] = useState('');
+  // 'new', a quiz id, or null
+  const [editingQuiz, setEditingQuiz] = useState(null);
+
+  const fetchAll = useCallback(async () => {
+    try {
+      const [banksRes, quizzesRes] = await Promise.all([
+        axios.get(`/api/quizzes/banks/course/${courseId}`),
+        axios.get(`/api/quizzes/course/${courseId}`)
+      ]);
+      setBanks(banksRes.data);
+      setQuizzes(quizzesRes.data);
+    } catch (error) {
+      console.error('Error fetching quizzes:', error);
+    }
+  }, [courseId]);
+
+  useEffect(() => {
+    fetchAll();
+  }, [fetchAll]);
+
+  const handleAddBank = async (e) => {
+    e.preventDefault();
+    try {
+      const res = await axios.post('/api/quizzes/banks', { course: courseId, title: newBankTitle });
+      setNewBankTitle('');
+      setOpenBank(res.data.bank._id);
+      fetchAll();
+    } catch (error) {
+      toast.error(messageOf(error, 'Failed to create question bank'));
+    }
+  };
+
+  const handleRenameBank = async (bank) => {
+    const title = window.prompt('Bank title', bank.title);
+    if (!title || title === bank.title) return;
+    try {
+      await axios.put(`/api/quizzes/banks/${bank.id}`, { title });
+      fetchAll();
+    } catch (error) {
+      toast.error(messageOf(error, 'Failed to rename question bank'));
+    }
+  };
+
+  const handleDeleteBank = async (bank) => {
+    if (!window.confirm(`Delete "${bank.title}" and its questions?`)) return;
+    try {
+      await axios.delete(`/api/quizzes/banks/${bank.id}`);
+      if (openBank === bank.id) setOpenBank(null);
+      fetchAll();
+    } catch (error) {
+      toast.error(messageOf(error, 'Failed to delete question bank'));
+    }
+  };
+
+  const handleSaveQuiz = async (body) => {
+    try {
+      if (editingQuiz === 'new') {
+        await axios.post('/api/quizzes', { ...body, course: courseId });
+        toast.success('Quiz created');
+      } else {
+        await axios.put(`/api/quizzes/${editingQuiz}`, body);
+        toast.success('Quiz updated');
+      }
+      setEditingQuiz(null);
+      fetchAll();
+      onChange?.();
+    } catch (error) {
+      toast.error(messageOf(error, 'Failed to save quiz'));
+    }
+  };
+
+  const handleDeleteQuiz = async (quiz) => {
+    if (!window.confirm(`Delete "${quiz.title}" and every student's attempts at it?`)) return;
+    try {
+      await axios.delete(`/api/quizzes/${quiz.id}`);
+      fetchAll();
+      onChange?.();
+    } catch (error) {
+      toast.error(messageOf(error, 'Failed to delete quiz'));
+    }
+  };
+
+  const bankTitle = (id) => banks.find(bank => bank.id === id)?.title || 'Unknown bank';
+
+  return (
+    <div className="space-y-8">
+      <div>
+        <h3 className="font-medium text-gray-900 mb-2 flex items-center">
+          <FiDatabase className="h-4 w-4 mr-2 text-gray-500" />
+          Question banks
+        </h3>
+        {banks.length === 0 && <p className="text-sm text-gray-500 mb-2">Quizzes draw their questions from a bank. Start by creating one.</p>}
+        <ul className="divide-y border rounded-lg mb-3">
+          {banks.map(bank => (
+            <li key={bank.id} className="flex items-center justify-between px-4 py-2 text-sm">
+              <button
+                onClick={() => setOpenBank(openBank === bank.id ? null : bank.id)}
+                className="text-left text-gray-900 hover:text-primary-600"
+              >
+                {bank.title}
+                <span className="ml-2 text-xs text-gray-500">
+                  {bank.questionCount} {bank.questionCount === 1 ? 'question' : 'questions'} · {bank.points} points
+                </span>
+              </button>
+              <span className="flex items-center space-x-2 ml-4">
+                <button onClick={() => handleRenameBank(bank)} className="text-gray-400 hover:text-gray-700" title="Rename">
+                  <FiEdit2 className="h-4 w-4" />
+                </button>
+                <button onClick={() => handleDeleteBank(bank)} className="text-gray-400 hover:text-red-600" title="Delete">
+                  <FiTrash2 className="h-4 w-4" />
+                </button>
+              </span>
+            </li>
+          ))}
+        </ul>
+        {openBank && (
+          <BankEditor key={openBank} bankId={openBank} onChange={fetchAll} onClose={() => setOpenBank(null)} />
+        )}
+        <form onSubmit={handleAddBank} className="flex space-x-2 mt-3">
+          <input
+            value={newBankTitle}
+            onChange={(e) => setNewBankTitle(e.target.value)}
+            placeholder="New bank title"
+            className="input flex-1"
+            minLength={3}
+            required
+          />
+          <button type="submit" className="btn btn-outline btn-sm flex items-center">
+            <FiPlus className="h-4 w-4 mr-1" />
+            Add bank
+          </button>
+        </form>
+      </div>
+
+      <div>
+        <h3 className="font-medium text-gray-900 mb-2 flex items-center">
+          <FiHelpCircle className="h-4 w-4 mr-2 text-gray-500" />
+          Quizzes
+        </h3>
+        <ul className="divide-y border rounded-lg mb-3">
+          {quizzes.map(quiz => (
+            <li key={quiz.id} className="px-4 py-2 text-sm">
+              {editingQuiz === quiz.id ? (
+                <QuizForm
+                  initial={toQuizForm(quiz)}
+                  banks={banks}
+                  onSave={handleSaveQuiz}
+                  onCancel={() => setEditingQuiz(null)}
+                />
+              ) : (
+                <div className="flex items-center justify-between">
+                  <Link to={`/quiz/${quiz.id}`} className="text-gray-900 hover:text-primary-600">
+                    {quiz.title}
+                    <span className="ml-2 text-xs text-gray-500">
+                      {bankTitle(quiz.bank)}
+                      {quiz.timeLimit > 0 && ` · ${quiz.timeLimit} min`}
+                      {quiz.dueDate && ` · due ${format(new Date(quiz.dueDate), 'MMM d')}`}
+                    </span>
+                  </Link>
+                  <span className="flex items-center space-x-2 ml-4">
+                    <button onClick={() => setEditingQuiz(quiz.id)} className="text-gray-400 hover:text-gray-700" title="Edit">
+                      <FiEdit2 className="h-4 w-4" />
+                    </button>
+                    <button onClick={() => handleDeleteQuiz(quiz)} className="text-gray-400 hover:text-red-600" title="Delete">
+                      <FiTrash2 className="h-4 w-4" />
+                    </button>
+                  </span>
+                </div>
+              )}
+            </li>
+          ))}
+          {quizzes.length === 0 && <li className="px-4 py-2 text-sm text-gray-500">No quizzes yet</li>}
+        </ul>
+        {editingQuiz === 'new' ? (
+          <QuizForm
+            initial={emptyQuiz(banks[0]?.id)}
+            banks={banks}
+            onSave={handleSaveQuiz}
+            onCancel={() => setEditingQuiz(null)}
+          />
+        ) : (
+          <button
+            onClick={() => setEditingQuiz('new')}
+            disabled={banks.length === 0}
+            className="btn btn-primary btn-sm flex items-center"
+          >
+            <FiPlus className="h-4 w-4 mr-1" />
+            New quiz
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default QuizManager;
@@ -0,0 +1,59 @@
+import React from 'react';
+import { FiCopy, FiDownload } from 'react-icons/fi';
+import toast from 'react-hot-toast';
+
+// One-time display of freshly generated two-factor recovery codes
+const RecoveryCodes = ({ codes, onDone, doneLabel = 'I saved my codes' }) => {
+  const text = codes.join('\n');
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      toast.success('Recovery codes copied');
+    } catch (error) {
+      toast.error('Copy failed. Select the codes and copy them manually.');
+    }
+  };
+
+  const handleDownload = () => {
+    const url = URL.createObjectURL(new Blob([`EduNexus recovery codes\n\n${text}\n`], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'edunexus-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 text-sm text-yellow-800">
+        Save these recovery codes somewhere safe. Each one signs you in once if you lose
+        access to your authenticator app. They won't be shown again.
+      </div>
+
+      <ul className="grid grid-cols-2 gap-2 font-mono text-sm text-gray-900 bg-gray-50 border rounded-lg p-4">
+        {codes.map(code => (
+          <li key={code}>{code}</li>
+        ))}
+      </ul>
+
+      <div className="flex flex-wrap gap-2">
+        <button type="button" onClick={handleCopy} className="btn btn-outline btn-sm flex items-center">
+          <FiCopy className="h-4 w-4 mr-2" />
+          Copy
+        </button>
+        <button type="button" onClick={handleDownload} className="btn btn-outline btn-sm flex items-center">
+          <FiDownload className="h-4 w-4 mr-2" />
+          Download
+        </button>
+        {onDone && (
+          <button type="button" onClick={onDone} className="btn btn-primary btn-sm ml-auto">
+            {doneLabel}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RecoveryCodes;
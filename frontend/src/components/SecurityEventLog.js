@@ -0,0 +1,175 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { format } from 'date-fns';
+import { FiAlertTriangle, FiUnlock } from 'react-icons/fi';
+import toast from 'react-hot-toast';
+
+const EVENTS_PER_PAGE = 25;
+
+const typeLabel = (type) => type.replace(/_/g, ' ');
+
+const typeClasses = (type) => {
+  if (/locked|blocked|rate_limited/.test(type)) return 'bg-red-100 text-red-700';
+  if (/failed/.test(type)) return 'bg-yellow-100 text-yellow-800';
+  if (/succeeded|unlocked/.test(type)) return 'bg-green-100 text-green-700';
+  return 'bg-gray-100 text-gray-600';
+};
+
+// Admin view of sign-in security events, with lockout removal
+const SecurityEventLog = () => {
+  const [events, setEvents] = useState([]);
+  const [types, setTypes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState({ type: '', email: '' });
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+
+  const fetchEvents = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = new URLSearchParams({ page, limit: EVENTS_PER_PAGE });
+      if (filters.type) params.append('type', filters.type);
+      if (filters.email) params.append('email', filters.email);
+
+      const res = await axios.get(`/api/security/events?${params}`);
+      setEvents(res.data.events);
+      setTypes(res.data.types);
+      setTotalPages(res.data.totalPages || 1);
+    } catch (error) {
+      console.error('Error fetching security events:', error);
+      toast.error('Failed to load security events');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, filters]);
+
+  useEffect(() => {
+    fetchEvents();
+  }, [fetchEvents]);
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+    setPage(1);
+  };
+
+  const handleUnlock = async (email) => {
+    try {
+      const res = await axios.post('/api/security/unlock', { email });
+      toast.success(res.data.message);
+      fetchEvents();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to unlock account');
+    }
+  };
+
+  return (
+    <div className="card p-6 mt-8">
+      <h2 className="text-lg font-semibold text-gray-900 flex items-center mb-4">
+        <FiAlertTriangle className="h-5 w-5 mr-2 text-primary-600" />
+        Security events
+      </h2>
+
+      <div className="flex flex-col md:flex-row gap-4 mb-6">
+        <input
+          type="text"
+          name="email"
+          placeholder="Filter by email..."
+          value={filters.email}
+          onChange={handleFilterChange}
+          className="input flex-1"
+        />
+        <select
+          name="type"
+          value={filters.type}
+          onChange={handleFilterChange}
+          className="input md:w-56 capitalize"
+        >
+          <option value="">All events</option>
+          {types.map(type => (
+            <option key={type} value={type}>{typeLabel(type)}</option>
+          ))}
+        </select>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+        </div>
+      ) : events.length === 0 ? (
+        <p className="text-center text-gray-600 py-12">No security events recorded</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead>
+              <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                <th className="px-4 py-3">When</th>
+                <th className="px-4 py-3">Event</th>
+                <th className="px-4 py-3">Account</th>
+                <th className="px-4 py-3">IP address</th>
+                <th className="px-4 py-3"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {events.map(event => (
+                <tr key={event._id} className="text-sm">
+                  <td className="px-4 py-3 text-gray-600 whitespace-nowrap">
+                    {format(new Date(event.createdAt), 'MMM d, yyyy h:mm a')}
+                  </td>
+                  <td className="px-4 py-3">
+                    <span className={`text-xs px-2 py-0.5 rounded-full capitalize ${typeClasses(event.type)}`}>
+                      {typeLabel(event.type)}
+                    </span>
+                    {event.details?.reason && (
+                      <span className="ml-2 text-xs text-gray-500">{typeLabel(event.details.reason)}</span>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-gray-900">
+                    {event.user?.name && <span className="block font-medium">{event.user.name}</span>}
+                    <span className="text-gray-600">{event.email || '—'}</span>
+                  </td>
+                  <td className="px-4 py-3 text-gray-600 font-mono" title={event.userAgent}>
+                    {event.ip || '—'}
+                  </td>
+                  <td className="px-4 py-3 text-right">
+                    {event.type === 'account_locked' && event.email && (
+                      <button
+                        onClick={() => handleUnlock(event.email)}
+                        className="inline-flex items-center text-sm text-primary-600 hover:text-primary-500"
+                      >
+                        <FiUnlock className="h-4 w-4 mr-1" />
+                        Unlock
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {totalPages > 1 && (
+        <div className="flex items-center justify-between mt-6">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1}
+            className="btn btn-outline btn-sm"
+          >
+            Previous
+          </button>
+          <span className="text-sm text-gray-600">Page {page} of {totalPages}</span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page >= totalPages}
+            className="btn btn-outline btn-sm"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SecurityEventLog;
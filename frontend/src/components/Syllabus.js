@@ -0,0 +1,228 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import { format } from 'date-fns';
+import { FiPlay, FiCheckCircle, FiFileText, FiHelpCircle, FiChevronDown, FiChevronRight, FiLock } from 'react-icons/fi';
+
+// 754 -> "12:34"
+export const formatClock = (seconds) => {
+  const total = Math.round(seconds || 0);
+  return `${Math.floor(total / 60)}:${(total % 60).toString().padStart(2, '0')}`;
+};
+
+// 3900 -> "1h 5m"; section and course lengths
+export const formatLength = (seconds) => {
+  const minutes = Math.round((seconds || 0) / 60);
+  if (minutes < 60) return `${minutes}m`;
+  return minutes % 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes / 60}h`;
+};
+
+export const sectionSummary = (section) => [
+  section.lectureCount > 0 && `${section.lectureCount} ${section.lectureCount === 1 ? 'lecture' : 'lectures'}`,
+  section.assignmentCount > 0 && `${section.assignmentCount} ${section.assignmentCount === 1 ? 'assignment' : 'assignments'}`,
+  section.quizCount > 0 && `${section.quizCount} ${section.quizCount === 1 ? 'quiz' : 'quizzes'}`,
+  section.duration > 0 && formatLength(section.duration)
+].filter(Boolean).join(' · ');
+
+// A release rule (backend/models/releaseRule.js) in words, or null when it opens right away
+export const describeRule = (rule, what = 'item') => {
+  if (rule?.type === 'days_after_enrollment' && rule.days > 0) {
+    return `Opens ${rule.days} ${rule.days === 1 ? 'day' : 'days'} after enrollment`;
+  }
+  if (rule?.type === 'after_previous') return `Opens once the previous ${what} is completed`;
+  return null;
+};
+
+// Why a student cannot open an item yet, from the `locks` of their progress
+export const describeLock = (lock) => [
+  lock.waitingFor.length > 0 && `Complete ${lock.waitingFor
+    .map(ref => `${ref.kind === 'Section' ? 'section ' : ''}"${ref.title}"`)
+    .join(' and ')} first`,
+  lock.unlocksAt && `Opens ${format(new Date(lock.unlocksAt), 'MMM d, yyyy')}`
+].filter(Boolean).join(' · ');
+
+const SyllabusItem = ({ courseId, item, watched, lock, isMember }) => {
+  if (lock) {
+    return (
+      <div className="flex items-center justify-between p-3 text-gray-500" title={describeLock(lock)}>
+        <div className="flex items-center min-w-0">
+          <FiLock className="h-5 w-5 mr-3 text-gray-400 flex-shrink-0" />
+          <span className="truncate">{item.title}</span>
+        </div>
+        <span className="text-xs whitespace-nowrap ml-4">{describeLock(lock)}</span>
+      </div>
+    );
+  }
+
+  const row = (
+    <>
+      <div className="flex items-center min-w-0">
+        {item.kind === 'Assignment' ? (
+          <FiFileText className="h-5 w-5 mr-3 text-gray-400 flex-shrink-0" />
+        ) : item.kind === 'Quiz' ? (
+          <FiHelpCircle className="h-5 w-5 mr-3 text-gray-400 flex-shrink-0" />
+        ) : watched?.completed ? (
+          <FiCheckCircle className="h-5 w-5 text-green-500 mr-3 flex-shrink-0" />
+        ) : (
+          <FiPlay className={`h-5 w-5 mr-3 flex-shrink-0 ${watched ? 'text-primary-500' : 'text-gray-400'}`} />
+        )}
+        <span className="text-gray-900 truncate">{item.title}</span>
+        {item.isPreview && (
+          <span className="ml-2 text-xs bg-blue-100 text-blue-800 px-2 py-1 rounded">
+            Preview
+          </span>
+        )}
+      </div>
+      <span className="text-sm text-gray-500 whitespace-nowrap ml-4">
+        {item.kind === 'Assignment' ? (
+          item.dueDate && `Due ${format(new Date(item.dueDate), 'MMM d')}`
+        ) : item.kind === 'Quiz' ? (
+          [
+            item.timeLimit > 0 && `${item.timeLimit} min`,
+            item.dueDate && `Due ${format(new Date(item.dueDate), 'MMM d')}`
+          ].filter(Boolean).join(' · ') || 'Quiz'
+        ) : (
+          <>
+            {watched && !watched.completed && item.duration > 0 && (
+              <span className="mr-2 text-primary-600">
+                {Math.min(99, Math.round((watched.watchedSeconds / item.duration) * 100))}%
+              </span>
+            )}
+            {formatClock(item.duration)}
+          </>
+        )}
+      </span>
+    </>
+  );
+
+  if (!isMember) {
+    return <div className="flex items-center justify-between p-3">{row}</div>;
+  }
+
+  const links = {
+    Lecture: `/lecture/${courseId}/${item.id}`,
+    Assignment: `/assignment/${item.id}`,
+    Quiz: `/quiz/${item.id}`
+  };
+
+  return (
+    <Link
+      to={links[item.kind]}
+      className="flex items-center justify-between p-3 hover:bg-gray-50"
+    >
+      {row}
+    </Link>
+  );
+};
+
+// The course syllabus from GET /api/courses/:id/curriculum, one collapsible
+// panel per section. `progress` is the student's progress, if any; items it
+// lists as locked are shown with what opens them.
+const Syllabus = ({ courseId, progress, isMember }) => {
+  const [curriculum, setCurriculum] = useState(null);
+  const [collapsed, setCollapsed] = useState({});
+
+  useEffect(() => {
+    axios.get(`/api/courses/${courseId}/curriculum`)
+      .then(res => setCurriculum(res.data))
+      .catch(error => console.error('Error fetching curriculum:', error));
+  }, [courseId]);
+
+  if (!curriculum) {
+    return (
+      <div className="flex justify-center py-8">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  const { sections, unsectioned } = curriculum;
+  if (sections.length === 0 && unsectioned.length === 0) {
+    return <p className="text-gray-500">No lectures available yet</p>;
+  }
+
+  const watchedOf = (item) => progress?.lectures.find(entry => entry.lecture === item.id);
+  const locks = progress?.locks || {};
+
+  const renderItems = (items) => (
+    <div className="divide-y">
+      {items.map(item => (
+        <SyllabusItem
+          key={item.id}
+          courseId={courseId}
+          item={item}
+          watched={item.kind === 'Lecture' ? watchedOf(item) : null}
+          lock={locks[item.id]}
+          isMember={isMember}
+        />
+      ))}
+    </div>
+  );
+
+  // Courses without sections keep the plain list
+  if (sections.length === 0) {
+    return <div className="border rounded-lg">{renderItems(unsectioned)}</div>;
+  }
+
+  const groups = unsectioned.length > 0
+    ? [...sections, { id: 'unsectioned', title: 'More content', items: unsectioned }]
+    : sections;
+  const allCollapsed = groups.every(group => collapsed[group.id]);
+
+  const toggleAll = () => {
+    setCollapsed(Object.fromEntries(groups.map(group => [group.id, !allCollapsed])));
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between text-sm text-gray-600 mb-3">
+        <span>
+          {sections.length} {sections.length === 1 ? 'section' : 'sections'} · {sectionSummary(curriculum)}
+        </span>
+        <button onClick={toggleAll} className="text-primary-600 hover:text-primary-700">
+          {allCollapsed ? 'Expand all' : 'Collapse all'}
+        </button>
+      </div>
+
+      <div className="border rounded-lg divide-y">
+        {groups.map(group => {
+          const completed = group.items.filter(item => watchedOf(item)?.completed).length;
+          const lectures = group.items.filter(item => item.kind === 'Lecture').length;
+
+          return (
+            <div key={group.id}>
+              <button
+                onClick={() => setCollapsed(prev => ({ ...prev, [group.id]: !prev[group.id] }))}
+                className="w-full flex items-center justify-between p-4 bg-gray-50 hover:bg-gray-100 text-left"
+                aria-expanded={!collapsed[group.id]}
+              >
+                <span className="flex items-center font-medium text-gray-900">
+                  {collapsed[group.id]
+                    ? <FiChevronRight className="h-4 w-4 mr-2" />
+                    : <FiChevronDown className="h-4 w-4 mr-2" />}
+                  {group.title}
+                  {describeRule(group.release, 'section') && (
+                    <span className="ml-3 text-xs font-normal text-gray-500">
+                      {describeRule(group.release, 'section')}
+                    </span>
+                  )}
+                </span>
+                <span className="text-sm text-gray-500 whitespace-nowrap ml-4">
+                  {progress && lectures > 0 && `${completed}/${lectures} done · `}
+                  {group.id === 'unsectioned' ? `${group.items.length} items` : sectionSummary(group)}
+                </span>
+              </button>
+              {!collapsed[group.id] && (
+                group.items.length > 0
+                  ? renderItems(group.items)
+                  : <p className="p-3 text-sm text-gray-500">Nothing here yet</p>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default Syllabus;
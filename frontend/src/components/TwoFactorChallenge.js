@@ -0,0 +1,140 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { FiShield } from 'react-icons/fi';
+
+// Shows the QR code and secret of a new authenticator enrollment
+export const TwoFactorEnrollment = ({ setup }) => (
+  <div className="text-center space-y-3">
+    <p className="text-sm text-gray-600">
+      Scan this QR code with an authenticator app such as Google Authenticator, 1Password or Authy.
+    </p>
+    <img src={setup.qrCode} alt="Two-factor QR code" className="mx-auto h-48 w-48" />
+    <p className="text-xs text-gray-500">
+      Can't scan it? Enter this key instead:
+      <span className="block mt-1 font-mono text-sm text-gray-900 break-all">{setup.secret}</span>
+    </p>
+  </div>
+);
+
+// Second sign-in step, shown after the password was accepted. Enrolls the
+// authenticator first when the user's role requires two-factor.
+const TwoFactorChallenge = ({ challenge, onCancel, onComplete }) => {
+  const { completeTwoFactorLogin, startTwoFactorSetup } = useAuth();
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  // Each setup call replaces the secret, so only start it once per challenge
+  const setupStartedRef = useRef(null);
+
+  const { challengeToken, setupRequired } = challenge;
+
+  useEffect(() => {
+    if (!setupRequired || setupStartedRef.current === challengeToken) return;
+    setupStartedRef.current = challengeToken;
+
+    startTwoFactorSetup(challengeToken).then(result => {
+      if (result.success) {
+        setSetup(result.setup);
+      } else {
+        setError(result.error);
+      }
+    });
+  }, [challengeToken, setupRequired, startTwoFactorSetup]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!code.trim()) {
+      setError('Enter the code from your authenticator app');
+      return;
+    }
+
+    setSubmitting(true);
+    const result = await completeTwoFactorLogin(challengeToken, code.trim());
+    setSubmitting(false);
+
+    if (result.success) {
+      onComplete(result.recoveryCodes);
+    } else if (result.expired) {
+      onCancel(result.error);
+    } else {
+      setError(result.error);
+      setCode('');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="text-center">
+        <FiShield className="h-10 w-10 text-primary-600 mx-auto mb-2" />
+        <h2 className="text-2xl font-extrabold text-gray-900">Two-factor authentication</h2>
+        <p className="mt-2 text-sm text-gray-600">{challenge.message}</p>
+      </div>
+
+      {setupRequired && (
+        setup ? (
+          <TwoFactorEnrollment setup={setup} />
+        ) : !error && (
+          <div className="flex justify-center py-6">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+          </div>
+        )
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div>
+          <label htmlFor="code" className="block text-sm font-medium text-gray-700">
+            {setupRequired ? 'Code from your authenticator app' : 'Authentication code'}
+          </label>
+          <input
+            id="code"
+            name="code"
+            type="text"
+            inputMode={setupRequired ? 'numeric' : 'text'}
+            autoComplete="one-time-code"
+            autoFocus
+            value={code}
+            onChange={(e) => {
+              setCode(e.target.value);
+              setError('');
+            }}
+            className={`input mt-1 text-center tracking-widest ${error ? 'border-red-300' : ''}`}
+            placeholder="123456"
+          />
+          {error && (
+            <p className="mt-1 text-sm text-red-600">{error}</p>
+          )}
+          {!setupRequired && (
+            <p className="mt-2 text-xs text-gray-500">
+              Lost your device? Enter one of your recovery codes instead.
+            </p>
+          )}
+        </div>
+
+        <button
+          type="submit"
+          disabled={submitting || (setupRequired && !setup)}
+          className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {submitting ? (
+            <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div>
+          ) : (
+            'Verify'
+          )}
+        </button>
+
+        <div className="text-center">
+          <button
+            type="button"
+            onClick={() => onCancel()}
+            className="text-sm text-primary-600 hover:text-primary-500"
+          >
+            ← Back to sign in
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default TwoFactorChallenge;
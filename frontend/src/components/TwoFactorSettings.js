@@ -0,0 +1,190 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { format } from 'date-fns';
+import { FiShield } from 'react-icons/fi';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import RecoveryCodes from './RecoveryCodes';
+import { TwoFactorEnrollment } from './TwoFactorChallenge';
+
+// Profile section for turning two-factor authentication on and off
+const TwoFactorSettings = () => {
+  const { updateUser } = useAuth();
+  const [status, setStatus] = useState(null);
+  // null, 'setup', 'disable' or 'regenerate'
+  const [mode, setMode] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [form, setForm] = useState({ code: '', password: '' });
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      const res = await axios.get('/api/auth/2fa');
+      setStatus(res.data);
+    } catch (error) {
+      console.error('Error fetching two-factor status:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  const resetForm = () => {
+    setMode(null);
+    setSetup(null);
+    setForm({ code: '', password: '' });
+    setError('');
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+    setError('');
+  };
+
+  const startSetup = async () => {
+    try {
+      const res = await axios.post('/api/auth/2fa/setup');
+      setSetup(res.data);
+      setMode('setup');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to start two-factor setup');
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.code.trim()) {
+      setError('Enter the code from your authenticator app');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      if (mode === 'setup') {
+        const res = await axios.post('/api/auth/2fa/enable', { code: form.code.trim() });
+        setRecoveryCodes(res.data.recoveryCodes);
+        updateUser({ twoFactorEnabled: true });
+        toast.success(res.data.message);
+      } else if (mode === 'regenerate') {
+        const res = await axios.post('/api/auth/2fa/recovery-codes', { code: form.code.trim() });
+        setRecoveryCodes(res.data.recoveryCodes);
+        toast.success(res.data.message);
+      } else {
+        const res = await axios.post('/api/auth/2fa/disable', {
+          code: form.code.trim(),
+          password: form.password
+        });
+        updateUser({ twoFactorEnabled: false });
+        toast.success(res.data.message);
+      }
+      resetForm();
+      fetchStatus();
+    } catch (error) {
+      setError(error.response?.data?.message || 'Something went wrong');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!status) return null;
+
+  return (
+    <div className="mt-12 pt-8 border-t">
+      <div className="flex items-start justify-between mb-6">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+            <FiShield className="h-5 w-5 mr-2 text-primary-600" />
+            Two-factor authentication
+          </h3>
+          <p className="text-sm text-gray-600 mt-1">
+            {status.enabled
+              ? `On since ${format(new Date(status.enabledAt), 'MMM d, yyyy')} · ${status.recoveryCodesRemaining} recovery codes left`
+              : 'Protect your account with a code from an authenticator app when you sign in.'}
+          </p>
+          {status.required && (
+            <p className="text-xs text-gray-500 mt-1">Required for your role by the administrators.</p>
+          )}
+        </div>
+        {!mode && !recoveryCodes && (
+          status.enabled ? (
+            <div className="flex space-x-2">
+              <button onClick={() => setMode('regenerate')} className="btn btn-outline btn-sm">
+                New recovery codes
+              </button>
+              {!status.required && (
+                <button onClick={() => setMode('disable')} className="btn btn-outline btn-sm text-red-600">
+                  Turn off
+                </button>
+              )}
+            </div>
+          ) : (
+            <button onClick={startSetup} className="btn btn-primary btn-sm">
+              Set up
+            </button>
+          )
+        )}
+      </div>
+
+      {recoveryCodes && (
+        <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />
+      )}
+
+      {mode && (
+        <form onSubmit={handleSubmit} className="max-w-sm space-y-4">
+          {mode === 'setup' && setup && <TwoFactorEnrollment setup={setup} />}
+
+          {mode === 'disable' && (
+            <div>
+              <label htmlFor="twoFactorPassword" className="block text-sm font-medium text-gray-700 mb-1">
+                Password
+              </label>
+              <input
+                id="twoFactorPassword"
+                name="password"
+                type="password"
+                autoComplete="current-password"
+                value={form.password}
+                onChange={handleChange}
+                className="input"
+              />
+            </div>
+          )}
+
+          <div>
+            <label htmlFor="twoFactorCode" className="block text-sm font-medium text-gray-700 mb-1">
+              {mode === 'setup' ? 'Code from your authenticator app' : 'Authentication or recovery code'}
+            </label>
+            <input
+              id="twoFactorCode"
+              name="code"
+              type="text"
+              autoComplete="one-time-code"
+              value={form.code}
+              onChange={handleChange}
+              className={`input tracking-widest ${error ? 'border-red-300' : ''}`}
+              placeholder="123456"
+            />
+            {error && (
+              <p className="mt-1 text-sm text-red-600">{error}</p>
+            )}
+          </div>
+
+          <div className="flex space-x-2">
+            <button type="button" onClick={resetForm} className="btn btn-outline btn-sm">
+              Cancel
+            </button>
+            <button type="submit" disabled={submitting} className="btn btn-primary btn-sm">
+              {mode === 'setup' ? 'Turn on' : mode === 'disable' ? 'Turn off' : 'Generate codes'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
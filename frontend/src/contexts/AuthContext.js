@@ -1,12 +1,39 @@
-import React, { createContext, useContext, useReducer, useEffect } from 'react';
+import React, { createContext, useCallback, useContext, useReducer, useEffect } from 'react';
 import axios from 'axios';
 import toast from 'react-hot-toast';
 
 const AuthContext = createContext();
 
+// Requests that must not trigger a silent refresh when they answer 401
+const NO_REFRESH_URLS = [
+  '/api/auth/login',
+  '/api/auth/register',
+  '/api/auth/refresh',
+  '/api/auth/logout',
+  '/api/auth/reset-password',
+  '/api/auth/login/2fa',
+  '/api/auth/login/2fa/setup',
+  '/api/auth/oidc/start',
+  '/api/auth/oidc/callback'
+];
+
+// sessionStorage key for the single sign-on key of the sign-in this tab started
+const OIDC_BROWSER_KEY = 'oidcBrowserKey';
+
+// Sign-in responses either carry a session or, with two-factor, a challenge
+const toTwoFactorChallenge = (data) => ({
+  challengeToken: data.challengeToken,
+  setupRequired: Boolean(data.twoFactorSetupRequired),
+  message: data.message
+});
+
+// Shared by every request that fails while a refresh is already in flight
+let refreshPromise = null;
+
 const initialState = {
   user: null,
   token: localStorage.getItem('token'),
+  refreshToken: localStorage.getItem('refreshToken'),
   isAuthenticated: false,
   loading: true
 };
@@ -15,19 +42,33 @@ const authReducer = (state, action) => {
   switch (action.type) {
     case 'LOGIN_SUCCESS':
       localStorage.setItem('token', action.payload.token);
+      if (action.payload.refreshToken) {
+        localStorage.setItem('refreshToken', action.payload.refreshToken);
+      }
       return {
         ...state,
         user: action.payload.user,
         token: action.payload.token,
+        refreshToken: action.payload.refreshToken || state.refreshToken,
         isAuthenticated: true,
         loading: false
       };
+    case 'TOKEN_REFRESHED':
+      localStorage.setItem('token', action.payload.token);
+      localStorage.setItem('refreshToken', action.payload.refreshToken);
+      return {
+        ...state,
+        token: action.payload.token,
+        refreshToken: action.payload.refreshToken
+      };
     case 'LOGOUT':
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
       return {
         ...state,
         user: null,
         token: null,
+        refreshToken: null,
         isAuthenticated: false,
         loading: false
       };
@@ -58,17 +99,81 @@ export const AuthProvider = ({ children }) => {
     }
   }, [state.token]);
 
-  // Load user on app start
+  // Rotate the refresh token for a new access token. Concurrent callers share
+  // one request; resolves to the new access token or rejects after logging out.
+  const refreshSession = useCallback(() => {
+    if (refreshPromise) return refreshPromise;
+
+    const refreshToken = localStorage.getItem('refreshToken');
+    refreshPromise = axios.post('/api/auth/refresh', { refreshToken })
+      .then(res => {
+        axios.defaults.headers.common['Authorization'] = `Bearer ${res.data.token}`;
+        dispatch({ type: 'TOKEN_REFRESHED', payload: res.data });
+        return res.data.token;
+      })
+      .catch(error => {
+        // Another tab may have rotated the token first; use its result instead
+        const latest = localStorage.getItem('refreshToken');
+        if (latest && latest !== refreshToken) {
+          const token = localStorage.getItem('token');
+          axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+          dispatch({ type: 'TOKEN_REFRESHED', payload: { token, refreshToken: latest } });
+          return token;
+        }
+
+        dispatch({ type: 'LOGOUT' });
+        throw error;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+
+    return refreshPromise;
+  }, []);
+
+  // Silently refresh an expired access token and replay the request once
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      response => response,
+      async (error) => {
+        const original = error.config;
+        const canRefresh = error.response?.status === 401
+          && original
+          && !original._retried
+          && !NO_REFRESH_URLS.includes(original.url)
+          && localStorage.getItem('refreshToken');
+
+        if (!canRefresh) {
+          return Promise.reject(error);
+        }
+
+        original._retried = true;
+        try {
+          const token = await refreshSession();
+          original.headers.Authorization = `Bearer ${token}`;
+          return axios(original);
+        } catch (refreshError) {
+          return Promise.reject(error);
+        }
+      }
+    );
+
+    return () => axios.interceptors.response.eject(interceptor);
+  }, [refreshSession]);
+
+  // Load user on app start (and after login); token refreshes keep the loaded user
+  const hasToken = Boolean(state.token);
   useEffect(() => {
     const loadUser = async () => {
-      if (state.token) {
+      const token = localStorage.getItem('token');
+      if (token) {
         try {
           const res = await axios.get('/api/auth/profile');
           dispatch({
             type: 'LOGIN_SUCCESS',
             payload: {
               user: res.data.user,
-              token: state.token
+              token: localStorage.getItem('token')
             }
           });
         } catch (error) {
@@ -81,12 +186,17 @@ export const AuthProvider = ({ children }) => {
     };
 
     loadUser();
-  }, [state.token]);
+  }, [hasToken]);
 
   const login = async (email, password) => {
     try {
       dispatch({ type: 'SET_LOADING', payload: true });
       const res = await axios.post('/api/auth/login', { email, password });
+
+      if (res.data.challengeToken) {
+        dispatch({ type: 'SET_LOADING', payload: false });
+        return { success: false, twoFactor: toTwoFactorChallenge(res.data) };
+      }
       
       dispatch({
         type: 'LOGIN_SUCCESS',
@@ -116,13 +226,22 @@ export const AuthProvider = ({ children }) => {
     try {
       dispatch({ type: 'SET_LOADING', payload: true });
       const res = await axios.post('/api/auth/register', userData);
+
+      // The account exists, but its role has to enroll in two-factor before signing in
+      if (res.data.challengeToken) {
+        dispatch({ type: 'SET_LOADING', payload: false });
+        toast.success('Registration successful! Set up two-factor authentication to continue.');
+        return { success: false, twoFactor: toTwoFactorChallenge(res.data) };
+      }
       
       dispatch({
         type: 'LOGIN_SUCCESS',
         payload: res.data
       });
       
-      toast.success('Registration successful!');
+      toast.success(res.data.instructorApplication
+        ? 'Registration successful! Your instructor application is waiting for review.'
+        : 'Registration successful! Check your email to verify your address.');
       return { success: true };
     } catch (error) {
       let message = 'Registration failed';
@@ -143,9 +262,90 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
+  // Second sign-in step: an authenticator or recovery code for the challenge from
+  // `login`. A first-time enrollment also returns the new recovery codes.
+  const completeTwoFactorLogin = async (challengeToken, code) => {
+    try {
+      const res = await axios.post('/api/auth/login/2fa', { challengeToken, code });
+      dispatch({
+        type: 'LOGIN_SUCCESS',
+        payload: res.data
+      });
+
+      toast.success('Login successful!');
+      if (res.data.recoveryCodesRemaining !== undefined) {
+        toast(`Recovery code used. ${res.data.recoveryCodesRemaining} left.`);
+      }
+      return { success: true, recoveryCodes: res.data.recoveryCodes || null };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Verification failed';
+      return { success: false, error: message, expired: error.response?.status === 401 && error.response.data?.field !== 'code' };
+    }
+  };
+
+  // Enrollment during sign-in, for roles that require two-factor
+  const startTwoFactorSetup = useCallback(async (challengeToken) => {
+    try {
+      const res = await axios.post('/api/auth/login/2fa/setup', { challengeToken });
+      return { success: true, setup: res.data };
+    } catch (error) {
+      return { success: false, error: error.response?.data?.message || 'Failed to start two-factor setup' };
+    }
+  }, []);
+
+  // Single sign-on: the identity provider redirects back to /auth/oidc/callback,
+  // which finishes the sign-in with `completeSsoLogin`. The key from the start
+  // stays in this tab, so only the browser that began a sign-in can finish it.
+  const startSsoLogin = async (returnTo) => {
+    try {
+      const res = await axios.post('/api/auth/oidc/start', { returnTo });
+      sessionStorage.setItem(OIDC_BROWSER_KEY, res.data.browserKey);
+      window.location.assign(res.data.url);
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Single sign-on is unavailable';
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
+  // Resolves to { success, returnTo }, a two-factor challenge like `login`, or { error }
+  const completeSsoLogin = useCallback(async (params) => {
+    const browserKey = sessionStorage.getItem(OIDC_BROWSER_KEY);
+    sessionStorage.removeItem(OIDC_BROWSER_KEY);
+
+    try {
+      const res = await axios.post('/api/auth/oidc/callback', { ...params, browserKey });
+
+      if (res.data.challengeToken) {
+        return { success: false, twoFactor: toTwoFactorChallenge(res.data), returnTo: res.data.returnTo };
+      }
+
+      dispatch({
+        type: 'LOGIN_SUCCESS',
+        payload: res.data
+      });
+
+      toast.success('Login successful!');
+      return { success: true, returnTo: res.data.returnTo };
+    } catch (error) {
+      return { success: false, error: error.response?.data?.message || 'Single sign-on failed' };
+    }
+  }, []);
+
+  // Revoke the session server-side too, so the tokens stop working everywhere
+  const logout = async () => {
+    const refreshToken = localStorage.getItem('refreshToken');
     dispatch({ type: 'LOGOUT' });
     toast.success('Logged out successfully');
+
+    if (refreshToken) {
+      try {
+        await axios.post('/api/auth/logout', { refreshToken });
+      } catch (error) {
+        console.error('Logout error:', error);
+      }
+    }
   };
 
   const updateProfile = async (profileData) => {
@@ -164,12 +364,68 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Merge server-confirmed changes into the loaded user without refetching it
+  const updateUser = useCallback((changes) => {
+    dispatch({ type: 'UPDATE_USER', payload: changes });
+  }, []);
+
+  // Account recovery and verification. Each returns { success, message } or { success, error }
+  // and leaves toasts to the calling page, which shows the outcome inline.
+  const requestPasswordReset = async (email) => {
+    try {
+      const res = await axios.post('/api/auth/forgot-password', { email });
+      return { success: true, message: res.data.message };
+    } catch (error) {
+      return { success: false, error: error.response?.data?.message || 'Failed to request password reset' };
+    }
+  };
+
+  const resetPassword = async (token, password) => {
+    try {
+      const res = await axios.post('/api/auth/reset-password', { token, password });
+      // Every session was revoked by the reset, including this browser's
+      if (state.isAuthenticated) dispatch({ type: 'LOGOUT' });
+      return { success: true, message: res.data.message };
+    } catch (error) {
+      return { success: false, error: error.response?.data?.message || 'Failed to reset password' };
+    }
+  };
+
+  const verifyEmail = async (token) => {
+    try {
+      const res = await axios.post('/api/auth/verify-email', { token });
+      if (state.user) dispatch({ type: 'UPDATE_USER', payload: { isEmailVerified: true } });
+      return { success: true, message: res.data.message };
+    } catch (error) {
+      return { success: false, error: error.response?.data?.message || 'Failed to verify email' };
+    }
+  };
+
+  const resendVerification = async (email) => {
+    try {
+      const res = await axios.post('/api/auth/resend-verification', { email });
+      return { success: true, message: res.data.message };
+    } catch (error) {
+      return { success: false, error: error.response?.data?.message || 'Failed to send verification email' };
+    }
+  };
+
   const value = {
     ...state,
     login,
     register,
     logout,
-    updateProfile
+    completeTwoFactorLogin,
+    startTwoFactorSetup,
+    startSsoLogin,
+    completeSsoLogin,
+    updateProfile,
+    updateUser,
+    refreshSession,
+    requestPasswordReset,
+    resetPassword,
+    verifyEmail,
+    resendVerification
   };
 
   return (
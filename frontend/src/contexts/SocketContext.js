@@ -1,25 +1,108 @@
-import React, { createContext, useContext, useEffect, useRef, useState } from 'react';
+import React, { createContext, useCallback, useContext, useEffect, useRef, useState } from 'react';
 import { io } from 'socket.io-client';
+import axios from 'axios';
+import toast from 'react-hot-toast';
 import { useAuth } from './AuthContext';
 
 const SocketContext = createContext();
 
+// How long a remote "is typing" indicator lives without a refresh
+const TYPING_TIMEOUT_MS = 5000;
+// Minimum gap between our own "is typing" emits
+const TYPING_EMIT_INTERVAL_MS = 1500;
+
 export const SocketProvider = ({ children }) => {
   const [socket, setSocket] = useState(null);
+  const [isConnected, setIsConnected] = useState(false);
   const [messages, setMessages] = useState({});
-  const { isAuthenticated, user } = useAuth();
-  const initializedRef = useRef(false);
+  const [history, setHistory] = useState({});
+  const [presence, setPresence] = useState({});
+  const [typing, setTyping] = useState({});
+  const [unread, setUnread] = useState({});
+  const [receipts, setReceipts] = useState({});
+  const [conversations, setConversations] = useState({});
+  const { isAuthenticated, user, refreshSession, updateUser } = useAuth();
+  // The connection belongs to the signed-in account; profile edits must not reconnect it
+  const userId = user?.id;
+  const joinedCoursesRef = useRef(new Set());
+  const joinedConversationsRef = useRef(new Set());
+  const typingTimeoutsRef = useRef({});
+  const typingSentAtRef = useRef({});
+  // Courses whose chat is on screen: new messages there are read, not unread
+  const openChatsRef = useRef(new Set());
+  const lastMarkedRef = useRef({});
+  const unreadRef = useRef({});
 
   useEffect(() => {
-    if (isAuthenticated && user) {
-      // Guard against double-invocation in React 18 StrictMode (dev only)
-      if (initializedRef.current && socket) return;
+    unreadRef.current = unread;
+  }, [unread]);
+
+  const refreshUnreadCounts = async () => {
+    try {
+      const res = await axios.get('/api/courses/unread-counts');
+      const next = {};
+      res.data.counts.forEach(({ courseId, title, count }) => {
+        next[courseId] = { title, count };
+      });
+      setUnread(next);
+    } catch (error) {
+      console.error('Error loading unread counts:', error);
+    }
+  };
+
+  const refreshConversations = useCallback(async () => {
+    try {
+      const res = await axios.get('/api/conversations');
+      const next = {};
+      res.data.conversations.forEach(conversation => {
+        next[conversation.id] = conversation;
+      });
+      setConversations(next);
+    } catch (error) {
+      console.error('Error loading conversations:', error);
+    }
+  }, []);
+
+  // Course chat and private conversations share the message map, keyed by
+  // courseId or conversationId respectively
+  const receiveMessage = (key, data) => {
+    setMessages(prev => {
+      const existing = prev[key] || [];
 
+      // Replace our own optimistic copy, and ignore duplicates of a persisted message
+      if (existing.some(msg => msg.id === data.id)) return prev;
+      const pendingIndex = data.clientId
+        ? existing.findIndex(msg => msg.clientId === data.clientId)
+        : -1;
+
+      if (pendingIndex !== -1) {
+        const next = [...existing];
+        next[pendingIndex] = data;
+        return { ...prev, [key]: next };
+      }
+
+      return { ...prev, [key]: [...existing, data] };
+    });
+  };
+
+  const clearTyping = (courseId, userId) => {
+    const key = `${courseId}:${userId}`;
+    clearTimeout(typingTimeoutsRef.current[key]);
+    delete typingTimeoutsRef.current[key];
+
+    setTyping(prev => {
+      if (!prev[courseId] || !prev[courseId][userId]) return prev;
+      const { [userId]: removed, ...rest } = prev[courseId];
+      return { ...prev, [courseId]: rest };
+    });
+  };
+
+  useEffect(() => {
+    if (isAuthenticated && userId) {
       const newSocket = io(process.env.REACT_APP_SOCKET_URL || 'http://localhost:5000', {
-        auth: {
-          userId: user.id,
-          userName: user.name
-        },
+        // The server derives the user from this JWT; nothing else in the handshake is trusted.
+        // Read on every (re)connect so refreshed access tokens are picked up.
+        auth: (cb) => cb({ token: localStorage.getItem('token') }),
         transports: ['websocket', 'polling'],
         timeout: 20000,
         reconnection: true,
@@ -29,31 +112,171 @@ export const SocketProvider = ({ children }) => {
 
       newSocket.on('connect', () => {
         console.log('Connected to server');
+        setIsConnected(true);
+        // Rooms are per-connection on the server, so rejoin after a reconnect
+        joinedCoursesRef.current.forEach(courseId => {
+          newSocket.emit('join-course', courseId);
+        });
+        joinedConversationsRef.current.forEach(conversationId => {
+          newSocket.emit('join-conversation', conversationId);
+        });
+        refreshConversations();
       });
 
       newSocket.on('disconnect', (reason) => {
         console.log('Disconnected from server:', reason);
+        setIsConnected(false);
+        // Presence is re-sent when rooms are rejoined after reconnecting
+        setPresence({});
+        setTyping({});
       });
 
       newSocket.on('connect_error', (error) => {
         console.error('Socket connection error:', error);
+        // A rejected handshake is not retried automatically; refresh the access token and reconnect
+        if (!newSocket.active && error.message === 'Token expired') {
+          refreshSession()
+            .then(() => newSocket.connect())
+            .catch(() => {});
+        }
       });
 
       newSocket.on('receive-message', (data) => {
-        setMessages(prev => ({
+        receiveMessage(data.courseId, data);
+      });
+
+      newSocket.on('receive-direct-message', (data) => {
+        receiveMessage(data.conversationId, data);
+      });
+
+      newSocket.on('conversation-updated', (conversation) => {
+        // Like open course chats, an open conversation is being read as messages arrive
+        const isOpen = joinedConversationsRef.current.has(conversation.id);
+        setConversations(prev => ({
           ...prev,
-          [data.courseId]: [
-            ...(prev[data.courseId] || []),
-            {
-              ...data,
-              id: Date.now() + Math.random()
-            }
-          ]
+          [conversation.id]: isOpen ? { ...conversation, unreadCount: 0 } : conversation
         }));
       });
 
+      // Edits and removals (including moderation) replace the message in place;
+      // removed messages stay in the list as tombstones with isDeleted set
+      newSocket.on('message-updated', (data) => {
+        const key = data.conversationId || data.courseId;
+        setMessages(prev => {
+          const existing = prev[key];
+          if (!existing) return prev;
+          return {
+            ...prev,
+            [key]: existing.map(msg => (msg.id === data.id ? data : msg))
+          };
+        });
+      });
+
+      newSocket.on('presence-list', ({ courseId, users }) => {
+        setPresence(prev => ({ ...prev, [courseId]: users }));
+      });
+
+      newSocket.on('presence', ({ courseId, type, user: member }) => {
+        setPresence(prev => {
+          const others = (prev[courseId] || []).filter(u => u.id !== member.id);
+          return {
+            ...prev,
+            [courseId]: type === 'join' ? [...others, member] : others
+          };
+        });
+        if (type === 'leave') {
+          clearTyping(courseId, member.id);
+        }
+      });
+
+      newSocket.on('typing', ({ courseId, user: member, isTyping }) => {
+        if (!isTyping) {
+          clearTyping(courseId, member.id);
+          return;
+        }
+
+        setTyping(prev => ({
+          ...prev,
+          [courseId]: { ...(prev[courseId] || {}), [member.id]: member }
+        }));
+
+        // Drop the indicator if the matching "stopped typing" never arrives
+        const key = `${courseId}:${member.id}`;
+        clearTimeout(typingTimeoutsRef.current[key]);
+        typingTimeoutsRef.current[key] = setTimeout(() => clearTyping(courseId, member.id), TYPING_TIMEOUT_MS);
+      });
+
+      newSocket.on('unread-counts', (counts) => {
+        const next = {};
+        counts.forEach(({ courseId, title, count }) => {
+          next[courseId] = { title, count };
+        });
+        setUnread(next);
+      });
+
+      newSocket.on('unread-count', ({ courseId, count }) => {
+        setUnread(prev => ({
+          ...prev,
+          [courseId]: { ...(prev[courseId] || {}), count }
+        }));
+      });
+
+      newSocket.on('unread-increment', ({ courseId }) => {
+        if (openChatsRef.current.has(courseId)) return;
+
+        // A course we have no entry for (e.g. just enrolled): fetch titles and counts
+        if (!unreadRef.current[courseId]) {
+          refreshUnreadCounts();
+          return;
+        }
+
+        setUnread(prev => ({
+          ...prev,
+          [courseId]: { ...(prev[courseId] || {}), count: (prev[courseId]?.count || 0) + 1 }
+        }));
+      });
+
+      newSocket.on('read-receipts', ({ courseId, receipts: list }) => {
+        const byUser = {};
+        list.forEach(receipt => {
+          byUser[receipt.user.id] = receipt;
+        });
+        setReceipts(prev => ({ ...prev, [courseId]: byUser }));
+      });
+
+      newSocket.on('read-receipt', (receipt) => {
+        setReceipts(prev => ({
+          ...prev,
+          [receipt.courseId]: { ...(prev[receipt.courseId] || {}), [receipt.user.id]: receipt }
+        }));
+      });
+
+      // Account changes made by someone else, e.g. an approved instructor application
+      newSocket.on('account-updated', ({ message, changes }) => {
+        updateUser(changes);
+        if (message) toast(message);
+      });
+
+      newSocket.on('error', (data) => {
+        if (data?.messageId || data?.conversationId) {
+          toast.error(data.message);
+          return;
+        }
+        if (!data?.clientId) return;
+
+        // Mark the optimistic message as failed so the UI can surface it
+        setMessages(prev => {
+          const next = {};
+          Object.keys(prev).forEach(courseId => {
+            next[courseId] = prev[courseId].map(msg => (
+              msg.clientId === data.clientId ? { ...msg, pending: false, failed: true } : msg
+            ));
+          });
+          return next;
+        });
+      });
+
       setSocket(newSocket);
-      initializedRef.current = true;
 
       return () => {
         if (newSocket && newSocket.connected) {
@@ -63,58 +286,195 @@ export const SocketProvider = ({ children }) => {
         }
       };
     } else {
-      if (socket) {
-        socket.disconnect();
-        setSocket(null);
-      }
-      initializedRef.current = false;
+      // The previous connection was closed by its cleanup
+      setSocket(null);
+      setUnread({});
+      setReceipts({});
+      setConversations({});
     }
-  }, [isAuthenticated, user]);
+  }, [isAuthenticated, userId, refreshConversations, refreshSession, updateUser]);
+
+  const loadPage = useCallback(async (key, url, before = null) => {
+    setHistory(prev => ({
+      ...prev,
+      [key]: { ...(prev[key] || {}), loading: true }
+    }));
+
+    try {
+      const res = await axios.get(url, {
+        params: before ? { before } : {}
+      });
+      const { messages: page, hasMore, nextCursor } = res.data;
+
+      setMessages(prev => {
+        // The first page replaces local state; older pages are prepended
+        if (!before) return { ...prev, [key]: page };
 
-  const joinCourse = (courseId) => {
+        const existing = prev[key] || [];
+        const ids = new Set(existing.map(msg => msg.id));
+        return {
+          ...prev,
+          [key]: [...page.filter(msg => !ids.has(msg.id)), ...existing]
+        };
+      });
+      setHistory(prev => ({
+        ...prev,
+        [key]: { loading: false, hasMore, nextCursor }
+      }));
+    } catch (error) {
+      console.error('Error loading messages:', error);
+      setHistory(prev => ({
+        ...prev,
+        [key]: { ...(prev[key] || {}), loading: false }
+      }));
+    }
+  }, []);
+
+  const loadMessages = useCallback((courseId, before = null) => (
+    loadPage(courseId, `/api/courses/${courseId}/messages`, before)
+  ), [loadPage]);
+
+  const loadConversationMessages = useCallback((conversationId, before = null) => (
+    loadPage(conversationId, `/api/conversations/${conversationId}/messages`, before)
+  ), [loadPage]);
+
+  // Pages that only need presence (e.g. CourseDetail) can skip loading chat history
+  const joinCourse = useCallback((courseId, { loadHistory = true } = {}) => {
+    joinedCoursesRef.current.add(courseId);
     if (socket) {
       socket.emit('join-course', courseId);
     }
-  };
+    if (loadHistory) {
+      openChatsRef.current.add(courseId);
+      loadMessages(courseId);
+    }
+  }, [socket, loadMessages]);
 
-  const leaveCourse = (courseId) => {
+  const leaveCourse = useCallback((courseId) => {
+    joinedCoursesRef.current.delete(courseId);
+    openChatsRef.current.delete(courseId);
     if (socket) {
       socket.emit('leave-course', courseId);
     }
+  }, [socket]);
+
+  const loadOlderMessages = (courseId) => {
+    const state = history[courseId];
+    if (!state || state.loading || !state.hasMore) return;
+    loadMessages(courseId, state.nextCursor);
+  };
+
+  const joinConversation = useCallback((conversationId) => {
+    joinedConversationsRef.current.add(conversationId);
+    if (socket) {
+      socket.emit('join-conversation', conversationId);
+    }
+    loadConversationMessages(conversationId);
+  }, [socket, loadConversationMessages]);
+
+  const leaveConversation = useCallback((conversationId) => {
+    joinedConversationsRef.current.delete(conversationId);
+    if (socket) {
+      socket.emit('leave-conversation', conversationId);
+    }
+  }, [socket]);
+
+  const loadOlderConversationMessages = (conversationId) => {
+    const state = history[conversationId];
+    if (!state || state.loading || !state.hasMore) return;
+    loadConversationMessages(conversationId, state.nextCursor);
+  };
+
+  // Opens (or reuses) a private conversation; instructors pass the student's id
+  const startConversation = async (courseId, participantId) => {
+    const res = await axios.post('/api/conversations', { courseId, participantId });
+    const { conversation } = res.data;
+    setConversations(prev => ({ ...prev, [conversation.id]: conversation }));
+    return conversation;
+  };
+
+  // Emit a message and show it immediately; the server echo replaces it by clientId
+  const emitWithOptimisticCopy = (event, key, messageData) => {
+    if (!socket || !user) return;
+
+    const clientId = `${user.id}-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    try {
+      socket.emit(event, { ...messageData, clientId });
+
+      setMessages(prev => ({
+        ...prev,
+        [key]: [
+          ...(prev[key] || []),
+          {
+            ...messageData,
+            clientId,
+            id: clientId,
+            sender: {
+              id: user.id,
+              name: user.name,
+              role: user.role
+            },
+            timestamp: new Date().toISOString(),
+            pending: true
+          }
+        ]
+      }));
+    } catch (error) {
+      console.error('Error sending message:', error);
+    }
   };
 
   const sendMessage = (courseId, content, type = 'text', attachments = []) => {
-    if (socket && user) {
-      const messageData = {
-        courseId,
-        content,
-        type,
-        attachments,
-        sender: {
-          id: user.id,
-          name: user.name,
-          role: user.role
-        },
-        timestamp: new Date().toISOString()
-      };
+    emitWithOptimisticCopy('send-message', courseId, { courseId, content, type, attachments });
+  };
 
-      try {
-        socket.emit('send-message', messageData);
-        
-        // Add message to local state immediately for optimistic UI
-        setMessages(prev => ({
-          ...prev,
-          [courseId]: [
-            ...(prev[courseId] || []),
-            {
-              ...messageData,
-              id: Date.now() + Math.random()
-            }
-          ]
-        }));
-      } catch (error) {
-        console.error('Error sending message:', error);
+  const sendDirectMessage = (conversationId, content, type = 'text', attachments = []) => {
+    emitWithOptimisticCopy('send-direct-message', conversationId, { conversationId, content, type, attachments });
+  };
+
+  // Files are uploaded over REST first; the returned descriptors are then sent with the message
+  const uploadAttachments = async (courseId, files, onProgress) => {
+    const formData = new FormData();
+    formData.append('courseId', courseId);
+    files.forEach(file => formData.append('files', file));
+
+    const res = await axios.post('/api/messages/attachments', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      onUploadProgress: (event) => {
+        if (onProgress && event.total) {
+          onProgress(Math.round((event.loaded / event.total) * 100));
+        }
       }
+    });
+    return res.data.attachments;
+  };
+
+  const sendTyping = (courseId, isTyping) => {
+    if (!socket) return;
+
+    const now = Date.now();
+    const lastSent = typingSentAtRef.current[courseId] || 0;
+
+    if (isTyping) {
+      if (now - lastSent < TYPING_EMIT_INTERVAL_MS) return;
+      typingSentAtRef.current[courseId] = now;
+    } else {
+      if (!lastSent) return;
+      delete typingSentAtRef.current[courseId];
+    }
+
+    socket.emit('typing', { courseId, isTyping });
+  };
+
+  const editMessage = (messageId, content) => {
+    if (socket) {
+      socket.emit('edit-message', { messageId, content });
+    }
+  };
+
+  const deleteMessage = (messageId) => {
+    if (socket) {
+      socket.emit('delete-message', { messageId });
     }
   };
 
@@ -122,6 +482,69 @@ export const SocketProvider = ({ children }) => {
     return messages[courseId] || [];
   };
 
+  const getHistoryState = (courseId) => {
+    return history[courseId] || { loading: false, hasMore: false, nextCursor: null };
+  };
+
+  // Advance our read marker; repeated calls for the same message are ignored
+  const markCourseRead = useCallback((courseId, messageId) => {
+    if (!socket || !messageId || lastMarkedRef.current[courseId] === messageId) return;
+    lastMarkedRef.current[courseId] = messageId;
+
+    socket.emit('mark-read', { courseId, messageId });
+    setUnread(prev => (
+      prev[courseId] ? { ...prev, [courseId]: { ...prev[courseId], count: 0 } } : prev
+    ));
+  }, [socket]);
+
+  const markConversationRead = useCallback((conversationId, messageId) => {
+    if (!socket || !messageId || lastMarkedRef.current[conversationId] === messageId) return;
+    lastMarkedRef.current[conversationId] = messageId;
+
+    socket.emit('mark-conversation-read', { conversationId, messageId });
+    setConversations(prev => (
+      prev[conversationId] ? { ...prev, [conversationId]: { ...prev[conversationId], unreadCount: 0 } } : prev
+    ));
+  }, [socket]);
+
+  const getUnreadCount = (courseId) => {
+    return unread[courseId]?.count || 0;
+  };
+
+  // Every course chat the user belongs to with its unread count, most unread first
+  const getUnreadCourses = () => {
+    return Object.entries(unread)
+      .map(([courseId, entry]) => ({ courseId, ...entry }))
+      .sort((a, b) => b.count - a.count);
+  };
+
+  // Private conversations, most recent activity first
+  const getConversations = () => {
+    return Object.values(conversations)
+      .sort((a, b) => new Date(b.lastMessageAt) - new Date(a.lastMessageAt));
+  };
+
+  const getConversation = (conversationId) => {
+    return conversations[conversationId] || null;
+  };
+
+  const getDirectUnreadCount = () => {
+    return Object.values(conversations).reduce((sum, conversation) => sum + conversation.unreadCount, 0);
+  };
+
+  const getReadReceipts = (courseId) => {
+    return Object.values(receipts[courseId] || {});
+  };
+
+  const getOnlineUsers = (courseId) => {
+    return presence[courseId] || [];
+  };
+
+  // Everyone currently typing in the room except ourselves
+  const getTypingUsers = (courseId) => {
+    return Object.values(typing[courseId] || {}).filter(member => member.id !== user?.id);
+  };
+
   const clearMessages = (courseId) => {
     setMessages(prev => ({
       ...prev,
@@ -131,10 +554,34 @@ export const SocketProvider = ({ children }) => {
 
   const value = {
     socket,
+    isConnected,
     joinCourse,
     leaveCourse,
     sendMessage,
+    sendTyping,
+    uploadAttachments,
+    editMessage,
+    deleteMessage,
     getMessages,
+    loadMessages,
+    loadOlderMessages,
+    getHistoryState,
+    getOnlineUsers,
+    getTypingUsers,
+    markCourseRead,
+    getUnreadCount,
+    getUnreadCourses,
+    getReadReceipts,
+    joinConversation,
+    leaveConversation,
+    loadOlderConversationMessages,
+    startConversation,
+    sendDirectMessage,
+    markConversationRead,
+    getConversations,
+    getConversation,
+    getDirectUnreadCount,
+    refreshConversations,
     clearMessages
   };
 
@@ -1,11 +1,377 @@
-import React from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import axios from 'axios';
+import { FiSearch, FiLogOut, FiUsers, FiShield, FiTrash2 } from 'react-icons/fi';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import SecurityEventLog from '../components/SecurityEventLog';
+import InstructorApplications from '../components/InstructorApplications';
+import AdminStats from '../components/AdminStats';
+import CourseModeration from '../components/CourseModeration';
+import AuditLog from '../components/AuditLog';
+
+const USERS_PER_PAGE = 20;
+const ROLES = ['admin', 'instructor', 'student'];
+
+const TABS = [
+  { id: 'overview', label: 'Overview' },
+  { id: 'users', label: 'Users' },
+  { id: 'courses', label: 'Courses' },
+  { id: 'applications', label: 'Instructor applications' },
+  { id: 'security', label: 'Security' },
+  { id: 'audit', label: 'Audit log' }
+];
+
+// Platform-wide security policy
+const SecuritySettings = () => {
+  const [requiredRoles, setRequiredRoles] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    axios.get('/api/settings')
+      .then(res => setRequiredRoles(res.data.settings.twoFactorRequiredRoles))
+      .catch(error => {
+        console.error('Error fetching settings:', error);
+        toast.error('Failed to load security settings');
+      });
+  }, []);
+
+  const toggleRole = (role) => {
+    setRequiredRoles(prev => (
+      prev.includes(role) ? prev.filter(r => r !== role) : [...prev, role]
+    ));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const res = await axios.put('/api/settings/security', { twoFactorRequiredRoles: requiredRoles });
+      setRequiredRoles(res.data.settings.twoFactorRequiredRoles);
+      toast.success(res.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save security settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!requiredRoles) return null;
+
+  return (
+    <div className="card p-6 mb-8">
+      <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+        <FiShield className="h-5 w-5 mr-2 text-primary-600" />
+        Require two-factor authentication
+      </h2>
+      <p className="text-sm text-gray-600 mt-1 mb-4">
+        Users with these roles must set up an authenticator app the next time they sign in.
+      </p>
+      <div className="flex flex-wrap items-center gap-6">
+        {ROLES.map(role => (
+          <label key={role} className="flex items-center text-sm text-gray-700 capitalize">
+            <input
+              type="checkbox"
+              checked={requiredRoles.includes(role)}
+              onChange={() => toggleRole(role)}
+              className="h-4 w-4 text-primary-600 border-gray-300 rounded mr-2"
+            />
+            {role}s
+          </label>
+        ))}
+        <button onClick={handleSave} disabled={saving} className="btn btn-primary btn-sm ml-auto">
+          Save
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Searchable user table with account actions
+const UserManagement = () => {
+  const { user: currentUser } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [search, setSearch] = useState('');
+  const [role, setRole] = useState('');
+  const [status, setStatus] = useState('');
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [busyUserId, setBusyUserId] = useState(null);
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = new URLSearchParams({ page, limit: USERS_PER_PAGE });
+      if (search) params.append('search', search);
+      if (role) params.append('role', role);
+      if (status) params.append('status', status);
+
+      const res = await axios.get(`/api/users?${params}`);
+      setUsers(res.data.users);
+      setTotalPages(res.data.totalPages || 1);
+    } catch (error) {
+      console.error('Error fetching users:', error);
+      toast.error('Failed to load users');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, search, role, status]);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  const handleResetTwoFactor = async (user) => {
+    if (!window.confirm(`Reset two-factor authentication for ${user.name}? They will have to set it up again.`)) return;
+
+    setBusyUserId(user._id);
+    try {
+      const res = await axios.delete(`/api/users/${user._id}/two-factor`);
+      setUsers(prev => prev.map(u => (u._id === user._id ? { ...u, twoFactorEnabled: false } : u)));
+      toast.success(res.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to reset two-factor authentication');
+    } finally {
+      setBusyUserId(null);
+    }
+  };
+
+  const handleForceLogout = async (user) => {
+    if (!window.confirm(`Sign ${user.name} out of every device?`)) return;
+
+    setBusyUserId(user._id);
+    try {
+      const res = await axios.post(`/api/users/${user._id}/logout`);
+      toast.success(res.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to sign user out');
+    } finally {
+      setBusyUserId(null);
+    }
+  };
+
+  const handleToggleStatus = async (user) => {
+    if (user.isActive && !window.confirm(`Deactivate ${user.name}? They are signed out and cannot sign in until reactivated.`)) return;
+
+    setBusyUserId(user._id);
+    try {
+      const res = await axios.put(`/api/users/${user._id}/status`);
+      setUsers(prev => prev.map(u => (u._id === user._id ? { ...u, isActive: res.data.user.isActive } : u)));
+      toast.success(res.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update user status');
+    } finally {
+      setBusyUserId(null);
+    }
+  };
+
+  const handleDelete = async (user) => {
+    if (!window.confirm(`Permanently delete ${user.name}'s account? This cannot be undone.`)) return;
+
+    setBusyUserId(user._id);
+    try {
+      const res = await axios.delete(`/api/users/${user._id}`);
+      toast.success(res.data.message);
+      fetchUsers();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete user');
+    } finally {
+      setBusyUserId(null);
+    }
+  };
+
+  return (
+    <div className="card p-6">
+      <div className="flex flex-col md:flex-row md:items-center gap-4 mb-6">
+        <div className="relative flex-1">
+          <FiSearch className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
+          <input
+            type="text"
+            placeholder="Search by name or email..."
+            value={search}
+            onChange={(e) => {
+              setSearch(e.target.value);
+              setPage(1);
+            }}
+            className="input pl-10"
+          />
+        </div>
+        <select
+          value={role}
+          onChange={(e) => {
+            setRole(e.target.value);
+            setPage(1);
+          }}
+          className="input md:w-48"
+        >
+          <option value="">All roles</option>
+          <option value="student">Students</option>
+          <option value="instructor">Instructors</option>
+          <option value="admin">Admins</option>
+        </select>
+        <select
+          value={status}
+          onChange={(e) => {
+            setStatus(e.target.value);
+            setPage(1);
+          }}
+          className="input md:w-48"
+        >
+          <option value="">Any status</option>
+          <option value="active">Active</option>
+          <option value="inactive">Deactivated</option>
+        </select>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+        </div>
+      ) : users.length === 0 ? (
+        <div className="text-center py-12">
+          <FiUsers className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+          <p className="text-gray-600">No users match these filters</p>
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead>
+              <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                <th className="px-4 py-3">Name</th>
+                <th className="px-4 py-3">Email</th>
+                <th className="px-4 py-3">Role</th>
+                <th className="px-4 py-3">Status</th>
+                <th className="px-4 py-3">2FA</th>
+                <th className="px-4 py-3"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {users.map(user => (
+                <tr key={user._id} className="text-sm">
+                  <td className="px-4 py-3 font-medium text-gray-900">{user.name}</td>
+                  <td className="px-4 py-3 text-gray-600">{user.email}</td>
+                  <td className="px-4 py-3 capitalize text-gray-600">{user.role}</td>
+                  <td className="px-4 py-3">
+                    <span className={`text-xs px-2 py-0.5 rounded-full ${
+                      user.isActive ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-600'
+                    }`}>
+                      {user.isActive ? 'Active' : 'Deactivated'}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3 text-gray-600">
+                    {user.twoFactorEnabled ? 'On' : 'Off'}
+                  </td>
+                  <td className="px-4 py-3 text-right space-x-4 whitespace-nowrap">
+                    {user._id !== currentUser?.id && user.twoFactorEnabled && (
+                      <button
+                        onClick={() => handleResetTwoFactor(user)}
+                        disabled={busyUserId === user._id}
+                        className="text-sm text-gray-600 hover:text-gray-900 disabled:opacity-50"
+                      >
+                        Reset 2FA
+                      </button>
+                    )}
+                    {user._id !== currentUser?.id && (
+                      <button
+                        onClick={() => handleForceLogout(user)}
+                        disabled={busyUserId === user._id}
+                        className="inline-flex items-center text-sm text-red-600 hover:text-red-700 disabled:opacity-50"
+                      >
+                        <FiLogOut className="h-4 w-4 mr-1" />
+                        Sign out everywhere
+                      </button>
+                    )}
+                    {user._id !== currentUser?.id && (
+                      <button
+                        onClick={() => handleToggleStatus(user)}
+                        disabled={busyUserId === user._id}
+                        className="text-sm text-gray-600 hover:text-gray-900 disabled:opacity-50"
+                      >
+                        {user.isActive ? 'Deactivate' : 'Activate'}
+                      </button>
+                    )}
+                    {user._id !== currentUser?.id && (
+                      <button
+                        onClick={() => handleDelete(user)}
+                        disabled={busyUserId === user._id}
+                        title="Delete account"
+                        className="inline-flex items-center text-sm text-red-600 hover:text-red-700 disabled:opacity-50"
+                      >
+                        <FiTrash2 className="h-4 w-4" />
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {totalPages > 1 && (
+        <div className="flex items-center justify-between mt-6">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1}
+            className="btn btn-outline btn-sm"
+          >
+            Previous
+          </button>
+          <span className="text-sm text-gray-600">Page {page} of {totalPages}</span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page >= totalPages}
+            className="btn btn-outline btn-sm"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
 
 const AdminPanel = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const tab = TABS.some(t => t.id === searchParams.get('tab')) ? searchParams.get('tab') : 'overview';
+
   return (
-    <div className="min-h-screen flex items-center justify-center">
-      <div className="text-center">
-        <h1 className="text-2xl font-bold text-gray-900 mb-4">Admin Panel</h1>
-        <p className="text-sm text-gray-500 mt-2">This page is under development</p>
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900">Admin Panel</h1>
+          <p className="text-gray-600 mt-2">Manage users, courses and platform security</p>
+        </div>
+
+        <div className="border-b border-gray-200 mb-8">
+          <nav className="-mb-px flex space-x-8 overflow-x-auto">
+            {TABS.map(({ id, label }) => (
+              <button
+                key={id}
+                onClick={() => setSearchParams({ tab: id })}
+                className={`py-2 px-1 border-b-2 font-medium text-sm whitespace-nowrap ${
+                  tab === id
+                    ? 'border-primary-500 text-primary-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </nav>
+        </div>
+
+        {tab === 'overview' && <AdminStats />}
+        {tab === 'users' && <UserManagement />}
+        {tab === 'courses' && <CourseModeration />}
+        {tab === 'applications' && <InstructorApplications />}
+        {tab === 'security' && (
+          <>
+            <SecuritySettings />
+            <SecurityEventLog />
+          </>
+        )}
+        {tab === 'audit' && <AuditLog />}
       </div>
     </div>
   );
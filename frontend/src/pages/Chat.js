@@ -1,15 +1,351 @@
-import React from 'react';
-import { useParams } from 'react-router-dom';
+import React, { useState, useEffect, useLayoutEffect, useRef, useCallback } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { useSocket } from '../contexts/SocketContext';
+import OnlineUsers from '../components/OnlineUsers';
+import ChatMessage, { DayDivider } from '../components/ChatMessage';
+import ChatComposer from '../components/ChatComposer';
+import axios from 'axios';
+import { isSameDay } from 'date-fns';
+import { FiArrowLeft, FiArrowDown, FiMessageSquare } from 'react-icons/fi';
+import toast from 'react-hot-toast';
+
+// Distance from the bottom (px) within which we keep following new messages
+const STICKY_THRESHOLD = 120;
 
 const Chat = () => {
   const { courseId } = useParams();
+  const { user } = useAuth();
+  const {
+    isConnected,
+    joinCourse,
+    leaveCourse,
+    sendMessage,
+    sendTyping,
+    uploadAttachments,
+    editMessage,
+    deleteMessage,
+    getMessages,
+    loadOlderMessages,
+    getHistoryState,
+    getOnlineUsers,
+    getTypingUsers,
+    markCourseRead,
+    getReadReceipts,
+    startConversation
+  } = useSocket();
+  const navigate = useNavigate();
+  const [course, setCourse] = useState(null);
+  const [permissions, setPermissions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [unseenCount, setUnseenCount] = useState(0);
+  const [editingId, setEditingId] = useState(null);
+
+  const listRef = useRef(null);
+  const isAtBottomRef = useRef(true);
+  const edgesRef = useRef({ firstId: null, lastId: null, scrollHeight: 0 });
+
+  const messages = getMessages(courseId);
+  const historyState = getHistoryState(courseId);
+  const onlineUsers = getOnlineUsers(courseId);
+  const typingUsers = getTypingUsers(courseId);
+  const readReceipts = getReadReceipts(courseId);
+
+  // Read receipts are shown under our most recent delivered message only
+  const lastOwnMessage = [...messages].reverse().find(msg => (
+    !msg.pending && !msg.failed && String(msg.sender?.id) === String(user?.id)
+  ));
+  const seenBy = lastOwnMessage
+    ? readReceipts.filter(receipt => (
+      String(receipt.user.id) !== String(user?.id)
+      && String(receipt.lastReadMessage) >= String(lastOwnMessage.id)
+    ))
+    : [];
+  const canMessageStudents = permissions.includes('student.message');
+  const isModerator = permissions.includes('chat.moderate');
+
+  useEffect(() => {
+    const fetchCourse = async () => {
+      try {
+        setLoading(true);
+        const [response, accessRes] = await Promise.all([
+          axios.get(`/api/courses/${courseId}`),
+          axios.get(`/api/courses/${courseId}/access`)
+        ]);
+        setCourse(response.data);
+        setPermissions(accessRes.data.permissions);
+      } catch (error) {
+        console.error('Error fetching course:', error);
+        const message = error.response?.data?.message || 'Failed to fetch course details';
+        toast.error(message);
+        setCourse(null);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchCourse();
+  }, [courseId]);
+
+  useEffect(() => {
+    joinCourse(courseId);
+    return () => leaveCourse(courseId);
+  }, [courseId, joinCourse, leaveCourse]);
+
+  // Keep the viewport stable when older messages are prepended, and follow
+  // new messages only if the reader is already at the bottom
+  useLayoutEffect(() => {
+    const list = listRef.current;
+    if (!list || messages.length === 0) return;
+
+    const firstId = messages[0].id;
+    const last = messages[messages.length - 1];
+    const previous = edgesRef.current;
+
+    if (previous.lastId === null) {
+      list.scrollTop = list.scrollHeight;
+    } else if (last.id !== previous.lastId) {
+      const isOwn = String(last.sender?.id) === String(user?.id);
+      if (isAtBottomRef.current || isOwn) {
+        list.scrollTop = list.scrollHeight;
+        setUnseenCount(0);
+      } else {
+        setUnseenCount(count => count + 1);
+      }
+    } else if (firstId !== previous.firstId) {
+      list.scrollTop += list.scrollHeight - previous.scrollHeight;
+    }
+
+    edgesRef.current = { firstId, lastId: last.id, scrollHeight: list.scrollHeight };
+  }, [messages, user]);
+
+  const markLatestRead = useCallback(() => {
+    const latest = [...messages].reverse().find(msg => !msg.pending && !msg.failed);
+    if (latest && document.visibilityState === 'visible') {
+      markCourseRead(courseId, latest.id);
+    }
+  }, [messages, courseId, markCourseRead]);
+
+  // Anything that arrives while the reader is at the bottom of a visible tab counts as read
+  useEffect(() => {
+    const handleVisibility = () => {
+      if (isAtBottomRef.current) markLatestRead();
+    };
+
+    handleVisibility();
+    document.addEventListener('visibilitychange', handleVisibility);
+    return () => document.removeEventListener('visibilitychange', handleVisibility);
+  }, [markLatestRead]);
+
+  const handleScroll = () => {
+    const list = listRef.current;
+    if (!list) return;
+
+    const distanceFromBottom = list.scrollHeight - list.scrollTop - list.clientHeight;
+    isAtBottomRef.current = distanceFromBottom < STICKY_THRESHOLD;
+    edgesRef.current.scrollHeight = list.scrollHeight;
+
+    if (isAtBottomRef.current) {
+      if (unseenCount > 0) setUnseenCount(0);
+      markLatestRead();
+    }
+
+    if (list.scrollTop < 40) {
+      loadOlderMessages(courseId);
+    }
+  };
+
+  const scrollToBottom = () => {
+    const list = listRef.current;
+    if (!list) return;
+    list.scrollTo({ top: list.scrollHeight, behavior: 'smooth' });
+    setUnseenCount(0);
+  };
+
+  const handleSend = async (content, files, onProgress) => {
+    if (!isConnected) {
+      toast.error('Not connected to chat. Please wait and try again.');
+      return false;
+    }
+
+    const attachments = files.length > 0
+      ? await uploadAttachments(courseId, files, onProgress)
+      : [];
+    sendMessage(courseId, content, attachments.length > 0 ? 'file' : 'text', attachments);
+    return true;
+  };
+
+  const handleDelete = (message, isOwn) => {
+    const question = isOwn
+      ? 'Delete this message?'
+      : `Remove this message from ${message.sender?.name || 'this user'}?`;
+    if (window.confirm(question)) {
+      deleteMessage(message.id);
+    }
+  };
+
+  // Teaching staff can take a student's question out of the public room
+  const handleMessageStudent = async (student) => {
+    try {
+      const conversation = await startConversation(courseId, student.id);
+      navigate(`/inbox/${conversation.id}`);
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to start conversation';
+      toast.error(message);
+    }
+  };
+
+  let typingHint = '';
+  if (typingUsers.length === 1) {
+    typingHint = `${typingUsers[0].name} is typing...`;
+  } else if (typingUsers.length === 2) {
+    typingHint = `${typingUsers[0].name} and ${typingUsers[1].name} are typing...`;
+  } else if (typingUsers.length > 2) {
+    typingHint = 'Several people are typing...';
+  }
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-32 w-32 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  if (!course) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="text-center">
+          <h1 className="text-2xl font-bold text-gray-900 mb-4">Course Not Found</h1>
+          <Link to="/dashboard" className="btn btn-primary btn-md">
+            Back to Dashboard
+          </Link>
+        </div>
+      </div>
+    );
+  }
 
   return (
-    <div className="min-h-screen flex items-center justify-center">
-      <div className="text-center">
-        <h1 className="text-2xl font-bold text-gray-900 mb-4">Course Chat</h1>
-        <p className="text-gray-600">Course ID: {courseId}</p>
-        <p className="text-sm text-gray-500 mt-2">This page is under development</p>
+    <div className="bg-gray-50">
+      <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
+        <div className="card flex flex-col h-[calc(100vh-8rem)]">
+          {/* Header */}
+          <div className="flex items-center justify-between px-6 py-4 border-b">
+            <div className="flex items-center min-w-0">
+              <Link
+                to={`/courses/${courseId}`}
+                className="mr-4 text-gray-500 hover:text-gray-700"
+                aria-label="Back to course"
+              >
+                <FiArrowLeft className="h-5 w-5" />
+              </Link>
+              <div className="min-w-0">
+                <h1 className="text-lg font-semibold text-gray-900 truncate">{course.title}</h1>
+                <p className="text-sm text-gray-500">
+                  Course chat · {onlineUsers.length} online
+                </p>
+              </div>
+            </div>
+            <span className={`text-xs px-2 py-1 rounded-full ${
+              isConnected ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-500'
+            }`}>
+              {isConnected ? 'Connected' : 'Connecting...'}
+            </span>
+          </div>
+
+          <div className="flex flex-1 min-h-0">
+            {/* Messages */}
+            <div className="relative flex-1 min-w-0">
+              <div
+                ref={listRef}
+                onScroll={handleScroll}
+                className="h-full overflow-y-auto px-6 py-4"
+              >
+                {historyState.loading && (
+                  <div className="flex justify-center py-2">
+                    <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-primary-600"></div>
+                  </div>
+                )}
+
+                {!historyState.loading && historyState.hasMore && (
+                  <div className="flex justify-center py-2">
+                    <button
+                      onClick={() => loadOlderMessages(courseId)}
+                      className="text-sm text-primary-600 hover:text-primary-500"
+                    >
+                      Load older messages
+                    </button>
+                  </div>
+                )}
+
+                {messages.length === 0 && !historyState.loading ? (
+                  <div className="h-full flex flex-col items-center justify-center text-center">
+                    <FiMessageSquare className="h-12 w-12 text-gray-400 mb-4" />
+                    <h3 className="text-lg font-medium text-gray-900 mb-2">No messages yet</h3>
+                    <p className="text-gray-600">Start the conversation with your classmates and instructor</p>
+                  </div>
+                ) : (
+                  messages.map((message, index) => {
+                    const date = new Date(message.timestamp);
+                    const previous = messages[index - 1];
+                    const showDay = !previous || !isSameDay(new Date(previous.timestamp), date);
+                    const isOwn = String(message.sender?.id) === String(user?.id);
+                    const showSender = showDay
+                      || String(previous.sender?.id) !== String(message.sender?.id);
+                    const isSeenTarget = message.id === lastOwnMessage?.id && seenBy.length > 0;
+
+                    return (
+                      <React.Fragment key={message.id}>
+                        {showDay && <DayDivider date={date} />}
+                        <ChatMessage
+                          message={message}
+                          isOwn={isOwn}
+                          showSender={showSender}
+                          canModerate={isModerator}
+                          isEditing={editingId === message.id}
+                          onStartEdit={() => setEditingId(message.id)}
+                          onCancelEdit={() => setEditingId(null)}
+                          onSaveEdit={(content) => editMessage(message.id, content)}
+                          onDelete={() => handleDelete(message, isOwn)}
+                          onMessageSender={canMessageStudents && message.sender?.role === 'student'
+                            ? () => handleMessageStudent(message.sender)
+                            : undefined}
+                          status={isSeenTarget
+                            ? `Seen by ${seenBy.slice(0, 3).map(receipt => receipt.user.name).join(', ')}${
+                              seenBy.length > 3 ? ` and ${seenBy.length - 3} more` : ''
+                            }`
+                            : null}
+                        />
+                      </React.Fragment>
+                    );
+                  })
+                )}
+              </div>
+
+              {unseenCount > 0 && (
+                <button
+                  onClick={scrollToBottom}
+                  className="absolute bottom-4 left-1/2 -translate-x-1/2 flex items-center px-4 py-2 rounded-full bg-primary-600 text-white text-sm shadow-lg hover:bg-primary-700"
+                >
+                  <FiArrowDown className="h-4 w-4 mr-2" />
+                  {unseenCount} new {unseenCount === 1 ? 'message' : 'messages'}
+                </button>
+              )}
+            </div>
+
+            {/* Online roster */}
+            <aside className="hidden lg:block w-60 flex-shrink-0 border-l px-4 py-4 overflow-y-auto">
+              <OnlineUsers users={onlineUsers} currentUserId={user?.id} />
+            </aside>
+          </div>
+
+          {/* Composer */}
+          <ChatComposer
+            onSend={handleSend}
+            onTyping={(isTyping) => sendTyping(courseId, isTyping)}
+            hint={typingHint}
+          />
+        </div>
       </div>
     </div>
   );
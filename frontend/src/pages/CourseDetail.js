@@ -1,6 +1,11 @@
 import React, { useState, useEffect } from 'react';
-import { useParams, Link } from 'react-router-dom';
+import { useParams, useNavigate, Link } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { useSocket } from '../contexts/SocketContext';
+import OnlineUsers from '../components/OnlineUsers';
+import CourseStaff, { STAFF_ROLE_LABELS } from '../components/CourseStaff';
+import Syllabus from '../components/Syllabus';
+import Gradebook from '../components/Gradebook';
 import axios from 'axios';
 import { 
   FiPlay, 
@@ -8,17 +13,25 @@ import {
   FiClock, 
   FiAward, 
   FiMessageSquare,
+  FiMail,
   FiBookOpen,
-  FiCheckCircle
+  FiCheckCircle,
+  FiAlertTriangle
 } from 'react-icons/fi';
 import toast from 'react-hot-toast';
 
 const CourseDetail = () => {
   const { id } = useParams();
   const { user, isAuthenticated } = useAuth();
+  const { joinCourse, leaveCourse, getOnlineUsers, startConversation } = useSocket();
+  const navigate = useNavigate();
   const [course, setCourse] = useState(null);
   const [loading, setLoading] = useState(true);
   const [enrolled, setEnrolled] = useState(false);
+  // The viewer's course role and the permissions it grants (utils/permissions.js)
+  const [access, setAccess] = useState({ role: null, permissions: [] });
+  // The enrolled student's progress from GET /api/lectures/:courseId/progress
+  const [progress, setProgress] = useState(null);
 
   useEffect(() => {
     fetchCourse();
@@ -30,9 +43,16 @@ const CourseDetail = () => {
       const response = await axios.get(`/api/courses/${id}`);
       setCourse(response.data);
       
-      // Check if user is enrolled
       if (isAuthenticated && user) {
-        setEnrolled(response.data.students?.some(student => student._id === user.id) || false);
+        const accessRes = await axios.get(`/api/courses/${id}/access`)
+          .catch(() => ({ data: { role: null, permissions: [] } }));
+        setAccess(accessRes.data);
+        setEnrolled(accessRes.data.role === 'student');
+
+        if (accessRes.data.role === 'student') {
+          const progressRes = await axios.get(`/api/lectures/${id}/progress`).catch(() => null);
+          setProgress(progressRes?.data || null);
+        }
       }
     } catch (error) {
       console.error('Error fetching course:', error);
@@ -62,6 +82,30 @@ const CourseDetail = () => {
     }
   };
 
+  // Without a `participantId` the conversation is with the course owner
+  const handleMessageStaff = async (participantId) => {
+    try {
+      const conversation = await startConversation(id, participantId);
+      navigate(`/inbox/${conversation.id}`);
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to start conversation';
+      toast.error(message);
+    }
+  };
+
+  const can = (permission) => access.permissions.includes(permission);
+  const isStaff = user?.role === 'admin' || Boolean(STAFF_ROLE_LABELS[access.role]);
+  const isMember = isStaff || enrolled;
+
+  const resumeLectureId = progress?.resumeLecture || course?.lectures?.[0]?._id;
+
+  // Join the course room for presence only, so members can see who is online
+  useEffect(() => {
+    if (!isMember) return;
+    joinCourse(id, { loadHistory: false });
+    return () => leaveCourse(id);
+  }, [id, isMember, joinCourse, leaveCourse]);
+
   if (loading) {
     return (
       <div className="min-h-screen flex items-center justify-center">
@@ -86,6 +130,16 @@ const CourseDetail = () => {
   return (
     <div className="min-h-screen bg-gray-50">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {course.moderation?.unpublishedAt && can('course.edit') && (
+          <div className="flex items-start p-4 mb-6 rounded-lg bg-red-50 text-red-700 text-sm">
+            <FiAlertTriangle className="h-5 w-5 mr-3 flex-shrink-0" />
+            <div>
+              An administrator unpublished this course, so it no longer appears in the catalog.
+              {course.moderation.reason && <> Reason: {course.moderation.reason}</>}
+            </div>
+          </div>
+        )}
+
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
           {/* Main Content */}
           <div className="lg:col-span-2">
@@ -137,32 +191,20 @@ const CourseDetail = () => {
               </ul>
             </div>
 
-            {/* Lectures */}
+            {/* Syllabus */}
             <div className="card p-6">
               <h2 className="text-xl font-semibold text-gray-900 mb-4">Course Content</h2>
-              {course.lectures && course.lectures.length > 0 ? (
-                <div className="space-y-2">
-                  {course.lectures.map((lecture, index) => (
-                    <div key={lecture._id} className="flex items-center justify-between p-3 border rounded-lg">
-                      <div className="flex items-center">
-                        <FiPlay className="h-5 w-5 text-gray-400 mr-3" />
-                        <span className="text-gray-900">{lecture.title}</span>
-                        {lecture.isPreview && (
-                          <span className="ml-2 text-xs bg-blue-100 text-blue-800 px-2 py-1 rounded">
-                            Preview
-                          </span>
-                        )}
-                      </div>
-                      <span className="text-sm text-gray-500">
-                        {Math.floor(lecture.duration / 60)}:{(lecture.duration % 60).toString().padStart(2, '0')}
-                      </span>
-                    </div>
-                  ))}
-                </div>
-              ) : (
-                <p className="text-gray-500">No lectures available yet</p>
-              )}
+              <Syllabus courseId={course._id} progress={progress} isMember={isMember} />
             </div>
+
+            {(enrolled || can('gradebook.view')) && (
+              <div className="card p-6 mt-6">
+                <h2 className="text-xl font-semibold text-gray-900 mb-4">
+                  {enrolled ? 'Your Grades' : 'Gradebook'}
+                </h2>
+                <Gradebook courseId={course._id} />
+              </div>
+            )}
           </div>
 
           {/* Sidebar */}
@@ -184,14 +226,51 @@ const CourseDetail = () => {
                 <div className="text-sm text-gray-500">One-time payment</div>
               </div>
 
-              {enrolled ? (
+              {isStaff ? (
                 <div className="space-y-3">
+                  {STAFF_ROLE_LABELS[access.role] && (
+                    <p className="text-sm text-center text-gray-600">
+                      You teach this course as{' '}
+                      <span className="font-medium text-gray-900">{STAFF_ROLE_LABELS[access.role].toLowerCase()}</span>
+                    </p>
+                  )}
+                  {can('course.edit') && (
+                    <Link
+                      to={`/edit-course/${course._id}`}
+                      className="btn btn-primary w-full"
+                    >
+                      Manage Course
+                    </Link>
+                  )}
                   <Link
-                    to={`/courses/${course._id}/lectures`}
-                    className="btn btn-primary w-full"
+                    to={`/chat/${course._id}`}
+                    className="btn btn-outline w-full flex items-center justify-center"
                   >
-                    Continue Learning
+                    <FiMessageSquare className="h-4 w-4 mr-2" />
+                    Course Chat
                   </Link>
+                </div>
+              ) : enrolled ? (
+                <div className="space-y-3">
+                  {progress && progress.totalLectures > 0 && (
+                    <div>
+                      <div className="flex justify-between text-sm text-gray-600 mb-1">
+                        <span>{progress.completedLectures} of {progress.totalLectures} lectures completed</span>
+                        <span className="font-medium text-gray-900">{progress.percent}%</span>
+                      </div>
+                      <div className="h-2 bg-gray-100 rounded-full">
+                        <div className="h-2 bg-green-500 rounded-full" style={{ width: `${progress.percent}%` }} />
+                      </div>
+                    </div>
+                  )}
+                  {resumeLectureId && (
+                    <Link
+                      to={`/lecture/${course._id}/${resumeLectureId}`}
+                      className="btn btn-primary w-full"
+                    >
+                      {progress?.lectures.length ? 'Continue Learning' : 'Start Learning'}
+                    </Link>
+                  )}
                   <Link
                     to={`/chat/${course._id}`}
                     className="btn btn-outline w-full flex items-center justify-center"
@@ -199,6 +278,15 @@ const CourseDetail = () => {
                     <FiMessageSquare className="h-4 w-4 mr-2" />
                     Course Chat
                   </Link>
+                  {course.instructor && (
+                    <button
+                      onClick={() => handleMessageStaff()}
+                      className="btn btn-outline w-full flex items-center justify-center"
+                    >
+                      <FiMail className="h-4 w-4 mr-2" />
+                      Message Instructor
+                    </button>
+                  )}
                 </div>
               ) : (
                 <button
@@ -233,21 +321,19 @@ const CourseDetail = () => {
               </div>
             </div>
 
-            {/* Instructor */}
-            <div className="card p-6">
-              <h3 className="font-semibold text-gray-900 mb-4">Instructor</h3>
-              <div className="flex items-center">
-                <div className="w-12 h-12 bg-primary-100 rounded-full flex items-center justify-center mr-4">
-                  <span className="text-primary-600 font-semibold">
-                    {course.instructor?.name?.charAt(0)}
-                  </span>
-                </div>
-                <div>
-                  <div className="font-medium text-gray-900">{course.instructor?.name}</div>
-                  <div className="text-sm text-gray-500">{course.instructor?.email}</div>
-                </div>
+            {isMember && (
+              <div className="card p-6 mb-6">
+                <OnlineUsers users={getOnlineUsers(id)} currentUserId={user?.id} />
               </div>
-            </div>
+            )}
+
+            <CourseStaff
+              course={course}
+              currentUserId={user?.id}
+              canManage={can('course.manageStaff')}
+              onChange={fetchCourse}
+              onMessage={enrolled ? handleMessageStaff : undefined}
+            />
           </div>
         </div>
       </div>
@@ -1,6 +1,10 @@
 import React, { useState, useEffect } from 'react';
-import { Link } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { useSocket } from '../contexts/SocketContext';
+import CourseInvites from '../components/CourseInvites';
+import InstructorApplication from '../components/InstructorApplication';
+import { STAFF_ROLE_LABELS } from '../components/CourseStaff';
 import axios from 'axios';
 import toast from 'react-hot-toast';
 import { 
@@ -16,14 +20,19 @@ import {
 
 const Dashboard = () => {
   const { user } = useAuth();
+  const { getUnreadCount } = useSocket();
+  const navigate = useNavigate();
   const [stats, setStats] = useState({
     totalCourses: 0,
     enrolledCourses: 0,
     createdCourses: 0,
     totalAssignments: 0,
-    completedAssignments: 0
+    completedAssignments: 0,
+    lecturesCompleted: 0,
+    averageProgress: 0
   });
   const [recentCourses, setRecentCourses] = useState([]);
+  const [teachingCourses, setTeachingCourses] = useState([]);
   const [recentAssignments, setRecentAssignments] = useState([]);
   const [loading, setLoading] = useState(true);
 
@@ -37,24 +46,31 @@ const Dashboard = () => {
       
       // Fetch user's courses
       const coursesRes = await axios.get('/api/courses/my-courses');
-      const { enrolledCourses = [], createdCourses = [] } = coursesRes.data;
+      const { enrolledCourses = [], createdCourses = [], teachingCourses = [] } = coursesRes.data;
 
       // Calculate stats
       const totalCourses = user.role === 'instructor' ? createdCourses.length : enrolledCourses.length;
       const enrolledCount = enrolledCourses.length;
       const createdCount = createdCourses.length;
+      const lecturesCompleted = enrolledCourses.reduce((sum, course) => sum + (course.progress?.completedLectures || 0), 0);
+      const averageProgress = enrolledCount
+        ? Math.round(enrolledCourses.reduce((sum, course) => sum + (course.progress?.percent || 0), 0) / enrolledCount)
+        : 0;
 
       setStats({
         totalCourses,
         enrolledCourses: enrolledCount,
         createdCourses: createdCount,
         totalAssignments: 0, // Will be calculated from assignments
-        completedAssignments: 0
+        completedAssignments: 0,
+        lecturesCompleted,
+        averageProgress
       });
 
       // Set recent courses
       const recent = user.role === 'instructor' ? createdCourses : enrolledCourses;
       setRecentCourses(recent.slice(0, 4));
+      setTeachingCourses(teachingCourses);
 
       // Fetch recent assignments if student
       if (user.role === 'student') {
@@ -74,9 +90,12 @@ const Dashboard = () => {
         enrolledCourses: 0,
         createdCourses: 0,
         totalAssignments: 0,
-        completedAssignments: 0
+        completedAssignments: 0,
+        lecturesCompleted: 0,
+        averageProgress: 0
       });
       setRecentCourses([]);
+      setTeachingCourses([]);
       setRecentAssignments([]);
     } finally {
       setLoading(false);
@@ -111,6 +130,10 @@ const Dashboard = () => {
           </p>
         </div>
 
+        <CourseInvites onAccepted={fetchDashboardData} />
+
+        {user?.role === 'student' && <InstructorApplication />}
+
         {/* Stats Cards */}
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
           <div className="card p-6">
@@ -150,7 +173,7 @@ const Dashboard = () => {
               </div>
               <div className="ml-4">
                 <p className="text-sm font-medium text-gray-600">Lectures Watched</p>
-                <p className="text-2xl font-bold text-gray-900">0</p>
+                <p className="text-2xl font-bold text-gray-900">{stats.lecturesCompleted}</p>
               </div>
             </div>
           </div>
@@ -162,7 +185,7 @@ const Dashboard = () => {
               </div>
               <div className="ml-4">
                 <p className="text-sm font-medium text-gray-600">Progress</p>
-                <p className="text-2xl font-bold text-gray-900">0%</p>
+                <p className="text-2xl font-bold text-gray-900">{stats.averageProgress}%</p>
               </div>
             </div>
           </div>
@@ -252,7 +275,13 @@ const Dashboard = () => {
                   to={`/courses/${course._id}`}
                   className="card p-6 hover:shadow-lg transition-shadow cursor-pointer"
                 >
-                  <div className="aspect-w-16 aspect-h-9 mb-4">
+                  <div className="relative aspect-w-16 aspect-h-9 mb-4">
+                    {getUnreadCount(course._id) > 0 && (
+                      <span className="absolute top-2 right-2 z-10 flex items-center px-2 py-1 rounded-full bg-red-500 text-white text-xs font-semibold shadow">
+                        <FiMessageSquare className="h-3 w-3 mr-1" />
+                        {getUnreadCount(course._id)} new
+                      </span>
+                    )}
                     {course.thumbnail ? (
                       <img
                         src={course.thumbnail}
@@ -275,6 +304,32 @@ const Dashboard = () => {
                     <span>{course.level}</span>
                     <span>{course.studentCount || 0} students</span>
                   </div>
+                  {course.progress && course.progress.totalLectures > 0 && (
+                    <div className="mt-4">
+                      <div className="flex justify-between text-xs text-gray-600 mb-1">
+                        <span>{course.progress.completedLectures}/{course.progress.totalLectures} lectures</span>
+                        <span className="font-medium">{course.progress.percent}%</span>
+                      </div>
+                      <div className="h-1.5 bg-gray-100 rounded-full">
+                        <div
+                          className="h-1.5 bg-green-500 rounded-full"
+                          style={{ width: `${course.progress.percent}%` }}
+                        />
+                      </div>
+                      {course.progress.resumeLecture && (
+                        <button
+                          onClick={(e) => {
+                            e.preventDefault();
+                            navigate(`/lecture/${course._id}/${course.progress.resumeLecture}`);
+                          }}
+                          className="mt-3 inline-flex items-center text-sm font-medium text-primary-600 hover:text-primary-500"
+                        >
+                          <FiPlay className="h-4 w-4 mr-1" />
+                          Continue
+                        </button>
+                      )}
+                    </div>
+                  )}
                 </Link>
               ))}
             </div>
@@ -300,6 +355,38 @@ const Dashboard = () => {
           )}
         </div>
 
+        {/* Courses the user helps teach as co-instructor or TA */}
+        {teachingCourses.length > 0 && (
+          <div className="mb-8">
+            <h2 className="text-xl font-semibold text-gray-900 mb-4">Courses You Help Teach</h2>
+            <div className="card divide-y divide-gray-200">
+              {teachingCourses.map((course) => (
+                <Link
+                  key={course._id}
+                  to={`/courses/${course._id}`}
+                  className="flex items-center justify-between p-4 hover:bg-gray-50"
+                >
+                  <div className="min-w-0">
+                    <h3 className="font-medium text-gray-900 truncate">{course.title}</h3>
+                    <p className="text-sm text-gray-500">{course.studentCount || 0} students</p>
+                  </div>
+                  <div className="flex items-center gap-3 flex-shrink-0 ml-4">
+                    {getUnreadCount(course._id) > 0 && (
+                      <span className="flex items-center px-2 py-1 rounded-full bg-red-500 text-white text-xs font-semibold">
+                        <FiMessageSquare className="h-3 w-3 mr-1" />
+                        {getUnreadCount(course._id)} new
+                      </span>
+                    )}
+                    <span className="text-xs bg-primary-100 text-primary-700 px-2 py-1 rounded-full">
+                      {STAFF_ROLE_LABELS[course.staffRole]}
+                    </span>
+                  </div>
+                </Link>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Recent Activity */}
         <div className="mb-8">
           <h2 className="text-xl font-semibold text-gray-900 mb-4">Recent Activity</h2>
@@ -1,15 +1,101 @@
-import React from 'react';
-import { useParams } from 'react-router-dom';
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import axios from 'axios';
+import { FiArrowLeft, FiList, FiHelpCircle } from 'react-icons/fi';
+import toast from 'react-hot-toast';
+import CurriculumEditor from '../components/CurriculumEditor';
+import QuizManager from '../components/QuizManager';
 
 const EditCourse = () => {
   const { id } = useParams();
+  const [course, setCourse] = useState(null);
+  const [canEdit, setCanEdit] = useState(false);
+  const [loading, setLoading] = useState(true);
+  // Bumped when quizzes are added or removed, so the curriculum editor reloads
+  const [curriculumVersion, setCurriculumVersion] = useState(0);
+
+  useEffect(() => {
+    const fetchCourse = async () => {
+      try {
+        const [courseRes, accessRes] = await Promise.all([
+          axios.get(`/api/courses/${id}`),
+          axios.get(`/api/courses/${id}/access`)
+        ]);
+        setCourse(courseRes.data);
+        setCanEdit(accessRes.data.permissions.includes('course.edit'));
+      } catch (error) {
+        console.error('Error fetching course:', error);
+        toast.error(error.response?.data?.message || 'Failed to fetch course details');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchCourse();
+  }, [id]);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-32 w-32 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  if (!course || !canEdit) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="text-center">
+          <h1 className="text-2xl font-bold text-gray-900 mb-4">
+            {course ? 'You cannot edit this course' : 'Course Not Found'}
+          </h1>
+          <Link to="/courses" className="btn btn-primary">
+            Back to Courses
+          </Link>
+        </div>
+      </div>
+    );
+  }
 
   return (
-    <div className="min-h-screen flex items-center justify-center">
-      <div className="text-center">
-        <h1 className="text-2xl font-bold text-gray-900 mb-4">Edit Course</h1>
-        <p className="text-gray-600">Course ID: {id}</p>
-        <p className="text-sm text-gray-500 mt-2">This page is under development</p>
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <Link
+          to={`/courses/${course._id}`}
+          className="inline-flex items-center text-sm text-gray-600 hover:text-gray-900 mb-4"
+        >
+          <FiArrowLeft className="h-4 w-4 mr-1" />
+          Back to course
+        </Link>
+
+        <div className="mb-6">
+          <h1 className="text-3xl font-bold text-gray-900">{course.title}</h1>
+          <p className="text-gray-600 mt-1">
+            {course.isPublished ? 'Published' : 'Draft'} · {course.lectureCount} lectures
+          </p>
+        </div>
+
+        <div className="card p-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-1 flex items-center">
+            <FiList className="h-5 w-5 mr-2 text-primary-600" />
+            Curriculum
+          </h2>
+          <p className="text-sm text-gray-600 mb-6">
+            Drag sections, lectures, assignments and quizzes to reorder them. Changes are saved as you make them.
+          </p>
+          <CurriculumEditor key={curriculumVersion} courseId={course._id} />
+        </div>
+
+        <div className="card p-6 mt-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-1 flex items-center">
+            <FiHelpCircle className="h-5 w-5 mr-2 text-primary-600" />
+            Quizzes
+          </h2>
+          <p className="text-sm text-gray-600 mb-6">
+            Write questions into banks, then build auto-graded quizzes from them. Quiz results appear in the gradebook next to assignment marks.
+          </p>
+          <QuizManager courseId={course._id} onChange={() => setCurriculumVersion(version => version + 1)} />
+        </div>
       </div>
     </div>
   );
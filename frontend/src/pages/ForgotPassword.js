@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { FiMail, FiCheckCircle } from 'react-icons/fi';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [sentMessage, setSentMessage] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const { requestPasswordReset } = useAuth();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!email) {
+      setError('Email is required');
+      return;
+    } else if (!/\S+@\S+\.\S+/.test(email)) {
+      setError('Email is invalid');
+      return;
+    }
+
+    setSubmitting(true);
+    const result = await requestPasswordReset(email);
+    setSubmitting(false);
+
+    if (result.success) {
+      setSentMessage(result.message);
+    } else {
+      setError(result.error);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div>
+          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+            Forgot your password?
+          </h2>
+          <p className="mt-2 text-center text-sm text-gray-600">
+            Enter your account email and we'll send you a link to choose a new one.
+          </p>
+        </div>
+
+        {sentMessage ? (
+          <div className="bg-green-50 border border-green-200 rounded-lg p-4 flex items-start">
+            <FiCheckCircle className="h-5 w-5 text-green-600 mr-3 mt-0.5 flex-shrink-0" />
+            <p className="text-sm text-green-800">{sentMessage}</p>
+          </div>
+        ) : (
+          <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+            <div>
+              <label htmlFor="email" className="block text-sm font-medium text-gray-700">
+                Email address
+              </label>
+              <div className="mt-1 relative">
+                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                  <FiMail className="h-5 w-5 text-gray-400" />
+                </div>
+                <input
+                  id="email"
+                  name="email"
+                  type="email"
+                  autoComplete="email"
+                  value={email}
+                  onChange={(e) => {
+                    setEmail(e.target.value);
+                    setError('');
+                  }}
+                  className={`input pl-10 ${error ? 'border-red-300' : ''}`}
+                  placeholder="Enter your email"
+                />
+              </div>
+              {error && (
+                <p className="mt-1 text-sm text-red-600">{error}</p>
+              )}
+            </div>
+
+            <button
+              type="submit"
+              disabled={submitting}
+              className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {submitting ? (
+                <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div>
+              ) : (
+                'Send reset link'
+              )}
+            </button>
+          </form>
+        )}
+
+        <div className="text-center">
+          <Link
+            to="/login"
+            className="text-sm text-primary-600 hover:text-primary-500"
+          >
+            ← Back to sign in
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
@@ -0,0 +1,290 @@
+import React, { useState, useEffect, useLayoutEffect, useRef, useCallback } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { useSocket } from '../contexts/SocketContext';
+import ChatMessage, { DayDivider } from '../components/ChatMessage';
+import ChatComposer from '../components/ChatComposer';
+import { formatDistanceToNow, isSameDay } from 'date-fns';
+import { FiArrowLeft, FiInbox, FiMessageSquare } from 'react-icons/fi';
+import toast from 'react-hot-toast';
+
+// Distance from the bottom (px) within which we keep following new messages
+const STICKY_THRESHOLD = 120;
+
+const ConversationThread = ({ conversation }) => {
+  const { user } = useAuth();
+  const {
+    isConnected,
+    joinConversation,
+    leaveConversation,
+    loadOlderConversationMessages,
+    sendDirectMessage,
+    uploadAttachments,
+    editMessage,
+    deleteMessage,
+    getMessages,
+    getHistoryState,
+    markConversationRead
+  } = useSocket();
+  const [editingId, setEditingId] = useState(null);
+
+  const listRef = useRef(null);
+  const isAtBottomRef = useRef(true);
+  const edgesRef = useRef({ firstId: null, lastId: null, scrollHeight: 0 });
+
+  const conversationId = conversation.id;
+  const messages = getMessages(conversationId);
+  const historyState = getHistoryState(conversationId);
+
+  useEffect(() => {
+    joinConversation(conversationId);
+    return () => leaveConversation(conversationId);
+  }, [conversationId, joinConversation, leaveConversation]);
+
+  // Same scrolling rules as the course chat: follow new messages at the bottom,
+  // keep the viewport still when older pages are prepended
+  useLayoutEffect(() => {
+    const list = listRef.current;
+    if (!list || messages.length === 0) return;
+
+    const firstId = messages[0].id;
+    const last = messages[messages.length - 1];
+    const previous = edgesRef.current;
+
+    if (previous.lastId === null) {
+      list.scrollTop = list.scrollHeight;
+    } else if (last.id !== previous.lastId) {
+      const isOwn = String(last.sender?.id) === String(user?.id);
+      if (isAtBottomRef.current || isOwn) {
+        list.scrollTop = list.scrollHeight;
+      }
+    } else if (firstId !== previous.firstId) {
+      list.scrollTop += list.scrollHeight - previous.scrollHeight;
+    }
+
+    edgesRef.current = { firstId, lastId: last.id, scrollHeight: list.scrollHeight };
+  }, [messages, user]);
+
+  const markLatestRead = useCallback(() => {
+    const latest = [...messages].reverse().find(msg => !msg.pending && !msg.failed);
+    if (latest && document.visibilityState === 'visible') {
+      markConversationRead(conversationId, latest.id);
+    }
+  }, [messages, conversationId, markConversationRead]);
+
+  useEffect(() => {
+    const handleVisibility = () => {
+      if (isAtBottomRef.current) markLatestRead();
+    };
+
+    handleVisibility();
+    document.addEventListener('visibilitychange', handleVisibility);
+    return () => document.removeEventListener('visibilitychange', handleVisibility);
+  }, [markLatestRead]);
+
+  const handleScroll = () => {
+    const list = listRef.current;
+    if (!list) return;
+
+    const distanceFromBottom = list.scrollHeight - list.scrollTop - list.clientHeight;
+    isAtBottomRef.current = distanceFromBottom < STICKY_THRESHOLD;
+    edgesRef.current.scrollHeight = list.scrollHeight;
+
+    if (isAtBottomRef.current) {
+      markLatestRead();
+    }
+
+    if (list.scrollTop < 40) {
+      loadOlderConversationMessages(conversationId);
+    }
+  };
+
+  const handleSend = async (content, files, onProgress) => {
+    if (!isConnected) {
+      toast.error('Not connected to chat. Please wait and try again.');
+      return false;
+    }
+
+    // Attachments are stored under the conversation's course
+    const attachments = files.length > 0
+      ? await uploadAttachments(conversation.course.id, files, onProgress)
+      : [];
+    sendDirectMessage(conversationId, content, attachments.length > 0 ? 'file' : 'text', attachments);
+    return true;
+  };
+
+  const handleDelete = (message) => {
+    if (window.confirm('Delete this message?')) {
+      deleteMessage(message.id);
+    }
+  };
+
+  return (
+    <div className="flex flex-col flex-1 min-w-0">
+      {/* Header */}
+      <div className="flex items-center px-6 py-4 border-b">
+        <Link to="/inbox" className="mr-4 text-gray-500 hover:text-gray-700 md:hidden" aria-label="Back to inbox">
+          <FiArrowLeft className="h-5 w-5" />
+        </Link>
+        <div className="min-w-0">
+          <h1 className="text-lg font-semibold text-gray-900 truncate">
+            {conversation.participant?.name || 'Unknown user'}
+          </h1>
+          {conversation.course && (
+            <Link
+              to={`/courses/${conversation.course.id}`}
+              className="text-sm text-gray-500 hover:text-primary-600 truncate block"
+            >
+              {conversation.course.title}
+            </Link>
+          )}
+        </div>
+      </div>
+
+      {/* Messages */}
+      <div
+        ref={listRef}
+        onScroll={handleScroll}
+        className="flex-1 min-h-0 overflow-y-auto px-6 py-4"
+      >
+        {historyState.loading && (
+          <div className="flex justify-center py-2">
+            <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-primary-600"></div>
+          </div>
+        )}
+
+        {messages.length === 0 && !historyState.loading ? (
+          <div className="h-full flex flex-col items-center justify-center text-center">
+            <FiMessageSquare className="h-12 w-12 text-gray-400 mb-4" />
+            <h3 className="text-lg font-medium text-gray-900 mb-2">No messages yet</h3>
+            <p className="text-gray-600">Only you and {conversation.participant?.name || 'the other participant'} can see this conversation</p>
+          </div>
+        ) : (
+          messages.map((message, index) => {
+            const date = new Date(message.timestamp);
+            const previous = messages[index - 1];
+            const showDay = !previous || !isSameDay(new Date(previous.timestamp), date);
+            const isOwn = String(message.sender?.id) === String(user?.id);
+            const showSender = showDay
+              || String(previous.sender?.id) !== String(message.sender?.id);
+
+            return (
+              <React.Fragment key={message.id}>
+                {showDay && <DayDivider date={date} />}
+                <ChatMessage
+                  message={message}
+                  isOwn={isOwn}
+                  showSender={showSender}
+                  isEditing={editingId === message.id}
+                  onStartEdit={() => setEditingId(message.id)}
+                  onCancelEdit={() => setEditingId(null)}
+                  onSaveEdit={(content) => editMessage(message.id, content)}
+                  onDelete={() => handleDelete(message)}
+                />
+              </React.Fragment>
+            );
+          })
+        )}
+      </div>
+
+      <ChatComposer onSend={handleSend} />
+    </div>
+  );
+};
+
+const Inbox = () => {
+  const { conversationId } = useParams();
+  const { getConversations, getConversation, refreshConversations } = useSocket();
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    // Later changes arrive as `conversation-updated` events
+    refreshConversations().finally(() => setLoading(false));
+  }, [refreshConversations]);
+
+  const conversations = getConversations();
+  const active = conversationId ? getConversation(conversationId) : null;
+
+  if (loading && conversations.length === 0) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-32 w-32 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-gray-50">
+      <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
+        <div className="card flex h-[calc(100vh-8rem)]">
+          {/* Conversation list */}
+          <aside className={`${conversationId ? 'hidden md:flex' : 'flex'} flex-col w-full md:w-80 flex-shrink-0 border-r`}>
+            <div className="px-6 py-4 border-b">
+              <h1 className="text-lg font-semibold text-gray-900">Inbox</h1>
+              <p className="text-sm text-gray-500">Private messages with students and instructors</p>
+            </div>
+
+            {conversations.length === 0 ? (
+              <div className="flex-1 flex flex-col items-center justify-center text-center px-6">
+                <FiInbox className="h-12 w-12 text-gray-400 mb-4" />
+                <h3 className="text-lg font-medium text-gray-900 mb-2">No conversations yet</h3>
+                <p className="text-gray-600 text-sm">
+                  Students can message their instructor from the course page.
+                </p>
+              </div>
+            ) : (
+              <ul className="flex-1 overflow-y-auto divide-y">
+                {conversations.map(conversation => (
+                  <li key={conversation.id}>
+                    <Link
+                      to={`/inbox/${conversation.id}`}
+                      className={`block px-6 py-4 hover:bg-gray-50 ${
+                        conversation.id === conversationId ? 'bg-primary-50' : ''
+                      }`}
+                    >
+                      <div className="flex items-center justify-between">
+                        <span className={`text-sm truncate ${
+                          conversation.unreadCount > 0 ? 'font-semibold text-gray-900' : 'font-medium text-gray-900'
+                        }`}>
+                          {conversation.participant?.name || 'Unknown user'}
+                        </span>
+                        {conversation.unreadCount > 0 && (
+                          <span className="ml-2 min-w-[1.25rem] h-5 px-1.5 rounded-full bg-primary-600 text-white text-xs flex items-center justify-center">
+                            {conversation.unreadCount}
+                          </span>
+                        )}
+                      </div>
+                      <p className="text-xs text-gray-500 truncate">{conversation.course?.title}</p>
+                      {conversation.lastMessage && (
+                        <p className="mt-1 text-sm text-gray-600 truncate">
+                          {conversation.lastMessage.content}
+                          <span className="text-xs text-gray-400">
+                            {' · '}{formatDistanceToNow(new Date(conversation.lastMessage.sentAt), { addSuffix: true })}
+                          </span>
+                        </p>
+                      )}
+                    </Link>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </aside>
+
+          {/* Thread */}
+          {active ? (
+            <ConversationThread key={active.id} conversation={active} />
+          ) : (
+            <div className={`${conversationId ? 'flex' : 'hidden md:flex'} flex-1 flex-col items-center justify-center text-center px-6`}>
+              <FiMessageSquare className="h-12 w-12 text-gray-400 mb-4" />
+              <p className="text-gray-600">
+                {conversationId ? 'Conversation not found' : 'Select a conversation to start messaging'}
+              </p>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Inbox;
@@ -1,16 +1,504 @@
-import React from 'react';
-import { useParams } from 'react-router-dom';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import ReactPlayer from 'react-player';
+import axios from 'axios';
+import {
+  FiArrowLeft,
+  FiCheckCircle,
+  FiChevronLeft,
+  FiChevronRight,
+  FiPlay,
+  FiFileText,
+  FiLink,
+  FiFile,
+  FiDownload,
+  FiLock
+} from 'react-icons/fi';
+import toast from 'react-hot-toast';
+import { describeLock } from '../components/Syllabus';
+
+// How often the player reports progress while a video plays
+const HEARTBEAT_MS = 15000;
+// A jump in position larger than this between progress ticks is a seek, not playback
+const MAX_TICK_SECONDS = 3;
+// Resuming this close to the end would only replay the credits; start over instead
+const RESUME_END_MARGIN = 5;
+// The backend credits watched time up to 2x real time, so speeds stop there
+const PLAYBACK_RATES = [0.5, 0.75, 1, 1.25, 1.5, 1.75, 2];
+const PLAYBACK_RATE_KEY = 'playbackRate';
+
+const SHORTCUTS = [
+  ['Space / K', 'Play or pause'],
+  ['← / →', 'Back or forward 5 seconds'],
+  ['J / L', 'Back or forward 10 seconds'],
+  ['< / >', 'Slower or faster'],
+  ['M', 'Mute'],
+  ['F', 'Full screen'],
+  ['P / N', 'Previous or next lecture']
+];
+
+const RESOURCE_ICONS = {
+  pdf: FiFileText,
+  doc: FiFileText,
+  ppt: FiFileText,
+  link: FiLink,
+  other: FiFile
+};
+
+const formatDuration = (seconds = 0) => {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${Math.floor(seconds % 60).toString().padStart(2, '0')}`;
+};
+
+const savedPlaybackRate = () => {
+  const rate = Number(localStorage.getItem(PLAYBACK_RATE_KEY));
+  return PLAYBACK_RATES.includes(rate) ? rate : 1;
+};
+
+// Keys typed into form fields are text, not shortcuts
+const isTyping = (target) => ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable;
+
+// Reports what the viewer actually plays to POST /api/lectures/:id/progress:
+// every HEARTBEAT_MS while playing, and on pause, end and leaving the lecture.
+const useProgressHeartbeat = (lectureId, enabled, onSaved) => {
+  const position = useRef(0);
+  const unsent = useRef(0);
+  const duration = useRef(0);
+  const lastSentPosition = useRef(0);
+
+  const flush = useCallback(() => {
+    if (!enabled || !lectureId) return;
+    if (unsent.current === 0 && lastSentPosition.current === Math.round(position.current)) return;
+
+    const watched = unsent.current;
+    unsent.current = 0;
+    lastSentPosition.current = Math.round(position.current);
+
+    axios.post(`/api/lectures/${lectureId}/progress`, {
+      position: position.current,
+      watched,
+      duration: duration.current
+    })
+      .then(res => onSaved(res.data.progress))
+      .catch(error => console.error('Error saving lecture progress:', error));
+  }, [lectureId, enabled, onSaved]);
+
+  useEffect(() => {
+    position.current = 0;
+    unsent.current = 0;
+    lastSentPosition.current = 0;
+
+    const timer = setInterval(flush, HEARTBEAT_MS);
+    return () => {
+      clearInterval(timer);
+      flush();
+    };
+  }, [flush]);
+
+  const onProgress = useCallback(({ playedSeconds }) => {
+    const delta = playedSeconds - position.current;
+    if (delta > 0 && delta <= MAX_TICK_SECONDS) {
+      unsent.current += delta;
+    }
+    position.current = playedSeconds;
+  }, []);
+
+  const onSeek = useCallback((seconds) => {
+    position.current = seconds;
+  }, []);
+
+  const onDuration = useCallback((seconds) => {
+    duration.current = seconds;
+  }, []);
+
+  return { onProgress, onSeek, onDuration, flush };
+};
 
 const LecturePlayer = () => {
   const { courseId, lectureId } = useParams();
+  const navigate = useNavigate();
+  const playerRef = useRef(null);
+  const frameRef = useRef(null);
+  const resumed = useRef(false);
+  const [course, setCourse] = useState(null);
+  const [lectures, setLectures] = useState([]);
+  // The student's records from GET /api/lectures/:courseId/progress, by lecture id
+  const [progress, setProgress] = useState({});
+  const [isStudent, setIsStudent] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [playing, setPlaying] = useState(false);
+  const [muted, setMuted] = useState(false);
+  const [ended, setEnded] = useState(false);
+  const [playbackRate, setPlaybackRate] = useState(savedPlaybackRate);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setLoading(true);
+        const [courseRes, lecturesRes, accessRes] = await Promise.all([
+          axios.get(`/api/courses/${courseId}`),
+          axios.get(`/api/lectures/${courseId}`),
+          axios.get(`/api/courses/${courseId}/access`)
+        ]);
+        setCourse(courseRes.data);
+        setLectures(lecturesRes.data);
+
+        const student = accessRes.data.role === 'student';
+        setIsStudent(student);
+        if (student) {
+          const progressRes = await axios.get(`/api/lectures/${courseId}/progress`);
+          setProgress(Object.fromEntries(progressRes.data.lectures.map(entry => [entry.lecture, entry])));
+        }
+      } catch (error) {
+        console.error('Error fetching lectures:', error);
+        toast.error(error.response?.data?.message || 'Failed to load lectures');
+        setLectures([]);
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, [courseId]);
+
+  useEffect(() => {
+    resumed.current = false;
+    setEnded(false);
+  }, [lectureId]);
+
+  const handleSaved = useCallback((saved) => {
+    setProgress(prev => ({ ...prev, [saved.lecture]: saved }));
+  }, []);
+
+  const heartbeat = useProgressHeartbeat(lectureId, isStudent, handleSaved);
+
+  const index = lectures.findIndex(item => item._id === lectureId);
+  const lecture = lectures[index];
+  const previous = index > 0 ? lectures[index - 1] : null;
+  const next = index >= 0 && index < lectures.length - 1 ? lectures[index + 1] : null;
+  const completedCount = lectures.filter(item => progress[item._id]?.completed).length;
+  const percent = lectures.length ? Math.round((completedCount / lectures.length) * 100) : 0;
+  const hasLocked = lectures.some(item => item.locked);
+
+  // Completing a lecture can open the ones released after it
+  const completedBefore = useRef(null);
+  useEffect(() => {
+    if (loading) return;
+    if (completedBefore.current !== null && completedCount > completedBefore.current && hasLocked) {
+      axios.get(`/api/lectures/${courseId}`)
+        .then(res => setLectures(res.data))
+        .catch(error => console.error('Error fetching lectures:', error));
+    }
+    completedBefore.current = completedCount;
+  }, [loading, completedCount, hasLocked, courseId]);
+
+  const goTo = useCallback((target) => {
+    if (!target) return;
+    setPlaying(true);
+    navigate(`/lecture/${courseId}/${target._id}`);
+  }, [courseId, navigate]);
+
+  const seekBy = useCallback((seconds) => {
+    const player = playerRef.current;
+    if (!player) return;
+    const to = Math.max(0, Math.min(player.getCurrentTime() + seconds, player.getDuration() || Infinity));
+    player.seekTo(to, 'seconds');
+    heartbeat.onSeek(to);
+  }, [heartbeat]);
+
+  const changeRate = useCallback((rate) => {
+    setPlaybackRate(rate);
+    localStorage.setItem(PLAYBACK_RATE_KEY, String(rate));
+  }, []);
+
+  const stepRate = useCallback((step) => {
+    const at = PLAYBACK_RATES.indexOf(playbackRate);
+    const rate = PLAYBACK_RATES[Math.max(0, Math.min(PLAYBACK_RATES.length - 1, at + step))];
+    changeRate(rate);
+    toast(`Speed ${rate}x`, { id: 'playback-rate', duration: 1000 });
+  }, [playbackRate, changeRate]);
+
+  const toggleFullscreen = useCallback(() => {
+    if (document.fullscreenElement) {
+      document.exitFullscreen();
+    } else {
+      frameRef.current?.requestFullscreen?.();
+    }
+  }, []);
+
+  useEffect(() => {
+    const actions = {
+      ' ': () => setPlaying(value => !value),
+      k: () => setPlaying(value => !value),
+      ArrowLeft: () => seekBy(-5),
+      ArrowRight: () => seekBy(5),
+      j: () => seekBy(-10),
+      l: () => seekBy(10),
+      '<': () => stepRate(-1),
+      '>': () => stepRate(1),
+      m: () => setMuted(value => !value),
+      f: toggleFullscreen,
+      p: () => goTo(previous),
+      n: () => goTo(next)
+    };
+
+    const handleKeyDown = (e) => {
+      if (e.ctrlKey || e.metaKey || e.altKey || isTyping(e.target)) return;
+
+      const action = actions[e.key.length === 1 ? e.key.toLowerCase() : e.key];
+      if (!action) return;
+
+      e.preventDefault();
+      action();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [seekBy, stepRate, toggleFullscreen, goTo, previous, next]);
+
+  // Pick up where the student left off, once the video can seek
+  const handleReady = () => {
+    if (resumed.current) return;
+    resumed.current = true;
+
+    const from = progress[lectureId]?.lastPosition || 0;
+    const length = playerRef.current?.getDuration() || lecture?.duration || 0;
+    if (from > 0 && (!length || from < length - RESUME_END_MARGIN)) {
+      playerRef.current.seekTo(from, 'seconds');
+      heartbeat.onSeek(from);
+    }
+  };
+
+  const handleEnded = () => {
+    setPlaying(false);
+    setEnded(true);
+    heartbeat.flush();
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-32 w-32 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  if (!lecture) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="text-center">
+          <h1 className="text-2xl font-bold text-gray-900 mb-4">Lecture Not Found</h1>
+          <Link to={`/courses/${courseId}`} className="btn btn-primary">
+            Back to Course
+          </Link>
+        </div>
+      </div>
+    );
+  }
 
   return (
-    <div className="min-h-screen flex items-center justify-center">
-      <div className="text-center">
-        <h1 className="text-2xl font-bold text-gray-900 mb-4">Lecture Player</h1>
-        <p className="text-gray-600">Course ID: {courseId}</p>
-        <p className="text-gray-600">Lecture ID: {lectureId}</p>
-        <p className="text-sm text-gray-500 mt-2">This page is under development</p>
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <Link
+          to={`/courses/${courseId}`}
+          className="inline-flex items-center text-sm text-gray-600 hover:text-gray-900 mb-4"
+        >
+          <FiArrowLeft className="h-4 w-4 mr-1" />
+          Back to course
+        </Link>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+          {/* Player */}
+          <div className="lg:col-span-2">
+            <div ref={frameRef} className="relative bg-black rounded-lg overflow-hidden aspect-video">
+              {lecture.locked ? (
+                <div className="absolute inset-0 flex flex-col items-center justify-center text-center text-white p-6">
+                  <FiLock className="h-10 w-10 mb-4 text-gray-400" />
+                  <p className="text-lg font-semibold mb-1">This lecture is not available yet</p>
+                  <p className="text-sm text-gray-300">{describeLock(lecture.lock)}</p>
+                </div>
+              ) : (
+                <ReactPlayer
+                  key={lecture._id}
+                  ref={playerRef}
+                  url={lecture.videoUrl}
+                  playing={playing}
+                  muted={muted}
+                  playbackRate={playbackRate}
+                  controls
+                  width="100%"
+                  height="100%"
+                  onReady={handleReady}
+                  onPlay={() => {
+                    setPlaying(true);
+                    setEnded(false);
+                  }}
+                  onPause={() => {
+                    setPlaying(false);
+                    heartbeat.flush();
+                  }}
+                  onEnded={handleEnded}
+                  onProgress={heartbeat.onProgress}
+                  onSeek={heartbeat.onSeek}
+                  onDuration={heartbeat.onDuration}
+                />
+              )}
+
+              {ended && next && (
+                <div className="absolute inset-0 bg-black bg-opacity-75 flex flex-col items-center justify-center text-white">
+                  <p className="text-sm text-gray-300 mb-1">Up next</p>
+                  <p className="text-lg font-semibold mb-4">{next.title}</p>
+                  {next.locked ? (
+                    <p className="flex items-center text-sm text-gray-300">
+                      <FiLock className="h-4 w-4 mr-2" />
+                      {describeLock(next.lock)}
+                    </p>
+                  ) : (
+                    <button onClick={() => goTo(next)} className="btn btn-primary">
+                      <FiPlay className="h-4 w-4 mr-2" />
+                      Play next lecture
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+
+            <div className="flex flex-wrap items-center justify-between gap-4 mt-4">
+              <div className="flex gap-2">
+                <button onClick={() => goTo(previous)} disabled={!previous} className="btn btn-outline btn-sm">
+                  <FiChevronLeft className="h-4 w-4 mr-1" />
+                  Previous
+                </button>
+                <button onClick={() => goTo(next)} disabled={!next} className="btn btn-outline btn-sm">
+                  Next
+                  <FiChevronRight className="h-4 w-4 ml-1" />
+                </button>
+              </div>
+              <label className="flex items-center text-sm text-gray-600">
+                Speed
+                <select
+                  value={playbackRate}
+                  onChange={(e) => changeRate(Number(e.target.value))}
+                  className="ml-2 text-sm border-gray-300 rounded py-1"
+                >
+                  {PLAYBACK_RATES.map(rate => (
+                    <option key={rate} value={rate}>{rate}x</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+
+            <div className="card p-6 mt-6">
+              <div className="flex items-start justify-between gap-4">
+                <div>
+                  <p className="text-sm text-gray-500">Lecture {index + 1} of {lectures.length}</p>
+                  <h1 className="text-2xl font-bold text-gray-900">{lecture.title}</h1>
+                </div>
+                {progress[lecture._id]?.completed && (
+                  <span className="inline-flex items-center text-sm text-green-600 flex-shrink-0">
+                    <FiCheckCircle className="h-4 w-4 mr-1" />
+                    Completed
+                  </span>
+                )}
+              </div>
+              {lecture.description && <p className="text-gray-600 mt-3">{lecture.description}</p>}
+            </div>
+
+            {lecture.notes && (
+              <div className="card p-6 mt-6">
+                <h2 className="text-lg font-semibold text-gray-900 mb-3">Instructor's notes</h2>
+                <p className="text-gray-700 whitespace-pre-line">{lecture.notes}</p>
+              </div>
+            )}
+
+            {lecture.resources?.length > 0 && (
+              <div className="card p-6 mt-6">
+                <h2 className="text-lg font-semibold text-gray-900 mb-3">Resources</h2>
+                <ul className="divide-y divide-gray-200">
+                  {lecture.resources.map((resource, i) => {
+                    const Icon = RESOURCE_ICONS[resource.type] || FiFile;
+                    return (
+                      <li key={resource._id || i}>
+                        <a
+                          href={resource.url}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          download={resource.type !== 'link' ? resource.name : undefined}
+                          className="flex items-center justify-between py-3 text-sm text-gray-700 hover:text-primary-600"
+                        >
+                          <span className="flex items-center">
+                            <Icon className="h-4 w-4 mr-3 text-gray-400" />
+                            {resource.name}
+                          </span>
+                          {resource.type === 'link' ? <FiLink className="h-4 w-4" /> : <FiDownload className="h-4 w-4" />}
+                        </a>
+                      </li>
+                    );
+                  })}
+                </ul>
+              </div>
+            )}
+          </div>
+
+          {/* Playlist */}
+          <div className="lg:col-span-1 space-y-6">
+            <div className="card overflow-hidden">
+              <div className="p-4 border-b">
+                <h2 className="font-semibold text-gray-900 truncate">{course?.title}</h2>
+                {isStudent && (
+                  <div className="mt-2">
+                    <div className="flex justify-between text-xs text-gray-600 mb-1">
+                      <span>{completedCount} of {lectures.length} completed</span>
+                      <span className="font-medium">{percent}%</span>
+                    </div>
+                    <div className="h-1.5 bg-gray-100 rounded-full">
+                      <div className="h-1.5 bg-green-500 rounded-full" style={{ width: `${percent}%` }} />
+                    </div>
+                  </div>
+                )}
+              </div>
+              <ol className="max-h-[28rem] overflow-y-auto divide-y divide-gray-100">
+                {lectures.map((item, i) => {
+                  const current = item._id === lecture._id;
+                  return (
+                    <li key={item._id}>
+                      <Link
+                        to={`/lecture/${courseId}/${item._id}`}
+                        className={`flex items-start p-4 text-sm ${current ? 'bg-primary-50' : 'hover:bg-gray-50'}`}
+                      >
+                        {item.locked ? (
+                          <FiLock className="h-4 w-4 mt-0.5 mr-3 text-gray-400 flex-shrink-0" />
+                        ) : progress[item._id]?.completed ? (
+                          <FiCheckCircle className="h-4 w-4 mt-0.5 mr-3 text-green-500 flex-shrink-0" />
+                        ) : (
+                          <FiPlay className={`h-4 w-4 mt-0.5 mr-3 flex-shrink-0 ${current ? 'text-primary-600' : 'text-gray-400'}`} />
+                        )}
+                        <span className={`flex-1 ${current ? 'font-medium text-primary-700' : item.locked ? 'text-gray-500' : 'text-gray-700'}`}>
+                          {i + 1}. {item.title}
+                          {item.locked && (
+                            <span className="block text-xs text-gray-500 mt-0.5">{describeLock(item.lock)}</span>
+                          )}
+                        </span>
+                        <span className="ml-2 text-xs text-gray-500">{formatDuration(item.duration)}</span>
+                      </Link>
+                    </li>
+                  );
+                })}
+              </ol>
+            </div>
+
+            <details className="card p-4 text-sm">
+              <summary className="font-medium text-gray-900 cursor-pointer">Keyboard shortcuts</summary>
+              <dl className="mt-3 space-y-1">
+                {SHORTCUTS.map(([keys, action]) => (
+                  <div key={keys} className="flex justify-between">
+                    <dt className="font-mono text-gray-700">{keys}</dt>
+                    <dd className="text-gray-600">{action}</dd>
+                  </div>
+                ))}
+              </dl>
+            </details>
+          </div>
+        </div>
       </div>
     </div>
   );
@@ -1,7 +1,11 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
+import axios from 'axios';
 import { useAuth } from '../contexts/AuthContext';
-import { FiEye, FiEyeOff, FiMail, FiLock } from 'react-icons/fi';
+import TwoFactorChallenge from '../components/TwoFactorChallenge';
+import RecoveryCodes from '../components/RecoveryCodes';
+import { FiEye, FiEyeOff, FiMail, FiLock, FiKey } from 'react-icons/fi';
+import toast from 'react-hot-toast';
 
 const Login = () => {
   const [formData, setFormData] = useState({
@@ -10,19 +14,35 @@ const Login = () => {
   });
   const [showPassword, setShowPassword] = useState(false);
   const [errors, setErrors] = useState({});
+  const [resending, setResending] = useState(false);
+  const [sso, setSso] = useState(null);
+  const [redirecting, setRedirecting] = useState(false);
 
-  const { login, isAuthenticated, loading } = useAuth();
+  const { login, startSsoLogin, resendVerification, isAuthenticated, loading } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
 
   const from = location.state?.from?.pathname || '/dashboard';
 
+  // Second step after the password, also handed over by registration
+  const [twoFactor, setTwoFactor] = useState(location.state?.twoFactor || null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  // A first enrollment signs in before its recovery codes are shown; stay here until then
+  const enrollingRef = useRef(Boolean(location.state?.twoFactor?.setupRequired));
+
   useEffect(() => {
-    if (isAuthenticated) {
+    if (isAuthenticated && !enrollingRef.current) {
       navigate(from, { replace: true });
     }
   }, [isAuthenticated, navigate, from]);
 
+  // Offer single sign-on when the server has an identity provider configured
+  useEffect(() => {
+    axios.get('/api/auth/oidc/config')
+      .then(res => setSso(res.data.enabled ? res.data : null))
+      .catch(() => setSso(null));
+  }, []);
+
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
@@ -64,6 +84,9 @@ const Login = () => {
     const result = await login(formData.email, formData.password);
     if (result.success) {
       navigate(from, { replace: true });
+    } else if (result.twoFactor) {
+      enrollingRef.current = result.twoFactor.setupRequired;
+      setTwoFactor(result.twoFactor);
     } else if (result.field) {
       // Set field-specific error
       setErrors(prev => ({
@@ -73,6 +96,69 @@ const Login = () => {
     }
   };
 
+  const handleResendVerification = async () => {
+    setResending(true);
+    const result = await resendVerification(formData.email);
+    setResending(false);
+
+    if (result.success) {
+      toast.success(result.message);
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  const handleSsoLogin = async () => {
+    setRedirecting(true);
+    const result = await startSsoLogin(from);
+    if (!result.success) {
+      setRedirecting(false);
+    }
+  };
+
+  const handleTwoFactorComplete = (codes) => {
+    if (codes) {
+      setRecoveryCodes(codes);
+    } else {
+      navigate(from, { replace: true });
+    }
+  };
+
+  const handleTwoFactorCancel = (error) => {
+    enrollingRef.current = false;
+    setTwoFactor(null);
+    if (error) {
+      setErrors({ password: error });
+    }
+  };
+
+  if (recoveryCodes || twoFactor) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full">
+          {recoveryCodes ? (
+            <>
+              <h2 className="mb-6 text-center text-2xl font-extrabold text-gray-900">
+                Two-factor authentication is on
+              </h2>
+              <RecoveryCodes
+                codes={recoveryCodes}
+                onDone={() => navigate(from, { replace: true })}
+                doneLabel="Continue"
+              />
+            </>
+          ) : (
+            <TwoFactorChallenge
+              challenge={twoFactor}
+              onCancel={handleTwoFactorCancel}
+              onComplete={handleTwoFactorComplete}
+            />
+          )}
+        </div>
+      </div>
+    );
+  }
+
   const demoCredentials = [
     { role: 'Admin', email: 'admin@edunexus.com', password: 'admin123' },
     { role: 'Instructor', email: 'instructor@edunexus.com', password: 'instructor123' },
@@ -117,6 +203,45 @@ const Login = () => {
           </div>
         </div>
 
+        {location.state?.ssoError && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+            <p className="text-sm text-red-800">{location.state.ssoError}</p>
+          </div>
+        )}
+
+        {errors.verification && (
+          <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
+            <p className="text-sm text-yellow-800">{errors.verification}</p>
+            <button
+              type="button"
+              onClick={handleResendVerification}
+              disabled={resending}
+              className="mt-2 text-sm font-medium text-yellow-900 underline hover:text-yellow-700 disabled:opacity-50"
+            >
+              {resending ? 'Sending...' : 'Resend verification email'}
+            </button>
+          </div>
+        )}
+
+        {sso && (
+          <div>
+            <button
+              type="button"
+              onClick={handleSsoLogin}
+              disabled={redirecting}
+              className="w-full flex justify-center items-center py-2 px-4 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50"
+            >
+              <FiKey className="h-5 w-5 mr-2 text-gray-500" />
+              {redirecting ? 'Redirecting...' : `Sign in with ${sso.name}`}
+            </button>
+            <div className="mt-6 flex items-center">
+              <div className="flex-1 border-t border-gray-200"></div>
+              <span className="px-3 text-sm text-gray-500">or use your password</span>
+              <div className="flex-1 border-t border-gray-200"></div>
+            </div>
+          </div>
+        )}
+
         <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
           <div className="space-y-4">
             <div>
@@ -176,6 +301,14 @@ const Login = () => {
               {errors.password && (
                 <p className="mt-1 text-sm text-red-600">{errors.password}</p>
               )}
+              <div className="mt-2 text-right">
+                <Link
+                  to="/forgot-password"
+                  className="text-sm font-medium text-primary-600 hover:text-primary-500"
+                >
+                  Forgot your password?
+                </Link>
+              </div>
             </div>
           </div>
 
@@ -0,0 +1,46 @@
+import React, { useEffect, useRef } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+
+// The identity provider redirects here after single sign-on
+const OidcCallback = () => {
+  const [searchParams] = useSearchParams();
+  const { completeSsoLogin } = useAuth();
+  const navigate = useNavigate();
+  // Authorization codes are single-use, so never submit them twice (StrictMode re-runs effects)
+  const submittedRef = useRef(false);
+
+  useEffect(() => {
+    if (submittedRef.current) return;
+    submittedRef.current = true;
+
+    const params = Object.fromEntries(
+      ['code', 'state', 'error', 'error_description']
+        .filter(name => searchParams.has(name))
+        .map(name => [name, searchParams.get(name)])
+    );
+
+    completeSsoLogin(params).then(result => {
+      const from = { pathname: result.returnTo || '/dashboard' };
+
+      if (result.success) {
+        navigate(from.pathname, { replace: true });
+      } else if (result.twoFactor) {
+        navigate('/login', { replace: true, state: { twoFactor: result.twoFactor, from } });
+      } else {
+        navigate('/login', { replace: true, state: { ssoError: result.error } });
+      }
+    });
+  }, [searchParams, completeSsoLogin, navigate]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50">
+      <div className="text-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600 mx-auto mb-6"></div>
+        <p className="text-gray-600">Signing you in...</p>
+      </div>
+    </div>
+  );
+};
+
+export default OidcCallback;
@@ -1,5 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../contexts/AuthContext';
+import ActiveSessions from '../components/ActiveSessions';
+import TwoFactorSettings from '../components/TwoFactorSettings';
 import { FiUser, FiMail, FiEdit2, FiSave, FiX } from 'react-icons/fi';
 import toast from 'react-hot-toast';
 
@@ -183,6 +185,10 @@ const Profile = () => {
               </div>
             </div>
           </div>
+
+          <TwoFactorSettings />
+
+          <ActiveSessions />
         </div>
       </div>
     </div>
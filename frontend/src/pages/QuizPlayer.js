@@ -0,0 +1,520 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import axios from 'axios';
+import { format } from 'date-fns';
+import {
+  FiArrowLeft,
+  FiClock,
+  FiCheckCircle,
+  FiXCircle,
+  FiChevronUp,
+  FiChevronDown,
+  FiLock,
+  FiRepeat
+} from 'react-icons/fi';
+import toast from 'react-hot-toast';
+import { describeLock, formatClock } from '../components/Syllabus';
+
+// How often answers are saved while the student works
+const AUTOSAVE_MS = 15000;
+
+const TYPE_LABELS = {
+  single_choice: 'Choose one',
+  multiple_choice: 'Choose all that apply',
+  true_false: 'True or false',
+  numeric: 'Enter a number',
+  short_answer: 'Short answer',
+  ordering: 'Put these in order'
+};
+
+// Saved responses by question; ordering questions start from the order shown
+const responsesOf = (attempt) => Object.fromEntries(attempt.questions.map(question => [
+  question.id,
+  question.response ?? (question.type === 'ordering' ? question.options.map(option => option.id) : null)
+]));
+
+const answersOf = (responses) => Object.entries(responses)
+  .map(([question, response]) => ({ question, response }));
+
+const isAnswered = (response) => response !== null && response !== '' &&
+  !(Array.isArray(response) && response.length === 0);
+
+// A response or right answer in words
+const describeAnswer = (question, value) => {
+  if (value === null || value === undefined || value === '') return 'No answer';
+  const textOf = (id) => question.options.find(option => option.id === id)?.text || '?';
+
+  switch (question.type) {
+    case 'single_choice':
+      return Array.isArray(value) ? value.map(textOf).join(', ') : textOf(value);
+    case 'multiple_choice':
+      return value.length ? value.map(textOf).join(', ') : 'No answer';
+    case 'ordering':
+      return value.map(textOf).join(' → ');
+    case 'true_false':
+      return value ? 'True' : 'False';
+    case 'numeric':
+      return typeof value === 'object' ? `${value.answer}${value.tolerance ? ` (± ${value.tolerance})` : ''}` : String(value);
+    default:
+      return String(value);
+  }
+};
+
+const QuestionInput = ({ question, response, onChange }) => {
+  const name = `question-${question.id}`;
+
+  if (question.type === 'single_choice' || question.type === 'multiple_choice') {
+    const multiple = question.type === 'multiple_choice';
+    const picked = multiple ? response || [] : response;
+
+    return (
+      <div className="space-y-2">
+        {question.options.map(option => (
+          <label key={option.id} className="flex items-center p-3 border rounded-lg cursor-pointer hover:bg-gray-50">
+            <input
+              type={multiple ? 'checkbox' : 'radio'}
+              name={name}
+              checked={multiple ? picked.includes(option.id) : picked === option.id}
+              onChange={(e) => onChange(multiple
+                ? (e.target.checked ? [...picked, option.id] : picked.filter(id => id !== option.id))
+                : option.id)}
+              className="mr-3"
+            />
+            <span className="text-gray-900">{option.text}</span>
+          </label>
+        ))}
+      </div>
+    );
+  }
+
+  if (question.type === 'true_false') {
+    return (
+      <div className="flex space-x-3">
+        {[true, false].map(value => (
+          <label key={String(value)} className="flex items-center px-4 py-3 border rounded-lg cursor-pointer hover:bg-gray-50">
+            <input
+              type="radio"
+              name={name}
+              checked={response === value}
+              onChange={() => onChange(value)}
+              className="mr-3"
+            />
+            {value ? 'True' : 'False'}
+          </label>
+        ))}
+      </div>
+    );
+  }
+
+  if (question.type === 'ordering') {
+    const order = response || question.options.map(option => option.id);
+    const move = (index, by) => {
+      const next = [...order];
+      [next[index], next[index + by]] = [next[index + by], next[index]];
+      onChange(next);
+    };
+
+    return (
+      <ol className="space-y-2">
+        {order.map((id, index) => (
+          <li key={id} className="flex items-center justify-between p-3 border rounded-lg bg-white">
+            <span className="text-gray-900">
+              <span className="text-gray-400 mr-3">{index + 1}.</span>
+              {question.options.find(option => option.id === id)?.text}
+            </span>
+            <span className="flex items-center space-x-1">
+              <button
+                type="button"
+                onClick={() => move(index, -1)}
+                disabled={index === 0}
+                className="text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                title="Move up"
+              >
+                <FiChevronUp className="h-4 w-4" />
+              </button>
+              <button
+                type="button"
+                onClick={() => move(index, 1)}
+                disabled={index === order.length - 1}
+                className="text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                title="Move down"
+              >
+                <FiChevronDown className="h-4 w-4" />
+              </button>
+            </span>
+          </li>
+        ))}
+      </ol>
+    );
+  }
+
+  return (
+    <input
+      type={question.type === 'numeric' ? 'number' : 'text'}
+      step="any"
+      value={response ?? ''}
+      onChange={(e) => onChange(e.target.value)}
+      className="input w-full max-w-md"
+      placeholder={question.type === 'numeric' ? 'Your answer' : 'Type your answer'}
+    />
+  );
+};
+
+const QuestionResult = ({ question, index }) => (
+  <div className="card p-5">
+    <div className="flex items-start justify-between mb-3">
+      <h3 className="font-medium text-gray-900">
+        {index + 1}. {question.prompt}
+      </h3>
+      <span className={`flex items-center text-sm whitespace-nowrap ml-4 ${question.correct ? 'text-green-600' : 'text-red-600'}`}>
+        {question.correct ? <FiCheckCircle className="h-4 w-4 mr-1" /> : <FiXCircle className="h-4 w-4 mr-1" />}
+        {question.pointsAwarded}/{question.points}
+      </span>
+    </div>
+    <p className="text-sm text-gray-700">
+      <span className="text-gray-500">Your answer:</span> {describeAnswer(question, question.response)}
+    </p>
+    {question.answer !== undefined && question.answer !== null && !question.correct && (
+      <p className="text-sm text-gray-700 mt-1">
+        <span className="text-gray-500">Correct answer:</span> {describeAnswer(question, question.answer)}
+      </p>
+    )}
+    {question.explanation && (
+      <p className="text-sm text-gray-600 mt-3 p-3 bg-gray-50 rounded">{question.explanation}</p>
+    )}
+  </div>
+);
+
+const QuizPlayer = () => {
+  const { id } = useParams();
+  const [quiz, setQuiz] = useState(null);
+  const [attempt, setAttempt] = useState(null);
+  const [responses, setResponses] = useState({});
+  const [staffAttempts, setStaffAttempts] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [now, setNow] = useState(Date.now());
+  // Responses changed since the last save
+  const dirty = useRef(false);
+  const submitting = useRef(false);
+
+  const fetchQuiz = useCallback(async () => {
+    try {
+      const res = await axios.get(`/api/quizzes/${id}`);
+      setQuiz(res.data);
+
+      if (res.data.inProgress) {
+        const attemptRes = await axios.get(`/api/quizzes/attempts/${res.data.inProgress}`);
+        setAttempt(attemptRes.data);
+        setResponses(responsesOf(attemptRes.data));
+      }
+      if (res.data.stats) {
+        const attemptsRes = await axios.get(`/api/quizzes/${id}/attempts`).catch(() => null);
+        setStaffAttempts(attemptsRes?.data || null);
+      }
+    } catch (error) {
+      console.error('Error fetching quiz:', error);
+      toast.error(error.response?.data?.message || 'Failed to load quiz');
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    fetchQuiz();
+  }, [fetchQuiz]);
+
+  const isOpen = attempt?.status === 'in_progress';
+
+  const saveAnswers = useCallback(async () => {
+    if (!isOpen || !dirty.current) return;
+    dirty.current = false;
+    try {
+      await axios.put(`/api/quizzes/attempts/${attempt.id}/answers`, { answers: answersOf(responses) });
+    } catch (error) {
+      dirty.current = true;
+      console.error('Error saving answers:', error);
+    }
+  }, [isOpen, attempt, responses]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    const timer = setInterval(saveAnswers, AUTOSAVE_MS);
+    return () => clearInterval(timer);
+  }, [isOpen, saveAnswers]);
+
+  // The countdown only ticks while a timed attempt is open
+  useEffect(() => {
+    if (!isOpen || !attempt.expiresAt) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [isOpen, attempt]);
+
+  const handleSubmit = useCallback(async (timedOut = false) => {
+    if (submitting.current) return;
+
+    const unanswered = Object.values(responses).filter(response => !isAnswered(response)).length;
+    if (!timedOut && unanswered > 0 &&
+      !window.confirm(`${unanswered} ${unanswered === 1 ? 'question is' : 'questions are'} unanswered. Submit anyway?`)) {
+      return;
+    }
+
+    submitting.current = true;
+    setBusy(true);
+    try {
+      const res = await axios.post(`/api/quizzes/attempts/${attempt.id}/submit`, { answers: answersOf(responses) });
+      dirty.current = false;
+      setAttempt(res.data.attempt);
+      toast.success(timedOut ? 'Time is up. Your answers were submitted.' : 'Quiz submitted');
+      const quizRes = await axios.get(`/api/quizzes/${id}`);
+      setQuiz(quizRes.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to submit quiz');
+    } finally {
+      submitting.current = false;
+      setBusy(false);
+    }
+  }, [id, attempt, responses]);
+
+  const remaining = isOpen && attempt.expiresAt
+    ? Math.max(0, Math.round((new Date(attempt.expiresAt).getTime() - now) / 1000))
+    : null;
+
+  useEffect(() => {
+    if (remaining === 0) handleSubmit(true);
+  }, [remaining, handleSubmit]);
+
+  const handleStart = async () => {
+    setBusy(true);
+    try {
+      const res = await axios.post(`/api/quizzes/${id}/attempts`);
+      setAttempt(res.data);
+      setResponses(responsesOf(res.data));
+      setNow(Date.now());
+      dirty.current = false;
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to start quiz');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleReview = async (attemptId) => {
+    try {
+      const res = await axios.get(`/api/quizzes/attempts/${attemptId}`);
+      setAttempt(res.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load attempt');
+    }
+  };
+
+  const setResponse = (questionId, value) => {
+    dirty.current = true;
+    setResponses(prev => ({ ...prev, [questionId]: value }));
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-32 w-32 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  if (!quiz) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="text-center">
+          <h1 className="text-2xl font-bold text-gray-900 mb-4">Quiz Not Found</h1>
+          <Link to="/courses" className="btn btn-primary">
+            Back to Courses
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  const settings = [
+    `${quiz.questionsPerAttempt} ${quiz.questionsPerAttempt === 1 ? 'question' : 'questions'}`,
+    quiz.timeLimit > 0 ? `${quiz.timeLimit} minute limit` : 'No time limit',
+    quiz.maxAttempts > 0 ? `${quiz.maxAttempts} ${quiz.maxAttempts === 1 ? 'attempt' : 'attempts'}` : 'Unlimited attempts',
+    `Out of ${quiz.maxMarks} marks`,
+    quiz.dueDate && `Due ${format(new Date(quiz.dueDate), 'MMM d, yyyy h:mm a')}`
+  ].filter(Boolean);
+  const isClosed = quiz.dueDate && new Date(quiz.dueDate) < new Date();
+  const canStart = quiz.attempts && !quiz.lock && !isClosed && quiz.attemptsLeft !== 0;
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <Link
+          to={`/courses/${quiz.course}`}
+          className="inline-flex items-center text-sm text-gray-600 hover:text-gray-900 mb-4"
+        >
+          <FiArrowLeft className="h-4 w-4 mr-1" />
+          Back to course
+        </Link>
+
+        <div className="card p-6 mb-6">
+          <div className="flex items-start justify-between">
+            <h1 className="text-2xl font-bold text-gray-900">{quiz.title}</h1>
+            {remaining !== null && (
+              <span className={`flex items-center font-mono text-lg ml-4 ${remaining < 60 ? 'text-red-600' : 'text-gray-700'}`}>
+                <FiClock className="h-5 w-5 mr-2" />
+                {formatClock(remaining)}
+              </span>
+            )}
+          </div>
+          {quiz.description && <p className="text-gray-600 mt-2 whitespace-pre-line">{quiz.description}</p>}
+          <p className="text-sm text-gray-500 mt-3">{settings.join(' · ')}</p>
+        </div>
+
+        {isOpen ? (
+          <div className="space-y-4">
+            {attempt.questions.map((question, index) => (
+              <div key={question.id} className="card p-5">
+                <div className="flex items-start justify-between mb-1">
+                  <h3 className="font-medium text-gray-900">
+                    {index + 1}. {question.prompt}
+                  </h3>
+                  <span className="text-sm text-gray-500 whitespace-nowrap ml-4">
+                    {question.points} {question.points === 1 ? 'point' : 'points'}
+                  </span>
+                </div>
+                <p className="text-xs text-gray-500 mb-3">{TYPE_LABELS[question.type]}</p>
+                <QuestionInput
+                  question={question}
+                  response={responses[question.id]}
+                  onChange={(value) => setResponse(question.id, value)}
+                />
+              </div>
+            ))}
+            <div className="flex items-center justify-between">
+              <span className="text-sm text-gray-500">
+                {Object.values(responses).filter(isAnswered).length} of {attempt.questions.length} answered
+              </span>
+              <button onClick={() => handleSubmit(false)} disabled={busy} className="btn btn-primary">
+                {busy ? 'Submitting...' : 'Submit quiz'}
+              </button>
+            </div>
+          </div>
+        ) : attempt ? (
+          <div className="space-y-4">
+            <div className="card p-6 flex items-center justify-between">
+              <div>
+                <h2 className="text-lg font-semibold text-gray-900">Attempt {attempt.number}</h2>
+                <p className="text-sm text-gray-500">
+                  Submitted {format(new Date(attempt.submittedAt), 'MMM d, yyyy h:mm a')} · {attempt.score}/{attempt.maxScore} points
+                </p>
+              </div>
+              <div className="text-right">
+                <div className="text-3xl font-bold text-gray-900">{attempt.marks}</div>
+                <div className="text-sm text-gray-500">of {attempt.maxMarks} marks</div>
+              </div>
+            </div>
+            {attempt.questions.map((question, index) => (
+              <QuestionResult key={question.id} question={question} index={index} />
+            ))}
+            <button onClick={() => setAttempt(null)} className="btn btn-outline">
+              Back to quiz
+            </button>
+          </div>
+        ) : (
+          <>
+            {quiz.attempts && (
+              <div className="card p-6 mb-6">
+                {quiz.lock ? (
+                  <p className="flex items-center text-gray-600">
+                    <FiLock className="h-5 w-5 mr-2 text-gray-400" />
+                    {describeLock(quiz.lock)}
+                  </p>
+                ) : (
+                  <div className="flex items-center justify-between">
+                    <div className="text-sm text-gray-600">
+                      {quiz.grade !== null && (
+                        <p>
+                          Your grade: <span className="font-semibold text-gray-900">{quiz.grade}/{quiz.maxMarks}</span>
+                          {quiz.attempts.length > 1 && ` (${quiz.scoring} attempt)`}
+                        </p>
+                      )}
+                      {isClosed && <p>This quiz is closed.</p>}
+                      {!isClosed && quiz.attemptsLeft === 0 && <p>You have used all your attempts.</p>}
+                      {!isClosed && quiz.attemptsLeft > 0 && (
+                        <p>{quiz.attemptsLeft} {quiz.attemptsLeft === 1 ? 'attempt' : 'attempts'} left</p>
+                      )}
+                    </div>
+                    {canStart && (
+                      <button onClick={handleStart} disabled={busy} className="btn btn-primary flex items-center">
+                        {quiz.attempts.length > 0 && <FiRepeat className="h-4 w-4 mr-2" />}
+                        {quiz.attempts.length > 0 ? 'Try again' : 'Start quiz'}
+                      </button>
+                    )}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {quiz.attempts?.length > 0 && (
+              <div className="card p-6">
+                <h2 className="text-lg font-semibold text-gray-900 mb-3">Your attempts</h2>
+                <ul className="divide-y">
+                  {quiz.attempts.map(summary => (
+                    <li key={summary.id} className="flex items-center justify-between py-3 text-sm">
+                      <span className="text-gray-700">
+                        Attempt {summary.number} · {format(new Date(summary.submittedAt || summary.startedAt), 'MMM d, h:mm a')}
+                      </span>
+                      <span className="flex items-center">
+                        <span className="font-medium text-gray-900 mr-4">{summary.marks ?? '-'}/{quiz.maxMarks}</span>
+                        <button
+                          onClick={() => handleReview(summary.id)}
+                          className="text-primary-600 hover:text-primary-700"
+                        >
+                          Review
+                        </button>
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {quiz.stats && (
+              <div className="card p-6">
+                <h2 className="text-lg font-semibold text-gray-900 mb-1">Results</h2>
+                <p className="text-sm text-gray-500 mb-4">
+                  {quiz.stats.students} {quiz.stats.students === 1 ? 'student' : 'students'} · {quiz.stats.attempts} submitted {quiz.stats.attempts === 1 ? 'attempt' : 'attempts'}
+                  {quiz.stats.averageMarks !== null && ` · average ${quiz.stats.averageMarks}/${quiz.maxMarks}`}
+                </p>
+                {staffAttempts?.length > 0 && (
+                  <ul className="divide-y">
+                    {staffAttempts.map(summary => (
+                      <li key={summary.id} className="flex items-center justify-between py-3 text-sm">
+                        <span className="text-gray-700">
+                          {summary.student?.name} · attempt {summary.number}
+                          {summary.status === 'in_progress' && <span className="ml-2 text-xs text-primary-600">In progress</span>}
+                        </span>
+                        <span className="flex items-center">
+                          <span className="font-medium text-gray-900 mr-4">{summary.marks ?? '-'}/{quiz.maxMarks}</span>
+                          {summary.status === 'submitted' && (
+                            <button
+                              onClick={() => handleReview(summary.id)}
+                              className="text-primary-600 hover:text-primary-700"
+                            >
+                              Review
+                            </button>
+                          )}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default QuizPlayer;
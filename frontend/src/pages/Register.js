@@ -9,7 +9,11 @@ const Register = () => {
     email: '',
     password: '',
     confirmPassword: '',
-    role: 'student'
+    role: 'student',
+    // Instructor application, only sent with the instructor role
+    expertise: '',
+    experience: '',
+    website: ''
   });
   const [showPassword, setShowPassword] = useState(false);
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
@@ -61,6 +65,15 @@ const Register = () => {
       newErrors.password = 'Password must be at least 6 characters';
     }
 
+    if (formData.role === 'instructor') {
+      if (formData.expertise.trim().length < 2) {
+        newErrors.expertise = 'Tell us what you would teach';
+      }
+      if (formData.experience.trim().length < 30) {
+        newErrors.experience = 'Describe your teaching experience in at least 30 characters';
+      }
+    }
+
     if (!formData.confirmPassword) {
       newErrors.confirmPassword = 'Please confirm your password';
     } else if (formData.password !== formData.confirmPassword) {
@@ -76,16 +89,20 @@ const Register = () => {
     
     if (!validateForm()) return;
 
-    const { confirmPassword, ...registerData } = formData;
-    const result = await register(registerData);
+    const { confirmPassword, expertise, experience, website, ...registerData } = formData;
+    const result = await register(formData.role === 'instructor'
+      ? { ...registerData, expertise, experience, website }
+      : registerData);
     
     if (result.success) {
       navigate('/dashboard');
+    } else if (result.twoFactor) {
+      navigate('/login', { state: { twoFactor: result.twoFactor } });
     } else if (result.errors) {
       // Handle validation errors from server
       const serverErrors = {};
       result.errors.forEach(error => {
-        serverErrors[error.param] = error.msg;
+        serverErrors[error.field || error.param] = error.message || error.msg;
       });
       setErrors(serverErrors);
     } else if (result.field) {
@@ -181,6 +198,65 @@ const Register = () => {
               </select>
             </div>
 
+            {formData.role === 'instructor' && (
+              <div className="space-y-4 bg-gray-100 rounded-lg p-4">
+                <p className="text-sm text-gray-600">
+                  Instructor accounts are reviewed by an admin. You can use EduNexus as a student until then.
+                </p>
+                <div>
+                  <label htmlFor="expertise" className="block text-sm font-medium text-gray-700">
+                    What would you teach?
+                  </label>
+                  <input
+                    id="expertise"
+                    name="expertise"
+                    type="text"
+                    value={formData.expertise}
+                    onChange={handleChange}
+                    className={`mt-1 input ${errors.expertise ? 'border-red-300' : ''}`}
+                    placeholder="e.g. Web development, Statistics"
+                  />
+                  {errors.expertise && (
+                    <p className="mt-1 text-sm text-red-600">{errors.expertise}</p>
+                  )}
+                </div>
+                <div>
+                  <label htmlFor="experience" className="block text-sm font-medium text-gray-700">
+                    Teaching experience
+                  </label>
+                  <textarea
+                    id="experience"
+                    name="experience"
+                    rows={4}
+                    value={formData.experience}
+                    onChange={handleChange}
+                    className={`mt-1 input ${errors.experience ? 'border-red-300' : ''}`}
+                    placeholder="Where and what have you taught before?"
+                  />
+                  {errors.experience && (
+                    <p className="mt-1 text-sm text-red-600">{errors.experience}</p>
+                  )}
+                </div>
+                <div>
+                  <label htmlFor="website" className="block text-sm font-medium text-gray-700">
+                    Website or portfolio <span className="text-gray-400">(optional)</span>
+                  </label>
+                  <input
+                    id="website"
+                    name="website"
+                    type="url"
+                    value={formData.website}
+                    onChange={handleChange}
+                    className={`mt-1 input ${errors.website ? 'border-red-300' : ''}`}
+                    placeholder="https://"
+                  />
+                  {errors.website && (
+                    <p className="mt-1 text-sm text-red-600">{errors.website}</p>
+                  )}
+                </div>
+              </div>
+            )}
+
             <div>
               <label htmlFor="password" className="block text-sm font-medium text-gray-700">
                 Password
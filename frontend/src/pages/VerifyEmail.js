@@ -0,0 +1,62 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { FiCheckCircle, FiAlertCircle } from 'react-icons/fi';
+
+const VerifyEmail = () => {
+  const { token } = useParams();
+  const { verifyEmail, isAuthenticated } = useAuth();
+  const [status, setStatus] = useState({ state: 'verifying', message: '' });
+  // Tokens are single-use, so never submit the same one twice (StrictMode re-runs effects)
+  const submittedRef = useRef(null);
+
+  useEffect(() => {
+    if (submittedRef.current === token) return;
+    submittedRef.current = token;
+
+    verifyEmail(token).then(result => {
+      setStatus(result.success
+        ? { state: 'verified', message: result.message }
+        : { state: 'failed', message: result.error });
+    });
+  }, [token, verifyEmail]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full text-center">
+        {status.state === 'verifying' && (
+          <>
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600 mx-auto mb-6"></div>
+            <p className="text-gray-600">Verifying your email address...</p>
+          </>
+        )}
+
+        {status.state === 'verified' && (
+          <>
+            <FiCheckCircle className="h-12 w-12 text-green-500 mx-auto mb-4" />
+            <h2 className="text-2xl font-bold text-gray-900 mb-2">Email verified</h2>
+            <p className="text-gray-600 mb-6">{status.message}</p>
+            <Link to={isAuthenticated ? '/dashboard' : '/login'} className="btn btn-primary btn-md">
+              {isAuthenticated ? 'Go to Dashboard' : 'Sign in'}
+            </Link>
+          </>
+        )}
+
+        {status.state === 'failed' && (
+          <>
+            <FiAlertCircle className="h-12 w-12 text-red-500 mx-auto mb-4" />
+            <h2 className="text-2xl font-bold text-gray-900 mb-2">Verification failed</h2>
+            <p className="text-gray-600 mb-6">
+              {status.message}. You can request a new link from the banner after signing in.
+            </p>
+            <Link to={isAuthenticated ? '/dashboard' : '/login'} className="btn btn-outline btn-md">
+              {isAuthenticated ? 'Go to Dashboard' : 'Sign in'}
+            </Link>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;